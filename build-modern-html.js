@@ -8,20 +8,40 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Logger from './src/logger/Logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-console.log('🚀 Building modern MCMI-II HTML file...\n');
-
 // File paths
-const originalHtmlPath = path.join(__dirname, 'MCMI2_DRS.html');
-const transpiledJsPath = path.join(__dirname, 'output', 'javascript', 'transpiled.js');
-const outputPath = path.join(__dirname, 'MCMI2-modern.html');
+const ORIGINAL_HTML_PATH = path.join(__dirname, 'MCMI2_DRS.html');
+const TRANSPILED_JS_PATH = path.join(__dirname, 'output', 'javascript', 'transpiled.js');
+const OUTPUT_PATH = path.join(__dirname, 'MCMI2-modern.html');
+
+/**
+ * Print a build message, unless the logger is quiet (mcmi --quiet)
+ */
+function log(...args) {
+  if (!Logger.quiet) console.log(...args);
+}
+
+/**
+ * Build the single-file modern HTML
+ * @param {object} options
+ * @param {string} options.sourceFile - Original HTML with the VBScript
+ * @param {string} options.transpiledFile - Transpiled script (browser form access)
+ * @param {string} options.outputFile - HTML file to write
+ * @returns {object} { outputFile, size, htmlLines } with the size in bytes
+ */
+export function buildModernHTML({
+  sourceFile = ORIGINAL_HTML_PATH,
+  transpiledFile = TRANSPILED_JS_PATH,
+  outputFile = OUTPUT_PATH
+} = {}) {
+  log('🚀 Building modern MCMI-II HTML file...\n');
 
-try {
-  console.log('📖 Reading original HTML file...');
-  const originalHtml = fs.readFileSync(originalHtmlPath, 'utf-8');
+  log('📖 Reading original HTML file...');
+  const originalHtml = fs.readFileSync(sourceFile, 'utf-8');
   const htmlLines = originalHtml.split('\n');
 
   // Determine where the VBScript <SCRIPT> tag starts so we can strip everything before it.
@@ -37,59 +57,67 @@ try {
     // Fallback: line 2164 is known to be the last HTML line before VBScript in the original source.
     htmlEndLine = 2164;
   }
-  
-  console.log(`   Total lines in original: ${htmlLines.length}`);
-  console.log(`   Extracting first ${htmlEndLine} lines (HTML structure)`);
-  
+
+  log(`   Total lines in original: ${htmlLines.length}`);
+  log(`   Extracting first ${htmlEndLine} lines (HTML structure)`);
+
   // Extract HTML portion (before VBScript)
   const htmlPortion = htmlLines.slice(0, htmlEndLine).join('\n');
-  
-  console.log('\n📖 Reading transpiled JavaScript file...');
-  const transpiledJs = fs.readFileSync(transpiledJsPath, 'utf-8');
-  console.log(`   Transpiled JS size: ${(transpiledJs.length / 1024).toFixed(2)} KB`);
-  
+
+  log('\n📖 Reading transpiled JavaScript file...');
+  // The source map comment points next to transpiled.js, which the inlined copy is not
+  const transpiledJs = fs.readFileSync(transpiledFile, 'utf-8').replace(/^\/\/# sourceMappingURL=.*\n?/m, '');
+  log(`   Transpiled JS size: ${(transpiledJs.length / 1024).toFixed(2)} KB`);
+
   // Build the complete modern HTML
-  console.log('\n🔨 Building modern HTML file...');
-  
+  log('\n🔨 Building modern HTML file...');
+
   let modernHtml = htmlPortion;
-  
+
   // Add JavaScript instead of VBScript (with defer to match original behavior)
   modernHtml += '\n<SCRIPT type="text/javascript" defer>\n';
   modernHtml += '// Modern JavaScript transpiled from VBScript\n';
   modernHtml += '// This replaces the original VBScript code to work in modern browsers\n';
   modernHtml += '// The defer attribute ensures the script runs after the page is parsed (like original VBScript defer)\n\n';
-  
+
   // Add the k variable initialization (equivalent to VBScript's "set k=document.frm1")
   // Using let instead of const to match VBScript's set behavior more closely
   // The defer attribute ensures DOM is loaded, but we initialize it safely
   modernHtml += '// Initialize form reference (replaces VBScript "set k=document.frm1")\n';
   modernHtml += '// With defer, the DOM is guaranteed to be parsed when this runs\n';
   modernHtml += 'let k = document.frm1;\n\n';
-  
+
   // Add the transpiled JavaScript
   modernHtml += transpiledJs;
-  
+
   // Close the script tag and HTML
   modernHtml += '\n</SCRIPT>\n';
   modernHtml += '</P></BODY></HTML>';
-  
+
   // Write the output file
-  console.log('\n💾 Writing output file...');
-  fs.writeFileSync(outputPath, modernHtml, 'utf-8');
-  
+  log('\n💾 Writing output file...');
+  fs.writeFileSync(outputFile, modernHtml, 'utf-8');
+
   const outputSize = (modernHtml.length / 1024).toFixed(2);
-  console.log(`   Output file: ${outputPath}`);
-  console.log(`   Output size: ${outputSize} KB`);
-  
-  console.log('\n✅ Successfully created modern MCMI-II HTML file!');
-  console.log('\n📋 Summary:');
-  console.log(`   - Original HTML structure: ${htmlEndLine} lines`);
-  console.log(`   - Transpiled JavaScript included inline`);
-  console.log(`   - VBScript replaced with standard JavaScript`);
-  console.log(`   - Single file output: MCMI2-modern.html`);
-  console.log('\n🎉 Build complete!');
-  
-} catch (error) {
-  console.error('❌ Error building modern HTML:', error.message);
-  process.exit(1);
+  log(`   Output file: ${outputFile}`);
+  log(`   Output size: ${outputSize} KB`);
+
+  log('\n✅ Successfully created modern MCMI-II HTML file!');
+  log('\n📋 Summary:');
+  log(`   - Original HTML structure: ${htmlEndLine} lines`);
+  log('   - Transpiled JavaScript included inline');
+  log('   - VBScript replaced with standard JavaScript');
+  log(`   - Single file output: ${path.basename(outputFile)}`);
+  log('\n🎉 Build complete!');
+
+  return { outputFile, size: modernHtml.length, htmlLines: htmlEndLine };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    buildModernHTML();
+  } catch (error) {
+    console.error('❌ Error building modern HTML:', error.message);
+    process.exit(1);
+  }
 }
@@ -7,6 +7,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Logger from './src/logger/Logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,65 +15,88 @@ const __dirname = path.dirname(__filename);
 const SOURCE_DIR = path.join(__dirname, 'webapp');
 const DIST_DIR = path.join(__dirname, 'dist');
 
-console.log('🏗️  Building MCMI-II Web Application...\n');
-
-// Clean dist directory
-if (fs.existsSync(DIST_DIR)) {
-  fs.rmSync(DIST_DIR, { recursive: true, force: true });
-  console.log('✅ Cleaned dist directory');
+/**
+ * Print a build message, unless the logger is quiet (mcmi --quiet)
+ */
+function log(...args) {
+  if (!Logger.quiet) console.log(...args);
 }
 
-// Create dist directory structure
-fs.mkdirSync(DIST_DIR, { recursive: true });
-fs.mkdirSync(path.join(DIST_DIR, 'styles'), { recursive: true });
-fs.mkdirSync(path.join(DIST_DIR, 'js'), { recursive: true });
-fs.mkdirSync(path.join(DIST_DIR, 'assets'), { recursive: true });
-fs.mkdirSync(path.join(DIST_DIR, 'data'), { recursive: true });
-fs.mkdirSync(path.join(DIST_DIR, 'locales'), { recursive: true });
-console.log('✅ Created dist directory structure');
-
-// Copy files
-const filesToCopy = [
-  { from: 'index.html', to: 'index.html' },
-  { from: 'manifest.json', to: 'manifest.json' },
-  { from: 'service-worker.js', to: 'service-worker.js' },
-  { from: 'styles/app.css', to: 'styles/app.css' },
-  { from: 'js/app.js', to: 'js/app.js' },
-  { from: 'js/assessment-engine.js', to: 'js/assessment-engine.js' },
-  { from: 'js/file-downloader.js', to: 'js/file-downloader.js' },
-  { from: 'js/i18n.js', to: 'js/i18n.js' },
-  { from: 'data/questions.json', to: 'data/questions.json' },
-  { from: 'locales/fa.json', to: 'locales/fa.json' },
-  { from: 'locales/en.json', to: 'locales/en.json' }
-];
-
-filesToCopy.forEach(({ from, to }) => {
-  const source = path.join(SOURCE_DIR, from);
-  const dest = path.join(DIST_DIR, to);
-  
-  if (fs.existsSync(source)) {
-    fs.copyFileSync(source, dest);
-    const stats = fs.statSync(dest);
-    console.log(`✅ Copied ${from} (${(stats.size / 1024).toFixed(1)} KB)`);
-  } else {
-    console.log(`⚠️  Warning: ${from} not found`);
+/**
+ * Build the web app into a dist folder
+ * @param {object} options
+ * @param {string} options.sourceDir - Web app directory
+ * @param {string} options.distDir - Output directory; it is emptied first
+ * @returns {object} { distDir, totalSize } with the size in bytes
+ */
+export function buildWebapp({ sourceDir = SOURCE_DIR, distDir = DIST_DIR } = {}) {
+  log('🏗️  Building MCMI-II Web Application...\n');
+
+  // Clean dist directory
+  if (fs.existsSync(distDir)) {
+    fs.rmSync(distDir, { recursive: true, force: true });
+    log('✅ Cleaned dist directory');
   }
-});
-
-// Copy assets
-const assetsDir = path.join(SOURCE_DIR, 'assets');
-if (fs.existsSync(assetsDir)) {
-  const assets = fs.readdirSync(assetsDir);
-  assets.forEach(file => {
-    const source = path.join(assetsDir, file);
-    const dest = path.join(DIST_DIR, 'assets', file);
-    fs.copyFileSync(source, dest);
+
+  // Create dist directory structure
+  fs.mkdirSync(distDir, { recursive: true });
+  fs.mkdirSync(path.join(distDir, 'styles'), { recursive: true });
+  fs.mkdirSync(path.join(distDir, 'js'), { recursive: true });
+  fs.mkdirSync(path.join(distDir, 'assets'), { recursive: true });
+  fs.mkdirSync(path.join(distDir, 'data'), { recursive: true });
+  fs.mkdirSync(path.join(distDir, 'locales'), { recursive: true });
+  log('✅ Created dist directory structure');
+
+  // Copy files
+  const filesToCopy = [
+    { from: 'index.html', to: 'index.html' },
+    { from: 'manifest.json', to: 'manifest.json' },
+    { from: 'service-worker.js', to: 'service-worker.js' },
+    { from: 'styles/app.css', to: 'styles/app.css' },
+    { from: 'js/app.js', to: 'js/app.js' },
+    { from: 'js/assessment-engine.js', to: 'js/assessment-engine.js' },
+    { from: 'js/scoring.js', to: 'js/scoring.js' },
+    { from: 'js/legacy-scoring.js', to: 'js/legacy-scoring.js' },
+    { from: 'js/file-downloader.js', to: 'js/file-downloader.js' },
+    { from: 'js/report-template.js', to: 'js/report-template.js' },
+    { from: 'js/session-store.js', to: 'js/session-store.js' },
+    { from: 'js/vault.js', to: 'js/vault.js' },
+    { from: 'js/rapid-entry.js', to: 'js/rapid-entry.js' },
+    { from: 'js/i18n.js', to: 'js/i18n.js' },
+    { from: 'data/questions.json', to: 'data/questions.json' },
+    { from: 'data/scoring-keys.json', to: 'data/scoring-keys.json' },
+    { from: 'data/br-tables.json', to: 'data/br-tables.json' },
+    { from: 'locales/fa.json', to: 'locales/fa.json' },
+    { from: 'locales/en.json', to: 'locales/en.json' }
+  ];
+
+  filesToCopy.forEach(({ from, to }) => {
+    const source = path.join(sourceDir, from);
+    const dest = path.join(distDir, to);
+    
+    if (fs.existsSync(source)) {
+      fs.copyFileSync(source, dest);
+      const stats = fs.statSync(dest);
+      log(`✅ Copied ${from} (${(stats.size / 1024).toFixed(1)} KB)`);
+    } else {
+      log(`⚠️  Warning: ${from} not found`);
+    }
   });
-  console.log(`✅ Copied ${assets.length} assets`);
-}
 
-// Create README in dist
-const distReadme = `# MCMI-II Web Application - Production Build
+  // Copy assets
+  const assetsDir = path.join(sourceDir, 'assets');
+  if (fs.existsSync(assetsDir)) {
+    const assets = fs.readdirSync(assetsDir);
+    assets.forEach(file => {
+      const source = path.join(assetsDir, file);
+      const dest = path.join(distDir, 'assets', file);
+      fs.copyFileSync(source, dest);
+    });
+    log(`✅ Copied ${assets.length} assets`);
+  }
+
+  // Create README in dist
+  const distReadme = `# MCMI-II Web Application - Production Build
 
 This directory contains the production-ready build of the MCMI-II Assessment Tool.
 
@@ -113,29 +137,36 @@ To deploy this application:
 © ${new Date().getFullYear()} MCMI-II Assessment Tool
 `;
 
-fs.writeFileSync(path.join(DIST_DIR, 'README.md'), distReadme);
-console.log('✅ Created dist README.md');
-
-// Calculate total size
-let totalSize = 0;
-function calculateSize(dir) {
-  const files = fs.readdirSync(dir);
-  files.forEach(file => {
-    const filePath = path.join(dir, file);
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-      calculateSize(filePath);
-    } else {
-      totalSize += stats.size;
-    }
-  });
-}
+  fs.writeFileSync(path.join(distDir, 'README.md'), distReadme);
+  log('✅ Created dist README.md');
+
+  // Calculate total size
+  let totalSize = 0;
+  function calculateSize(dir) {
+    const files = fs.readdirSync(dir);
+    files.forEach(file => {
+      const filePath = path.join(dir, file);
+      const stats = fs.statSync(filePath);
+      if (stats.isDirectory()) {
+        calculateSize(filePath);
+      } else {
+        totalSize += stats.size;
+      }
+    });
+  }
+
+  calculateSize(distDir);
 
-calculateSize(DIST_DIR);
+  log('\n📊 Build Summary:');
+  log(`   Total Size: ${(totalSize / 1024).toFixed(1)} KB`);
+  log(`   Output Directory: ${distDir}`);
+  log('\n✅ Build completed successfully!\n');
+  log('💡 To test locally, run:');
+  log('   npx http-server dist -p 8080\n');
 
-console.log('\n📊 Build Summary:');
-console.log(`   Total Size: ${(totalSize / 1024).toFixed(1)} KB`);
-console.log(`   Output Directory: ${DIST_DIR}`);
-console.log('\n✅ Build completed successfully!\n');
-console.log('💡 To test locally, run:');
-console.log('   npx http-server dist -p 8080\n');
+  return { distDir, totalSize };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  buildWebapp();
+}
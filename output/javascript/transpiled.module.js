@@ -0,0 +1,5354 @@
+/**
+ * Transpiled JavaScript from VBScript
+ * Generated with comprehensive token-aware transpiler
+ * Date: 2026-10-19T19:23:24.430Z
+ * All VBScript tokens handled systematically
+ * ES module: score() runs buttclick() on a fresh copy of the script
+ */
+
+// VBScript Runtime (src/runtime/vbruntime.js)
+const vb = (function createVBRuntime() {
+  function fail(message) {
+    throw new TypeError(message);
+  }
+
+  function isEmpty(value) {
+    return value === undefined || value === null;
+  }
+
+  // Number of a variant: Empty is 0 and True is -1, as in VBScript
+  function toNumber(value) {
+    if (isEmpty(value)) return 0;
+    if (typeof value === 'boolean') return value ? -1 : 0;
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    const number = Number(text);
+    if (text === '' || Number.isNaN(number)) {
+      fail(`Type mismatch: "${value}"`);
+    }
+    return number;
+  }
+
+  function toText(value) {
+    if (isEmpty(value)) return '';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    return String(value);
+  }
+
+  // Drop the sign of a zero result
+  function normalize(number) {
+    return number === 0 ? 0 : number;
+  }
+
+  /**
+   * Int(): largest integer not greater than the number, Int(-2.5) = -3
+   */
+  function Int(value) {
+    return normalize(Math.floor(toNumber(value)));
+  }
+
+  /**
+   * Fix(): integer part of the number, Fix(-2.5) = -2
+   */
+  function Fix(value) {
+    return normalize(Math.trunc(toNumber(value)));
+  }
+
+  /**
+   * Round(): banker's rounding, halves go to the even neighbour (Round(2.5) = 2, Round(3.5) = 4)
+   */
+  function Round(value, digits = 0) {
+    const factor = Math.pow(10, toNumber(digits));
+    const scaled = toNumber(value) * factor;
+    const floor = Math.floor(scaled);
+    const rounded = scaled - floor === 0.5 ? (floor % 2 === 0 ? floor : floor + 1) : Math.round(scaled);
+    return normalize(rounded / factor);
+  }
+
+  /**
+   * CInt(): Integer subtype, rounded like Round()
+   */
+  function CInt(value) {
+    const rounded = Round(value);
+    if (rounded < -32768 || rounded > 32767) {
+      fail(`Overflow: CInt(${value})`);
+    }
+    return rounded;
+  }
+
+  /**
+   * CDbl(): Double subtype
+   */
+  function CDbl(value) {
+    return toNumber(value);
+  }
+
+  /**
+   * IsNumeric(): whether the variant converts to a number
+   */
+  function IsNumeric(value) {
+    if (isEmpty(value) || typeof value === 'boolean' || typeof value === 'number') return true;
+    const text = String(value).trim();
+    return text !== '' && !Number.isNaN(Number(text));
+  }
+
+  /**
+   * Mid(): substring from a 1-based start, to the end when length is omitted
+   */
+  function Mid(value, start, length) {
+    const from = toNumber(start);
+    if (from < 1 || (length !== undefined && toNumber(length) < 0)) {
+      fail(`Invalid procedure call: Mid(${value}, ${start}, ${length})`);
+    }
+    const text = toText(value);
+    return length === undefined ? text.substring(from - 1) : text.substr(from - 1, toNumber(length));
+  }
+
+  /**
+   * Left(): first characters of a string
+   */
+  function Left(value, length) {
+    if (toNumber(length) < 0) {
+      fail(`Invalid procedure call: Left(${value}, ${length})`);
+    }
+    return toText(value).substring(0, toNumber(length));
+  }
+
+  /**
+   * Len(): characters of the variant's text, 0 for Empty
+   */
+  function Len(value) {
+    return toText(value).length;
+  }
+
+  /**
+   * Trim(): remove leading and trailing spaces (only spaces, not tabs or newlines)
+   */
+  function Trim(value) {
+    return toText(value).replace(/^ +| +$/g, '');
+  }
+
+  /**
+   * Add(): the + operator on variants
+   * Empty adds as 0 (or as "" to a string), two strings concatenate and anything else
+   * adds as numbers, so an unassigned array element plus 8 is 8 rather than NaN
+   */
+  function Add(left, right) {
+    if (isEmpty(left) && isEmpty(right)) return 0;
+    if (isEmpty(left)) return typeof right === 'string' ? right : toNumber(right);
+    if (isEmpty(right)) return typeof left === 'string' ? left : toNumber(left);
+    if (typeof left === 'string' && typeof right === 'string') return left + right;
+    return toNumber(left) + toNumber(right);
+  }
+
+  /**
+   * Subtract(): the - operator on variants
+   * Empty subtracts as 0, so a number minus a variable nobody assigned is that number rather than NaN
+   */
+  function Subtract(left, right) {
+    return toNumber(left) - toNumber(right);
+  }
+
+  /**
+   * Concat(): the & operator on variants
+   * Every operand joins as text, Empty and Null as "", so Empty & 34 is "34" and 1 & 2 is "12"
+   */
+  function Concat(...values) {
+    return values.map(toText).join('');
+  }
+
+  /**
+   * Compare two variants the way VBScript's comparison operators do
+   * A number and a string compare as numbers when the number is a literal in the source,
+   * as strings when the string is the literal, and otherwise the number is the smaller one.
+   * @param {*} left - Left operand
+   * @param {*} right - Right operand
+   * @param {string} literal - 'left' or 'right' when that operand is a literal in the source
+   * @returns {number} -1, 0 or 1
+   */
+  function Compare(left, right, literal) {
+    const order = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    if (isEmpty(left) && isEmpty(right)) return 0;
+    if (isEmpty(left)) left = typeof right === 'string' ? '' : 0;
+    if (isEmpty(right)) right = typeof left === 'string' ? '' : 0;
+    if (typeof left === 'boolean') left = toNumber(left);
+    if (typeof right === 'boolean') right = toNumber(right);
+
+    if (typeof left === typeof right) {
+      return order(left, right);
+    }
+
+    const numberSide = typeof left === 'number' ? 'left' : 'right';
+    if (literal === numberSide) {
+      return order(toNumber(left), toNumber(right));
+    }
+    if (literal) {
+      return order(toText(left), toText(right));
+    }
+    return numberSide === 'left' ? -1 : 1;
+  }
+
+  return { Int, Fix, Round, CInt, CDbl, IsNumeric, Mid, Left, Len, Trim, Add, Subtract, Concat, Compare };
+})();
+
+/**
+ * A fresh copy of the legacy script: its globals and functions
+ * @param {Function} alert - Receives the script's message boxes
+ * @returns {object} The script's functions by name
+ */
+function createScript(alert) {
+  // Global Variables
+  const w = new Array(26 + 1);
+  const r = new Array(26 + 1);
+  const rawbr = new Array(26 + 1);
+  const frawbr = new Array(26 + 1);
+  const aftercor = new Array(26 + 1);
+  const afterhcor = new Array(26 + 1);
+  const dabr = new Array(26 + 1);
+  const afterddcor = new Array(26 + 1);
+  const afterdccor = new Array(26 + 1);
+  const afterinp = new Array(26 + 1);
+  const afterall = new Array(26 + 1);
+  const gg = new Array(26 + 1);
+  let g;
+  let gp;
+  const fordc = new Array(26 + 1);
+  let wf;
+  let f;
+
+  function window_onload(context) {
+    if (context.saveReport === true) k.t4.disabled = false;
+  }
+
+  function c1_onclick(context) {
+    if (context.saveReport === true) {
+      k.t4.disabled = false;
+      wf = 1;
+    } else {
+      k.t4.disabled = true;
+    }
+  }
+
+  function v(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[62] === "true") sum = sum + 1;
+    if (context.answers[90] === "true") sum = sum + 1;
+    if (context.answers[152] === "true") sum = sum + 1;
+    if (context.answers[169] === "true") sum = sum + 1;
+    returnValue = sum;
+    w[25] = sum;
+    r[25] = "Validity";
+    return returnValue;
+  }
+
+  function pp(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[15] === "true") sum = sum + 1;
+    if (context.answers[16] === "true") sum = sum + 2;
+    if (context.answers[24] === "true") sum = sum + 2;
+    if (context.answers[32] === "true") sum = sum + 1;
+    if (context.answers[38] === "true") sum = sum + 2;
+    if (context.answers[39] === "true") sum = sum + 1;
+    if (context.answers[69] === "true") sum = sum + 2;
+    if (context.answers[74] === "true") sum = sum + 1;
+    if (context.answers[80] === "true") sum = sum + 3;
+    if (context.answers[84] === "true") sum = sum + 2;
+    if (context.answers[85] === "true") sum = sum + 2;
+    if (context.answers[89] === "true") sum = sum + 1;
+    if (context.answers[98] === "true") sum = sum + 2;
+    if (context.answers[100] === "true") sum = sum + 3;
+    if (context.answers[112] === "true") sum = sum + 1;
+    if (context.answers[123] === "true") sum = sum + 3;
+    if (context.answers[126] === "true") sum = sum + 1;
+    if (context.answers[131] === "true") sum = sum + 2;
+    if (context.answers[138] === "true") sum = sum + 1;
+    if (context.answers[143] === "true") sum = sum + 1;
+    if (context.answers[146] === "true") sum = sum + 2;
+    if (context.answers[164] === "true") sum = sum + 2;
+    if (sum > 36) sum = 36;
+    returnValue = sum;
+    r[24] = "Delusional disorder";
+    w[24] = sum;
+    return returnValue;
+  }
+
+  function cc(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[5] === "true") sum = sum + 3;
+    if (context.answers[19] === "true") sum = sum + 1;
+    if (context.answers[26] === "true") sum = sum + 3;
+    if (context.answers[33] === "true") sum = sum + 2;
+    if (context.answers[36] === "true") sum = sum + 3;
+    if (context.answers[45] === "true") sum = sum + 2;
+    if (context.answers[47] === "true") sum = sum + 2;
+    if (context.answers[50] === "true") sum = sum + 2;
+    if (context.answers[51] === "true") sum = sum + 1;
+    if (context.answers[53] === "true") sum = sum + 3;
+    if (context.answers[54] === "true") sum = sum + 1;
+    if (context.answers[56] === "true") sum = sum + 2;
+    if (context.answers[57] === "true") sum = sum + 1;
+    if (context.answers[58] === "true") sum = sum + 1;
+    if (context.answers[59] === "true") sum = sum + 3;
+    if (context.answers[65] === "true") sum = sum + 1;
+    if (context.answers[67] === "true") sum = sum + 1;
+    if (context.answers[72] === "true") sum = sum + 2;
+    if (context.answers[76] === "true") sum = sum + 3;
+    if (context.answers[79] === "true") sum = sum + 2;
+    if (context.answers[81] === "true") sum = sum + 1;
+    if (context.answers[82] === "true") sum = sum + 1;
+    if (context.answers[95] === "true") sum = sum + 1;
+    if (context.answers[96] === "true") sum = sum + 2;
+    if (context.answers[99] === "true") sum = sum + 1;
+    if (context.answers[108] === "true") sum = sum + 2;
+    if (context.answers[109] === "true") sum = sum + 2;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[117] === "true") sum = sum + 1;
+    if (context.answers[136] === "true") sum = sum + 3;
+    if (context.answers[154] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 46) sum = 46;
+    } else if (sum > 48) {
+      sum = 48;
+    }
+    returnValue = sum;
+    r[23] = "Major Depression";
+    w[23] = sum;
+    return returnValue;
+  }
+
+  function ss(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[3] === "true") sum = sum + 1;
+    if (context.answers[8] === "true") sum = sum + 1;
+    if (context.answers[13] === "true") sum = sum + 1;
+    if (context.answers[19] === "true") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 1;
+    if (context.answers[24] === "true") sum = sum + 1;
+    if (context.answers[29] === "true") sum = sum + 1;
+    if (context.answers[31] === "true") sum = sum + 1;
+    if (context.answers[38] === "true") sum = sum + 2;
+    if (context.answers[68] === "true") sum = sum + 2;
+    if (context.answers[69] === "true") sum = sum + 2;
+    if (context.answers[74] === "true") sum = sum + 1;
+    if (context.answers[77] === "true") sum = sum + 2;
+    if (context.answers[80] === "true") sum = sum + 2;
+    if (context.answers[82] === "true") sum = sum + 1;
+    if (context.answers[83] === "true") sum = sum + 2;
+    if (context.answers[85] === "true") sum = sum + 2;
+    if (context.answers[98] === "true") sum = sum + 3;
+    if (context.answers[102] === "true") sum = sum + 2;
+    if (context.answers[109] === "true") sum = sum + 3;
+    if (context.answers[112] === "true") sum = sum + 2;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[120] === "true") sum = sum + 2;
+    if (context.answers[124] === "true") sum = sum + 3;
+    if (context.answers[127] === "true") sum = sum + 3;
+    if (context.answers[141] === "true") sum = sum + 1;
+    if (context.answers[146] === "true") sum = sum + 2;
+    if (context.answers[147] === "true") sum = sum + 1;
+    if (context.answers[156] === "true") sum = sum + 1;
+    if (context.answers[160] === "true") sum = sum + 3;
+    if (context.answers[161] === "true") sum = sum + 1;
+    if (context.answers[164] === "true") sum = sum + 2;
+    if (context.answers[167] === "true") sum = sum + 3;
+    if (context.gender === "male") {
+      if (sum > 39) sum = 39;
+    } else if (sum > 47) {
+      sum = 47;
+    }
+    returnValue = sum;
+    r[22] = "Thought Disorder";
+    w[22] = sum;
+    return returnValue;
+  }
+
+  function t(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[1] === "true") sum = sum + 2;
+    if (context.answers[6] === "true") sum = sum + 1;
+    if (context.answers[7] === "true") sum = sum + 2;
+    if (context.answers[9] === "true") sum = sum + 2;
+    if (context.answers[12] === "true") sum = sum + 1;
+    if (context.answers[14] === "true") sum = sum + 1;
+    if (context.answers[20] === "true") sum = sum + 2;
+    if (context.answers[22] === "true") sum = sum + 2;
+    if (context.answers[30] === "true") sum = sum + 1;
+    if (context.answers[32] === "true") sum = sum + 1;
+    if (context.answers[35] === "true") sum = sum + 3;
+    if (context.answers[40] === "true") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 2;
+    if (context.answers[44] === "true") sum = sum + 1;
+    if (context.answers[50] === "true") sum = sum + 1;
+    if (context.answers[55] === "true") sum = sum + 1;
+    if (context.answers[58] === "true") sum = sum + 2;
+    if (context.answers[60] === "true") sum = sum + 1;
+    if (context.answers[61] === "false") sum = sum + 1;
+    if (context.answers[66] === "true") sum = sum + 1;
+    if (context.answers[70] === "true") sum = sum + 3;
+    if (context.answers[73] === "true") sum = sum + 2;
+    if (context.answers[80] === "true") sum = sum + 2;
+    if (context.answers[82] === "true") sum = sum + 2;
+    if (context.answers[86] === "true") sum = sum + 2;
+    if (context.answers[89] === "true") sum = sum + 1;
+    if (context.answers[91] === "true") sum = sum + 2;
+    if (context.answers[92] === "true") sum = sum + 2;
+    if (context.answers[93] === "true") sum = sum + 1;
+    if (context.answers[94] === "true") sum = sum + 1;
+    if (context.answers[95] === "true") sum = sum + 2;
+    if (context.answers[101] === "true") sum = sum + 1;
+    if (context.answers[103] === "true") sum = sum + 2;
+    if (context.answers[104] === "true") sum = sum + 1;
+    if (context.answers[105] === "true") sum = sum + 3;
+    if (context.answers[111] === "true") sum = sum + 1;
+    if (context.answers[113] === "true") sum = sum + 1;
+    if (context.answers[114] === "true") sum = sum + 1;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[116] === "true") sum = sum + 1;
+    if (context.answers[117] === "true") sum = sum + 2;
+    if (context.answers[120] === "true") sum = sum + 1;
+    if (context.answers[123] === "true") sum = sum + 1;
+    if (context.answers[125] === "true") sum = sum + 1;
+    if (context.answers[128] === "true") sum = sum + 1;
+    if (context.answers[129] === "true") sum = sum + 2;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[137] === "true") sum = sum + 1;
+    if (context.answers[140] === "true") sum = sum + 3;
+    if (context.answers[144] === "true") sum = sum + 3;
+    if (context.answers[146] === "true") sum = sum + 1;
+    if (context.answers[155] === "true") sum = sum + 1;
+    if (context.answers[162] === "true") sum = sum + 2;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[166] === "true") sum = sum + 1;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[172] === "true") sum = sum + 1;
+    if (context.answers[175] === "true") sum = sum + 3;
+    if (context.gender === "male") {
+      if (sum > 60) sum = 60;
+    } else if (sum > 63) {
+      sum = 63;
+    }
+    returnValue = sum;
+    r[21] = "Drug dependence";
+    w[21] = sum;
+    return returnValue;
+  }
+
+  function b(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[8] === "false") sum = sum + 1;
+    if (context.answers[17] === "true") sum = sum + 3;
+    if (context.answers[18] === "true") sum = sum + 2;
+    if (context.answers[22] === "true") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 1;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[27] === "true") sum = sum + 1;
+    if (context.answers[35] === "true") sum = sum + 1;
+    if (context.answers[40] === "true") sum = sum + 1;
+    if (context.answers[46] === "true") sum = sum + 1;
+    if (context.answers[52] === "false") sum = sum + 2;
+    if (context.answers[54] === "true") sum = sum + 2;
+    if (context.answers[65] === "true") sum = sum + 1;
+    if (context.answers[70] === "true") sum = sum + 1;
+    if (context.answers[73] === "true") sum = sum + 2;
+    if (context.answers[80] === "true") sum = sum + 1;
+    if (context.answers[87] === "true") sum = sum + 3;
+    if (context.answers[93] === "true") sum = sum + 1;
+    if (context.answers[95] === "true") sum = sum + 2;
+    if (context.answers[96] === "true") sum = sum + 1;
+    if (context.answers[97] === "true") sum = sum + 2;
+    if (context.answers[103] === "true") sum = sum + 1;
+    if (context.answers[104] === "true") sum = sum + 1;
+    if (context.answers[105] === "true") sum = sum + 2;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[109] === "true") sum = sum + 2;
+    if (context.answers[111] === "true") sum = sum + 1;
+    if (context.answers[114] === "true") sum = sum + 1;
+    if (context.answers[117] === "true") sum = sum + 1;
+    if (context.answers[119] === "true") sum = sum + 3;
+    if (context.answers[122] === "false") sum = sum + 2;
+    if (context.answers[125] === "true") sum = sum + 1;
+    if (context.answers[128] === "true") sum = sum + 1;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[135] === "true") sum = sum + 1;
+    if (context.answers[137] === "true") sum = sum + 1;
+    if (context.answers[140] === "true") sum = sum + 1;
+    if (context.answers[144] === "true") sum = sum + 2;
+    if (context.answers[149] === "true") sum = sum + 1;
+    if (context.answers[155] === "true") sum = sum + 1;
+    if (context.answers[157] === "true") sum = sum + 3;
+    if (context.answers[159] === "true") sum = sum + 1;
+    if (context.answers[162] === "true") sum = sum + 1;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[175] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 51) sum = 51;
+    } else if (sum > 50) {
+      sum = 50;
+    }
+    returnValue = sum;
+    w[20] = sum;
+    r[20] = "Alcohol dependence";
+    return returnValue;
+  }
+
+  function d(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[5] === "true") sum = sum + 2;
+    if (context.answers[8] === "true") sum = sum + 2;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[26] === "true") sum = sum + 2;
+    if (context.answers[27] === "true") sum = sum + 3;
+    if (context.answers[36] === "true") sum = sum + 2;
+    if (context.answers[41] === "false") sum = sum + 1;
+    if (context.answers[45] === "true") sum = sum + 3;
+    if (context.answers[46] === "true") sum = sum + 1;
+    if (context.answers[51] === "true") sum = sum + 2;
+    if (context.answers[53] === "true") sum = sum + 2;
+    if (context.answers[54] === "true") sum = sum + 3;
+    if (context.answers[56] === "true") sum = sum + 1;
+    if (context.answers[59] === "true") sum = sum + 2;
+    if (context.answers[65] === "true") sum = sum + 2;
+    if (context.answers[71] === "true") sum = sum + 2;
+    if (context.answers[72] === "true") sum = sum + 2;
+    if (context.answers[76] === "true") sum = sum + 2;
+    if (context.answers[79] === "true") sum = sum + 3;
+    if (context.answers[83] === "true") sum = sum + 2;
+    if (context.answers[86] === "false") sum = sum + 1;
+    if (context.answers[96] === "true") sum = sum + 2;
+    if (context.answers[97] === "true") sum = sum + 3;
+    if (context.answers[99] === "true") sum = sum + 3;
+    if (context.answers[107] === "true") sum = sum + 1;
+    if (context.answers[108] === "true") sum = sum + 3;
+    if (context.answers[109] === "true") sum = sum + 2;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[132] === "true") sum = sum + 3;
+    if (context.answers[136] === "true") sum = sum + 2;
+    if (context.answers[139] === "true") sum = sum + 1;
+    if (context.answers[154] === "true") sum = sum + 2;
+    if (context.answers[155] === "true") sum = sum + 1;
+    if (context.answers[166] === "false") sum = sum + 2;
+    if (context.answers[167] === "true") sum = sum + 1;
+    if (context.answers[168] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 56) sum = 56;
+    } else if (sum > 57) {
+      sum = 57;
+    }
+    returnValue = sum;
+    w[19] = sum;
+    r[19] = "Dysthymia";
+    return returnValue;
+  }
+
+  function n(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[11] === "true") sum = sum + 3;
+    if (context.answers[14] === "true") sum = sum + 2;
+    if (context.answers[17] === "true") sum = sum + 1;
+    if (context.answers[19] === "false") sum = sum + 1;
+    if (context.answers[20] === "true") sum = sum + 2;
+    if (context.answers[28] === "true") sum = sum + 2;
+    if (context.answers[37] === "true") sum = sum + 1;
+    if (context.answers[40] === "true") sum = sum + 1;
+    if (context.answers[42] === "false") sum = sum + 1;
+    if (context.answers[50] === "true") sum = sum + 2;
+    if (context.answers[58] === "true") sum = sum + 1;
+    if (context.answers[60] === "true") sum = sum + 2;
+    if (context.answers[66] === "true") sum = sum + 1;
+    if (context.answers[67] === "true") sum = sum + 1;
+    if (context.answers[73] === "true") sum = sum + 1;
+    if (context.answers[86] === "true") sum = sum + 2;
+    if (context.answers[89] === "true") sum = sum + 1;
+    if (context.answers[93] === "true") sum = sum + 3;
+    if (context.answers[95] === "true") sum = sum + 1;
+    if (context.answers[98] === "true") sum = sum + 1;
+    if (context.answers[101] === "true") sum = sum + 1;
+    if (context.answers[103] === "true") sum = sum + 2;
+    if (context.answers[111] === "true") sum = sum + 1;
+    if (context.answers[121] === "true") sum = sum + 1;
+    if (context.answers[125] === "true") sum = sum + 2;
+    if (context.answers[127] === "true") sum = sum + 1;
+    if (context.answers[128] === "true") sum = sum + 2;
+    if (context.answers[131] === "true") sum = sum + 1;
+    if (context.answers[134] === "true") sum = sum + 2;
+    if (context.answers[137] === "true") sum = sum + 2;
+    if (context.answers[151] === "true") sum = sum + 3;
+    if (context.answers[158] === "false") sum = sum + 1;
+    if (context.answers[161] === "false") sum = sum + 1;
+    if (context.answers[166] === "true") sum = sum + 1;
+    if (context.answers[170] === "true") sum = sum + 2;
+    if (context.answers[172] === "true") sum = sum + 1;
+    if (context.answers[174] === "true") sum = sum + 3;
+    if (context.gender === "male") {
+      if (sum > 44) sum = 44;
+    } else if (sum > 45) {
+      sum = 45;
+    }
+    returnValue = sum;
+    w[18] = sum;
+    r[18] = "Bipolar:Manic";
+    return returnValue;
+  }
+
+  function h(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[5] === "true") sum = sum + 1;
+    if (context.answers[18] === "true") sum = sum + 2;
+    if (context.answers[26] === "true") sum = sum + 1;
+    if (context.answers[29] === "true") sum = sum + 3;
+    if (context.answers[31] === "true") sum = sum + 1;
+    if (context.answers[33] === "true") sum = sum + 3;
+    if (context.answers[36] === "true") sum = sum + 1;
+    if (context.answers[41] === "false") sum = sum + 1;
+    if (context.answers[42] === "true") sum = sum + 1;
+    if (context.answers[50] === "true") sum = sum + 1;
+    if (context.answers[51] === "true") sum = sum + 2;
+    if (context.answers[53] === "true") sum = sum + 2;
+    if (context.answers[56] === "true") sum = sum + 1;
+    if (context.answers[60] === "true") sum = sum + 1;
+    if (context.answers[66] === "true") sum = sum + 1;
+    if (context.answers[67] === "true") sum = sum + 2;
+    if (context.answers[68] === "true") sum = sum + 3;
+    if (context.answers[71] === "true") sum = sum + 3;
+    if (context.answers[72] === "true") sum = sum + 3;
+    if (context.answers[78] === "true") sum = sum + 1;
+    if (context.answers[96] === "true") sum = sum + 3;
+    if (context.answers[98] === "true") sum = sum + 2;
+    if (context.answers[102] === "true") sum = sum + 1;
+    if (context.answers[109] === "true") sum = sum + 1;
+    if (context.answers[114] === "true") sum = sum + 2;
+    if (context.answers[117] === "true") sum = sum + 1;
+    if (context.answers[118] === "true") sum = sum + 1;
+    if (context.answers[137] === "true") sum = sum + 1;
+    if (context.answers[145] === "true") sum = sum + 1;
+    if (context.answers[170] === "true") sum = sum + 1;
+    if (context.answers[173] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 43) sum = 43;
+    } else if (sum > 44) {
+      sum = 44;
+    }
+    returnValue = sum;
+    w[17] = sum;
+    r[17] = "Somatoform";
+    return returnValue;
+  }
+
+  function a(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[8] === "true") sum = sum + 1;
+    if (context.answers[16] === "true") sum = sum + 1;
+    if (context.answers[18] === "true") sum = sum + 3;
+    if (context.answers[26] === "true") sum = sum + 1;
+    if (context.answers[29] === "true") sum = sum + 2;
+    if (context.answers[33] === "true") sum = sum + 2;
+    if (context.answers[36] === "true") sum = sum + 1;
+    if (context.answers[51] === "true") sum = sum + 3;
+    if (context.answers[53] === "true") sum = sum + 2;
+    if (context.answers[54] === "true") sum = sum + 1;
+    if (context.answers[67] === "true") sum = sum + 3;
+    if (context.answers[71] === "true") sum = sum + 2;
+    if (context.answers[78] === "true") sum = sum + 1;
+    if (context.answers[96] === "true") sum = sum + 2;
+    if (context.answers[97] === "true") sum = sum + 2;
+    if (context.answers[99] === "true") sum = sum + 1;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[109] === "true") sum = sum + 2;
+    if (context.answers[114] === "true") sum = sum + 3;
+    if (context.answers[117] === "true") sum = sum + 3;
+    if (context.answers[132] === "true") sum = sum + 1;
+    if (context.answers[145] === "true") sum = sum + 1;
+    if (context.answers[153] === "true") sum = sum + 1;
+    if (context.answers[166] === "false") sum = sum + 1;
+    if (context.answers[167] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 36) sum = 36;
+    } else if (sum > 39) {
+      sum = 39;
+    }
+    returnValue = sum;
+    w[16] = sum;
+    r[16] = "Anxiety";
+    return returnValue;
+  }
+
+  function p(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[6] === "true") sum = sum + 1;
+    if (context.answers[12] === "true") sum = sum + 1;
+    if (context.answers[15] === "true") sum = sum + 2;
+    if (context.answers[16] === "true") sum = sum + 3;
+    if (context.answers[21] === "true") sum = sum + 1;
+    if (context.answers[22] === "true") sum = sum + 1;
+    if (context.answers[24] === "true") sum = sum + 2;
+    if (context.answers[30] === "true") sum = sum + 1;
+    if (context.answers[32] === "true") sum = sum + 3;
+    if (context.answers[37] === "true") sum = sum + 2;
+    if (context.answers[38] === "true") sum = sum + 3;
+    if (context.answers[39] === "true") sum = sum + 1;
+    if (context.answers[41] === "true") sum = sum + 1;
+    if (context.answers[43] === "true") sum = sum + 1;
+    if (context.answers[44] === "true") sum = sum + 1;
+    if (context.answers[46] === "true") sum = sum + 2;
+    if (context.answers[55] === "true") sum = sum + 1;
+    if (context.answers[61] === "true") sum = sum + 1;
+    if (context.answers[63] === "true") sum = sum + 1;
+    if (context.answers[64] === "true") sum = sum + 3;
+    if (context.answers[68] === "true") sum = sum + 1;
+    if (context.answers[74] === "true") sum = sum + 3;
+    if (context.answers[75] === "true") sum = sum + 1;
+    if (context.answers[80] === "true") sum = sum + 2;
+    if (context.answers[84] === "true") sum = sum + 3;
+    if (context.answers[85] === "true") sum = sum + 3;
+    if (context.answers[89] === "true") sum = sum + 2;
+    if (context.answers[98] === "true") sum = sum + 1;
+    if (context.answers[100] === "true") sum = sum + 2;
+    if (context.answers[103] === "true") sum = sum + 2;
+    if (context.answers[123] === "true") sum = sum + 2;
+    if (context.answers[126] === "true") sum = sum + 2;
+    if (context.answers[127] === "true") sum = sum + 1;
+    if (context.answers[129] === "true") sum = sum + 2;
+    if (context.answers[131] === "true") sum = sum + 2;
+    if (context.answers[135] === "true") sum = sum + 1;
+    if (context.answers[138] === "true") sum = sum + 1;
+    if (context.answers[143] === "true") sum = sum + 1;
+    if (context.answers[146] === "true") sum = sum + 3;
+    if (context.answers[163] === "true") sum = sum + 1;
+    if (context.answers[164] === "true") sum = sum + 3;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[172] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 62) sum = 62;
+    } else if (sum > 59) {
+      sum = 59;
+    }
+    returnValue = sum;
+    w[15] = sum;
+    r[15] = "Paranoid";
+    return returnValue;
+  }
+
+  function c(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[5] === "true") sum = sum + 2;
+    if (context.answers[7] === "true") sum = sum + 1;
+    if (context.answers[22] === "true") sum = sum + 2;
+    if (context.answers[23] === "true") sum = sum + 2;
+    if (context.answers[25] === "true") sum = sum + 3;
+    if (context.answers[26] === "true") sum = sum + 2;
+    if (context.answers[27] === "true") sum = sum + 2;
+    if (context.answers[35] === "true") sum = sum + 2;
+    if (context.answers[36] === "true") sum = sum + 1;
+    if (context.answers[40] === "true") sum = sum + 1;
+    if (context.answers[43] === "true") sum = sum + 3;
+    if (context.answers[44] === "true") sum = sum + 1;
+    if (context.answers[50] === "true") sum = sum + 2;
+    if (context.answers[51] === "true") sum = sum + 1;
+    if (context.answers[53] === "true") sum = sum + 1;
+    if (context.answers[54] === "true") sum = sum + 1;
+    if (context.answers[56] === "true") sum = sum + 3;
+    if (context.answers[57] === "true") sum = sum + 1;
+    if (context.answers[58] === "true") sum = sum + 3;
+    if (context.answers[59] === "true") sum = sum + 2;
+    if (context.answers[65] === "true") sum = sum + 1;
+    if (context.answers[66] === "true") sum = sum + 2;
+    if (context.answers[67] === "true") sum = sum + 1;
+    if (context.answers[72] === "true") sum = sum + 1;
+    if (context.answers[73] === "true") sum = sum + 3;
+    if (context.answers[74] === "true") sum = sum + 1;
+    if (context.answers[77] === "true") sum = sum + 1;
+    if (context.answers[78] === "true") sum = sum + 1;
+    if (context.answers[79] === "true") sum = sum + 2;
+    if (context.answers[82] === "true") sum = sum + 3;
+    if (context.answers[91] === "true") sum = sum + 2;
+    if (context.answers[94] === "true") sum = sum + 1;
+    if (context.answers[95] === "true") sum = sum + 2;
+    if (context.answers[97] === "true") sum = sum + 2;
+    if (context.answers[99] === "true") sum = sum + 1;
+    if (context.answers[101] === "true") sum = sum + 2;
+    if (context.answers[103] === "true") sum = sum + 1;
+    if (context.answers[104] === "true") sum = sum + 1;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[113] === "true") sum = sum + 3;
+    if (context.answers[115] === "true") sum = sum + 3;
+    if (context.answers[128] === "true") sum = sum + 3;
+    if (context.answers[129] === "true") sum = sum + 2;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[132] === "true") sum = sum + 1;
+    if (context.answers[135] === "true") sum = sum + 1;
+    if (context.answers[136] === "true") sum = sum + 2;
+    if (context.answers[139] === "true") sum = sum + 1;
+    if (context.answers[140] === "true") sum = sum + 2;
+    if (context.answers[142] === "true") sum = sum + 2;
+    if (context.answers[144] === "true") sum = sum + 1;
+    if (context.answers[147] === "true") sum = sum + 1;
+    if (context.answers[154] === "true") sum = sum + 1;
+    if (context.answers[155] === "true") sum = sum + 3;
+    if (context.answers[156] === "true") sum = sum + 2;
+    if (context.answers[162] === "true") sum = sum + 1;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[167] === "true") sum = sum + 1;
+    if (context.answers[168] === "true") sum = sum + 1;
+    if (context.answers[171] === "true") sum = sum + 3;
+    if (context.answers[173] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 64) sum = 64;
+    } else if (sum > 65) {
+      sum = 65;
+    }
+    returnValue = sum;
+    w[14] = sum;
+    r[14] = "Borderline";
+    return returnValue;
+  }
+
+  function s(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[2] === "true") sum = sum + 2;
+    if (context.answers[3] === "true") sum = sum + 2;
+    if (context.answers[8] === "true") sum = sum + 2;
+    if (context.answers[10] === "true") sum = sum + 1;
+    if (context.answers[13] === "true") sum = sum + 1;
+    if (context.answers[14] === "false") sum = sum + 1;
+    if (context.answers[19] === "true") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 1;
+    if (context.answers[24] === "true") sum = sum + 3;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[31] === "true") sum = sum + 2;
+    if (context.answers[38] === "true") sum = sum + 2;
+    if (context.answers[47] === "true") sum = sum + 3;
+    if (context.answers[48] === "false") sum = sum + 1;
+    if (context.answers[49] === "true") sum = sum + 2;
+    if (context.answers[53] === "true") sum = sum + 1;
+    if (context.answers[60] === "false") sum = sum + 1;
+    if (context.answers[63] === "true") sum = sum + 2;
+    if (context.answers[69] === "true") sum = sum + 3;
+    if (context.answers[77] === "true") sum = sum + 2;
+    if (context.answers[83] === "true") sum = sum + 3;
+    if (context.answers[85] === "true") sum = sum + 2;
+    if (context.answers[100] === "true") sum = sum + 2;
+    if (context.answers[102] === "true") sum = sum + 3;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[112] === "true") sum = sum + 3;
+    if (context.answers[113] === "true") sum = sum + 2;
+    if (context.answers[118] === "true") sum = sum + 3;
+    if (context.answers[120] === "true") sum = sum + 2;
+    if (context.answers[123] === "true") sum = sum + 2;
+    if (context.answers[124] === "true") sum = sum + 2;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[133] === "true") sum = sum + 2;
+    if (context.answers[136] === "true") sum = sum + 1;
+    if (context.answers[141] === "true") sum = sum + 2;
+    if (context.answers[147] === "true") sum = sum + 1;
+    if (context.answers[150] === "true") sum = sum + 3;
+    if (context.answers[158] === "true") sum = sum + 2;
+    if (context.answers[160] === "true") sum = sum + 1;
+    if (context.answers[161] === "true") sum = sum + 1;
+    if (context.answers[162] === "true") sum = sum + 1;
+    if (context.answers[164] === "true") sum = sum + 2;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[166] === "false") sum = sum + 2;
+    if (sum > 48) sum = 48;
+    returnValue = sum;
+    w[13] = sum;
+    r[13] = "Schizotypal";
+    return returnValue;
+  }
+
+  function eightb(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[8] === "true") sum = sum + 1;
+    if (context.answers[10] === "true") sum = sum + 2;
+    if (context.answers[16] === "true") sum = sum + 2;
+    if (context.answers[18] === "true") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 3;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[28] === "true") sum = sum + 2;
+    if (context.answers[31] === "true") sum = sum + 1;
+    if (context.answers[42] === "true") sum = sum + 2;
+    if (context.answers[45] === "true") sum = sum + 2;
+    if (context.answers[51] === "true") sum = sum + 2;
+    if (context.answers[54] === "true") sum = sum + 2;
+    if (context.answers[56] === "true") sum = sum + 2;
+    if (context.answers[57] === "true") sum = sum + 3;
+    if (context.answers[63] === "true") sum = sum + 1;
+    if (context.answers[65] === "true") sum = sum + 3;
+    if (context.answers[71] === "true") sum = sum + 1;
+    if (context.answers[73] === "true") sum = sum + 1;
+    if (context.answers[74] === "false") sum = sum + 1;
+    if (context.answers[77] === "true") sum = sum + 2;
+    if (context.answers[81] === "true") sum = sum + 1;
+    if (context.answers[82] === "true") sum = sum + 1;
+    if (context.answers[99] === "true") sum = sum + 1;
+    if (context.answers[106] === "true") sum = sum + 2;
+    if (context.answers[110] === "true") sum = sum + 3;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[120] === "true") sum = sum + 2;
+    if (context.answers[121] === "true") sum = sum + 3;
+    if (context.answers[128] === "true") sum = sum + 1;
+    if (context.answers[132] === "true") sum = sum + 2;
+    if (context.answers[133] === "true") sum = sum + 1;
+    if (context.answers[139] === "true") sum = sum + 3;
+    if (context.answers[141] === "true") sum = sum + 1;
+    if (context.answers[145] === "true") sum = sum + 2;
+    if (context.answers[154] === "true") sum = sum + 3;
+    if (context.answers[155] === "true") sum = sum + 2;
+    if (context.answers[167] === "true") sum = sum + 1;
+    if (context.answers[168] === "true") sum = sum + 3;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[173] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 43) sum = 43;
+    } else if (sum > 48) {
+      sum = 48;
+    }
+    returnValue = sum;
+    w[12] = sum;
+    r[12] = "Self-defeating";
+    return returnValue;
+  }
+
+  function eighta(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[1] === "true") sum = sum + 1;
+    if (context.answers[4] === "true") sum = sum + 1;
+    if (context.answers[9] === "true") sum = sum + 2;
+    if (context.answers[12] === "true") sum = sum + 1;
+    if (context.answers[16] === "true") sum = sum + 2;
+    if (context.answers[21] === "true") sum = sum + 1;
+    if (context.answers[22] === "true") sum = sum + 3;
+    if (context.answers[23] === "true") sum = sum + 1;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[28] === "true") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 2;
+    if (context.answers[50] === "true") sum = sum + 3;
+    if (context.answers[51] === "true") sum = sum + 1;
+    if (context.answers[55] === "true") sum = sum + 3;
+    if (context.answers[58] === "true") sum = sum + 1;
+    if (context.answers[61] === "false") sum = sum + 1;
+    if (context.answers[64] === "true") sum = sum + 2;
+    if (context.answers[66] === "true") sum = sum + 3;
+    if (context.answers[73] === "true") sum = sum + 2;
+    if (context.answers[74] === "true") sum = sum + 2;
+    if (context.answers[77] === "true") sum = sum + 2;
+    if (context.answers[82] === "true") sum = sum + 2;
+    if (context.answers[86] === "true") sum = sum + 2;
+    if (context.answers[95] === "true") sum = sum + 3;
+    if (context.answers[101] === "true") sum = sum + 2;
+    if (context.answers[104] === "true") sum = sum + 3;
+    if (context.answers[107] === "true") sum = sum + 3;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[120] === "true") sum = sum + 1;
+    if (context.answers[123] === "true") sum = sum + 2;
+    if (context.answers[128] === "true") sum = sum + 2;
+    if (context.answers[129] === "true") sum = sum + 1;
+    if (context.answers[135] === "true") sum = sum + 3;
+    if (context.answers[139] === "true") sum = sum + 1;
+    if (context.answers[149] === "false") sum = sum + 2;
+    if (context.answers[155] === "true") sum = sum + 2;
+    if (context.answers[156] === "true") sum = sum + 3;
+    if (context.answers[159] === "false") sum = sum + 2;
+    if (context.answers[165] === "true") sum = sum + 3;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 55) sum = 55;
+    } else if (sum > 53) {
+      sum = 53;
+    }
+    returnValue = sum;
+    w[11] = sum;
+    r[11] = "Passive-Agressive";
+    return returnValue;
+  }
+
+  function seven(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[4] === "true") sum = sum + 1;
+    if (context.answers[7] === "false") sum = sum + 1;
+    if (context.answers[20] === "false") sum = sum + 2;
+    if (context.answers[21] === "true") sum = sum + 3;
+    if (context.answers[32] === "true") sum = sum + 1;
+    if (context.answers[39] === "true") sum = sum + 3;
+    if (context.answers[40] === "false") sum = sum + 1;
+    if (context.answers[43] === "false") sum = sum + 1;
+    if (context.answers[46] === "true") sum = sum + 3;
+    if (context.answers[48] === "false") sum = sum + 2;
+    if (context.answers[50] === "false") sum = sum + 1;
+    if (context.answers[60] === "false") sum = sum + 1;
+    if (context.answers[61] === "true") sum = sum + 3;
+    if (context.answers[64] === "true") sum = sum + 2;
+    if (context.answers[66] === "false") sum = sum + 1;
+    if (context.answers[74] === "true") sum = sum + 1;
+    if (context.answers[75] === "true") sum = sum + 3;
+    if (context.answers[77] === "false") sum = sum + 1;
+    if (context.answers[78] === "true") sum = sum + 1;
+    if (context.answers[81] === "true") sum = sum + 1;
+    if (context.answers[86] === "false") sum = sum + 2;
+    if (context.answers[88] === "true") sum = sum + 3;
+    if (context.answers[92] === "false") sum = sum + 1;
+    if (context.answers[95] === "false") sum = sum + 1;
+    if (context.answers[103] === "false") sum = sum + 1;
+    if (context.answers[111] === "false") sum = sum + 1;
+    if (context.answers[126] === "true") sum = sum + 3;
+    if (context.answers[128] === "false") sum = sum + 1;
+    if (context.answers[134] === "true") sum = sum + 2;
+    if (context.answers[138] === "true") sum = sum + 3;
+    if (context.answers[145] === "false") sum = sum + 2;
+    if (context.answers[148] === "true") sum = sum + 2;
+    if (context.answers[149] === "true") sum = sum + 3;
+    if (context.answers[153] === "true") sum = sum + 3;
+    if (context.answers[155] === "false") sum = sum + 1;
+    if (context.answers[159] === "true") sum = sum + 2;
+    if (context.answers[161] === "true") sum = sum + 2;
+    if (context.answers[163] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 61) sum = 61;
+    } else if (sum > 60) {
+      sum = 60;
+    }
+    returnValue = sum;
+    w[10] = sum;
+    r[10] = "Compulsive";
+    return returnValue;
+  }
+
+  function sixb(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[1] === "true") sum = sum + 2;
+    if (context.answers[4] === "true") sum = sum + 3;
+    if (context.answers[7] === "true") sum = sum + 1;
+    if (context.answers[9] === "true") sum = sum + 3;
+    if (context.answers[12] === "true") sum = sum + 3;
+    if (context.answers[21] === "true") sum = sum + 2;
+    if (context.answers[30] === "true") sum = sum + 3;
+    if (context.answers[31] === "false") sum = sum + 1;
+    if (context.answers[32] === "true") sum = sum + 1;
+    if (context.answers[38] === "true") sum = sum + 1;
+    if (context.answers[40] === "true") sum = sum + 1;
+    if (context.answers[41] === "true") sum = sum + 3;
+    if (context.answers[42] === "false") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 1;
+    if (context.answers[44] === "true") sum = sum + 3;
+    if (context.answers[58] === "true") sum = sum + 1;
+    if (context.answers[64] === "true") sum = sum + 2;
+    if (context.answers[66] === "true") sum = sum + 1;
+    if (context.answers[71] === "false") sum = sum + 1;
+    if (context.answers[74] === "true") sum = sum + 2;
+    if (context.answers[77] === "false") sum = sum + 2;
+    if (context.answers[78] === "false") sum = sum + 2;
+    if (context.answers[80] === "true") sum = sum + 1;
+    if (context.answers[82] === "true") sum = sum + 2;
+    if (context.answers[84] === "true") sum = sum + 2;
+    if (context.answers[86] === "true") sum = sum + 1;
+    if (context.answers[91] === "true") sum = sum + 2;
+    if (context.answers[95] === "true") sum = sum + 1;
+    if (context.answers[101] === "true") sum = sum + 3;
+    if (context.answers[106] === "false") sum = sum + 1;
+    if (context.answers[107] === "true") sum = sum + 2;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[121] === "true") sum = sum + 2;
+    if (context.answers[129] === "true") sum = sum + 2;
+    if (context.answers[134] === "true") sum = sum + 3;
+    if (context.answers[135] === "true") sum = sum + 1;
+    if (context.answers[142] === "true") sum = sum + 1;
+    if (context.answers[145] === "false") sum = sum + 1;
+    if (context.answers[146] === "true") sum = sum + 1;
+    if (context.answers[147] === "true") sum = sum + 1;
+    if (context.answers[148] === "true") sum = sum + 3;
+    if (context.answers[155] === "true") sum = sum + 2;
+    if (context.answers[163] === "true") sum = sum + 3;
+    if (context.answers[165] === "true") sum = sum + 1;
+    if (context.answers[166] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 53) sum = 53;
+    } else if (sum > 62) {
+      sum = 62;
+    }
+    returnValue = sum;
+    w[9] = sum;
+    r[9] = "Aggressive/Sadistic";
+    return returnValue;
+  }
+
+  function sixa(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[1] === "true") sum = sum + 2;
+    if (context.answers[7] === "true") sum = sum + 3;
+    if (context.answers[12] === "true") sum = sum + 2;
+    if (context.answers[15] === "true") sum = sum + 1;
+    if (context.answers[20] === "true") sum = sum + 2;
+    if (context.answers[22] === "true") sum = sum + 2;
+    if (context.answers[32] === "true") sum = sum + 2;
+    if (context.answers[34] === "false") sum = sum + 1;
+    if (context.answers[38] === "true") sum = sum + 2;
+    if (context.answers[40] === "true") sum = sum + 3;
+    if (context.answers[42] === "false") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 2;
+    if (context.answers[44] === "true") sum = sum + 1;
+    if (context.answers[48] === "true") sum = sum + 1;
+    if (context.answers[55] === "true") sum = sum + 2;
+    if (context.answers[64] === "true") sum = sum + 1;
+    if (context.answers[73] === "true") sum = sum + 2;
+    if (context.answers[74] === "true") sum = sum + 2;
+    if (context.answers[77] === "false") sum = sum + 1;
+    if (context.answers[78] === "false") sum = sum + 2;
+    if (context.answers[80] === "true") sum = sum + 2;
+    if (context.answers[81] === "false") sum = sum + 2;
+    if (context.answers[85] === "true") sum = sum + 1;
+    if (context.answers[86] === "true") sum = sum + 2;
+    if (context.answers[87] === "true") sum = sum + 2;
+    if (context.answers[91] === "true") sum = sum + 2;
+    if (context.answers[92] === "true") sum = sum + 3;
+    if (context.answers[94] === "true") sum = sum + 3;
+    if (context.answers[101] === "true") sum = sum + 1;
+    if (context.answers[103] === "true") sum = sum + 3;
+    if (context.answers[104] === "true") sum = sum + 1;
+    if (context.answers[111] === "true") sum = sum + 1;
+    if (context.answers[113] === "true") sum = sum + 1;
+    if (context.answers[116] === "true") sum = sum + 3;
+    if (context.answers[129] === "true") sum = sum + 2;
+    if (context.answers[130] === "true") sum = sum + 3;
+    if (context.answers[140] === "true") sum = sum + 1;
+    if (context.answers[142] === "true") sum = sum + 2;
+    if (context.answers[144] === "true") sum = sum + 2;
+    if (context.answers[147] === "true") sum = sum + 3;
+    if (context.answers[157] === "true") sum = sum + 1;
+    if (context.answers[162] === "true") sum = sum + 3;
+    if (context.answers[165] === "true") sum = sum + 2;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[172] === "true") sum = sum + 3;
+    if (context.gender === "male") {
+      if (sum > 54) sum = 54;
+    } else if (sum > 56) {
+      sum = 56;
+    }
+    returnValue = sum;
+    w[8] = sum;
+    r[8] = "Antisocial";
+    return returnValue;
+  }
+
+  function five(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[1] === "true") sum = sum + 3;
+    if (context.answers[2] === "true") sum = sum + 1;
+    if (context.answers[4] === "true") sum = sum + 2;
+    if (context.answers[6] === "true") sum = sum + 3;
+    if (context.answers[8] === "false") sum = sum + 1;
+    if (context.answers[12] === "true") sum = sum + 1;
+    if (context.answers[14] === "true") sum = sum + 2;
+    if (context.answers[15] === "true") sum = sum + 3;
+    if (context.answers[16] === "true") sum = sum + 2;
+    if (context.answers[22] === "true") sum = sum + 1;
+    if (context.answers[28] === "true") sum = sum + 1;
+    if (context.answers[31] === "false") sum = sum + 1;
+    if (context.answers[32] === "true") sum = sum + 1;
+    if (context.answers[37] === "true") sum = sum + 3;
+    if (context.answers[41] === "true") sum = sum + 2;
+    if (context.answers[42] === "false") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 1;
+    if (context.answers[45] === "false") sum = sum + 1;
+    if (context.answers[51] === "false") sum = sum + 1;
+    if (context.answers[55] === "true") sum = sum + 1;
+    if (context.answers[60] === "true") sum = sum + 1;
+    if (context.answers[78] === "false") sum = sum + 1;
+    if (context.answers[80] === "true") sum = sum + 1;
+    if (context.answers[85] === "true") sum = sum + 1;
+    if (context.answers[86] === "true") sum = sum + 2;
+    if (context.answers[89] === "true") sum = sum + 3;
+    if (context.answers[91] === "true") sum = sum + 3;
+    if (context.answers[103] === "true") sum = sum + 2;
+    if (context.answers[106] === "false") sum = sum + 1;
+    if (context.answers[111] === "true") sum = sum + 2;
+    if (context.answers[125] === "true") sum = sum + 2;
+    if (context.answers[126] === "true") sum = sum + 1;
+    if (context.answers[129] === "true") sum = sum + 3;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[131] === "true") sum = sum + 3;
+    if (context.answers[134] === "true") sum = sum + 1;
+    if (context.answers[135] === "true") sum = sum + 1;
+    if (context.answers[137] === "true") sum = sum + 2;
+    if (context.answers[142] === "true") sum = sum + 3;
+    if (context.answers[143] === "true") sum = sum + 1;
+    if (context.answers[146] === "true") sum = sum + 1;
+    if (context.answers[149] === "false") sum = sum + 2;
+    if (context.answers[158] === "false") sum = sum + 2;
+    if (context.answers[163] === "true") sum = sum + 1;
+    if (context.answers[165] === "true") sum = sum + 2;
+    if (context.answers[166] === "true") sum = sum + 3;
+    if (context.answers[170] === "true") sum = sum + 2;
+    if (context.answers[171] === "true") sum = sum + 2;
+    if (context.answers[172] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 67) sum = 67;
+    } else if (sum > 57) {
+      sum = 57;
+    }
+    returnValue = sum;
+    w[7] = sum;
+    r[7] = "Narcissistic";
+    return returnValue;
+  }
+
+  function four(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[3] === "false") sum = sum + 1;
+    if (context.answers[7] === "true") sum = sum + 1;
+    if (context.answers[9] === "true") sum = sum + 2;
+    if (context.answers[14] === "true") sum = sum + 3;
+    if (context.answers[19] === "false") sum = sum + 1;
+    if (context.answers[20] === "true") sum = sum + 3;
+    if (context.answers[28] === "true") sum = sum + 3;
+    if (context.answers[37] === "true") sum = sum + 1;
+    if (context.answers[39] === "false") sum = sum + 1;
+    if (context.answers[40] === "true") sum = sum + 1;
+    if (context.answers[41] === "true") sum = sum + 1;
+    if (context.answers[42] === "true") sum = sum + 2;
+    if (context.answers[43] === "true") sum = sum + 2;
+    if (context.answers[48] === "true") sum = sum + 3;
+    if (context.answers[51] === "false") sum = sum + 1;
+    if (context.answers[56] === "true") sum = sum + 1;
+    if (context.answers[60] === "true") sum = sum + 3;
+    if (context.answers[61] === "false") sum = sum + 2;
+    if (context.answers[66] === "true") sum = sum + 2;
+    if (context.answers[77] === "false") sum = sum + 1;
+    if (context.answers[86] === "true") sum = sum + 3;
+    if (context.answers[89] === "true") sum = sum + 1;
+    if (context.answers[91] === "true") sum = sum + 1;
+    if (context.answers[95] === "true") sum = sum + 1;
+    if (context.answers[103] === "true") sum = sum + 2;
+    if (context.answers[111] === "true") sum = sum + 3;
+    if (context.answers[125] === "true") sum = sum + 3;
+    if (context.answers[126] === "false") sum = sum + 1;
+    if (context.answers[128] === "true") sum = sum + 1;
+    if (context.answers[130] === "true") sum = sum + 1;
+    if (context.answers[133] === "true") sum = sum + 2;
+    if (context.answers[137] === "true") sum = sum + 3;
+    if (context.answers[142] === "true") sum = sum + 1;
+    if (context.answers[158] === "false") sum = sum + 2;
+    if (context.answers[162] === "true") sum = sum + 1;
+    if (context.answers[166] === "true") sum = sum + 2;
+    if (context.answers[170] === "true") sum = sum + 3;
+    if (context.answers[171] === "true") sum = sum + 1;
+    if (context.answers[172] === "true") sum = sum + 1;
+    if (context.answers[173] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 58) sum = 58;
+    } else if (sum > 52) {
+      sum = 52;
+    }
+    returnValue = sum;
+    w[6] = sum;
+    r[6] = "Histrionic";
+    return returnValue;
+  }
+
+  function three(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[4] === "false") sum = sum + 2;
+    if (context.answers[7] === "false") sum = sum + 1;
+    if (context.answers[10] === "true") sum = sum + 3;
+    if (context.answers[12] === "false") sum = sum + 1;
+    if (context.answers[21] === "false") sum = sum + 1;
+    if (context.answers[28] === "false") sum = sum + 1;
+    if (context.answers[31] === "true") sum = sum + 3;
+    if (context.answers[34] === "true") sum = sum + 2;
+    if (context.answers[40] === "false") sum = sum + 1;
+    if (context.answers[41] === "false") sum = sum + 1;
+    if (context.answers[42] === "true") sum = sum + 3;
+    if (context.answers[43] === "false") sum = sum + 1;
+    if (context.answers[49] === "true") sum = sum + 1;
+    if (context.answers[54] === "true") sum = sum + 1;
+    if (context.answers[57] === "true") sum = sum + 2;
+    if (context.answers[60] === "true") sum = sum + 2;
+    if (context.answers[74] === "false") sum = sum + 1;
+    if (context.answers[75] === "true") sum = sum + 1;
+    if (context.answers[77] === "true") sum = sum + 2;
+    if (context.answers[78] === "true") sum = sum + 3;
+    if (context.answers[81] === "true") sum = sum + 2;
+    if (context.answers[91] === "false") sum = sum + 1;
+    if (context.answers[92] === "false") sum = sum + 1;
+    if (context.answers[97] === "true") sum = sum + 2;
+    if (context.answers[101] === "false") sum = sum + 1;
+    if (context.answers[106] === "true") sum = sum + 3;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[125] === "true") sum = sum + 1;
+    if (context.answers[133] === "true") sum = sum + 3;
+    if (context.answers[145] === "true") sum = sum + 3;
+    if (context.answers[147] === "false") sum = sum + 1;
+    if (context.answers[149] === "true") sum = sum + 1;
+    if (context.answers[159] === "true") sum = sum + 3;
+    if (context.answers[162] === "false") sum = sum + 1;
+    if (context.answers[163] === "false") sum = sum + 1;
+    if (context.answers[168] === "true") sum = sum + 1;
+    if (context.answers[173] === "true") sum = sum + 3;
+    if (context.gender === "male") {
+      if (sum > 51) sum = 51;
+    } else if (sum > 53) {
+      sum = 53;
+    }
+    returnValue = sum;
+    w[5] = sum;
+    r[5] = "Dependent";
+    return returnValue;
+  }
+
+  function two(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[2] === "true") sum = sum + 1;
+    if (context.answers[3] === "true") sum = sum + 3;
+    if (context.answers[8] === "true") sum = sum + 3;
+    if (context.answers[14] === "false") sum = sum + 1;
+    if (context.answers[19] === "true") sum = sum + 2;
+    if (context.answers[21] === "false") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 2;
+    if (context.answers[25] === "true") sum = sum + 2;
+    if (context.answers[27] === "true") sum = sum + 2;
+    if (context.answers[28] === "false") sum = sum + 1;
+    if (context.answers[32] === "true") sum = sum + 2;
+    if (context.answers[34] === "true") sum = sum + 1;
+    if (context.answers[45] === "true") sum = sum + 1;
+    if (context.answers[47] === "true") sum = sum + 2;
+    if (context.answers[49] === "true") sum = sum + 3;
+    if (context.answers[56] === "true") sum = sum + 2;
+    if (context.answers[57] === "true") sum = sum + 2;
+    if (context.answers[63] === "true") sum = sum + 3;
+    if (context.answers[77] === "true") sum = sum + 3;
+    if (context.answers[81] === "true") sum = sum + 1;
+    if (context.answers[83] === "true") sum = sum + 2;
+    if (context.answers[85] === "true") sum = sum + 1;
+    if (context.answers[102] === "true") sum = sum + 2;
+    if (context.answers[106] === "true") sum = sum + 1;
+    if (context.answers[109] === "true") sum = sum + 1;
+    if (context.answers[110] === "true") sum = sum + 2;
+    if (context.answers[113] === "true") sum = sum + 1;
+    if (context.answers[115] === "true") sum = sum + 2;
+    if (context.answers[118] === "true") sum = sum + 2;
+    if (context.answers[120] === "true") sum = sum + 3;
+    if (context.answers[125] === "false") sum = sum + 1;
+    if (context.answers[133] === "true") sum = sum + 1;
+    if (context.answers[139] === "true") sum = sum + 1;
+    if (context.answers[141] === "true") sum = sum + 3;
+    if (context.answers[147] === "true") sum = sum + 1;
+    if (context.answers[150] === "true") sum = sum + 2;
+    if (context.answers[155] === "true") sum = sum + 2;
+    if (context.answers[158] === "true") sum = sum + 3;
+    if (context.answers[160] === "true") sum = sum + 1;
+    if (context.answers[163] === "false") sum = sum + 1;
+    if (context.answers[171] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 46) sum = 46;
+    } else if (sum > 51) {
+      sum = 51;
+    }
+    returnValue = sum;
+    w[4] = sum;
+    r[4] = "Avoidant";
+    return returnValue;
+  }
+
+  function one(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[2] === "true") sum = sum + 3;
+    if (context.answers[10] === "true") sum = sum + 2;
+    if (context.answers[13] === "true") sum = sum + 3;
+    if (context.answers[14] === "false") sum = sum + 1;
+    if (context.answers[16] === "true") sum = sum + 1;
+    if (context.answers[19] === "true") sum = sum + 3;
+    if (context.answers[20] === "false") sum = sum + 2;
+    if (context.answers[22] === "true") sum = sum + 1;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[28] === "false") sum = sum + 1;
+    if (context.answers[33] === "true") sum = sum + 2;
+    if (context.answers[34] === "true") sum = sum + 3;
+    if (context.answers[46] === "true") sum = sum + 1;
+    if (context.answers[47] === "true") sum = sum + 2;
+    if (context.answers[48] === "false") sum = sum + 2;
+    if (context.answers[53] === "true") sum = sum + 1;
+    if (context.answers[60] === "false") sum = sum + 1;
+    if (context.answers[78] === "false") sum = sum + 1;
+    if (context.answers[81] === "true") sum = sum + 3;
+    if (context.answers[83] === "true") sum = sum + 2;
+    if (context.answers[85] === "true") sum = sum + 1;
+    if (context.answers[95] === "false") sum = sum + 1;
+    if (context.answers[103] === "false") sum = sum + 1;
+    if (context.answers[106] === "true") sum = sum + 2;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[111] === "false") sum = sum + 1;
+    if (context.answers[124] === "true") sum = sum + 2;
+    if (context.answers[125] === "false") sum = sum + 1;
+    if (context.answers[159] === "true") sum = sum + 1;
+    if (context.answers[160] === "true") sum = sum + 1;
+    if (context.answers[161] === "true") sum = sum + 3;
+    if (context.answers[141] === "true") sum = sum + 1;
+    if (context.answers[142] === "true") sum = sum + 1;
+    if (context.answers[143] === "true") sum = sum + 3;
+    if (context.answers[150] === "true") sum = sum + 2;
+    if (context.gender === "male") {
+      if (sum > 40) sum = 40;
+    } else if (sum > 44) {
+      sum = 44;
+    }
+    returnValue = sum;
+    w[3] = sum;
+    r[3] = "Schizoid";
+    return returnValue;
+  }
+
+  function z(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[3] === "true") sum = sum + 1;
+    if (context.answers[5] === "true") sum = sum + 1;
+    if (context.answers[8] === "true") sum = sum + 1;
+    if (context.answers[18] === "true") sum = sum + 1;
+    if (context.answers[23] === "true") sum = sum + 1;
+    if (context.answers[24] === "true") sum = sum + 1;
+    if (context.answers[25] === "true") sum = sum + 1;
+    if (context.answers[26] === "true") sum = sum + 1;
+    if (context.answers[27] === "true") sum = sum + 1;
+    if (context.answers[33] === "true") sum = sum + 1;
+    if (context.answers[36] === "true") sum = sum + 1;
+    if (context.answers[43] === "true") sum = sum + 1;
+    if (context.answers[45] === "true") sum = sum + 1;
+    if (context.answers[49] === "true") sum = sum + 1;
+    if (context.answers[50] === "true") sum = sum + 1;
+    if (context.answers[51] === "true") sum = sum + 1;
+    if (context.answers[53] === "true") sum = sum + 1;
+    if (context.answers[54] === "true") sum = sum + 1;
+    if (context.answers[58] === "true") sum = sum + 1;
+    if (context.answers[59] === "true") sum = sum + 1;
+    if (context.answers[63] === "true") sum = sum + 1;
+    if (context.answers[66] === "true") sum = sum + 1;
+    if (context.answers[67] === "true") sum = sum + 1;
+    if (context.answers[68] === "true") sum = sum + 1;
+    if (context.answers[71] === "true") sum = sum + 1;
+    if (context.answers[72] === "true") sum = sum + 1;
+    if (context.answers[76] === "true") sum = sum + 1;
+    if (context.answers[79] === "true") sum = sum + 1;
+    if (context.answers[82] === "true") sum = sum + 1;
+    if (context.answers[96] === "true") sum = sum + 1;
+    if (context.answers[97] === "true") sum = sum + 1;
+    if (context.answers[99] === "true") sum = sum + 1;
+    if (context.answers[100] === "true") sum = sum + 1;
+    if (context.answers[102] === "true") sum = sum + 1;
+    if (context.answers[108] === "true") sum = sum + 1;
+    if (context.answers[110] === "true") sum = sum + 1;
+    if (context.answers[114] === "true") sum = sum + 1;
+    if (context.answers[115] === "true") sum = sum + 1;
+    if (context.answers[117] === "true") sum = sum + 1;
+    if (context.answers[118] === "true") sum = sum + 1;
+    if (context.answers[120] === "true") sum = sum + 1;
+    if (context.answers[128] === "true") sum = sum + 1;
+    if (context.answers[132] === "true") sum = sum + 1;
+    if (context.answers[136] === "true") sum = sum + 1;
+    if (context.answers[158] === "true") sum = sum + 1;
+    if (context.answers[167] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 34) sum = 34;
+    } else if (sum > 35) {
+      sum = 35;
+    }
+    returnValue = sum;
+    w[2] = sum;
+    r[2] = "Debasement";
+    return returnValue;
+  }
+
+  function y(context) {
+    let sum;
+    let returnValue = null;
+
+    sum = 0;
+    if (context.answers[4] === "true") sum = sum + 1;
+    if (context.answers[14] === "true") sum = sum + 1;
+    if (context.answers[34] === "true") sum = sum + 1;
+    if (context.answers[39] === "true") sum = sum + 1;
+    if (context.answers[60] === "true") sum = sum + 1;
+    if (context.answers[61] === "true") sum = sum + 1;
+    if (context.answers[75] === "true") sum = sum + 1;
+    if (context.answers[78] === "true") sum = sum + 1;
+    if (context.answers[86] === "true") sum = sum + 1;
+    if (context.answers[88] === "true") sum = sum + 1;
+    if (context.answers[89] === "true") sum = sum + 1;
+    if (context.answers[93] === "true") sum = sum + 1;
+    if (context.answers[103] === "true") sum = sum + 1;
+    if (context.answers[106] === "true") sum = sum + 1;
+    if (context.answers[122] === "true") sum = sum + 1;
+    if (context.answers[125] === "true") sum = sum + 1;
+    if (context.answers[126] === "true") sum = sum + 1;
+    if (context.answers[137] === "true") sum = sum + 1;
+    if (context.answers[138] === "true") sum = sum + 1;
+    if (context.answers[149] === "true") sum = sum + 1;
+    if (context.answers[153] === "true") sum = sum + 1;
+    if (context.answers[159] === "true") sum = sum + 1;
+    if (context.answers[166] === "true") sum = sum + 1;
+    if (context.gender === "male") {
+      if (sum > 22) sum = 22;
+    } else if (sum > 21) {
+      sum = 21;
+    }
+    returnValue = sum;
+    w[1] = sum;
+    r[1] = "Desirability";
+    return returnValue;
+  }
+
+  function checkonebr(onee) {
+    const onebr = new Array(41 + 1);
+
+    onebr[0] = 0;
+    onebr[1] = 0;
+    onebr[2] = 0;
+    onebr[3] = 0;
+    onebr[4] = 0;
+    onebr[5] = 0;
+    onebr[6] = 0;
+    onebr[7] = 13;
+    onebr[8] = 18;
+    onebr[9] = 23;
+    onebr[10] = 28;
+    onebr[11] = 33;
+    onebr[12] = 38;
+    onebr[13] = 43;
+    onebr[14] = 48;
+    onebr[15] = 53;
+    onebr[16] = 58;
+    onebr[17] = 63;
+    onebr[18] = 66;
+    onebr[19] = 67;
+    onebr[20] = 69;
+    onebr[21] = 70;
+    onebr[22] = 71;
+    onebr[23] = 71;
+    onebr[24] = 73;
+    onebr[25] = 74;
+    onebr[26] = 76;
+    onebr[27] = 78;
+    onebr[28] = 81;
+    onebr[29] = 83;
+    onebr[30] = 86;
+    onebr[31] = 88;
+    onebr[32] = 91;
+    onebr[33] = 96;
+    onebr[34] = 101;
+    onebr[35] = 106;
+    onebr[36] = 108;
+    onebr[37] = 109;
+    onebr[38] = 111;
+    onebr[39] = 116;
+    onebr[40] = 121;
+    return onebr[onee];
+  }
+
+  function checktwobr(twoe) {
+    const twobr = new Array(47 + 1);
+
+    twobr[0] = 6;
+    twobr[1] = 6;
+    twobr[2] = 6;
+    twobr[3] = 6;
+    twobr[4] = 6;
+    twobr[5] = 6;
+    twobr[6] = 6;
+    twobr[7] = 16;
+    twobr[8] = 26;
+    twobr[9] = 41;
+    twobr[10] = 44;
+    twobr[11] = 47;
+    twobr[12] = 50;
+    twobr[13] = 53;
+    twobr[14] = 57;
+    twobr[15] = 61;
+    twobr[16] = 66;
+    twobr[17] = 66;
+    twobr[18] = 67;
+    twobr[19] = 68;
+    twobr[20] = 68;
+    twobr[21] = 69;
+    twobr[22] = 71;
+    twobr[23] = 74;
+    twobr[24] = 76;
+    twobr[25] = 78;
+    twobr[26] = 81;
+    twobr[27] = 82;
+    twobr[28] = 83;
+    twobr[29] = 84;
+    twobr[30] = 86;
+    twobr[31] = 88;
+    twobr[32] = 90;
+    twobr[33] = 94;
+    twobr[34] = 97;
+    twobr[35] = 100;
+    twobr[36] = 101;
+    twobr[37] = 103;
+    twobr[38] = 105;
+    twobr[39] = 106;
+    twobr[40] = 108;
+    twobr[41] = 110;
+    twobr[42] = 112;
+    twobr[43] = 114;
+    twobr[44] = 116;
+    twobr[45] = 118;
+    twobr[46] = 121;
+    return twobr[twoe];
+  }
+
+  function checkthreebr(threee) {
+    const threebr = new Array(52 + 1);
+
+    threebr[0] = 0;
+    threebr[1] = 0;
+    threebr[2] = 0;
+    threebr[3] = 0;
+    threebr[4] = 0;
+    threebr[5] = 0;
+    threebr[6] = 0;
+    threebr[7] = 0;
+    threebr[8] = 0;
+    threebr[9] = 0;
+    threebr[10] = 0;
+    threebr[11] = 0;
+    threebr[12] = 0;
+    threebr[13] = 0;
+    threebr[14] = 0;
+    threebr[15] = 0;
+    threebr[16] = 0;
+    threebr[17] = 5;
+    threebr[18] = 10;
+    threebr[19] = 23;
+    threebr[20] = 34;
+    threebr[21] = 40;
+    threebr[22] = 42;
+    threebr[23] = 50;
+    threebr[24] = 59;
+    threebr[25] = 66;
+    threebr[26] = 66;
+    threebr[27] = 66;
+    threebr[28] = 69;
+    threebr[29] = 71;
+    threebr[30] = 72;
+    threebr[31] = 74;
+    threebr[32] = 77;
+    threebr[33] = 78;
+    threebr[34] = 80;
+    threebr[35] = 81;
+    threebr[36] = 85;
+    threebr[37] = 89;
+    threebr[38] = 91;
+    threebr[39] = 93;
+    threebr[40] = 94;
+    threebr[41] = 94;
+    threebr[42] = 94;
+    threebr[43] = 95;
+    threebr[44] = 96;
+    threebr[45] = 98;
+    threebr[46] = 100;
+    threebr[47] = 102;
+    threebr[48] = 106;
+    threebr[49] = 111;
+    threebr[50] = 116;
+    threebr[51] = 121;
+    return threebr[threee];
+  }
+
+  function checkfourbr(foure) {
+    const fourbr = new Array(59 + 1);
+
+    fourbr[0] = 6;
+    fourbr[1] = 6;
+    fourbr[2] = 6;
+    fourbr[3] = 6;
+    fourbr[4] = 6;
+    fourbr[5] = 6;
+    fourbr[6] = 6;
+    fourbr[7] = 6;
+    fourbr[8] = 6;
+    fourbr[9] = 6;
+    fourbr[10] = 6;
+    fourbr[11] = 6;
+    fourbr[12] = 6;
+    fourbr[13] = 6;
+    fourbr[14] = 11;
+    fourbr[15] = 13;
+    fourbr[16] = 16;
+    fourbr[17] = 18;
+    fourbr[18] = 26;
+    fourbr[19] = 36;
+    fourbr[20] = 41;
+    fourbr[21] = 44;
+    fourbr[22] = 47;
+    fourbr[23] = 50;
+    fourbr[24] = 53;
+    fourbr[25] = 55;
+    fourbr[26] = 57;
+    fourbr[27] = 59;
+    fourbr[28] = 61;
+    fourbr[29] = 63;
+    fourbr[30] = 66;
+    fourbr[31] = 67;
+    fourbr[32] = 68;
+    fourbr[33] = 69;
+    fourbr[34] = 70;
+    fourbr[35] = 71;
+    fourbr[36] = 73;
+    fourbr[37] = 74;
+    fourbr[38] = 76;
+    fourbr[39] = 78;
+    fourbr[40] = 79;
+    fourbr[41] = 80;
+    fourbr[42] = 81;
+    fourbr[43] = 82;
+    fourbr[44] = 83;
+    fourbr[45] = 85;
+    fourbr[46] = 87;
+    fourbr[47] = 89;
+    fourbr[48] = 90;
+    fourbr[49] = 91;
+    fourbr[50] = 94;
+    fourbr[51] = 96;
+    fourbr[52] = 99;
+    fourbr[53] = 103;
+    fourbr[54] = 108;
+    fourbr[55] = 112;
+    fourbr[56] = 116;
+    fourbr[57] = 118;
+    fourbr[58] = 121;
+    return fourbr[foure];
+  }
+
+  function checkfivebr(fivee) {
+    const fivebr = new Array(68 + 1);
+
+    fivebr[0] = 0;
+    fivebr[1] = 0;
+    fivebr[2] = 0;
+    fivebr[3] = 0;
+    fivebr[4] = 0;
+    fivebr[5] = 0;
+    fivebr[6] = 0;
+    fivebr[7] = 0;
+    fivebr[8] = 0;
+    fivebr[9] = 0;
+    fivebr[10] = 0;
+    fivebr[11] = 0;
+    fivebr[12] = 0;
+    fivebr[13] = 0;
+    fivebr[14] = 0;
+    fivebr[15] = 0;
+    fivebr[16] = 5;
+    fivebr[17] = 12;
+    fivebr[18] = 19;
+    fivebr[19] = 23;
+    fivebr[20] = 27;
+    fivebr[21] = 32;
+    fivebr[22] = 35;
+    fivebr[23] = 38;
+    fivebr[24] = 41;
+    fivebr[25] = 44;
+    fivebr[26] = 47;
+    fivebr[27] = 49;
+    fivebr[28] = 51;
+    fivebr[29] = 52;
+    fivebr[30] = 55;
+    fivebr[31] = 61;
+    fivebr[32] = 66;
+    fivebr[33] = 67;
+    fivebr[34] = 69;
+    fivebr[35] = 70;
+    fivebr[36] = 72;
+    fivebr[37] = 73;
+    fivebr[38] = 75;
+    fivebr[39] = 77;
+    fivebr[40] = 80;
+    fivebr[41] = 81;
+    fivebr[42] = 83;
+    fivebr[43] = 86;
+    fivebr[44] = 88;
+    fivebr[45] = 90;
+    fivebr[46] = 92;
+    fivebr[47] = 93;
+    fivebr[48] = 96;
+    fivebr[49] = 98;
+    fivebr[50] = 100;
+    fivebr[51] = 101;
+    fivebr[52] = 101;
+    fivebr[53] = 102;
+    fivebr[54] = 103;
+    fivebr[55] = 104;
+    fivebr[56] = 104;
+    fivebr[57] = 105;
+    fivebr[58] = 106;
+    fivebr[59] = 108;
+    fivebr[60] = 110;
+    fivebr[61] = 112;
+    fivebr[62] = 114;
+    fivebr[63] = 116;
+    fivebr[64] = 118;
+    fivebr[65] = 119;
+    fivebr[66] = 120;
+    fivebr[67] = 121;
+    return fivebr[fivee];
+  }
+
+  function checksixabr(sixae) {
+    const sixabr = new Array(55 + 1);
+
+    sixabr[0] = 0;
+    sixabr[1] = 0;
+    sixabr[2] = 0;
+    sixabr[3] = 0;
+    sixabr[4] = 0;
+    sixabr[5] = 0;
+    sixabr[6] = 0;
+    sixabr[7] = 0;
+    sixabr[8] = 9;
+    sixabr[9] = 13;
+    sixabr[10] = 17;
+    sixabr[11] = 22;
+    sixabr[12] = 27;
+    sixabr[13] = 32;
+    sixabr[14] = 37;
+    sixabr[15] = 42;
+    sixabr[16] = 44;
+    sixabr[17] = 47;
+    sixabr[18] = 49;
+    sixabr[19] = 52;
+    sixabr[20] = 54;
+    sixabr[21] = 57;
+    sixabr[22] = 59;
+    sixabr[23] = 62;
+    sixabr[24] = 64;
+    sixabr[25] = 66;
+    sixabr[26] = 67;
+    sixabr[27] = 68;
+    sixabr[28] = 69;
+    sixabr[29] = 70;
+    sixabr[30] = 71;
+    sixabr[31] = 72;
+    sixabr[32] = 73;
+    sixabr[33] = 74;
+    sixabr[34] = 75;
+    sixabr[35] = 77;
+    sixabr[36] = 79;
+    sixabr[37] = 81;
+    sixabr[38] = 83;
+    sixabr[39] = 85;
+    sixabr[40] = 87;
+    sixabr[41] = 88;
+    sixabr[42] = 91;
+    sixabr[43] = 94;
+    sixabr[44] = 98;
+    sixabr[45] = 101;
+    sixabr[46] = 104;
+    sixabr[47] = 106;
+    sixabr[48] = 108;
+    sixabr[49] = 110;
+    sixabr[50] = 112;
+    sixabr[51] = 114;
+    sixabr[52] = 116;
+    sixabr[53] = 118;
+    sixabr[54] = 121;
+    return sixabr[sixae];
+  }
+
+  function checksixbbr(sixbe) {
+    const sixbbr = new Array(54 + 1);
+
+    sixbbr[0] = 0;
+    sixbbr[1] = 0;
+    sixbbr[2] = 0;
+    sixbbr[3] = 0;
+    sixbbr[4] = 0;
+    sixbbr[5] = 0;
+    sixbbr[6] = 0;
+    sixbbr[7] = 0;
+    sixbbr[8] = 0;
+    sixbbr[9] = 0;
+    sixbbr[10] = 0;
+    sixbbr[11] = 0;
+    sixbbr[12] = 8;
+    sixbbr[13] = 15;
+    sixbbr[14] = 25;
+    sixbbr[15] = 35;
+    sixbbr[16] = 37;
+    sixbbr[17] = 39;
+    sixbbr[18] = 41;
+    sixbbr[19] = 43;
+    sixbbr[20] = 45;
+    sixbbr[21] = 47;
+    sixbbr[22] = 49;
+    sixbbr[23] = 50;
+    sixbbr[24] = 52;
+    sixbbr[25] = 54;
+    sixbbr[26] = 56;
+    sixbbr[27] = 62;
+    sixbbr[28] = 66;
+    sixbbr[29] = 67;
+    sixbbr[30] = 68;
+    sixbbr[31] = 70;
+    sixbbr[32] = 73;
+    sixbbr[33] = 75;
+    sixbbr[34] = 78;
+    sixbbr[35] = 79;
+    sixbbr[36] = 80;
+    sixbbr[37] = 83;
+    sixbbr[38] = 86;
+    sixbbr[39] = 88;
+    sixbbr[40] = 89;
+    sixbbr[41] = 93;
+    sixbbr[42] = 96;
+    sixbbr[43] = 98;
+    sixbbr[44] = 100;
+    sixbbr[45] = 102;
+    sixbbr[46] = 104;
+    sixbbr[47] = 105;
+    sixbbr[48] = 106;
+    sixbbr[49] = 114;
+    sixbbr[50] = 116;
+    sixbbr[51] = 118;
+    sixbbr[52] = 119;
+    sixbbr[53] = 121;
+    return sixbbr[sixbe];
+  }
+
+  function checksevenbr(sevene) {
+    const sevenbr = new Array(62 + 1);
+
+    sevenbr[0] = 6;
+    sevenbr[1] = 6;
+    sevenbr[2] = 6;
+    sevenbr[3] = 6;
+    sevenbr[4] = 6;
+    sevenbr[5] = 6;
+    sevenbr[6] = 6;
+    sevenbr[7] = 6;
+    sevenbr[8] = 6;
+    sevenbr[9] = 6;
+    sevenbr[10] = 6;
+    sevenbr[11] = 6;
+    sevenbr[12] = 6;
+    sevenbr[13] = 6;
+    sevenbr[14] = 6;
+    sevenbr[15] = 6;
+    sevenbr[16] = 6;
+    sevenbr[17] = 6;
+    sevenbr[18] = 11;
+    sevenbr[19] = 14;
+    sevenbr[20] = 18;
+    sevenbr[21] = 23;
+    sevenbr[22] = 26;
+    sevenbr[23] = 31;
+    sevenbr[24] = 34;
+    sevenbr[25] = 36;
+    sevenbr[26] = 39;
+    sevenbr[27] = 41;
+    sevenbr[28] = 46;
+    sevenbr[29] = 54;
+    sevenbr[30] = 59;
+    sevenbr[31] = 61;
+    sevenbr[32] = 61;
+    sevenbr[33] = 61;
+    sevenbr[34] = 61;
+    sevenbr[35] = 61;
+    sevenbr[36] = 62;
+    sevenbr[37] = 63;
+    sevenbr[38] = 64;
+    sevenbr[39] = 65;
+    sevenbr[40] = 67;
+    sevenbr[41] = 71;
+    sevenbr[42] = 75;
+    sevenbr[43] = 78;
+    sevenbr[44] = 80;
+    sevenbr[45] = 83;
+    sevenbr[46] = 86;
+    sevenbr[47] = 90;
+    sevenbr[48] = 93;
+    sevenbr[49] = 94;
+    sevenbr[50] = 95;
+    sevenbr[51] = 96;
+    sevenbr[52] = 97;
+    sevenbr[53] = 98;
+    sevenbr[54] = 102;
+    sevenbr[55] = 106;
+    sevenbr[56] = 108;
+    sevenbr[57] = 110;
+    sevenbr[58] = 113;
+    sevenbr[59] = 116;
+    sevenbr[60] = 118;
+    sevenbr[61] = 121;
+    return sevenbr[sevene];
+  }
+
+  function checkeightabr(eightae) {
+    const eightabr = new Array(56 + 1);
+
+    eightabr[0] = 0;
+    eightabr[1] = 0;
+    eightabr[2] = 0;
+    eightabr[3] = 0;
+    eightabr[4] = 0;
+    eightabr[5] = 0;
+    eightabr[6] = 0;
+    eightabr[7] = 2;
+    eightabr[8] = 7;
+    eightabr[9] = 12;
+    eightabr[10] = 17;
+    eightabr[11] = 22;
+    eightabr[12] = 27;
+    eightabr[13] = 32;
+    eightabr[14] = 34;
+    eightabr[15] = 36;
+    eightabr[16] = 38;
+    eightabr[17] = 40;
+    eightabr[18] = 42;
+    eightabr[19] = 44;
+    eightabr[20] = 47;
+    eightabr[21] = 49;
+    eightabr[22] = 51;
+    eightabr[23] = 55;
+    eightabr[24] = 62;
+    eightabr[25] = 66;
+    eightabr[26] = 67;
+    eightabr[27] = 68;
+    eightabr[28] = 69;
+    eightabr[29] = 70;
+    eightabr[30] = 71;
+    eightabr[31] = 74;
+    eightabr[32] = 76;
+    eightabr[33] = 78;
+    eightabr[34] = 81;
+    eightabr[35] = 85;
+    eightabr[36] = 88;
+    eightabr[37] = 90;
+    eightabr[38] = 94;
+    eightabr[39] = 98;
+    eightabr[40] = 102;
+    eightabr[41] = 105;
+    eightabr[42] = 107;
+    eightabr[43] = 108;
+    eightabr[44] = 110;
+    eightabr[45] = 111;
+    eightabr[46] = 111;
+    eightabr[47] = 112;
+    eightabr[48] = 113;
+    eightabr[49] = 114;
+    eightabr[50] = 116;
+    eightabr[51] = 117;
+    eightabr[52] = 118;
+    eightabr[53] = 119;
+    eightabr[54] = 120;
+    eightabr[55] = 121;
+    return eightabr[eightae];
+  }
+
+  function checkeightbbr(eightbe) {
+    const eightbbr = new Array(44 + 1);
+
+    eightbbr[0] = 0;
+    eightbbr[1] = 0;
+    eightbbr[2] = 0;
+    eightbbr[3] = 10;
+    eightbbr[4] = 20;
+    eightbbr[5] = 30;
+    eightbbr[6] = 35;
+    eightbbr[7] = 38;
+    eightbbr[8] = 41;
+    eightbbr[9] = 44;
+    eightbbr[10] = 47;
+    eightbbr[11] = 50;
+    eightbbr[12] = 55;
+    eightbbr[13] = 60;
+    eightbbr[14] = 61;
+    eightbbr[15] = 66;
+    eightbbr[16] = 67;
+    eightbbr[17] = 68;
+    eightbbr[18] = 69;
+    eightbbr[19] = 70;
+    eightbbr[20] = 71;
+    eightbbr[21] = 72;
+    eightbbr[22] = 73;
+    eightbbr[23] = 74;
+    eightbbr[24] = 74;
+    eightbbr[25] = 74;
+    eightbbr[26] = 75;
+    eightbbr[27] = 76;
+    eightbbr[28] = 76;
+    eightbbr[29] = 77;
+    eightbbr[30] = 78;
+    eightbbr[31] = 79;
+    eightbbr[32] = 81;
+    eightbbr[33] = 83;
+    eightbbr[34] = 89;
+    eightbbr[35] = 93;
+    eightbbr[36] = 98;
+    eightbbr[37] = 104;
+    eightbbr[38] = 111;
+    eightbbr[39] = 116;
+    eightbbr[40] = 119;
+    eightbbr[41] = 120;
+    eightbbr[42] = 120;
+    eightbbr[43] = 121;
+    return eightbbr[eightbe];
+  }
+
+  function checksbr(se) {
+    const sbr = new Array(49 + 1);
+
+    sbr[0] = 6;
+    sbr[1] = 6;
+    sbr[2] = 6;
+    sbr[3] = 16;
+    sbr[4] = 26;
+    sbr[5] = 36;
+    sbr[6] = 41;
+    sbr[7] = 43;
+    sbr[8] = 46;
+    sbr[9] = 48;
+    sbr[10] = 51;
+    sbr[11] = 53;
+    sbr[12] = 56;
+    sbr[13] = 58;
+    sbr[14] = 61;
+    sbr[15] = 63;
+    sbr[16] = 64;
+    sbr[17] = 64;
+    sbr[18] = 65;
+    sbr[19] = 65;
+    sbr[20] = 66;
+    sbr[21] = 66;
+    sbr[22] = 67;
+    sbr[23] = 67;
+    sbr[24] = 68;
+    sbr[25] = 68;
+    sbr[26] = 69;
+    sbr[27] = 69;
+    sbr[28] = 70;
+    sbr[29] = 70;
+    sbr[30] = 71;
+    sbr[31] = 71;
+    sbr[32] = 72;
+    sbr[33] = 72;
+    sbr[34] = 73;
+    sbr[35] = 73;
+    sbr[36] = 74;
+    sbr[37] = 75;
+    sbr[38] = 77;
+    sbr[39] = 81;
+    sbr[40] = 84;
+    sbr[41] = 87;
+    sbr[42] = 90;
+    sbr[43] = 97;
+    sbr[44] = 105;
+    sbr[45] = 110;
+    sbr[46] = 116;
+    sbr[47] = 119;
+    sbr[48] = 121;
+    return sbr[se];
+  }
+
+  function checkcbr(ce) {
+    const cbr = new Array(65 + 1);
+
+    cbr[0] = 0;
+    cbr[1] = 0;
+    cbr[2] = 0;
+    cbr[3] = 0;
+    cbr[4] = 0;
+    cbr[5] = 11;
+    cbr[6] = 16;
+    cbr[7] = 21;
+    cbr[8] = 26;
+    cbr[9] = 31;
+    cbr[10] = 36;
+    cbr[11] = 41;
+    cbr[12] = 42;
+    cbr[13] = 43;
+    cbr[14] = 44;
+    cbr[15] = 45;
+    cbr[16] = 46;
+    cbr[17] = 48;
+    cbr[18] = 50;
+    cbr[19] = 53;
+    cbr[20] = 56;
+    cbr[21] = 58;
+    cbr[22] = 59;
+    cbr[23] = 61;
+    cbr[24] = 63;
+    cbr[25] = 66;
+    cbr[26] = 66;
+    cbr[27] = 66;
+    cbr[28] = 66;
+    cbr[29] = 66;
+    cbr[30] = 66;
+    cbr[31] = 67;
+    cbr[32] = 68;
+    cbr[33] = 69;
+    cbr[34] = 70;
+    cbr[35] = 71;
+    cbr[36] = 72;
+    cbr[37] = 73;
+    cbr[38] = 73;
+    cbr[39] = 73;
+    cbr[40] = 74;
+    cbr[41] = 74;
+    cbr[42] = 75;
+    cbr[43] = 75;
+    cbr[44] = 75;
+    cbr[45] = 75;
+    cbr[46] = 76;
+    cbr[47] = 76;
+    cbr[48] = 77;
+    cbr[49] = 80;
+    cbr[50] = 84;
+    cbr[51] = 87;
+    cbr[52] = 92;
+    cbr[53] = 95;
+    cbr[54] = 97;
+    cbr[55] = 100;
+    cbr[56] = 104;
+    cbr[57] = 108;
+    cbr[58] = 110;
+    cbr[59] = 112;
+    cbr[60] = 114;
+    cbr[61] = 116;
+    cbr[62] = 118;
+    cbr[63] = 119;
+    cbr[64] = 121;
+    return cbr[ce];
+  }
+
+  function checkpbr(pe) {
+    const pbr = new Array(63 + 1);
+
+    pbr[0] = 0;
+    pbr[1] = 0;
+    pbr[2] = 0;
+    pbr[3] = 0;
+    pbr[4] = 0;
+    pbr[5] = 0;
+    pbr[6] = 12;
+    pbr[7] = 15;
+    pbr[8] = 17;
+    pbr[9] = 19;
+    pbr[10] = 27;
+    pbr[11] = 37;
+    pbr[12] = 42;
+    pbr[13] = 45;
+    pbr[14] = 49;
+    pbr[15] = 52;
+    pbr[16] = 53;
+    pbr[17] = 54;
+    pbr[18] = 55;
+    pbr[19] = 56;
+    pbr[20] = 57;
+    pbr[21] = 58;
+    pbr[22] = 59;
+    pbr[23] = 60;
+    pbr[24] = 61;
+    pbr[25] = 62;
+    pbr[26] = 63;
+    pbr[27] = 64;
+    pbr[28] = 65;
+    pbr[29] = 65;
+    pbr[30] = 66;
+    pbr[31] = 66;
+    pbr[32] = 67;
+    pbr[33] = 68;
+    pbr[34] = 69;
+    pbr[35] = 69;
+    pbr[36] = 70;
+    pbr[37] = 70;
+    pbr[38] = 71;
+    pbr[39] = 72;
+    pbr[40] = 72;
+    pbr[41] = 73;
+    pbr[42] = 73;
+    pbr[43] = 74;
+    pbr[44] = 75;
+    pbr[45] = 77;
+    pbr[46] = 80;
+    pbr[47] = 82;
+    pbr[48] = 85;
+    pbr[49] = 88;
+    pbr[50] = 92;
+    pbr[51] = 95;
+    pbr[52] = 98;
+    pbr[53] = 100;
+    pbr[54] = 102;
+    pbr[55] = 104;
+    pbr[56] = 107;
+    pbr[57] = 109;
+    pbr[58] = 111;
+    pbr[59] = 113;
+    pbr[60] = 117;
+    pbr[61] = 120;
+    pbr[62] = 121;
+    return pbr[pe];
+  }
+
+  function checkabr(ae) {
+    const abr = new Array(37 + 1);
+
+    abr[0] = 0;
+    abr[1] = 0;
+    abr[2] = 0;
+    abr[3] = 20;
+    abr[4] = 30;
+    abr[5] = 40;
+    abr[6] = 50;
+    abr[7] = 60;
+    abr[8] = 62;
+    abr[9] = 64;
+    abr[10] = 66;
+    abr[11] = 70;
+    abr[12] = 72;
+    abr[13] = 75;
+    abr[14] = 77;
+    abr[15] = 79;
+    abr[16] = 81;
+    abr[17] = 83;
+    abr[18] = 85;
+    abr[19] = 86;
+    abr[20] = 87;
+    abr[21] = 88;
+    abr[22] = 89;
+    abr[23] = 90;
+    abr[24] = 90;
+    abr[25] = 90;
+    abr[26] = 91;
+    abr[27] = 93;
+    abr[28] = 95;
+    abr[29] = 96;
+    abr[30] = 98;
+    abr[31] = 100;
+    abr[32] = 102;
+    abr[33] = 105;
+    abr[34] = 109;
+    abr[35] = 113;
+    abr[36] = 115;
+    return abr[ae];
+  }
+
+  function checkhbr(he) {
+    const hbr = new Array(44 + 1);
+
+    hbr[0] = 0;
+    hbr[1] = 0;
+    hbr[2] = 0;
+    hbr[3] = 15;
+    hbr[4] = 30;
+    hbr[5] = 40;
+    hbr[6] = 48;
+    hbr[7] = 55;
+    hbr[8] = 57;
+    hbr[9] = 58;
+    hbr[10] = 59;
+    hbr[11] = 59;
+    hbr[12] = 60;
+    hbr[13] = 60;
+    hbr[14] = 61;
+    hbr[15] = 61;
+    hbr[16] = 62;
+    hbr[17] = 62;
+    hbr[18] = 63;
+    hbr[19] = 63;
+    hbr[20] = 64;
+    hbr[21] = 64;
+    hbr[22] = 65;
+    hbr[23] = 65;
+    hbr[24] = 66;
+    hbr[25] = 66;
+    hbr[26] = 67;
+    hbr[27] = 67;
+    hbr[28] = 67;
+    hbr[29] = 68;
+    hbr[30] = 68;
+    hbr[31] = 68;
+    hbr[32] = 69;
+    hbr[33] = 70;
+    hbr[34] = 72;
+    hbr[35] = 75;
+    hbr[36] = 83;
+    hbr[37] = 87;
+    hbr[38] = 92;
+    hbr[39] = 96;
+    hbr[40] = 100;
+    hbr[41] = 105;
+    hbr[42] = 110;
+    hbr[43] = 115;
+    return hbr[he];
+  }
+
+  function checknbr(ne) {
+    const nbr = new Array(45 + 1);
+
+    nbr[0] = 0;
+    nbr[1] = 0;
+    nbr[2] = 0;
+    nbr[3] = 0;
+    nbr[4] = 0;
+    nbr[5] = 0;
+    nbr[6] = 2;
+    nbr[7] = 5;
+    nbr[8] = 10;
+    nbr[9] = 12;
+    nbr[10] = 20;
+    nbr[11] = 30;
+    nbr[12] = 35;
+    nbr[13] = 37;
+    nbr[14] = 39;
+    nbr[15] = 41;
+    nbr[16] = 44;
+    nbr[17] = 47;
+    nbr[18] = 50;
+    nbr[19] = 53;
+    nbr[20] = 57;
+    nbr[21] = 60;
+    nbr[22] = 60;
+    nbr[23] = 60;
+    nbr[24] = 60;
+    nbr[25] = 60;
+    nbr[26] = 60;
+    nbr[27] = 60;
+    nbr[28] = 61;
+    nbr[29] = 62;
+    nbr[30] = 63;
+    nbr[31] = 64;
+    nbr[32] = 65;
+    nbr[33] = 67;
+    nbr[34] = 69;
+    nbr[35] = 71;
+    nbr[36] = 73;
+    nbr[37] = 75;
+    nbr[38] = 79;
+    nbr[39] = 82;
+    nbr[40] = 85;
+    nbr[41] = 90;
+    nbr[42] = 95;
+    nbr[43] = 110;
+    nbr[44] = 115;
+    return nbr[ne];
+  }
+
+  function checkdbr(de) {
+    const dbr = new Array(57 + 1);
+
+    dbr[0] = 0;
+    dbr[1] = 0;
+    dbr[2] = 0;
+    dbr[3] = 0;
+    dbr[4] = 10;
+    dbr[5] = 15;
+    dbr[6] = 18;
+    dbr[7] = 21;
+    dbr[8] = 25;
+    dbr[9] = 27;
+    dbr[10] = 30;
+    dbr[11] = 32;
+    dbr[12] = 35;
+    dbr[13] = 42;
+    dbr[14] = 49;
+    dbr[15] = 55;
+    dbr[16] = 58;
+    dbr[17] = 59;
+    dbr[18] = 61;
+    dbr[19] = 63;
+    dbr[20] = 71;
+    dbr[21] = 73;
+    dbr[22] = 74;
+    dbr[23] = 76;
+    dbr[24] = 80;
+    dbr[25] = 85;
+    dbr[26] = 87;
+    dbr[27] = 88;
+    dbr[28] = 89;
+    dbr[29] = 90;
+    dbr[30] = 90;
+    dbr[31] = 90;
+    dbr[32] = 91;
+    dbr[33] = 91;
+    dbr[34] = 92;
+    dbr[35] = 92;
+    dbr[36] = 93;
+    dbr[37] = 93;
+    dbr[38] = 93;
+    dbr[39] = 94;
+    dbr[40] = 94;
+    dbr[41] = 95;
+    dbr[42] = 96;
+    dbr[43] = 96;
+    dbr[44] = 97;
+    dbr[45] = 98;
+    dbr[46] = 98;
+    dbr[47] = 99;
+    dbr[48] = 99;
+    dbr[49] = 100;
+    dbr[50] = 100;
+    dbr[51] = 104;
+    dbr[52] = 107;
+    dbr[53] = 110;
+    dbr[54] = 112;
+    dbr[55] = 114;
+    dbr[56] = 115;
+    return dbr[de];
+  }
+
+  function checkbbr(be) {
+    const bbr = new Array(52 + 1);
+
+    bbr[0] = 0;
+    bbr[1] = 0;
+    bbr[2] = 0;
+    bbr[3] = 0;
+    bbr[4] = 0;
+    bbr[5] = 0;
+    bbr[6] = 0;
+    bbr[7] = 0;
+    bbr[8] = 15;
+    bbr[9] = 25;
+    bbr[10] = 35;
+    bbr[11] = 38;
+    bbr[12] = 41;
+    bbr[13] = 45;
+    bbr[14] = 48;
+    bbr[15] = 51;
+    bbr[16] = 55;
+    bbr[17] = 60;
+    bbr[18] = 61;
+    bbr[19] = 62;
+    bbr[20] = 63;
+    bbr[21] = 64;
+    bbr[22] = 65;
+    bbr[23] = 67;
+    bbr[24] = 69;
+    bbr[25] = 71;
+    bbr[26] = 73;
+    bbr[27] = 75;
+    bbr[28] = 77;
+    bbr[29] = 79;
+    bbr[30] = 81;
+    bbr[31] = 83;
+    bbr[32] = 85;
+    bbr[33] = 86;
+    bbr[34] = 88;
+    bbr[35] = 89;
+    bbr[36] = 90;
+    bbr[37] = 92;
+    bbr[38] = 93;
+    bbr[39] = 94;
+    bbr[40] = 95;
+    bbr[41] = 97;
+    bbr[42] = 98;
+    bbr[43] = 99;
+    bbr[44] = 100;
+    bbr[45] = 101;
+    bbr[46] = 103;
+    bbr[47] = 105;
+    bbr[48] = 108;
+    bbr[49] = 111;
+    bbr[50] = 113;
+    bbr[51] = 115;
+    return bbr[be];
+  }
+
+  function checktbr(te) {
+    const tbr = new Array(61 + 1);
+
+    tbr[0] = 0;
+    tbr[1] = 0;
+    tbr[2] = 0;
+    tbr[3] = 0;
+    tbr[4] = 0;
+    tbr[5] = 0;
+    tbr[6] = 0;
+    tbr[7] = 5;
+    tbr[8] = 10;
+    tbr[9] = 15;
+    tbr[10] = 20;
+    tbr[11] = 25;
+    tbr[12] = 30;
+    tbr[13] = 35;
+    tbr[14] = 37;
+    tbr[15] = 39;
+    tbr[16] = 41;
+    tbr[17] = 44;
+    tbr[18] = 48;
+    tbr[19] = 51;
+    tbr[20] = 54;
+    tbr[21] = 57;
+    tbr[22] = 60;
+    tbr[23] = 60;
+    tbr[24] = 60;
+    tbr[25] = 61;
+    tbr[26] = 61;
+    tbr[27] = 62;
+    tbr[28] = 63;
+    tbr[29] = 64;
+    tbr[30] = 65;
+    tbr[31] = 66;
+    tbr[32] = 68;
+    tbr[33] = 69;
+    tbr[34] = 70;
+    tbr[35] = 71;
+    tbr[36] = 72;
+    tbr[37] = 73;
+    tbr[38] = 75;
+    tbr[39] = 77;
+    tbr[40] = 79;
+    tbr[41] = 81;
+    tbr[42] = 83;
+    tbr[43] = 85;
+    tbr[44] = 86;
+    tbr[45] = 87;
+    tbr[46] = 89;
+    tbr[47] = 90;
+    tbr[48] = 91;
+    tbr[49] = 92;
+    tbr[50] = 94;
+    tbr[51] = 95;
+    tbr[52] = 97;
+    tbr[53] = 98;
+    tbr[54] = 99;
+    tbr[55] = 100;
+    tbr[56] = 103;
+    tbr[57] = 106;
+    tbr[58] = 109;
+    tbr[59] = 112;
+    tbr[60] = 115;
+    return tbr[te];
+  }
+
+  function checkssbr(sse) {
+    const ssbr = new Array(40 + 1);
+
+    ssbr[0] = 0;
+    ssbr[1] = 0;
+    ssbr[2] = 0;
+    ssbr[3] = 35;
+    ssbr[4] = 40;
+    ssbr[5] = 44;
+    ssbr[6] = 50;
+    ssbr[7] = 55;
+    ssbr[8] = 60;
+    ssbr[9] = 60;
+    ssbr[10] = 60;
+    ssbr[11] = 60;
+    ssbr[12] = 60;
+    ssbr[13] = 61;
+    ssbr[14] = 61;
+    ssbr[15] = 62;
+    ssbr[16] = 62;
+    ssbr[17] = 63;
+    ssbr[18] = 65;
+    ssbr[19] = 67;
+    ssbr[20] = 67;
+    ssbr[21] = 68;
+    ssbr[22] = 68;
+    ssbr[23] = 69;
+    ssbr[24] = 70;
+    ssbr[25] = 70;
+    ssbr[26] = 71;
+    ssbr[27] = 72;
+    ssbr[28] = 73;
+    ssbr[29] = 75;
+    ssbr[30] = 77;
+    ssbr[31] = 79;
+    ssbr[32] = 80;
+    ssbr[33] = 82;
+    ssbr[34] = 85;
+    ssbr[35] = 90;
+    ssbr[36] = 95;
+    ssbr[37] = 100;
+    ssbr[38] = 110;
+    ssbr[39] = 115;
+    return ssbr[sse];
+  }
+
+  function checkccbr(cce) {
+    const ccbr = new Array(47 + 1);
+
+    ccbr[0] = 0;
+    ccbr[1] = 35;
+    ccbr[2] = 38;
+    ccbr[3] = 41;
+    ccbr[4] = 44;
+    ccbr[5] = 47;
+    ccbr[6] = 50;
+    ccbr[7] = 55;
+    ccbr[8] = 60;
+    ccbr[9] = 60;
+    ccbr[10] = 60;
+    ccbr[11] = 60;
+    ccbr[12] = 60;
+    ccbr[13] = 60;
+    ccbr[14] = 60;
+    ccbr[15] = 60;
+    ccbr[16] = 60;
+    ccbr[17] = 60;
+    ccbr[18] = 61;
+    ccbr[19] = 62;
+    ccbr[20] = 63;
+    ccbr[21] = 64;
+    ccbr[22] = 65;
+    ccbr[23] = 65;
+    ccbr[24] = 66;
+    ccbr[25] = 67;
+    ccbr[26] = 68;
+    ccbr[27] = 69;
+    ccbr[28] = 70;
+    ccbr[29] = 71;
+    ccbr[30] = 72;
+    ccbr[31] = 73;
+    ccbr[32] = 74;
+    ccbr[33] = 75;
+    ccbr[34] = 75;
+    ccbr[35] = 76;
+    ccbr[36] = 77;
+    ccbr[37] = 78;
+    ccbr[38] = 79;
+    ccbr[39] = 80;
+    ccbr[40] = 83;
+    ccbr[41] = 85;
+    ccbr[42] = 90;
+    ccbr[43] = 95;
+    ccbr[44] = 100;
+    ccbr[45] = 110;
+    ccbr[46] = 115;
+    return ccbr[cce];
+  }
+
+  function checkppbr(ppe) {
+    const ppbr = new Array(37 + 1);
+
+    ppbr[0] = 0;
+    ppbr[1] = 0;
+    ppbr[2] = 0;
+    ppbr[3] = 10;
+    ppbr[4] = 25;
+    ppbr[5] = 35;
+    ppbr[6] = 38;
+    ppbr[7] = 41;
+    ppbr[8] = 44;
+    ppbr[9] = 47;
+    ppbr[10] = 51;
+    ppbr[11] = 53;
+    ppbr[12] = 55;
+    ppbr[13] = 57;
+    ppbr[14] = 60;
+    ppbr[15] = 60;
+    ppbr[16] = 60;
+    ppbr[17] = 61;
+    ppbr[18] = 63;
+    ppbr[19] = 64;
+    ppbr[20] = 65;
+    ppbr[21] = 67;
+    ppbr[22] = 69;
+    ppbr[23] = 71;
+    ppbr[24] = 72;
+    ppbr[25] = 73;
+    ppbr[26] = 75;
+    ppbr[27] = 80;
+    ppbr[28] = 85;
+    ppbr[29] = 88;
+    ppbr[30] = 91;
+    ppbr[31] = 94;
+    ppbr[32] = 97;
+    ppbr[33] = 100;
+    ppbr[34] = 105;
+    ppbr[35] = 110;
+    ppbr[36] = 115;
+    return ppbr[ppe];
+  }
+
+  function checkybr(ye) {
+    const ybr = new Array(23 + 1);
+
+    ybr[0] = 0;
+    ybr[1] = 5;
+    ybr[2] = 10;
+    ybr[3] = 15;
+    ybr[4] = 20;
+    ybr[5] = 25;
+    ybr[6] = 30;
+    ybr[7] = 34;
+    ybr[8] = 39;
+    ybr[9] = 43;
+    ybr[10] = 46;
+    ybr[11] = 50;
+    ybr[12] = 56;
+    ybr[13] = 62;
+    ybr[14] = 67;
+    ybr[15] = 72;
+    ybr[16] = 75;
+    ybr[17] = 78;
+    ybr[18] = 82;
+    ybr[19] = 85;
+    ybr[20] = 90;
+    ybr[21] = 95;
+    ybr[22] = 100;
+    return ybr[ye];
+  }
+
+  function checkzbr(ze) {
+    const zbr = new Array(35 + 1);
+
+    zbr[0] = 12;
+    zbr[1] = 24;
+    zbr[2] = 35;
+    zbr[3] = 38;
+    zbr[4] = 42;
+    zbr[5] = 45;
+    zbr[6] = 48;
+    zbr[7] = 52;
+    zbr[8] = 55;
+    zbr[9] = 57;
+    zbr[10] = 59;
+    zbr[11] = 61;
+    zbr[12] = 63;
+    zbr[13] = 65;
+    zbr[14] = 67;
+    zbr[15] = 69;
+    zbr[16] = 70;
+    zbr[17] = 71;
+    zbr[18] = 73;
+    zbr[19] = 75;
+    zbr[20] = 76;
+    zbr[21] = 77;
+    zbr[22] = 78;
+    zbr[23] = 79;
+    zbr[24] = 80;
+    zbr[25] = 82;
+    zbr[26] = 84;
+    zbr[27] = 85;
+    zbr[28] = 87;
+    zbr[29] = 89;
+    zbr[30] = 91;
+    zbr[31] = 93;
+    zbr[32] = 95;
+    zbr[33] = 97;
+    zbr[34] = 100;
+    return zbr[ze];
+  }
+
+  function checkfonebr(fonee) {
+    const fonebr = new Array(45 + 1);
+
+    fonebr[0] = 0;
+    fonebr[1] = 0;
+    fonebr[2] = 0;
+    fonebr[3] = 0;
+    fonebr[4] = 0;
+    fonebr[5] = 0;
+    fonebr[6] = 0;
+    fonebr[7] = 0;
+    fonebr[8] = 0;
+    fonebr[9] = 0;
+    fonebr[10] = 15;
+    fonebr[11] = 35;
+    fonebr[12] = 47;
+    fonebr[13] = 50;
+    fonebr[14] = 53;
+    fonebr[15] = 56;
+    fonebr[16] = 60;
+    fonebr[17] = 62;
+    fonebr[18] = 64;
+    fonebr[19] = 65;
+    fonebr[20] = 66;
+    fonebr[21] = 67;
+    fonebr[22] = 68;
+    fonebr[23] = 69;
+    fonebr[24] = 70;
+    fonebr[25] = 71;
+    fonebr[26] = 72;
+    fonebr[27] = 73;
+    fonebr[28] = 74;
+    fonebr[29] = 75;
+    fonebr[30] = 76;
+    fonebr[31] = 77;
+    fonebr[32] = 78;
+    fonebr[33] = 79;
+    fonebr[34] = 81;
+    fonebr[35] = 84;
+    fonebr[36] = 86;
+    fonebr[37] = 88;
+    fonebr[38] = 90;
+    fonebr[39] = 91;
+    fonebr[40] = 96;
+    fonebr[41] = 104;
+    fonebr[42] = 111;
+    fonebr[43] = 118;
+    fonebr[44] = 121;
+    return fonebr[fonee];
+  }
+
+  function checkftwobr(ftwoe) {
+    const ftwobr = new Array(52 + 1);
+
+    ftwobr[0] = 0;
+    ftwobr[1] = 0;
+    ftwobr[2] = 0;
+    ftwobr[3] = 0;
+    ftwobr[4] = 0;
+    ftwobr[5] = 15;
+    ftwobr[6] = 21;
+    ftwobr[7] = 31;
+    ftwobr[8] = 41;
+    ftwobr[9] = 44;
+    ftwobr[10] = 48;
+    ftwobr[11] = 51;
+    ftwobr[12] = 53;
+    ftwobr[13] = 60;
+    ftwobr[14] = 64;
+    ftwobr[15] = 66;
+    ftwobr[16] = 67;
+    ftwobr[17] = 69;
+    ftwobr[18] = 70;
+    ftwobr[19] = 71;
+    ftwobr[20] = 72;
+    ftwobr[21] = 73;
+    ftwobr[22] = 74;
+    ftwobr[23] = 75;
+    ftwobr[24] = 76;
+    ftwobr[25] = 76;
+    ftwobr[26] = 77;
+    ftwobr[27] = 78;
+    ftwobr[28] = 79;
+    ftwobr[29] = 80;
+    ftwobr[30] = 81;
+    ftwobr[31] = 83;
+    ftwobr[32] = 85;
+    ftwobr[33] = 87;
+    ftwobr[34] = 88;
+    ftwobr[35] = 89;
+    ftwobr[36] = 90;
+    ftwobr[37] = 91;
+    ftwobr[38] = 94;
+    ftwobr[39] = 97;
+    ftwobr[40] = 100;
+    ftwobr[41] = 102;
+    ftwobr[42] = 104;
+    ftwobr[43] = 105;
+    ftwobr[44] = 106;
+    ftwobr[45] = 108;
+    ftwobr[46] = 110;
+    ftwobr[47] = 111;
+    ftwobr[48] = 116;
+    ftwobr[49] = 118;
+    ftwobr[50] = 120;
+    ftwobr[51] = 121;
+    return ftwobr[ftwoe];
+  }
+
+  function checkfthreebr(fthreee) {
+    const fthreebr = new Array(54 + 1);
+
+    fthreebr[0] = 0;
+    fthreebr[1] = 0;
+    fthreebr[2] = 0;
+    fthreebr[3] = 0;
+    fthreebr[4] = 0;
+    fthreebr[5] = 0;
+    fthreebr[6] = 0;
+    fthreebr[7] = 0;
+    fthreebr[8] = 0;
+    fthreebr[9] = 0;
+    fthreebr[10] = 0;
+    fthreebr[11] = 0;
+    fthreebr[12] = 0;
+    fthreebr[13] = 0;
+    fthreebr[14] = 0;
+    fthreebr[15] = 0;
+    fthreebr[16] = 0;
+    fthreebr[17] = 0;
+    fthreebr[18] = 5;
+    fthreebr[19] = 10;
+    fthreebr[20] = 15;
+    fthreebr[21] = 20;
+    fthreebr[22] = 30;
+    fthreebr[23] = 37;
+    fthreebr[24] = 45;
+    fthreebr[25] = 55;
+    fthreebr[26] = 66;
+    fthreebr[27] = 68;
+    fthreebr[28] = 69;
+    fthreebr[29] = 70;
+    fthreebr[30] = 71;
+    fthreebr[31] = 72;
+    fthreebr[32] = 75;
+    fthreebr[33] = 78;
+    fthreebr[34] = 81;
+    fthreebr[35] = 84;
+    fthreebr[36] = 87;
+    fthreebr[37] = 89;
+    fthreebr[38] = 91;
+    fthreebr[39] = 93;
+    fthreebr[40] = 95;
+    fthreebr[41] = 97;
+    fthreebr[42] = 99;
+    fthreebr[43] = 101;
+    fthreebr[44] = 102;
+    fthreebr[45] = 103;
+    fthreebr[46] = 103;
+    fthreebr[47] = 104;
+    fthreebr[48] = 105;
+    fthreebr[49] = 108;
+    fthreebr[50] = 112;
+    fthreebr[51] = 116;
+    fthreebr[52] = 118;
+    fthreebr[53] = 121;
+    return fthreebr[fthreee];
+  }
+
+  function checkffourbr(ffoure) {
+    const ffourbr = new Array(53 + 1);
+
+    ffourbr[0] = 0;
+    ffourbr[1] = 0;
+    ffourbr[2] = 0;
+    ffourbr[3] = 0;
+    ffourbr[4] = 0;
+    ffourbr[5] = 0;
+    ffourbr[6] = 0;
+    ffourbr[7] = 0;
+    ffourbr[8] = 0;
+    ffourbr[9] = 0;
+    ffourbr[10] = 0;
+    ffourbr[11] = 11;
+    ffourbr[12] = 15;
+    ffourbr[13] = 18;
+    ffourbr[14] = 21;
+    ffourbr[15] = 24;
+    ffourbr[16] = 31;
+    ffourbr[17] = 36;
+    ffourbr[18] = 41;
+    ffourbr[19] = 49;
+    ffourbr[20] = 56;
+    ffourbr[21] = 58;
+    ffourbr[22] = 59;
+    ffourbr[23] = 61;
+    ffourbr[24] = 62;
+    ffourbr[25] = 63;
+    ffourbr[26] = 64;
+    ffourbr[27] = 66;
+    ffourbr[28] = 69;
+    ffourbr[29] = 70;
+    ffourbr[30] = 74;
+    ffourbr[31] = 78;
+    ffourbr[32] = 79;
+    ffourbr[33] = 80;
+    ffourbr[34] = 81;
+    ffourbr[35] = 81;
+    ffourbr[36] = 82;
+    ffourbr[37] = 83;
+    ffourbr[38] = 84;
+    ffourbr[39] = 86;
+    ffourbr[40] = 89;
+    ffourbr[41] = 91;
+    ffourbr[42] = 92;
+    ffourbr[43] = 93;
+    ffourbr[44] = 93;
+    ffourbr[45] = 94;
+    ffourbr[46] = 94;
+    ffourbr[47] = 96;
+    ffourbr[48] = 97;
+    ffourbr[49] = 99;
+    ffourbr[50] = 101;
+    ffourbr[51] = 106;
+    ffourbr[52] = 121;
+    return ffourbr[ffoure];
+  }
+
+  function checkffivebr(ffivee) {
+    const ffivebr = new Array(58 + 1);
+
+    ffivebr[0] = 0;
+    ffivebr[1] = 0;
+    ffivebr[2] = 0;
+    ffivebr[3] = 0;
+    ffivebr[4] = 0;
+    ffivebr[5] = 0;
+    ffivebr[6] = 0;
+    ffivebr[7] = 0;
+    ffivebr[8] = 0;
+    ffivebr[9] = 0;
+    ffivebr[10] = 0;
+    ffivebr[11] = 0;
+    ffivebr[12] = 0;
+    ffivebr[13] = 0;
+    ffivebr[14] = 0;
+    ffivebr[15] = 0;
+    ffivebr[16] = 3;
+    ffivebr[17] = 6;
+    ffivebr[18] = 13;
+    ffivebr[19] = 23;
+    ffivebr[20] = 33;
+    ffivebr[21] = 35;
+    ffivebr[22] = 38;
+    ffivebr[23] = 40;
+    ffivebr[24] = 43;
+    ffivebr[25] = 45;
+    ffivebr[26] = 48;
+    ffivebr[27] = 52;
+    ffivebr[28] = 58;
+    ffivebr[29] = 66;
+    ffivebr[30] = 67;
+    ffivebr[31] = 68;
+    ffivebr[32] = 69;
+    ffivebr[33] = 70;
+    ffivebr[34] = 71;
+    ffivebr[35] = 72;
+    ffivebr[36] = 73;
+    ffivebr[37] = 74;
+    ffivebr[38] = 75;
+    ffivebr[39] = 76;
+    ffivebr[40] = 77;
+    ffivebr[41] = 78;
+    ffivebr[42] = 79;
+    ffivebr[43] = 80;
+    ffivebr[44] = 81;
+    ffivebr[45] = 82;
+    ffivebr[46] = 84;
+    ffivebr[47] = 85;
+    ffivebr[48] = 86;
+    ffivebr[49] = 87;
+    ffivebr[50] = 89;
+    ffivebr[51] = 91;
+    ffivebr[52] = 96;
+    ffivebr[53] = 101;
+    ffivebr[54] = 106;
+    ffivebr[55] = 112;
+    ffivebr[56] = 118;
+    ffivebr[57] = 121;
+    return ffivebr[ffivee];
+  }
+
+  function checkfsixabr(fsixae) {
+    const fsixabr = new Array(57 + 1);
+
+    fsixabr[0] = 0;
+    fsixabr[1] = 0;
+    fsixabr[2] = 0;
+    fsixabr[3] = 0;
+    fsixabr[4] = 0;
+    fsixabr[5] = 0;
+    fsixabr[6] = 0;
+    fsixabr[7] = 0;
+    fsixabr[8] = 0;
+    fsixabr[9] = 12;
+    fsixabr[10] = 17;
+    fsixabr[11] = 22;
+    fsixabr[12] = 27;
+    fsixabr[13] = 32;
+    fsixabr[14] = 42;
+    fsixabr[15] = 45;
+    fsixabr[16] = 47;
+    fsixabr[17] = 50;
+    fsixabr[18] = 52;
+    fsixabr[19] = 57;
+    fsixabr[20] = 58;
+    fsixabr[21] = 59;
+    fsixabr[22] = 61;
+    fsixabr[23] = 62;
+    fsixabr[24] = 63;
+    fsixabr[25] = 64;
+    fsixabr[26] = 65;
+    fsixabr[27] = 66;
+    fsixabr[28] = 66;
+    fsixabr[29] = 66;
+    fsixabr[30] = 67;
+    fsixabr[31] = 69;
+    fsixabr[32] = 70;
+    fsixabr[33] = 72;
+    fsixabr[34] = 73;
+    fsixabr[35] = 75;
+    fsixabr[36] = 76;
+    fsixabr[37] = 78;
+    fsixabr[38] = 79;
+    fsixabr[39] = 80;
+    fsixabr[40] = 81;
+    fsixabr[41] = 85;
+    fsixabr[42] = 87;
+    fsixabr[43] = 89;
+    fsixabr[44] = 90;
+    fsixabr[45] = 90;
+    fsixabr[46] = 91;
+    fsixabr[47] = 95;
+    fsixabr[48] = 98;
+    fsixabr[49] = 100;
+    fsixabr[50] = 102;
+    fsixabr[51] = 103;
+    fsixabr[52] = 105;
+    fsixabr[53] = 106;
+    fsixabr[54] = 111;
+    fsixabr[55] = 116;
+    fsixabr[56] = 121;
+    return fsixabr[fsixae];
+  }
+
+  function checkfsixbbr(fsixbe) {
+    const fsixbbr = new Array(63 + 1);
+
+    fsixbbr[0] = 0;
+    fsixbbr[1] = 0;
+    fsixbbr[2] = 0;
+    fsixbbr[3] = 0;
+    fsixbbr[4] = 0;
+    fsixbbr[5] = 0;
+    fsixbbr[6] = 0;
+    fsixbbr[7] = 0;
+    fsixbbr[8] = 0;
+    fsixbbr[9] = 0;
+    fsixbbr[10] = 5;
+    fsixbbr[11] = 10;
+    fsixbbr[12] = 12;
+    fsixbbr[13] = 16;
+    fsixbbr[14] = 20;
+    fsixbbr[15] = 24;
+    fsixbbr[16] = 30;
+    fsixbbr[17] = 35;
+    fsixbbr[18] = 37;
+    fsixbbr[19] = 39;
+    fsixbbr[20] = 42;
+    fsixbbr[21] = 44;
+    fsixbbr[22] = 49;
+    fsixbbr[23] = 55;
+    fsixbbr[24] = 60;
+    fsixbbr[25] = 66;
+    fsixbbr[26] = 67;
+    fsixbbr[27] = 68;
+    fsixbbr[28] = 69;
+    fsixbbr[29] = 70;
+    fsixbbr[30] = 71;
+    fsixbbr[31] = 72;
+    fsixbbr[32] = 73;
+    fsixbbr[33] = 74;
+    fsixbbr[34] = 75;
+    fsixbbr[35] = 76;
+    fsixbbr[36] = 76;
+    fsixbbr[37] = 77;
+    fsixbbr[38] = 78;
+    fsixbbr[39] = 79;
+    fsixbbr[40] = 80;
+    fsixbbr[41] = 81;
+    fsixbbr[42] = 83;
+    fsixbbr[43] = 84;
+    fsixbbr[44] = 85;
+    fsixbbr[45] = 86;
+    fsixbbr[46] = 87;
+    fsixbbr[47] = 88;
+    fsixbbr[48] = 89;
+    fsixbbr[49] = 90;
+    fsixbbr[50] = 91;
+    fsixbbr[51] = 93;
+    fsixbbr[52] = 95;
+    fsixbbr[53] = 97;
+    fsixbbr[54] = 99;
+    fsixbbr[55] = 101;
+    fsixbbr[56] = 103;
+    fsixbbr[57] = 106;
+    fsixbbr[58] = 111;
+    fsixbbr[59] = 115;
+    fsixbbr[60] = 117;
+    fsixbbr[61] = 119;
+    fsixbbr[62] = 121;
+    return fsixbbr[fsixbe];
+  }
+
+  function checkfsevenbr(fsevene) {
+    const fsevenbr = new Array(61 + 1);
+
+    fsevenbr[0] = 0;
+    fsevenbr[1] = 0;
+    fsevenbr[2] = 0;
+    fsevenbr[3] = 0;
+    fsevenbr[4] = 0;
+    fsevenbr[5] = 0;
+    fsevenbr[6] = 0;
+    fsevenbr[7] = 0;
+    fsevenbr[8] = 0;
+    fsevenbr[9] = 0;
+    fsevenbr[10] = 0;
+    fsevenbr[11] = 0;
+    fsevenbr[12] = 0;
+    fsevenbr[13] = 0;
+    fsevenbr[14] = 0;
+    fsevenbr[15] = 0;
+    fsevenbr[16] = 0;
+    fsevenbr[17] = 0;
+    fsevenbr[18] = 0;
+    fsevenbr[19] = 0;
+    fsevenbr[20] = 10;
+    fsevenbr[21] = 14;
+    fsevenbr[22] = 16;
+    fsevenbr[23] = 21;
+    fsevenbr[24] = 26;
+    fsevenbr[25] = 31;
+    fsevenbr[26] = 36;
+    fsevenbr[27] = 41;
+    fsevenbr[28] = 44;
+    fsevenbr[29] = 47;
+    fsevenbr[30] = 50;
+    fsevenbr[31] = 54;
+    fsevenbr[32] = 58;
+    fsevenbr[33] = 61;
+    fsevenbr[34] = 61;
+    fsevenbr[35] = 62;
+    fsevenbr[36] = 63;
+    fsevenbr[37] = 64;
+    fsevenbr[38] = 68;
+    fsevenbr[39] = 71;
+    fsevenbr[40] = 74;
+    fsevenbr[41] = 78;
+    fsevenbr[42] = 82;
+    fsevenbr[43] = 84;
+    fsevenbr[44] = 86;
+    fsevenbr[45] = 89;
+    fsevenbr[46] = 91;
+    fsevenbr[47] = 92;
+    fsevenbr[48] = 93;
+    fsevenbr[49] = 94;
+    fsevenbr[50] = 94;
+    fsevenbr[51] = 95;
+    fsevenbr[52] = 95;
+    fsevenbr[53] = 96;
+    fsevenbr[54] = 98;
+    fsevenbr[55] = 100;
+    fsevenbr[56] = 103;
+    fsevenbr[57] = 106;
+    fsevenbr[58] = 111;
+    fsevenbr[59] = 116;
+    fsevenbr[60] = 121;
+    return fsevenbr[fsevene];
+  }
+
+  function checkfeightabr(feightae) {
+    const feightabr = new Array(54 + 1);
+
+    feightabr[0] = 0;
+    feightabr[1] = 0;
+    feightabr[2] = 0;
+    feightabr[3] = 0;
+    feightabr[4] = 0;
+    feightabr[5] = 0;
+    feightabr[6] = 0;
+    feightabr[7] = 0;
+    feightabr[8] = 0;
+    feightabr[9] = 5;
+    feightabr[10] = 7;
+    feightabr[11] = 12;
+    feightabr[12] = 17;
+    feightabr[13] = 24;
+    feightabr[14] = 28;
+    feightabr[15] = 32;
+    feightabr[16] = 34;
+    feightabr[17] = 35;
+    feightabr[18] = 40;
+    feightabr[19] = 45;
+    feightabr[20] = 48;
+    feightabr[21] = 50;
+    feightabr[22] = 51;
+    feightabr[23] = 52;
+    feightabr[24] = 53;
+    feightabr[25] = 57;
+    feightabr[26] = 63;
+    feightabr[27] = 66;
+    feightabr[28] = 67;
+    feightabr[29] = 68;
+    feightabr[30] = 69;
+    feightabr[31] = 72;
+    feightabr[32] = 73;
+    feightabr[33] = 74;
+    feightabr[34] = 77;
+    feightabr[35] = 78;
+    feightabr[36] = 79;
+    feightabr[37] = 79;
+    feightabr[38] = 80;
+    feightabr[39] = 81;
+    feightabr[40] = 85;
+    feightabr[41] = 88;
+    feightabr[42] = 89;
+    feightabr[43] = 90;
+    feightabr[44] = 93;
+    feightabr[45] = 96;
+    feightabr[46] = 100;
+    feightabr[47] = 104;
+    feightabr[48] = 109;
+    feightabr[49] = 111;
+    feightabr[50] = 113;
+    feightabr[51] = 115;
+    feightabr[52] = 118;
+    feightabr[53] = 121;
+    return feightabr[feightae];
+  }
+
+  function checkfeightbbr(feightbe) {
+    const feightbbr = new Array(49 + 1);
+
+    feightbbr[0] = 0;
+    feightbbr[1] = 0;
+    feightbbr[2] = 0;
+    feightbbr[3] = 10;
+    feightbbr[4] = 15;
+    feightbbr[5] = 20;
+    feightbbr[6] = 25;
+    feightbbr[7] = 30;
+    feightbbr[8] = 34;
+    feightbbr[9] = 37;
+    feightbbr[10] = 40;
+    feightbbr[11] = 42;
+    feightbbr[12] = 45;
+    feightbbr[13] = 52;
+    feightbbr[14] = 58;
+    feightbbr[15] = 66;
+    feightbbr[16] = 67;
+    feightbbr[17] = 68;
+    feightbbr[18] = 69;
+    feightbbr[19] = 70;
+    feightbbr[20] = 71;
+    feightbbr[21] = 72;
+    feightbbr[22] = 74;
+    feightbbr[23] = 75;
+    feightbbr[24] = 75;
+    feightbbr[25] = 76;
+    feightbbr[26] = 76;
+    feightbbr[27] = 77;
+    feightbbr[28] = 78;
+    feightbbr[29] = 79;
+    feightbbr[30] = 80;
+    feightbbr[31] = 81;
+    feightbbr[32] = 83;
+    feightbbr[33] = 86;
+    feightbbr[34] = 87;
+    feightbbr[35] = 90;
+    feightbbr[36] = 92;
+    feightbbr[37] = 95;
+    feightbbr[38] = 99;
+    feightbbr[39] = 102;
+    feightbbr[40] = 104;
+    feightbbr[41] = 106;
+    feightbbr[42] = 106;
+    feightbbr[43] = 107;
+    feightbbr[44] = 108;
+    feightbbr[45] = 111;
+    feightbbr[46] = 116;
+    feightbbr[47] = 118;
+    feightbbr[48] = 121;
+    return feightbbr[feightbe];
+  }
+
+  function checkfsbr(fse) {
+    const fsbr = new Array(49 + 1);
+
+    fsbr[0] = 0;
+    fsbr[1] = 0;
+    fsbr[2] = 0;
+    fsbr[3] = 16;
+    fsbr[4] = 26;
+    fsbr[5] = 41;
+    fsbr[6] = 42;
+    fsbr[7] = 43;
+    fsbr[8] = 43;
+    fsbr[9] = 44;
+    fsbr[10] = 44;
+    fsbr[11] = 44;
+    fsbr[12] = 45;
+    fsbr[13] = 46;
+    fsbr[14] = 47;
+    fsbr[15] = 48;
+    fsbr[16] = 51;
+    fsbr[17] = 53;
+    fsbr[18] = 54;
+    fsbr[19] = 60;
+    fsbr[20] = 61;
+    fsbr[21] = 62;
+    fsbr[22] = 64;
+    fsbr[23] = 65;
+    fsbr[24] = 66;
+    fsbr[25] = 66;
+    fsbr[26] = 66;
+    fsbr[27] = 66;
+    fsbr[28] = 66;
+    fsbr[29] = 66;
+    fsbr[30] = 67;
+    fsbr[31] = 67;
+    fsbr[32] = 68;
+    fsbr[33] = 68;
+    fsbr[34] = 69;
+    fsbr[35] = 70;
+    fsbr[36] = 71;
+    fsbr[37] = 72;
+    fsbr[38] = 73;
+    fsbr[39] = 74;
+    fsbr[40] = 76;
+    fsbr[41] = 79;
+    fsbr[42] = 81;
+    fsbr[43] = 89;
+    fsbr[44] = 96;
+    fsbr[45] = 102;
+    fsbr[46] = 108;
+    fsbr[47] = 116;
+    fsbr[48] = 121;
+    return fsbr[fse];
+  }
+
+  function checkfcbr(fce) {
+    const fcbr = new Array(66 + 1);
+
+    fcbr[0] = 0;
+    fcbr[1] = 0;
+    fcbr[2] = 0;
+    fcbr[3] = 0;
+    fcbr[4] = 5;
+    fcbr[5] = 10;
+    fcbr[6] = 20;
+    fcbr[7] = 26;
+    fcbr[8] = 31;
+    fcbr[9] = 33;
+    fcbr[10] = 34;
+    fcbr[11] = 36;
+    fcbr[12] = 37;
+    fcbr[13] = 38;
+    fcbr[14] = 39;
+    fcbr[15] = 40;
+    fcbr[16] = 41;
+    fcbr[17] = 43;
+    fcbr[18] = 46;
+    fcbr[19] = 51;
+    fcbr[20] = 52;
+    fcbr[21] = 53;
+    fcbr[22] = 54;
+    fcbr[23] = 55;
+    fcbr[24] = 56;
+    fcbr[25] = 57;
+    fcbr[26] = 58;
+    fcbr[27] = 59;
+    fcbr[28] = 60;
+    fcbr[29] = 60;
+    fcbr[30] = 61;
+    fcbr[31] = 62;
+    fcbr[32] = 62;
+    fcbr[33] = 63;
+    fcbr[34] = 64;
+    fcbr[35] = 64;
+    fcbr[36] = 65;
+    fcbr[37] = 66;
+    fcbr[38] = 66;
+    fcbr[39] = 67;
+    fcbr[40] = 68;
+    fcbr[41] = 68;
+    fcbr[42] = 69;
+    fcbr[43] = 70;
+    fcbr[44] = 70;
+    fcbr[45] = 71;
+    fcbr[46] = 72;
+    fcbr[47] = 72;
+    fcbr[48] = 73;
+    fcbr[49] = 73;
+    fcbr[50] = 74;
+    fcbr[51] = 75;
+    fcbr[52] = 78;
+    fcbr[53] = 81;
+    fcbr[54] = 83;
+    fcbr[55] = 85;
+    fcbr[56] = 88;
+    fcbr[57] = 92;
+    fcbr[58] = 96;
+    fcbr[59] = 100;
+    fcbr[60] = 103;
+    fcbr[61] = 106;
+    fcbr[62] = 109;
+    fcbr[63] = 112;
+    fcbr[64] = 115;
+    fcbr[65] = 121;
+    return fcbr[fce];
+  }
+
+  function checkfpbr(fpe) {
+    const fpbr = new Array(60 + 1);
+
+    fpbr[0] = 7;
+    fpbr[1] = 7;
+    fpbr[2] = 7;
+    fpbr[3] = 12;
+    fpbr[4] = 17;
+    fpbr[5] = 22;
+    fpbr[6] = 27;
+    fpbr[7] = 32;
+    fpbr[8] = 37;
+    fpbr[9] = 40;
+    fpbr[10] = 42;
+    fpbr[11] = 43;
+    fpbr[12] = 45;
+    fpbr[13] = 47;
+    fpbr[14] = 49;
+    fpbr[15] = 52;
+    fpbr[16] = 53;
+    fpbr[17] = 57;
+    fpbr[18] = 62;
+    fpbr[19] = 67;
+    fpbr[20] = 67;
+    fpbr[21] = 67;
+    fpbr[22] = 67;
+    fpbr[23] = 67;
+    fpbr[24] = 67;
+    fpbr[25] = 67;
+    fpbr[26] = 67;
+    fpbr[27] = 67;
+    fpbr[28] = 67;
+    fpbr[29] = 67;
+    fpbr[30] = 67;
+    fpbr[31] = 67;
+    fpbr[32] = 67;
+    fpbr[33] = 67;
+    fpbr[34] = 67;
+    fpbr[35] = 67;
+    fpbr[36] = 67;
+    fpbr[37] = 67;
+    fpbr[38] = 69;
+    fpbr[39] = 71;
+    fpbr[40] = 73;
+    fpbr[41] = 75;
+    fpbr[42] = 77;
+    fpbr[43] = 80;
+    fpbr[44] = 82;
+    fpbr[45] = 84;
+    fpbr[46] = 86;
+    fpbr[47] = 88;
+    fpbr[48] = 90;
+    fpbr[49] = 92;
+    fpbr[50] = 96;
+    fpbr[51] = 100;
+    fpbr[52] = 104;
+    fpbr[53] = 107;
+    fpbr[54] = 109;
+    fpbr[55] = 111;
+    fpbr[56] = 114;
+    fpbr[57] = 117;
+    fpbr[58] = 119;
+    fpbr[59] = 121;
+    return fpbr[fpe];
+  }
+
+  function checkfabr(fae) {
+    const fabr = new Array(40 + 1);
+
+    fabr[0] = 0;
+    fabr[1] = 0;
+    fabr[2] = 0;
+    fabr[3] = 5;
+    fabr[4] = 10;
+    fabr[5] = 15;
+    fabr[6] = 20;
+    fabr[7] = 30;
+    fabr[8] = 32;
+    fabr[9] = 35;
+    fabr[10] = 37;
+    fabr[11] = 40;
+    fabr[12] = 42;
+    fabr[13] = 48;
+    fabr[14] = 52;
+    fabr[15] = 57;
+    fabr[16] = 60;
+    fabr[17] = 64;
+    fabr[18] = 68;
+    fabr[19] = 72;
+    fabr[20] = 75;
+    fabr[21] = 77;
+    fabr[22] = 80;
+    fabr[23] = 82;
+    fabr[24] = 85;
+    fabr[25] = 87;
+    fabr[26] = 88;
+    fabr[27] = 89;
+    fabr[28] = 91;
+    fabr[29] = 93;
+    fabr[30] = 95;
+    fabr[31] = 97;
+    fabr[32] = 99;
+    fabr[33] = 101;
+    fabr[34] = 103;
+    fabr[35] = 105;
+    fabr[36] = 107;
+    fabr[37] = 109;
+    fabr[38] = 112;
+    fabr[39] = 115;
+    return fabr[fae];
+  }
+
+  function checkfhbr(fhe) {
+    const fhbr = new Array(45 + 1);
+
+    fhbr[0] = 10;
+    fhbr[1] = 10;
+    fhbr[2] = 10;
+    fhbr[3] = 25;
+    fhbr[4] = 30;
+    fhbr[5] = 35;
+    fhbr[6] = 40;
+    fhbr[7] = 43;
+    fhbr[8] = 45;
+    fhbr[9] = 50;
+    fhbr[10] = 52;
+    fhbr[11] = 55;
+    fhbr[12] = 57;
+    fhbr[13] = 57;
+    fhbr[14] = 58;
+    fhbr[15] = 59;
+    fhbr[16] = 59;
+    fhbr[17] = 59;
+    fhbr[18] = 60;
+    fhbr[19] = 61;
+    fhbr[20] = 62;
+    fhbr[21] = 63;
+    fhbr[22] = 64;
+    fhbr[23] = 65;
+    fhbr[24] = 65;
+    fhbr[25] = 66;
+    fhbr[26] = 66;
+    fhbr[27] = 67;
+    fhbr[28] = 68;
+    fhbr[29] = 69;
+    fhbr[30] = 70;
+    fhbr[31] = 70;
+    fhbr[32] = 71;
+    fhbr[33] = 73;
+    fhbr[34] = 74;
+    fhbr[35] = 75;
+    fhbr[36] = 80;
+    fhbr[37] = 85;
+    fhbr[38] = 89;
+    fhbr[39] = 94;
+    fhbr[40] = 97;
+    fhbr[41] = 100;
+    fhbr[42] = 105;
+    fhbr[43] = 110;
+    fhbr[44] = 115;
+    return fhbr[fhe];
+  }
+
+  function checkfnbr(fne) {
+    const fnbr = new Array(46 + 1);
+
+    fnbr[0] = 0;
+    fnbr[1] = 0;
+    fnbr[2] = 0;
+    fnbr[3] = 0;
+    fnbr[4] = 5;
+    fnbr[5] = 7;
+    fnbr[6] = 9;
+    fnbr[7] = 12;
+    fnbr[8] = 15;
+    fnbr[9] = 18;
+    fnbr[10] = 25;
+    fnbr[11] = 30;
+    fnbr[12] = 35;
+    fnbr[13] = 37;
+    fnbr[14] = 40;
+    fnbr[15] = 42;
+    fnbr[16] = 45;
+    fnbr[17] = 47;
+    fnbr[18] = 50;
+    fnbr[19] = 52;
+    fnbr[20] = 55;
+    fnbr[21] = 57;
+    fnbr[22] = 60;
+    fnbr[23] = 60;
+    fnbr[24] = 60;
+    fnbr[25] = 60;
+    fnbr[26] = 60;
+    fnbr[27] = 60;
+    fnbr[28] = 60;
+    fnbr[29] = 61;
+    fnbr[30] = 62;
+    fnbr[31] = 64;
+    fnbr[32] = 65;
+    fnbr[33] = 67;
+    fnbr[34] = 68;
+    fnbr[35] = 70;
+    fnbr[36] = 73;
+    fnbr[37] = 74;
+    fnbr[38] = 76;
+    fnbr[39] = 79;
+    fnbr[40] = 81;
+    fnbr[41] = 84;
+    fnbr[42] = 90;
+    fnbr[43] = 97;
+    fnbr[44] = 110;
+    fnbr[45] = 115;
+    return fnbr[fne];
+  }
+
+  function checkfdbr(fde) {
+    const fdbr = new Array(58 + 1);
+
+    fdbr[0] = 0;
+    fdbr[1] = 0;
+    fdbr[2] = 0;
+    fdbr[3] = 0;
+    fdbr[4] = 0;
+    fdbr[5] = 0;
+    fdbr[6] = 0;
+    fdbr[7] = 0;
+    fdbr[8] = 0;
+    fdbr[9] = 5;
+    fdbr[10] = 10;
+    fdbr[11] = 15;
+    fdbr[12] = 19;
+    fdbr[13] = 22;
+    fdbr[14] = 25;
+    fdbr[15] = 27;
+    fdbr[16] = 29;
+    fdbr[17] = 31;
+    fdbr[18] = 33;
+    fdbr[19] = 35;
+    fdbr[20] = 37;
+    fdbr[21] = 39;
+    fdbr[22] = 41;
+    fdbr[23] = 44;
+    fdbr[24] = 46;
+    fdbr[25] = 53;
+    fdbr[26] = 58;
+    fdbr[27] = 61;
+    fdbr[28] = 65;
+    fdbr[29] = 70;
+    fdbr[30] = 74;
+    fdbr[31] = 76;
+    fdbr[32] = 77;
+    fdbr[33] = 79;
+    fdbr[34] = 82;
+    fdbr[35] = 86;
+    fdbr[36] = 88;
+    fdbr[37] = 89;
+    fdbr[38] = 90;
+    fdbr[39] = 91;
+    fdbr[40] = 91;
+    fdbr[41] = 91;
+    fdbr[42] = 91;
+    fdbr[43] = 92;
+    fdbr[44] = 92;
+    fdbr[45] = 92;
+    fdbr[46] = 93;
+    fdbr[47] = 93;
+    fdbr[48] = 93;
+    fdbr[49] = 94;
+    fdbr[50] = 95;
+    fdbr[51] = 96;
+    fdbr[52] = 97;
+    fdbr[53] = 98;
+    fdbr[54] = 100;
+    fdbr[55] = 105;
+    fdbr[56] = 110;
+    fdbr[57] = 115;
+    return fdbr[fde];
+  }
+
+  function checkfbbr(fbe) {
+    const fbbr = new Array(51 + 1);
+
+    fbbr[0] = 0;
+    fbbr[1] = 0;
+    fbbr[2] = 0;
+    fbbr[3] = 0;
+    fbbr[4] = 0;
+    fbbr[5] = 0;
+    fbbr[6] = 0;
+    fbbr[7] = 0;
+    fbbr[8] = 10;
+    fbbr[9] = 15;
+    fbbr[10] = 20;
+    fbbr[11] = 25;
+    fbbr[12] = 35;
+    fbbr[13] = 37;
+    fbbr[14] = 39;
+    fbbr[15] = 42;
+    fbbr[16] = 45;
+    fbbr[17] = 47;
+    fbbr[18] = 49;
+    fbbr[19] = 52;
+    fbbr[20] = 55;
+    fbbr[21] = 57;
+    fbbr[22] = 59;
+    fbbr[23] = 60;
+    fbbr[24] = 60;
+    fbbr[25] = 60;
+    fbbr[26] = 60;
+    fbbr[27] = 60;
+    fbbr[28] = 60;
+    fbbr[29] = 61;
+    fbbr[30] = 63;
+    fbbr[31] = 65;
+    fbbr[32] = 67;
+    fbbr[33] = 69;
+    fbbr[34] = 71;
+    fbbr[35] = 73;
+    fbbr[36] = 75;
+    fbbr[37] = 78;
+    fbbr[38] = 82;
+    fbbr[39] = 85;
+    fbbr[40] = 89;
+    fbbr[41] = 91;
+    fbbr[42] = 94;
+    fbbr[43] = 96;
+    fbbr[44] = 98;
+    fbbr[45] = 100;
+    fbbr[46] = 103;
+    fbbr[47] = 106;
+    fbbr[48] = 109;
+    fbbr[49] = 112;
+    fbbr[50] = 115;
+    return fbbr[fbe];
+  }
+
+  function checkftbr(fte) {
+    const ftbr = new Array(64 + 1);
+
+    ftbr[0] = 0;
+    ftbr[1] = 0;
+    ftbr[2] = 0;
+    ftbr[3] = 0;
+    ftbr[4] = 0;
+    ftbr[5] = 0;
+    ftbr[6] = 0;
+    ftbr[7] = 4;
+    ftbr[8] = 8;
+    ftbr[9] = 12;
+    ftbr[10] = 16;
+    ftbr[11] = 20;
+    ftbr[12] = 25;
+    ftbr[13] = 30;
+    ftbr[14] = 35;
+    ftbr[15] = 37;
+    ftbr[16] = 39;
+    ftbr[17] = 41;
+    ftbr[18] = 43;
+    ftbr[19] = 45;
+    ftbr[20] = 48;
+    ftbr[21] = 51;
+    ftbr[22] = 55;
+    ftbr[23] = 58;
+    ftbr[24] = 60;
+    ftbr[25] = 60;
+    ftbr[26] = 60;
+    ftbr[27] = 60;
+    ftbr[28] = 60;
+    ftbr[29] = 61;
+    ftbr[30] = 62;
+    ftbr[31] = 63;
+    ftbr[32] = 64;
+    ftbr[33] = 66;
+    ftbr[34] = 67;
+    ftbr[35] = 68;
+    ftbr[36] = 69;
+    ftbr[37] = 70;
+    ftbr[38] = 71;
+    ftbr[39] = 72;
+    ftbr[40] = 72;
+    ftbr[41] = 73;
+    ftbr[42] = 74;
+    ftbr[43] = 75;
+    ftbr[44] = 77;
+    ftbr[45] = 78;
+    ftbr[46] = 79;
+    ftbr[47] = 80;
+    ftbr[48] = 81;
+    ftbr[49] = 83;
+    ftbr[50] = 85;
+    ftbr[51] = 87;
+    ftbr[52] = 88;
+    ftbr[53] = 89;
+    ftbr[54] = 90;
+    ftbr[55] = 92;
+    ftbr[56] = 95;
+    ftbr[57] = 97;
+    ftbr[58] = 100;
+    ftbr[59] = 102;
+    ftbr[60] = 104;
+    ftbr[61] = 107;
+    ftbr[62] = 110;
+    ftbr[63] = 115;
+    return ftbr[fte];
+  }
+
+  function checkfssbr(fsse) {
+    const fssbr = new Array(48 + 1);
+
+    fssbr[0] = 0;
+    fssbr[1] = 0;
+    fssbr[2] = 0;
+    fssbr[3] = 35;
+    fssbr[4] = 38;
+    fssbr[5] = 40;
+    fssbr[6] = 42;
+    fssbr[7] = 45;
+    fssbr[8] = 47;
+    fssbr[9] = 55;
+    fssbr[10] = 60;
+    fssbr[11] = 60;
+    fssbr[12] = 60;
+    fssbr[13] = 60;
+    fssbr[14] = 60;
+    fssbr[15] = 60;
+    fssbr[16] = 60;
+    fssbr[17] = 60;
+    fssbr[18] = 60;
+    fssbr[19] = 60;
+    fssbr[20] = 60;
+    fssbr[21] = 62;
+    fssbr[22] = 62;
+    fssbr[23] = 64;
+    fssbr[24] = 65;
+    fssbr[25] = 67;
+    fssbr[26] = 69;
+    fssbr[27] = 70;
+    fssbr[28] = 72;
+    fssbr[29] = 73;
+    fssbr[30] = 75;
+    fssbr[31] = 80;
+    fssbr[32] = 81;
+    fssbr[33] = 83;
+    fssbr[34] = 85;
+    fssbr[35] = 87;
+    fssbr[36] = 89;
+    fssbr[37] = 90;
+    fssbr[38] = 95;
+    fssbr[39] = 97;
+    fssbr[40] = 98;
+    fssbr[41] = 99;
+    fssbr[42] = 100;
+    fssbr[43] = 102;
+    fssbr[44] = 104;
+    fssbr[45] = 105;
+    fssbr[46] = 110;
+    fssbr[47] = 115;
+    return fssbr[fsse];
+  }
+
+  function checkfccbr(fcce) {
+    const fccbr = new Array(49 + 1);
+
+    fccbr[0] = 0;
+    fccbr[1] = 0;
+    fccbr[2] = 0;
+    fccbr[3] = 10;
+    fccbr[4] = 25;
+    fccbr[5] = 35;
+    fccbr[6] = 45;
+    fccbr[7] = 47;
+    fccbr[8] = 50;
+    fccbr[9] = 52;
+    fccbr[10] = 53;
+    fccbr[11] = 54;
+    fccbr[12] = 55;
+    fccbr[13] = 56;
+    fccbr[14] = 57;
+    fccbr[15] = 58;
+    fccbr[16] = 59;
+    fccbr[17] = 60;
+    fccbr[18] = 60;
+    fccbr[19] = 60;
+    fccbr[20] = 60;
+    fccbr[21] = 60;
+    fccbr[22] = 60;
+    fccbr[23] = 60;
+    fccbr[24] = 60;
+    fccbr[25] = 60;
+    fccbr[26] = 61;
+    fccbr[27] = 61;
+    fccbr[28] = 62;
+    fccbr[29] = 64;
+    fccbr[30] = 66;
+    fccbr[31] = 67;
+    fccbr[32] = 69;
+    fccbr[33] = 71;
+    fccbr[34] = 72;
+    fccbr[35] = 73;
+    fccbr[36] = 76;
+    fccbr[37] = 77;
+    fccbr[38] = 78;
+    fccbr[39] = 79;
+    fccbr[40] = 80;
+    fccbr[41] = 81;
+    fccbr[42] = 82;
+    fccbr[43] = 83;
+    fccbr[44] = 88;
+    fccbr[45] = 95;
+    fccbr[46] = 100;
+    fccbr[47] = 110;
+    fccbr[48] = 115;
+    return fccbr[fcce];
+  }
+
+  function checkfppbr(fppe) {
+    const fppbr = new Array(37 + 1);
+
+    fppbr[0] = 0;
+    fppbr[1] = 0;
+    fppbr[2] = 0;
+    fppbr[3] = 15;
+    fppbr[4] = 35;
+    fppbr[5] = 37;
+    fppbr[6] = 40;
+    fppbr[7] = 45;
+    fppbr[8] = 55;
+    fppbr[9] = 60;
+    fppbr[10] = 60;
+    fppbr[11] = 60;
+    fppbr[12] = 60;
+    fppbr[13] = 60;
+    fppbr[14] = 60;
+    fppbr[15] = 60;
+    fppbr[16] = 61;
+    fppbr[17] = 62;
+    fppbr[18] = 64;
+    fppbr[19] = 65;
+    fppbr[20] = 67;
+    fppbr[21] = 70;
+    fppbr[22] = 71;
+    fppbr[23] = 73;
+    fppbr[24] = 74;
+    fppbr[25] = 76;
+    fppbr[26] = 82;
+    fppbr[27] = 86;
+    fppbr[28] = 87;
+    fppbr[29] = 88;
+    fppbr[30] = 91;
+    fppbr[31] = 94;
+    fppbr[32] = 97;
+    fppbr[33] = 100;
+    fppbr[34] = 105;
+    fppbr[35] = 110;
+    fppbr[36] = 115;
+    return fppbr[fppe];
+  }
+
+  function checkfybr(fye) {
+    const fybr = new Array(22 + 1);
+
+    fybr[0] = 0;
+    fybr[1] = 0;
+    fybr[2] = 0;
+    fybr[3] = 10;
+    fybr[4] = 20;
+    fybr[5] = 24;
+    fybr[6] = 28;
+    fybr[7] = 34;
+    fybr[8] = 35;
+    fybr[9] = 41;
+    fybr[10] = 45;
+    fybr[11] = 50;
+    fybr[12] = 57;
+    fybr[13] = 63;
+    fybr[14] = 67;
+    fybr[15] = 71;
+    fybr[16] = 75;
+    fybr[17] = 80;
+    fybr[18] = 85;
+    fybr[19] = 91;
+    fybr[20] = 95;
+    fybr[21] = 100;
+    return fybr[fye];
+  }
+
+  function checkfzbr(fze) {
+    const fzbr = new Array(36 + 1);
+
+    fzbr[0] = 0;
+    fzbr[1] = 15;
+    fzbr[2] = 25;
+    fzbr[3] = 34;
+    fzbr[4] = 35;
+    fzbr[5] = 37;
+    fzbr[6] = 40;
+    fzbr[7] = 43;
+    fzbr[8] = 45;
+    fzbr[9] = 46;
+    fzbr[10] = 48;
+    fzbr[11] = 49;
+    fzbr[12] = 51;
+    fzbr[13] = 52;
+    fzbr[14] = 54;
+    fzbr[15] = 55;
+    fzbr[16] = 57;
+    fzbr[17] = 59;
+    fzbr[18] = 61;
+    fzbr[19] = 63;
+    fzbr[20] = 65;
+    fzbr[21] = 67;
+    fzbr[22] = 69;
+    fzbr[23] = 71;
+    fzbr[24] = 73;
+    fzbr[25] = 75;
+    fzbr[26] = 78;
+    fzbr[27] = 82;
+    fzbr[28] = 85;
+    fzbr[29] = 87;
+    fzbr[30] = 88;
+    fzbr[31] = 90;
+    fzbr[32] = 92;
+    fzbr[33] = 94;
+    fzbr[34] = 97;
+    fzbr[35] = 100;
+    return fzbr[fze];
+  }
+
+  function male() {
+    rawbr[1] = checkybr(w[1]);
+    rawbr[2] = checkzbr(w[2]);
+    rawbr[3] = checkonebr(w[3]);
+    rawbr[4] = checktwobr(w[4]);
+    rawbr[5] = checkthreebr(w[5]);
+    rawbr[6] = checkfourbr(w[6]);
+    rawbr[7] = checkfivebr(w[7]);
+    rawbr[8] = checksixabr(w[8]);
+    rawbr[9] = checksixbbr(w[9]);
+    rawbr[10] = checksevenbr(w[10]);
+    rawbr[11] = checkeightabr(w[11]);
+    rawbr[12] = checkeightbbr(w[12]);
+    rawbr[13] = checksbr(w[13]);
+    rawbr[14] = checkcbr(w[14]);
+    rawbr[15] = checkpbr(w[15]);
+    rawbr[16] = checkabr(w[16]);
+    rawbr[17] = checkhbr(w[17]);
+    rawbr[18] = checknbr(w[18]);
+    rawbr[19] = checkdbr(w[19]);
+    rawbr[20] = checkbbr(w[20]);
+    rawbr[21] = checktbr(w[21]);
+    rawbr[22] = checkssbr(w[22]);
+    rawbr[23] = checkccbr(w[23]);
+    rawbr[24] = checkppbr(w[24]);
+    return null;
+  }
+
+  function female() {
+    rawbr[1] = checkfybr(w[1]);
+    rawbr[2] = checkfzbr(w[2]);
+    rawbr[3] = checkfonebr(w[3]);
+    rawbr[4] = checkftwobr(w[4]);
+    rawbr[5] = checkfthreebr(w[5]);
+    rawbr[6] = checkffourbr(w[6]);
+    rawbr[7] = checkffivebr(w[7]);
+    rawbr[8] = checkfsixabr(w[8]);
+    rawbr[9] = checkfsixbbr(w[9]);
+    rawbr[10] = checkfsevenbr(w[10]);
+    rawbr[11] = checkfeightabr(w[11]);
+    rawbr[12] = checkfeightbbr(w[12]);
+    rawbr[13] = checkfsbr(w[13]);
+    rawbr[14] = checkfcbr(w[14]);
+    rawbr[15] = checkfpbr(w[15]);
+    rawbr[16] = checkfabr(w[16]);
+    rawbr[17] = checkfhbr(w[17]);
+    rawbr[18] = checkfnbr(w[18]);
+    rawbr[19] = checkfdbr(w[19]);
+    rawbr[20] = checkfbbr(w[20]);
+    rawbr[21] = checkftbr(w[21]);
+    rawbr[22] = checkfssbr(w[22]);
+    rawbr[23] = checkfccbr(w[23]);
+    rawbr[24] = checkfppbr(w[24]);
+    return null;
+  }
+
+  function daadjust() {
+    let dcorrect, xcor, acorrect;
+    let returnValue = null;
+
+    dcorrect = vb.Add(rawbr[19], xcor);
+    acorrect = vb.Add(rawbr[16], xcor);
+    if (dcorrect >= 85) {
+      if (acorrect < 85) {
+        returnValue = vb.Subtract(dcorrect, 85);
+      } else {
+        returnValue = acorrect + dcorrect - 170;
+      }
+    } else {
+      returnValue = 0;
+    }
+    return returnValue;
+  }
+
+  function ddadjust() {
+    let dd, rdd;
+
+    dd = vb.Subtract(rawbr[1], rawbr[2]) / 10;
+    if (Math.abs(dd - vb.Round(dd)) === 0.5) {
+      if (dd === Math.abs(dd)) {
+        dd = dd + 0.1;
+      } else {
+        dd = vb.Subtract(dd, 0.1);
+      }
+    }
+    rdd = vb.Round(dd);
+    if (rdd > 10) rdd = 10;
+    if (rdd < -10) rdd = -10;
+    return rdd;
+  }
+
+  function dcadjust() {
+    let biggest, bigger;
+
+    biggest = 0;
+    bigger = 0;
+    for (let j = 3; j <= 12; j++) {
+      if (vb.Compare(biggest, fordc[j]) < 0) {
+        biggest = fordc[j];
+        g = j;
+      }
+    }
+    for (let j = 3; j <= 12; j++) {
+      if (j === g) j = j + 1;
+      if (vb.Compare(bigger, fordc[j]) < 0) {
+        bigger = fordc[j];
+        gp = j;
+      }
+    }
+    return null;
+  }
+
+  function buttvalidate(context) {
+    if (vb.Compare(context.age, "", "right") === 0) {
+      alert("لطفاً حداقل خانه مربوط به سن را پر کنيد");
+    } else if (!vb.IsNumeric(context.age)) {
+      alert("لطفاً در خانه مربوط به سن يک عدد وارد کنيد");
+    } else if (vb.Compare(context.age, 120, "right") > 0 || vb.Compare(context.age, 13, "right") < 0) {
+      alert("سن شما برای اين تست مناسب نيست");
+    } else if (!(context.gender === "female") && !(context.gender === "male")) {
+      alert("لطفاً دايره مربوط به جنسيت را پر کنيد");
+    } else {
+      buttclick(context);
+    }
+    return null;
+  }
+
+  function buttclick(context) {
+    let xcor, total, fname, name, code, age, rawx, rx, rrawx, hxcor, xscore, dacontain, ddcontain, inpadjust, da, dac, xx;
+    const results = {
+      title: null,
+      rows: [],
+      xScore: null,
+      message: null,
+      saveAs: null,
+    };
+
+    total = v(context) + pp(context) + cc(context) + ss(context) + t(context) + b(context) + n(context) + d(context) + h(context) + a(context) + p(context) + c(context) + s(context) + eightb(context) + eighta(context) + seven(context) + sixb(context) + sixa(context) + five(context) + four(context) + three(context) + two(context) + one(context) + z(context) + y(context);
+    fname = context.reportName;
+    if (!(vb.Compare(context.name, "", "right") === 0) && !(vb.Compare(context.code, "", "right") === 0)) {
+      name = context.name;
+      code = context.code;
+    }
+    age = context.age;
+    if (context.gender === "male") {
+      male();
+    } else {
+      female();
+    }
+    rawx = vb.Add(w[6], w[11]) * 1.5 + vb.Add(vb.Add(vb.Add(w[3], w[4]), w[5]), w[12]) * 1.6 + w[7] + w[8] + w[9] + w[10];
+    rx = rawx - vb.Int(rawx);
+    if (rx === 0.5) rawx = rawx + 0.1;
+    rrawx = vb.Round(rawx);
+    switch (true) {
+      case rrawx >= 145 && rrawx <= 149:
+        xcor = 11;
+        hxcor = 5;
+        break;
+      case rrawx >= 150 && rrawx <= 159:
+        xcor = 10;
+        hxcor = 5;
+        break;
+      case rrawx >= 160 && rrawx <= 169:
+        xcor = 9;
+        hxcor = 4;
+        break;
+      case rrawx >= 170 && rrawx <= 179:
+        xcor = 8;
+        hxcor = 4;
+        break;
+      case rrawx >= 180 && rrawx <= 189:
+        xcor = 7;
+        hxcor = 3;
+        break;
+      case rrawx >= 190 && rrawx <= 199:
+        xcor = 6;
+        hxcor = 3;
+        break;
+      case rrawx >= 200 && rrawx <= 209:
+        xcor = 5;
+        hxcor = 2;
+        break;
+      case rrawx >= 210 && rrawx <= 219:
+        xcor = 4;
+        hxcor = 2;
+        break;
+      case rrawx >= 220 && rrawx <= 229:
+        xcor = 3;
+        hxcor = 1;
+        break;
+      case rrawx >= 230 && rrawx <= 239:
+        xcor = 2;
+        hxcor = 1;
+        break;
+      case rrawx >= 240 && rrawx <= 249:
+        xcor = 1;
+        hxcor = 0;
+        break;
+      case rrawx >= 250 && rrawx <= 400:
+        xcor = 0;
+        hxcor = 0;
+        break;
+      case rrawx >= 401 && rrawx <= 416:
+        xcor = -1;
+        hxcor = 0;
+        break;
+      case rrawx >= 417 && rrawx <= 432:
+        xcor = -2;
+        hxcor = -1;
+        break;
+      case rrawx >= 433 && rrawx <= 448:
+        xcor = -3;
+        hxcor = -1;
+        break;
+      case rrawx >= 449 && rrawx <= 464:
+        xcor = -4;
+        hxcor = -2;
+        break;
+      case rrawx >= 465 && rrawx <= 480:
+        xcor = -5;
+        hxcor = -2;
+        break;
+      case rrawx >= 481 && rrawx <= 496:
+        xcor = -6;
+        hxcor = -3;
+        break;
+      case rrawx >= 497 && rrawx <= 512:
+        xcor = -7;
+        hxcor = -3;
+        break;
+      case rrawx >= 513 && rrawx <= 528:
+        xcor = -8;
+        hxcor = -4;
+        break;
+      case rrawx >= 529 && rrawx <= 544:
+        xcor = -9;
+        hxcor = -4;
+        break;
+      case rrawx >= 545 && rrawx <= 560:
+        xcor = -10;
+        hxcor = -5;
+        break;
+      case rrawx >= 561 && rrawx <= 576:
+        xcor = -11;
+        hxcor = -5;
+        break;
+      case rrawx >= 577 && rrawx <= 590:
+        xcor = -12;
+        hxcor = -6;
+        break;
+      default:
+        alert(vb.Concat("Raw X scale is:", rrawx, "\n", "Report is invalid!"));
+        return results;
+    }
+    if (rrawx < 180) xscore = 0;
+    if (rrawx > 180 && rrawx < 195) xscore = 5;
+    if (rrawx > 194 && rrawx < 207) xscore = 10;
+    if (rrawx > 206 && rrawx < 220) xscore = 15;
+    if (rrawx > 219 && rrawx < 232) xscore = 20;
+    if (rrawx > 231 && rrawx < 245) xscore = 25;
+    if (rrawx > 244 && rrawx < 257) xscore = 30;
+    if (rrawx > 256 && rrawx < 270) {
+      if (context.gender === "male") {
+        xscore = 35;
+      } else {
+        xscore = 34;
+      }
+    }
+    if (rrawx > 269 && rrawx < 282) xscore = 40;
+    if (rrawx > 281 && rrawx < 295) xscore = 45;
+    if (rrawx > 294 && rrawx < 307) xscore = 50;
+    if (rrawx > 306 && rrawx < 320) {
+      if (context.gender === "male") {
+        xscore = 55;
+      } else {
+        xscore = 54;
+      }
+    }
+    if (rrawx > 319 && rrawx < 345) {
+      if (context.gender === "male") {
+        xscore = 60;
+      } else {
+        xscore = 55;
+      }
+    }
+    if (rrawx > 344 && rrawx < 357) {
+      if (context.gender === "male") {
+        xscore = 63;
+      } else {
+        xscore = 56;
+      }
+    }
+    if (rrawx > 356 && rrawx < 370) {
+      if (context.gender === "male") {
+        xscore = 66;
+      } else {
+        xscore = 58;
+      }
+    }
+    if (rrawx > 369 && rrawx < 382) {
+      if (context.gender === "male") {
+        xscore = 69;
+      } else {
+        xscore = 60;
+      }
+    }
+    if (rrawx > 381 && rrawx < 395) {
+      if (context.gender === "male") {
+        xscore = 72;
+      } else {
+        xscore = 63;
+      }
+    }
+    if (rrawx > 394 && rrawx < 420) {
+      if (context.gender === "male") {
+        xscore = 74;
+      } else {
+        xscore = 65;
+      }
+    }
+    if (rrawx > 419 && rrawx < 432) {
+      if (context.gender === "male") {
+        xscore = 77;
+      } else {
+        xscore = 67;
+      }
+    }
+    if (rrawx > 431 && rrawx < 445) {
+      if (context.gender === "male") {
+        xscore = 79;
+      } else {
+        xscore = 70;
+      }
+    }
+    if (rrawx > 444 && rrawx < 457) {
+      if (context.gender === "male") {
+        xscore = 81;
+      } else {
+        xscore = 72;
+      }
+    }
+    if (rrawx > 456 && rrawx < 470) {
+      if (context.gender === "male") {
+        xscore = 83;
+      } else {
+        xscore = 75;
+      }
+    }
+    if (rrawx > 469 && rrawx < 483) {
+      if (context.gender === "male") {
+        xscore = 85;
+      } else {
+        xscore = 79;
+      }
+    }
+    if (rrawx > 482 && rrawx < 495) {
+      if (context.gender === "male") {
+        xscore = 87;
+      } else {
+        xscore = 84;
+      }
+    }
+    if (rrawx > 494 && rrawx < 508) xscore = 89;
+    if (rrawx > 507 && rrawx < 520) xscore = 91;
+    if (rrawx > 519 && rrawx < 533) xscore = 93;
+    if (rrawx > 532 && rrawx < 545) xscore = 95;
+    if (rrawx > 544 && rrawx < 558) xscore = 97;
+    if (rrawx > 557) xscore = 100;
+    dacontain = daadjust();
+    ddcontain = ddadjust();
+    inpadjust = context.inpatientCode;
+    switch (vb.CDbl(inpadjust)) {
+      case 1:
+      case 4:
+        da = vb.Int(0.25 * dacontain);
+        if (da > 15) da = 15;
+        dac = vb.Int(0.5 * dacontain);
+        if (dac > 10) dac = 10;
+        break;
+      case 2:
+        da = dacontain;
+        if (da > 25) da = 25;
+        dac = dacontain;
+        if (dac > 20) dac = 20;
+        afterinp[22] = vb.Add(afterinp[22], 8);
+        afterinp[23] = vb.Add(afterinp[23], 10);
+        afterinp[24] = vb.Add(afterinp[24], 4);
+        break;
+      case 3:
+        da = vb.Int(0.5 * dacontain);
+        if (da > 15) da = 15;
+        dac = vb.Int(0.75 * dacontain);
+        if (dac > 15) dac = 15;
+        afterinp[22] = vb.Add(afterinp[22], 5);
+        afterinp[23] = vb.Add(afterinp[23], 7);
+        afterinp[24] = vb.Add(afterinp[24], 2);
+        break;
+      case 5:
+        da = vb.Int(0.5 * dacontain);
+        if (da > 15) da = 15;
+        dac = vb.Int(0.75 * dacontain);
+        if (dac > 15) dac = 15;
+        break;
+    }
+    gg[1] = "Y";
+    gg[2] = "Z";
+    gg[3] = "1";
+    gg[4] = "2";
+    gg[5] = "3";
+    gg[6] = "4";
+    gg[7] = "5";
+    gg[8] = "6A";
+    gg[9] = "6B";
+    gg[10] = "7";
+    gg[11] = "8A";
+    gg[12] = "8B";
+    gg[13] = "S";
+    gg[14] = "C";
+    gg[15] = "P";
+    gg[16] = "A";
+    gg[17] = "H";
+    gg[18] = "N";
+    gg[19] = "D";
+    gg[20] = "B";
+    gg[21] = "T";
+    gg[22] = "SS";
+    gg[23] = "CC";
+    gg[24] = "PP";
+    results.title = vb.Concat(context.name, context.age, " ساله");
+    for (let i = 1; i <= 24; i++) {
+      if (i % 2 === 0) {
+        xx = "FFFFFF";
+      } else {
+        xx = "c0c0c0";
+      }
+      if (i === 1 || i === 2 || i === 13 || i === 14 || i === 15 || i === 22 || i === 23 || i === 24) {
+        aftercor[i] = "";
+      } else {
+        aftercor[i] = vb.Add(rawbr[i], xcor);
+      }
+      if (i === 13 || i === 14 || i === 15 || i === 22 || i === 23 || i === 24) {
+        afterhcor[i] = vb.Add(rawbr[i], hxcor);
+      } else {
+        afterhcor[i] = "";
+      }
+      if (i === 4 || i === 12) {
+        dabr[i] = vb.Subtract(aftercor[i], da);
+      } else if (i === 14) {
+        dabr[i] = vb.Subtract(afterhcor[i], dac);
+      } else {
+        dabr[i] = "";
+      }
+      if (i === 13) {
+        afterddcor[i] = vb.Add(afterhcor[i], ddcontain);
+      } else if (i === 14) {
+        afterddcor[i] = vb.Add(dabr[i], ddcontain);
+      } else if (i === 16 || i === 17 || i === 19) {
+        afterddcor[i] = vb.Add(aftercor[i], ddcontain);
+      } else {
+        afterddcor[i] = "";
+      }
+      if (i === 4 || i === 12) {
+        fordc[i] = dabr[i];
+      } else {
+        fordc[i] = aftercor[i];
+      }
+      if (i === 13) dcadjust();
+      if (i > 12) {
+        switch (i) {
+          case 13:
+          case 14:
+          case 16:
+          case 17:
+          case 19:
+            afterdccor[i] = afterddcor[i];
+            break;
+          case 15:
+            afterdccor[i] = afterhcor[i];
+            break;
+          default:
+            afterdccor[i] = "";
+            break;
+        }
+        if (g === 6 || g === 7 || g === 10 || gp === 10) {
+          switch (i) {
+            case 13:
+            case 14:
+              afterdccor[i] = vb.Add(afterdccor[i], 4);
+              break;
+            case 15:
+              afterdccor[i] = vb.Add(afterdccor[i], 2);
+              break;
+            case 16:
+            case 19:
+              afterdccor[i] = vb.Add(afterdccor[i], 15);
+              break;
+            case 17:
+              afterdccor[i] = vb.Add(afterdccor[i], 13);
+              break;
+          }
+        }
+        if (g === 12 || g === 4 || gp === 4) {
+          switch (i) {
+            case 13:
+              afterdccor[i] = vb.Subtract(afterdccor[i], 2);
+              break;
+            case 14:
+            case 15:
+              afterdccor[i] = vb.Subtract(afterdccor[i], 6);
+              break;
+            case 16:
+              afterdccor[i] = vb.Subtract(afterdccor[i], 7);
+              break;
+            case 17:
+            case 19:
+              afterdccor[i] = vb.Subtract(afterdccor[i], 5);
+              break;
+          }
+        }
+      }
+      if (i === 22 || i === 23 || i === 24) {
+        afterinp[i] = vb.Add(afterhcor[i], afterinp[i]);
+      } else {
+        afterinp[i] = "";
+      }
+      switch (i) {
+        case 1:
+        case 2:
+          afterall[i] = rawbr[i];
+          break;
+        case 3:
+        case 5:
+        case 6:
+        case 7:
+        case 8:
+        case 9:
+        case 10:
+        case 11:
+        case 18:
+        case 20:
+        case 21:
+          afterall[i] = aftercor[i];
+          break;
+        case 4:
+        case 12:
+          afterall[i] = dabr[i];
+          break;
+        case 13:
+        case 14:
+        case 15:
+        case 16:
+        case 17:
+        case 19:
+          afterall[i] = afterdccor[i];
+          break;
+        case 22:
+        case 23:
+        case 24:
+          afterall[i] = afterinp[i];
+          break;
+      }
+      results.rows.push({
+        code: gg[i],
+        label: r[i],
+        raw: w[i],
+        br: rawbr[i],
+        afterX: aftercor[i],
+        afterHalfX: afterhcor[i],
+        daAdj: dabr[i],
+        ddAdj: afterddcor[i],
+        dcAdj: afterdccor[i],
+        inpAdj: afterinp[i],
+        final: afterall[i],
+      });
+    }
+    f = "Report is done!";
+    if (wf === 1) {
+      results.saveAs = vb.Concat(fname, ".htm");
+      f = vb.Concat("A report has been successfully saved in file    ", fname, ".htm");
+    }
+    results.xScore = xscore;
+    results.message = f;
+    return results;
+  }
+
+  return {
+    window_onload,
+    c1_onclick,
+    v,
+    pp,
+    cc,
+    ss,
+    t,
+    b,
+    d,
+    n,
+    h,
+    a,
+    p,
+    c,
+    s,
+    eightb,
+    eighta,
+    seven,
+    sixb,
+    sixa,
+    five,
+    four,
+    three,
+    two,
+    one,
+    z,
+    y,
+    checkonebr,
+    checktwobr,
+    checkthreebr,
+    checkfourbr,
+    checkfivebr,
+    checksixabr,
+    checksixbbr,
+    checksevenbr,
+    checkeightabr,
+    checkeightbbr,
+    checksbr,
+    checkcbr,
+    checkpbr,
+    checkabr,
+    checkhbr,
+    checknbr,
+    checkdbr,
+    checkbbr,
+    checktbr,
+    checkssbr,
+    checkccbr,
+    checkppbr,
+    checkybr,
+    checkzbr,
+    checkfonebr,
+    checkftwobr,
+    checkfthreebr,
+    checkffourbr,
+    checkffivebr,
+    checkfsixabr,
+    checkfsixbbr,
+    checkfsevenbr,
+    checkfeightabr,
+    checkfeightbbr,
+    checkfsbr,
+    checkfcbr,
+    checkfpbr,
+    checkfabr,
+    checkfhbr,
+    checkfnbr,
+    checkfdbr,
+    checkfbbr,
+    checkftbr,
+    checkfssbr,
+    checkfccbr,
+    checkfppbr,
+    checkfybr,
+    checkfzbr,
+    male,
+    female,
+    daadjust,
+    ddadjust,
+    dcadjust,
+    buttvalidate,
+    buttclick,
+  };
+}
+
+// Message boxes go nowhere unless score() is given an alert
+function ignoreMessage() {}
+
+/**
+ * Score an answer sheet with the legacy buttclick()
+ * @param {object} responses - Answers by item number, the context's answers
+ * @param {object} demographics - The other context keys: gender, name, code, age, reportName, inpatientCode, saveReport
+ *   (inpatientCode defaults to 1, as on the form)
+ * @param {object} options - { alert }: receives the script's message boxes, ignored by default
+ * @returns {*} What buttclick() returns
+ */
+export function score(responses, demographics = {}, options = {}) {
+  return createScript(options.alert || ignoreMessage).buttclick({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+// The script's Functions, each run on a fresh copy of the script
+export function v(responses, demographics = {}) {
+  return createScript(ignoreMessage).v({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function pp(responses, demographics = {}) {
+  return createScript(ignoreMessage).pp({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function cc(responses, demographics = {}) {
+  return createScript(ignoreMessage).cc({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function ss(responses, demographics = {}) {
+  return createScript(ignoreMessage).ss({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function t(responses, demographics = {}) {
+  return createScript(ignoreMessage).t({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function b(responses, demographics = {}) {
+  return createScript(ignoreMessage).b({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function d(responses, demographics = {}) {
+  return createScript(ignoreMessage).d({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function n(responses, demographics = {}) {
+  return createScript(ignoreMessage).n({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function h(responses, demographics = {}) {
+  return createScript(ignoreMessage).h({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function a(responses, demographics = {}) {
+  return createScript(ignoreMessage).a({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function p(responses, demographics = {}) {
+  return createScript(ignoreMessage).p({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function c(responses, demographics = {}) {
+  return createScript(ignoreMessage).c({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function s(responses, demographics = {}) {
+  return createScript(ignoreMessage).s({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function eightb(responses, demographics = {}) {
+  return createScript(ignoreMessage).eightb({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function eighta(responses, demographics = {}) {
+  return createScript(ignoreMessage).eighta({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function seven(responses, demographics = {}) {
+  return createScript(ignoreMessage).seven({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function sixb(responses, demographics = {}) {
+  return createScript(ignoreMessage).sixb({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function sixa(responses, demographics = {}) {
+  return createScript(ignoreMessage).sixa({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function five(responses, demographics = {}) {
+  return createScript(ignoreMessage).five({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function four(responses, demographics = {}) {
+  return createScript(ignoreMessage).four({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function three(responses, demographics = {}) {
+  return createScript(ignoreMessage).three({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function two(responses, demographics = {}) {
+  return createScript(ignoreMessage).two({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function one(responses, demographics = {}) {
+  return createScript(ignoreMessage).one({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function z(responses, demographics = {}) {
+  return createScript(ignoreMessage).z({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function y(responses, demographics = {}) {
+  return createScript(ignoreMessage).y({
+    ...demographics,
+    inpatientCode: demographics.inpatientCode ?? 1,
+    answers: responses,
+  });
+}
+
+export function checkonebr(onee) {
+  return createScript(ignoreMessage).checkonebr(onee);
+}
+
+export function checktwobr(twoe) {
+  return createScript(ignoreMessage).checktwobr(twoe);
+}
+
+export function checkthreebr(threee) {
+  return createScript(ignoreMessage).checkthreebr(threee);
+}
+
+export function checkfourbr(foure) {
+  return createScript(ignoreMessage).checkfourbr(foure);
+}
+
+export function checkfivebr(fivee) {
+  return createScript(ignoreMessage).checkfivebr(fivee);
+}
+
+export function checksixabr(sixae) {
+  return createScript(ignoreMessage).checksixabr(sixae);
+}
+
+export function checksixbbr(sixbe) {
+  return createScript(ignoreMessage).checksixbbr(sixbe);
+}
+
+export function checksevenbr(sevene) {
+  return createScript(ignoreMessage).checksevenbr(sevene);
+}
+
+export function checkeightabr(eightae) {
+  return createScript(ignoreMessage).checkeightabr(eightae);
+}
+
+export function checkeightbbr(eightbe) {
+  return createScript(ignoreMessage).checkeightbbr(eightbe);
+}
+
+export function checksbr(se) {
+  return createScript(ignoreMessage).checksbr(se);
+}
+
+export function checkcbr(ce) {
+  return createScript(ignoreMessage).checkcbr(ce);
+}
+
+export function checkpbr(pe) {
+  return createScript(ignoreMessage).checkpbr(pe);
+}
+
+export function checkabr(ae) {
+  return createScript(ignoreMessage).checkabr(ae);
+}
+
+export function checkhbr(he) {
+  return createScript(ignoreMessage).checkhbr(he);
+}
+
+export function checknbr(ne) {
+  return createScript(ignoreMessage).checknbr(ne);
+}
+
+export function checkdbr(de) {
+  return createScript(ignoreMessage).checkdbr(de);
+}
+
+export function checkbbr(be) {
+  return createScript(ignoreMessage).checkbbr(be);
+}
+
+export function checktbr(te) {
+  return createScript(ignoreMessage).checktbr(te);
+}
+
+export function checkssbr(sse) {
+  return createScript(ignoreMessage).checkssbr(sse);
+}
+
+export function checkccbr(cce) {
+  return createScript(ignoreMessage).checkccbr(cce);
+}
+
+export function checkppbr(ppe) {
+  return createScript(ignoreMessage).checkppbr(ppe);
+}
+
+export function checkybr(ye) {
+  return createScript(ignoreMessage).checkybr(ye);
+}
+
+export function checkzbr(ze) {
+  return createScript(ignoreMessage).checkzbr(ze);
+}
+
+export function checkfonebr(fonee) {
+  return createScript(ignoreMessage).checkfonebr(fonee);
+}
+
+export function checkftwobr(ftwoe) {
+  return createScript(ignoreMessage).checkftwobr(ftwoe);
+}
+
+export function checkfthreebr(fthreee) {
+  return createScript(ignoreMessage).checkfthreebr(fthreee);
+}
+
+export function checkffourbr(ffoure) {
+  return createScript(ignoreMessage).checkffourbr(ffoure);
+}
+
+export function checkffivebr(ffivee) {
+  return createScript(ignoreMessage).checkffivebr(ffivee);
+}
+
+export function checkfsixabr(fsixae) {
+  return createScript(ignoreMessage).checkfsixabr(fsixae);
+}
+
+export function checkfsixbbr(fsixbe) {
+  return createScript(ignoreMessage).checkfsixbbr(fsixbe);
+}
+
+export function checkfsevenbr(fsevene) {
+  return createScript(ignoreMessage).checkfsevenbr(fsevene);
+}
+
+export function checkfeightabr(feightae) {
+  return createScript(ignoreMessage).checkfeightabr(feightae);
+}
+
+export function checkfeightbbr(feightbe) {
+  return createScript(ignoreMessage).checkfeightbbr(feightbe);
+}
+
+export function checkfsbr(fse) {
+  return createScript(ignoreMessage).checkfsbr(fse);
+}
+
+export function checkfcbr(fce) {
+  return createScript(ignoreMessage).checkfcbr(fce);
+}
+
+export function checkfpbr(fpe) {
+  return createScript(ignoreMessage).checkfpbr(fpe);
+}
+
+export function checkfabr(fae) {
+  return createScript(ignoreMessage).checkfabr(fae);
+}
+
+export function checkfhbr(fhe) {
+  return createScript(ignoreMessage).checkfhbr(fhe);
+}
+
+export function checkfnbr(fne) {
+  return createScript(ignoreMessage).checkfnbr(fne);
+}
+
+export function checkfdbr(fde) {
+  return createScript(ignoreMessage).checkfdbr(fde);
+}
+
+export function checkfbbr(fbe) {
+  return createScript(ignoreMessage).checkfbbr(fbe);
+}
+
+export function checkftbr(fte) {
+  return createScript(ignoreMessage).checkftbr(fte);
+}
+
+export function checkfssbr(fsse) {
+  return createScript(ignoreMessage).checkfssbr(fsse);
+}
+
+export function checkfccbr(fcce) {
+  return createScript(ignoreMessage).checkfccbr(fcce);
+}
+
+export function checkfppbr(fppe) {
+  return createScript(ignoreMessage).checkfppbr(fppe);
+}
+
+export function checkfybr(fye) {
+  return createScript(ignoreMessage).checkfybr(fye);
+}
+
+export function checkfzbr(fze) {
+  return createScript(ignoreMessage).checkfzbr(fze);
+}
+//# sourceMappingURL=transpiled.module.js.map
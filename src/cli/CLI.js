@@ -0,0 +1,146 @@
+/**
+ * mcmi Command-Line Interface
+ * Parses the command line, runs one of the commands in commands.js and reports
+ * its result as text or JSON, with an exit code
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import Logger from '../logger/Logger.js';
+import COMMANDS, { UsageError } from './commands.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Exit codes of the mcmi command
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2
+};
+
+/**
+ * Options of every command
+ */
+const GLOBAL_OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  json: { type: 'boolean' }
+};
+
+export class CLI {
+  /**
+   * @param {object} streams - Where the output goes, by default the process' streams
+   * @param {object} streams.stdout - Writable for results
+   * @param {object} streams.stderr - Writable for usage and errors
+   */
+  constructor({ stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.logger = new Logger('CLI');
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  /**
+   * Run a command line
+   * @param {string[]} argv - Arguments after the program name
+   * @returns {Promise<number>} Exit code (see EXIT_CODES)
+   */
+  async run(argv) {
+    // Global options are flags, so the first other argument is the command
+    const commandIndex = argv.findIndex(arg => !arg.startsWith('-'));
+    const name = commandIndex === -1 ? null : argv[commandIndex];
+    const command = name === 'help' ? null : COMMANDS[name];
+    const args = commandIndex === -1 ? argv : [...argv.slice(0, commandIndex), ...argv.slice(commandIndex + 1)];
+
+    if (name && name !== 'help' && !command) {
+      return this._usageError(`Unknown command '${name}'`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({ args, options: { ...GLOBAL_OPTIONS, ...(command ? command.options : {}) }, allowPositionals: true, strict: true });
+    } catch (error) {
+      return this._usageError(error.message, command);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.version) {
+      this._write(this.stdout, JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8')).version);
+      return EXIT_CODES.OK;
+    }
+    if (name === 'help') {
+      const topic = COMMANDS[positionals[0]];
+      this._write(this.stdout, topic ? this._commandHelp(topic) : this._help());
+      return EXIT_CODES.OK;
+    }
+    if (values.help) {
+      this._write(this.stdout, command ? this._commandHelp(command) : this._help());
+      return EXIT_CODES.OK;
+    }
+    if (!command) {
+      this._write(this.stderr, this._help());
+      return EXIT_CODES.USAGE;
+    }
+
+    const quiet = Logger.quiet;
+    Logger.quiet = quiet || Boolean(values.quiet || values.json);
+    try {
+      const { ok, result, text, error } = await command.run({ positionals, values });
+
+      if (values.json) {
+        this._write(this.stdout, JSON.stringify(result, null, 2));
+      } else if (text !== null && text !== undefined) {
+        this._write(this.stdout, text);
+      }
+      if (!ok && error) {
+        this._write(this.stderr, error);
+      }
+      return ok ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+    } catch (error) {
+      if (error instanceof UsageError) {
+        return this._usageError(error.message, command);
+      }
+      this.logger.error(`${name} failed: ${error.message}`);
+      return EXIT_CODES.FAILED;
+    } finally {
+      Logger.quiet = quiet;
+    }
+  }
+
+  _usageError(message, command = null) {
+    this._write(this.stderr, `mcmi: ${message}\n\n${command ? this._commandHelp(command) : this._help()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  _help() {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    return [
+      'Usage: mcmi [--quiet|--json] <command> [options]',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+      '',
+      'Options:',
+      '  -q, --quiet  Print errors and the result only',
+      '  --json       Print the result as JSON (implies --quiet)',
+      '  -h, --help   Show help, also for a command (mcmi help <command>)',
+      '  --version    Show the version',
+      '',
+      `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILED} failed or invalid, ${EXIT_CODES.USAGE} bad command line`
+    ].join('\n');
+  }
+
+  _commandHelp(command) {
+    return `Usage: mcmi ${command.usage}\n\n${command.summary}`;
+  }
+
+  _write(stream, text) {
+    stream.write(`${text}\n`);
+  }
+}
+
+export default CLI;
@@ -0,0 +1,351 @@
+/**
+ * Batch scoring of answer-sheet records (`mcmi score sheets.csv`)
+ * Reads CSV or JSONL records keyed from paper answer sheets, scores each with the web app's
+ * scoring engine (webapp/js/scoring.js) and writes one result per record. A record that
+ * cannot be scored gets a result with its errors; the rest of the batch is still scored.
+ */
+
+import { ITEM_COUNT, INPATIENT_ADJUSTMENTS, scoreProfile, assessValidity } from '../../webapp/js/scoring.js';
+
+export { ITEM_COUNT };
+
+/**
+ * Fields of a scale result, in the order of the legacy correction chain
+ */
+export const SCALE_FIELDS = ['raw', 'br', 'afterX', 'afterHalfX', 'daAdj', 'ddAdj', 'dcAdj', 'inpAdj', 'final'];
+
+/**
+ * Response values, case-insensitive; an empty cell, `-` or `?` is an omitted item
+ * Numeric sheets may use 1/0 or, like the web app's rapid entry, 1/2
+ */
+const RESPONSES = {
+  t: 'true', true: 'true', y: 'true', yes: 'true', 1: 'true',
+  f: 'false', false: 'false', n: 'false', no: 'false', 0: 'false', 2: 'false'
+};
+const OMITTED = ['', '-', '?'];
+
+/**
+ * Record fields by their normalized CSV header or JSON key
+ */
+const FIELD_NAMES = {
+  id: 'id', record: 'id', recordid: 'id',
+  gender: 'gender', sex: 'gender',
+  age: 'age',
+  inpatient: 'inpatientCode', inpatientcode: 'inpatientCode', d1: 'inpatientCode',
+  responses: 'responses', answers: 'responses'
+};
+
+const GENDERS = { male: 'male', m: 'male', female: 'female', f: 'female' };
+
+/**
+ * Item number of a response column: 1, q1, r1, item1, item_1 ...
+ */
+function itemColumn(name) {
+  const match = /^(?:q|r|item)?_?(\d+)$/i.exec(name.trim());
+  const item = match ? Number(match[1]) : 0;
+  return item >= 1 && item <= ITEM_COUNT ? item : null;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<object>} Rows: { line, cells }, with the line each row starts on
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    switch (char) {
+    case '"':
+      quoted = true;
+      break;
+    case ',':
+      endCell();
+      break;
+    case '\r':
+      break;
+    case '\n':
+      endRow();
+      line++;
+      rowLine = line;
+      break;
+    default:
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Read the records of a batch file
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' (a header row, then one record per row) or 'jsonl' (one object per line)
+ * @returns {Array<object>} Records: { line, fields } or { line, errors } for a line that cannot be read
+ * @throws {Error} If a CSV file has no header with id and response columns
+ */
+export function readRecords(text, format) {
+  if (format === 'jsonl') {
+    return text.split('\n')
+      .map((content, index) => ({ line: index + 1, content: content.trim() }))
+      .filter(({ content }) => content !== '')
+      .map(({ line, content }) => {
+        let fields;
+        try {
+          fields = JSON.parse(content);
+        } catch (error) {
+          return { line, errors: [`Invalid JSON: ${error.message}`] };
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+          return { line, errors: ['Expected a JSON object'] };
+        }
+        return { line, fields };
+      });
+  }
+
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.cells.map(name => itemColumn(name) || FIELD_NAMES[normalizeName(name)] || null);
+  if (!columns.includes('id') || !(columns.includes('responses') || columns.some(column => typeof column === 'number'))) {
+    throw new Error('The CSV header needs an id column and a responses column or item columns 1-175');
+  }
+  const items = columns.filter(column => typeof column === 'number');
+  if (items.length > 0 && new Set(items).size !== ITEM_COUNT) {
+    throw new Error(`The CSV header needs one column for each of the ${ITEM_COUNT} items, found ${new Set(items).size}`);
+  }
+
+  return rows.map(({ line, cells }) => {
+    if (cells.length !== header.cells.length) {
+      return { line, id: cells[columns.indexOf('id')], errors: [`Expected ${header.cells.length} cells, found ${cells.length}`] };
+    }
+
+    const fields = { responses: {} };
+    cells.forEach((cell, index) => {
+      const column = columns[index];
+      if (typeof column === 'number') {
+        fields.responses[column] = cell;
+      } else if (column === 'responses') {
+        fields.responses = cell;
+      } else if (column) {
+        fields[column] = cell;
+      }
+    });
+    return { line, fields };
+  });
+}
+
+/**
+ * Responses of a record by item number
+ * A string has one character per item ("TFFT..."); an array or an object is keyed by item
+ */
+function readResponses(responses, errors) {
+  let entries;
+  if (typeof responses === 'string') {
+    const characters = responses.replace(/[\s,]/g, '');
+    if (characters.length !== ITEM_COUNT) {
+      errors.push(`Expected ${ITEM_COUNT} responses, found ${characters.length}`);
+      return null;
+    }
+    entries = Array.from(characters, (value, index) => [index + 1, value]);
+  } else if (Array.isArray(responses)) {
+    if (responses.length !== ITEM_COUNT) {
+      errors.push(`Expected ${ITEM_COUNT} responses, found ${responses.length}`);
+      return null;
+    }
+    entries = responses.map((value, index) => [index + 1, value]);
+  } else if (responses && typeof responses === 'object') {
+    entries = Object.entries(responses).map(([item, value]) => [itemColumn(item), value]);
+    const unknown = Object.keys(responses).filter(item => itemColumn(item) === null);
+    if (unknown.length > 0) {
+      errors.push(`Unknown items: ${unknown.join(', ')}`);
+      return null;
+    }
+  } else {
+    errors.push('Missing responses');
+    return null;
+  }
+
+  const answers = {};
+  const invalid = [];
+  for (const [item, value] of entries) {
+    const text = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+    if (OMITTED.includes(text)) continue;
+    if (RESPONSES[text]) {
+      answers[item] = RESPONSES[text];
+    } else {
+      invalid.push(`${item}=${value}`);
+    }
+  }
+  if (invalid.length > 0) {
+    errors.push(`Invalid responses (expected T or F): ${invalid.join(', ')}`);
+    return null;
+  }
+  return answers;
+}
+
+/**
+ * Check a record's fields and turn them into scoring input
+ * @param {object} fields - Record fields (CSV cells by column, or a JSONL object)
+ * @returns {object} { id, demographics, answers, omissions, errors }
+ */
+export function normalizeRecord(fields) {
+  const record = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const field = FIELD_NAMES[normalizeName(key)];
+    if (field) record[field] = value;
+  }
+
+  const errors = [];
+  const id = record.id === undefined || record.id === null ? '' : String(record.id).trim();
+  if (id === '') {
+    errors.push('Missing id');
+  }
+
+  const gender = GENDERS[String(record.gender || '').trim().toLowerCase()];
+  if (!gender) {
+    errors.push(`Invalid gender '${record.gender || ''}' (expected male or female)`);
+  }
+
+  let age = null;
+  if (record.age !== undefined && String(record.age).trim() !== '') {
+    age = Number(record.age);
+    if (!Number.isInteger(age) || age <= 0) {
+      errors.push(`Invalid age '${record.age}'`);
+    }
+  }
+
+  let inpatientCode = 1;
+  if (record.inpatientCode !== undefined && String(record.inpatientCode).trim() !== '') {
+    inpatientCode = Number(record.inpatientCode);
+    if (!INPATIENT_ADJUSTMENTS[inpatientCode]) {
+      errors.push(`Invalid inpatient code '${record.inpatientCode}' (expected ${Object.keys(INPATIENT_ADJUSTMENTS).join(', ')})`);
+    }
+  }
+
+  const answers = readResponses(record.responses, errors);
+  const omissions = answers ? ITEM_COUNT - Object.keys(answers).length : null;
+
+  return { id, demographics: { gender, age, inpatientCode }, answers, omissions, errors };
+}
+
+/**
+ * Score the records of a batch, each on its own
+ * @param {Array<object>} records - Records from readRecords()
+ * @param {Array} scales - Scale keys from scoring-keys.json
+ * @param {object} tables - Verified base-rate tables from br-tables.json
+ * @returns {Array<object>} One result per record: status 'scored' with the validity flags and the scales,
+ *   or 'error' with the errors
+ */
+export function scoreRecords(records, scales, tables) {
+  return records.map(({ line, id: rawId, fields, errors: readErrors }) => {
+    if (readErrors) {
+      return { id: rawId === undefined ? null : rawId, line, status: 'error', errors: readErrors };
+    }
+
+    const { id, demographics, answers, omissions, errors } = normalizeRecord(fields);
+    if (errors.length > 0) {
+      return { id: id || null, line, status: 'error', errors };
+    }
+
+    let profile;
+    try {
+      profile = scoreProfile(answers, demographics, scales, tables);
+    } catch (error) {
+      return { id, line, status: 'error', errors: [error.message] };
+    }
+
+    const { valid, status, flags } = assessValidity(profile, answers);
+    return {
+      id,
+      line,
+      status: 'scored',
+      ...demographics,
+      omissions,
+      validity: { valid, status, vRaw: profile.validity.raw, flags },
+      disclosure: profile.disclosure,
+      scales: profile.rows.map(row => Object.fromEntries([
+        ['code', row.code],
+        ['label', row.label],
+        ...SCALE_FIELDS.map(field => [field, row[field]])
+      ]))
+    };
+  });
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Print batch results as JSONL (one result per line) or CSV (one row per result)
+ * @param {Array<object>} results - Results from scoreRecords()
+ * @param {string} format - 'jsonl' or 'csv'
+ * @param {Array} scales - Scale keys, for the CSV columns
+ * @returns {string} The results, ending with a newline
+ */
+export function formatResults(results, format, scales) {
+  if (format === 'jsonl') {
+    return results.map(result => `${JSON.stringify(result)}\n`).join('');
+  }
+
+  const codes = scales.filter(scale => scale.code !== 'V').map(scale => scale.code);
+  const header = [
+    'id', 'line', 'status', 'errors', 'gender', 'age', 'inpatient_code', 'omissions',
+    'valid', 'validity_status', 'validity_flags', 'v_raw', 'x_raw', 'x_br',
+    ...codes.flatMap(code => SCALE_FIELDS.map(field => `${code}_${field}`))
+  ];
+  const rows = results.map(result => {
+    if (result.status !== 'scored') {
+      return [result.id, result.line, result.status, result.errors.join('; '), ...new Array(header.length - 4).fill(null)];
+    }
+    const byCode = Object.fromEntries(result.scales.map(scale => [scale.code, scale]));
+    return [
+      result.id, result.line, result.status, '', result.gender, result.age, result.inpatientCode, result.omissions,
+      result.validity.valid, result.validity.status, result.validity.flags.map(flag => flag.rule).join('; '), result.validity.vRaw, result.disclosure.raw, result.disclosure.br,
+      ...codes.flatMap(code => SCALE_FIELDS.map(field => byCode[code] ? byCode[code][field] : null))
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,410 @@
+/**
+ * Subcommands of the mcmi command-line interface
+ * Each command wraps one of the pipeline's scripts with paths from the command line.
+ * run() returns { ok, result, text, error }: `result` is printed by --json, `text`
+ * otherwise, and `error` goes to stderr when the command failed.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, statSync } from 'fs';
+import { join, dirname, basename, extname, relative, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Logger from '../logger/Logger.js';
+import MCMIIPipeline from '../index.js';
+import EnhancedPipeline from '../enhanced-pipeline.js';
+import Validator from '../validator.js';
+import JavaScriptValidator from '../js-validator.js';
+import ComprehensiveValidator from '../comprehensive-validator.js';
+import VBScriptExtractor from '../parser/VBScriptExtractor.js';
+import AdvancedTranspiler from '../transpiler/AdvancedTranspiler.js';
+import PostProcessor from '../transpiler/PostProcessor.js';
+import { buildWebapp } from '../../build.js';
+import { buildModernHTML } from '../../build-modern-html.js';
+import { validateModernHTML } from '../../validate-modern-html.js';
+import { validateScoringKeys, verifyBaseRateTables } from '../../webapp/js/scoring.js';
+import { readRecords, scoreRecords, formatResults } from './batch.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, '..', '..');
+
+const SOURCE_HTML = join(rootDir, 'MCMI2_DRS.html');
+const OUTPUT_DIR = join(rootDir, 'output');
+const TRANSPILED_JS = join(OUTPUT_DIR, 'javascript', 'transpiled.js');
+const SCORING_MODULE = join(rootDir, 'webapp', 'js', 'legacy-scoring.js');
+const SCORING_DATA = join(rootDir, 'webapp', 'data');
+
+/**
+ * A mistake in the command line (exit code 2)
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Value of a string option that takes one of a few values
+ */
+function choice(values, name, allowed, fallback) {
+  const value = values[name] === undefined ? fallback : values[name];
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new UsageError(`--${name} must be one of ${allowed.join(', ')}, got '${value}'`);
+  }
+  return value;
+}
+
+/**
+ * The one optional positional argument of a command
+ */
+function single(positionals, fallback) {
+  if (positionals.length > 1) {
+    throw new UsageError(`Unexpected argument '${positionals[1]}'`);
+  }
+  return positionals[0] || fallback;
+}
+
+const OUTPUT_OPTION = { output: { type: 'string', short: 'o' } };
+
+/**
+ * Extract the questions and the VBScript (src/index.js)
+ */
+const extract = {
+  summary: 'Extract the questions and the VBScript from the legacy page',
+  usage: 'extract [page.html] [-o output-dir]',
+  options: OUTPUT_OPTION,
+  async run({ positionals, values }) {
+    const sourceFile = single(positionals, SOURCE_HTML);
+    const outputDir = values.output || OUTPUT_DIR;
+    const counts = await new MCMIIPipeline({ sourceFile, outputDir }).extract();
+
+    return {
+      ok: true,
+      result: { outputDir, ...counts },
+      text: `Extracted ${counts.questions} questions and ${counts.functions} VBScript functions into ${outputDir}`
+    };
+  }
+};
+
+/**
+ * Run the enhanced pipeline (src/enhanced-pipeline.js)
+ */
+const parse = {
+  summary: 'Parse, split and transpile the VBScript and extract the scoring data',
+  usage: 'parse [page.html] [-o output-dir] [--webapp webapp-dir]',
+  options: { ...OUTPUT_OPTION, webapp: { type: 'string' } },
+  async run({ positionals, values }) {
+    const sourceFile = single(positionals, SOURCE_HTML);
+    const outputDir = values.output || OUTPUT_DIR;
+    const webappDir = values.webapp || join(rootDir, 'webapp');
+    const { parsedFunctions, splitFiles } = await new EnhancedPipeline({ sourceFile, outputDir, webappDir }).run();
+
+    return {
+      ok: true,
+      result: { outputDir, webappDir, parsedFunctions, splitFiles },
+      text: `Parsed ${parsedFunctions} functions into ${outputDir} (${splitFiles} split files)`
+    };
+  }
+};
+
+/**
+ * Transpile a VBScript file, or the script of an HTML page, with AdvancedTranspiler
+ */
+const transpile = {
+  summary: 'Transpile VBScript to JavaScript (a script or an ES module)',
+  usage: 'transpile <input.vbs|page.html> [-o output.js] [--format script|module] [--form-access dom|context] [--entry-point name]',
+  options: { ...OUTPUT_OPTION, format: { type: 'string' }, 'form-access': { type: 'string' }, 'entry-point': { type: 'string' } },
+  async run({ positionals, values }) {
+    const input = single(positionals);
+    if (!input) {
+      throw new UsageError('Missing the VBScript or HTML file to transpile');
+    }
+    const format = choice(values, 'format', ['script', 'module'], 'script');
+    const formAccess = choice(values, 'form-access', ['dom', 'context']);
+    if (format === 'module' && formAccess === 'dom') {
+      throw new UsageError('ES modules read the form from the context, --form-access dom needs --format script');
+    }
+    if (values['entry-point'] && format !== 'module') {
+      throw new UsageError('--entry-point is only used by --format module');
+    }
+    // The code goes to stdout, so the pipeline's progress must not (the CLI restores the setting)
+    if (!values.output) {
+      Logger.quiet = true;
+    }
+
+    const fromPage = /^\.html?$/i.test(extname(input));
+    const vbscript = fromPage ? new VBScriptExtractor(input).extract().code : readFileSync(input, 'utf8');
+    const transpiler = new AdvancedTranspiler({ format, formAccess, entryPoint: values['entry-point'] });
+    const jsCode = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscript)));
+    const lines = jsCode.split('\n').length - 1;
+
+    if (!values.output) {
+      return { ok: true, result: { format, lines, code: jsCode }, text: jsCode.replace(/\n$/, '') };
+    }
+
+    // The source map points at the VBScript file, so a page's script has none
+    const output = values.output;
+    mkdirSync(dirname(resolve(output)), { recursive: true });
+    let sourceMap = null;
+    if (fromPage) {
+      writeFileSync(output, jsCode);
+    } else {
+      const map = transpiler.getSourceMap({ file: basename(output), source: relative(dirname(resolve(output)), resolve(input)) });
+      sourceMap = `${output}.map`;
+      writeFileSync(output, `${jsCode}//# sourceMappingURL=${map.file}.map\n`);
+      writeFileSync(sourceMap, `${map}\n`);
+    }
+
+    return {
+      ok: true,
+      result: { format, lines, output, sourceMap },
+      text: `Transpiled ${input} to ${output} (${lines} lines, ${format})`
+    };
+  }
+};
+
+/**
+ * Validate one target, by its kind
+ */
+async function validateTarget(target) {
+  if (statSync(target).isDirectory()) {
+    const validator = new Validator(target);
+    validator.validate();
+    return { target, kind: 'outputs', ...validator.getResults() };
+  }
+
+  if (/^\.html?$/i.test(extname(target))) {
+    return { target, kind: 'html', ...validateModernHTML(target) };
+  }
+
+  const jsValidator = new JavaScriptValidator();
+  await jsValidator.validateFile(target);
+  const comprehensive = new ComprehensiveValidator();
+  comprehensive.validate(target);
+  const results = [jsValidator.getResults(), comprehensive.getResults()];
+
+  return {
+    target,
+    kind: 'javascript',
+    valid: results.every(result => result.valid),
+    errors: results.flatMap(result => result.errors),
+    warnings: results.flatMap(result => result.warnings)
+  };
+}
+
+/**
+ * Validate pipeline outputs (src/validator.js), JavaScript files (src/js-validator.js and
+ * src/comprehensive-validator.js) and modern HTML pages (validate-modern-html.js)
+ */
+const validate = {
+  summary: 'Validate an output directory, a transpiled JavaScript file or a modern HTML page',
+  usage: 'validate [output-dir|file.js|page.html ...]',
+  options: {},
+  async run({ positionals }) {
+    const targets = positionals.length > 0 ? positionals : [OUTPUT_DIR, TRANSPILED_JS];
+    const results = [];
+    for (const target of targets) {
+      results.push(await validateTarget(target));
+    }
+
+    const ok = results.every(result => result.valid);
+    const text = results.map(result => {
+      const status = result.valid ? 'valid' : `INVALID, ${result.errors.length} errors`;
+      return [
+        `${result.target}: ${status}, ${result.warnings.length} warnings`,
+        ...result.errors.map(error => `  - ${error}`)
+      ].join('\n');
+    }).join('\n');
+
+    return { ok, result: { valid: ok, targets: results }, text };
+  }
+};
+
+/**
+ * Build the web app (build.js) or the single-file modern HTML (build-modern-html.js)
+ */
+const build = {
+  summary: 'Build the web app into dist/ or the single-file modern HTML page',
+  usage: 'build [--format webapp|html] [source] [-o output] [--script transpiled.js]',
+  options: { ...OUTPUT_OPTION, format: { type: 'string' }, script: { type: 'string' } },
+  async run({ positionals, values }) {
+    const format = choice(values, 'format', ['webapp', 'html'], 'webapp');
+
+    if (format === 'webapp') {
+      if (values.script) {
+        throw new UsageError('--script is only used by --format html');
+      }
+      const { distDir, totalSize } = buildWebapp({
+        sourceDir: single(positionals, join(rootDir, 'webapp')),
+        distDir: values.output || join(rootDir, 'dist')
+      });
+      return { ok: true, result: { format, output: distDir, size: totalSize }, text: `Built the web app into ${distDir}` };
+    }
+
+    const { outputFile, size } = buildModernHTML({
+      sourceFile: single(positionals, SOURCE_HTML),
+      transpiledFile: values.script || TRANSPILED_JS,
+      outputFile: values.output || join(rootDir, 'MCMI2-modern.html')
+    });
+    return { ok: true, result: { format, output: outputFile, size }, text: `Built ${outputFile}` };
+  }
+};
+
+/**
+ * Answers and demographics of an answer sheet
+ * A sheet is { answers, name, code, age, gender, inpatientCode } or just the answers,
+ * keyed by question number; true/false answers are read as 'true'/'false'.
+ */
+function readSheet(source, values) {
+  let sheet;
+  try {
+    sheet = JSON.parse(readFileSync(source === '-' ? 0 : source, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the answer sheet ${source === '-' ? 'from stdin' : source}: ${error.message}`);
+  }
+
+  const { answers: sheetAnswers, ...sheetDemographics } = sheet.answers ? sheet : { answers: sheet };
+  // The legacy form starts with an empty name and OutPatient (1) selected
+  const demographics = { name: '', inpatientCode: 1, ...sheetDemographics };
+  const answers = Object.fromEntries(Object.entries(sheetAnswers).map(([id, answer]) => [id, String(answer)]));
+
+  const overrides = { name: values.name, code: values.code, age: values.age, gender: values.gender, inpatientCode: values.inpatient };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) demographics[key] = value;
+  }
+  return { answers, demographics };
+}
+
+/**
+ * Format of a score input, by the --input-format option or the file extension
+ */
+function scoreInputFormat(source, values) {
+  const extension = extname(source).toLowerCase();
+  const fallback = extension === '.csv' ? 'csv' : ['.jsonl', '.ndjson'].includes(extension) ? 'jsonl' : 'sheet';
+  return choice(values, 'input-format', ['sheet', 'csv', 'jsonl'], fallback);
+}
+
+/**
+ * Score one answer sheet with the legacy script's ES module (webapp/js/legacy-scoring.js)
+ * A batch is scored with the web app's engine instead, which gives the same scores
+ */
+async function scoreSheet(source, values) {
+  for (const option of ['output', 'output-format', 'data']) {
+    if (values[option] !== undefined) {
+      throw new UsageError(`--${option} is only used to score a CSV or JSONL batch`);
+    }
+  }
+
+  const { answers, demographics } = readSheet(source, values);
+  const scoringModule = await import(pathToFileURL(resolve(values.module || SCORING_MODULE)).href);
+  const alerts = [];
+  const results = scoringModule.score(answers, demographics, { alert: message => alerts.push(String(message)) });
+
+  // The script alerts and writes no rows when the answers are invalid
+  if (results.rows.length === 0) {
+    return { ok: false, result: { ...results, alerts }, text: null, error: alerts.join('\n') || 'The report is invalid' };
+  }
+
+  // A score the script could not compute (NaN) fails the command rather than printing it
+  const unscored = results.rows.filter(row => !['raw', 'br', 'final'].every(column => Number.isFinite(row[column])));
+  if (unscored.length > 0) {
+    const error = `The script gave no number for ${unscored.map(row => row.code).join(', ')}`;
+    return { ok: false, result: { ...results, alerts }, text: null, error };
+  }
+
+  const columns = ['code', 'label', 'raw', 'br', 'final'];
+  const widths = [6, 24, 5, 5, 5];
+  const line = cells => cells.map((cell, index) => String(cell).padEnd(widths[index])).join(' ').trimEnd();
+  const text = [
+    results.title,
+    '',
+    line(['Scale', 'Label', 'Raw', 'BR', 'Final']),
+    ...results.rows.map(row => line(columns.map(column => row[column]))),
+    '',
+    `X (Disclosure): ${results.xScore}`,
+    results.message
+  ].join('\n');
+
+  return { ok: true, result: { ...results, alerts }, text };
+}
+
+/**
+ * Score a CSV or JSONL batch of records with the web app's scoring engine (see batch.js)
+ * Records that cannot be scored are listed on stderr and make the exit code 1
+ */
+async function scoreBatch(source, format, values) {
+  for (const option of ['gender', 'age', 'name', 'code', 'inpatient', 'module']) {
+    if (values[option] !== undefined) {
+      throw new UsageError(`--${option} is only used to score a single answer sheet, a batch has it per record`);
+    }
+  }
+  const outputFormat = choice(values, 'output-format', ['jsonl', 'csv'],
+    values.output && extname(values.output).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+
+  const dataDir = values.data || SCORING_DATA;
+  const scales = validateScoringKeys(JSON.parse(readFileSync(join(dataDir, 'scoring-keys.json'), 'utf8')));
+  const tables = await verifyBaseRateTables(JSON.parse(readFileSync(join(dataDir, 'br-tables.json'), 'utf8')));
+
+  const results = scoreRecords(readRecords(readFileSync(source === '-' ? 0 : source, 'utf8'), format), scales, tables);
+  const failed = results.filter(result => result.status === 'error');
+  const summary = {
+    records: results.length,
+    scored: results.length - failed.length,
+    errors: failed.map(({ id, line, errors }) => ({ id, line, errors }))
+  };
+  const error = failed.map(({ id, line, errors }) => `line ${line}${id ? ` (${id})` : ''}: ${errors.join('; ')}`).join('\n');
+
+  const output = formatResults(results, outputFormat, scales);
+  if (!values.output) {
+    return { ok: failed.length === 0, result: { ...summary, results }, text: output.replace(/\n$/, ''), error };
+  }
+
+  mkdirSync(dirname(resolve(values.output)), { recursive: true });
+  writeFileSync(values.output, output);
+  return {
+    ok: failed.length === 0,
+    result: { ...summary, output: values.output },
+    text: `Scored ${summary.scored} of ${summary.records} records into ${values.output}`,
+    error
+  };
+}
+
+/**
+ * Score an answer sheet, or a batch of answer-sheet records
+ */
+const score = {
+  summary: 'Score an answer sheet (JSON) with the legacy script, or a CSV/JSONL batch with the scoring engine',
+  usage: [
+    'score <answers.json|-> [--gender female|male] [--age n] [--name s] [--code s] [--inpatient n] [--module file.js]',
+    '       mcmi score <records.csv|records.jsonl|-> [--input-format csv|jsonl] [-o results.jsonl|results.csv]',
+    '                  [--output-format jsonl|csv] [--data scoring-data-dir]'
+  ].join('\n'),
+  options: {
+    ...OUTPUT_OPTION,
+    gender: { type: 'string' },
+    age: { type: 'string' },
+    name: { type: 'string' },
+    code: { type: 'string' },
+    inpatient: { type: 'string' },
+    module: { type: 'string' },
+    'input-format': { type: 'string' },
+    'output-format': { type: 'string' },
+    data: { type: 'string' }
+  },
+  async run({ positionals, values }) {
+    const source = single(positionals);
+    if (!source) {
+      throw new UsageError('Missing the answer sheet or records (a file, or - for stdin)');
+    }
+    choice(values, 'gender', ['female', 'male']);
+
+    const format = scoreInputFormat(source, values);
+    return format === 'sheet' ? scoreSheet(source, values) : scoreBatch(source, format, values);
+  }
+};
+
+/**
+ * Commands by name, in the order of the help text
+ */
+export const COMMANDS = { extract, parse, transpile, validate, build, score };
+
+export default COMMANDS;
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * mcmi - MCMI-II pipeline command line
+ * Usage: mcmi <extract|parse|transpile|validate|build|score> [options] (see mcmi --help)
+ */
+
+import CLI from './CLI.js';
+
+process.exitCode = await new CLI().run(process.argv.slice(2));
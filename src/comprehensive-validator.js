@@ -4,19 +4,26 @@
  */
 
 import fs from 'fs';
+import { execFileSync } from 'child_process';
+import { basename } from 'path';
 import Logger from './logger/Logger.js';
+import SourceMap from './transpiler/SourceMap.js';
 
-class ComprehensiveValidator {
+export class ComprehensiveValidator {
   constructor() {
     this.logger = new Logger('ComprehensiveValidator');
     this.issues = [];
     this.warnings = [];
+    this.fileName = 'transpiled.js';
+    this.sourceMap = null;
   }
 
   validate(jsFilePath) {
     this.logger.step('Running comprehensive validation');
 
-    const code = fs.readFileSync(jsFilePath, 'utf-8');
+    const code = this._blankRuntime(fs.readFileSync(jsFilePath, 'utf-8'));
+    this.fileName = basename(jsFilePath);
+    this.sourceMap = SourceMap.load(jsFilePath);
 
     // Check 1: Array access patterns
     this._checkArrayAccess(code);
@@ -33,7 +40,13 @@ class ComprehensiveValidator {
     // Check 5: VBScript remnants
     this._checkVBScriptRemnants(code);
 
-    // Check 6: Syntax validation
+    // Check 6: Switch bodies
+    this._checkSwitchBodies(code);
+
+    // Check 7: Unreachable statements
+    this._checkUnreachableCode(code);
+
+    // Check 8: Syntax validation
     this._checkSyntax(jsFilePath);
 
     // Report results
@@ -42,6 +55,23 @@ class ComprehensiveValidator {
     return this.issues.length === 0;
   }
 
+  /**
+   * Blank out the inlined VBScript runtime library, keeping line numbers
+   * It is hand-written library code, not transpiled output
+   */
+  _blankRuntime(code) {
+    return code.replace(/^\/\/ VBScript Runtime[^\n]*\n[\s\S]*?^\}\)\(\);$/m, block => block.replace(/[^\n]/g, ''));
+  }
+
+  /**
+   * A line of the checked file, with the VBScript line it came from when there is a source map
+   * e.g. `transpiled.js:123 (original-vbscript.vbs:45)`
+   */
+  _location(line) {
+    const original = this.sourceMap && this.sourceMap.originalPosition(line);
+    return `${this.fileName}:${line}` + (original ? ` (${original.source}:${original.line})` : '');
+  }
+
   _checkArrayAccess(code) {
     this.logger.info('Checking array access patterns');
 
@@ -65,7 +95,9 @@ class ComprehensiveValidator {
         'checkfnbr', 'checkfpbr', 'checkfppbr', 'checkfsbr', 'checkfssbr', 'checkftbr',
         'checkfybr', 'checkfzbr', 'checkfonebr', 'checkftwobr', 'checkfthreebr',
         'checkffourbr', 'checkffivebr', 'checkfsixabr', 'checkfsixbbr', 'checkfsevenbr',
-        'checkfeightabr', 'checkfeightbbr', 'v'
+        'checkfeightabr', 'checkfeightbbr', 'v',
+        // VBScript runtime library (vb.Int(), vb.Round(), ...)
+        'int', 'fix', 'round', 'cint', 'cdbl', 'isnumeric', 'mid', 'left', 'len', 'trim', 'add', 'subtract', 'concat', 'compare'
       ]);
 
       for (const match of possibleArrayAccess) {
@@ -90,9 +122,19 @@ class ComprehensiveValidator {
       if (/\b(if|while)\s*\([^)]*[^=!<>]=(?!=)[^)]*\)/.test(line)) {
         // Make sure it's not >=, <=, !==, ===
         if (!/[<>=!]==/.test(line)) {
-          this.issues.push(`Line ${lineNum}: Possible assignment in condition: ${line.trim()}`);
+          this.issues.push(`${this._location(lineNum)}: Possible assignment in condition: ${line.trim()}`);
         }
       }
+
+      // Check for statements that only compare, e.g. `k.t4.disabled === false;`
+      // (a VBScript assignment transpiled as a comparison)
+      if (/^\s*for\b/.test(line)) continue;
+      const withoutStrings = line.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+      const comparisonStatement = /(?:^|[{};])\s*([a-z_$][\w$.[\]]*\s*(?:===|!==|==|!=|<=|>=|<|>)\s*[^;{}]+);/i;
+      const match = withoutStrings.match(comparisonStatement);
+      if (match && !/^(return|case|typeof|delete|void)\b/.test(match[1])) {
+        this.issues.push(`${this._location(lineNum)}: Comparison used as a statement: ${match[1]};`);
+      }
     }
   }
 
@@ -138,20 +180,72 @@ class ComprehensiveValidator {
     }
   }
 
+  _checkSwitchBodies(code) {
+    this.logger.info('Checking switch bodies');
+
+    // A statement before the first case label is never executed, which
+    // means a Case label was lost in transpilation
+    const lines = code.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!/^\s*switch\s*\(.*\)\s*\{\s*$/.test(lines[i])) continue;
+
+      for (let j = i + 1; j < lines.length; j++) {
+        const trimmed = lines[j].trim();
+        if (!trimmed || trimmed.startsWith('//') || /^\/\*.*\*\/$/.test(trimmed)) continue;
+
+        if (!/^(case\s|default\s*:)/.test(trimmed) && trimmed !== '}') {
+          this.issues.push(`${this._location(j + 1)}: Statement before first case label of switch at ${this._location(i + 1)}: ${trimmed}`);
+        }
+        break;
+      }
+    }
+  }
+
+  _checkUnreachableCode(code) {
+    this.logger.info('Checking for unreachable statements');
+
+    // A statement after return/break/continue/throw in the same block never runs
+    const lines = code.split('\n');
+    let functionName = null;
+    for (let i = 0; i < lines.length; i++) {
+      const functionMatch = lines[i].match(/^\s*(?:export\s+)?function\s+(\w+)\s*\(/);
+      if (functionMatch) {
+        functionName = functionMatch[1];
+        continue;
+      }
+
+      const trimmed = lines[i].trim();
+      if (!/^(return\b|break;|continue;|throw\b)/.test(trimmed)) continue;
+      const indent = lines[i].search(/\S/);
+
+      for (let j = i + 1; j < lines.length; j++) {
+        const next = lines[j].trim();
+        if (!next || next.startsWith('//')) continue;
+
+        if (lines[j].search(/\S/) === indent && !/^(}|case\s|default\s*:)/.test(next)) {
+          this.issues.push(`${this._location(j + 1)}: Unreachable statement in ${functionName || '(global)'}(): ${next}`);
+        }
+        break;
+      }
+    }
+  }
+
   _checkSyntax(jsFilePath) {
     this.logger.info('Checking JavaScript syntax');
 
+    // Synchronous, so a syntax error counts in the results (and the exit code of mcmi validate)
     try {
-      import('child_process').then(({ execSync }) => {
-        execSync(`node --check ${jsFilePath}`, { encoding: 'utf-8' });
-        this.logger.success('Syntax check passed');
-      });
+      execFileSync(process.execPath, ['--check', jsFilePath], { encoding: 'utf-8', stdio: 'pipe' });
+      this.logger.success('Syntax check passed');
     } catch (error) {
       this.issues.push(`Syntax error: ${error.message}`);
     }
   }
 
   _reportResults() {
+    // The CLI reports the results itself in quiet and JSON mode
+    if (Logger.quiet) return;
+
     console.log('\n');
     console.log('='.repeat(80));
     console.log('COMPREHENSIVE VALIDATION RESULTS');
@@ -181,6 +275,14 @@ class ComprehensiveValidator {
     console.log('');
     console.log('='.repeat(80));
   }
+
+  getResults() {
+    return {
+      valid: this.issues.length === 0,
+      errors: this.issues,
+      warnings: this.warnings
+    };
+  }
 }
 
 // Run if called directly
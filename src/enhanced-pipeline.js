@@ -11,16 +11,26 @@ import VBScriptExtractor from './parser/VBScriptExtractor.js';
 import AdvancedVBScriptParser from './parser/AdvancedVBScriptParser.js';
 import AdvancedTranspiler from './transpiler/AdvancedTranspiler.js';
 import PostProcessor from './transpiler/PostProcessor.js';
+import ScoringKeyExtractor from './parser/ScoringKeyExtractor.js';
+import BaseRateTableExtractor from './parser/BaseRateTableExtractor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
 
-class EnhancedPipeline {
-  constructor() {
+export class EnhancedPipeline {
+  /**
+   * @param {object} options - Paths, by default those of this repository
+   * @param {string} options.sourceFile - Legacy HTML page with the VBScript
+   * @param {string} options.outputDir - Directory for the json/, javascript/, html/ and vbscript-split/ outputs
+   * @param {string} options.webappDir - Web app that gets the scoring data and module
+   */
+  constructor(options = {}) {
     this.logger = new Logger('EnhancedPipeline');
-    this.sourceFile = join(rootDir, 'MCMI2_DRS.html');
-    this.outputDir = join(rootDir, 'output');
+    this.sourceFile = options.sourceFile || join(rootDir, 'MCMI2_DRS.html');
+    this.outputDir = options.outputDir || join(rootDir, 'output');
+    this.webappDir = options.webappDir || join(rootDir, 'webapp');
+    this.webappDataDir = join(this.webappDir, 'data');
   }
 
   async run() {
@@ -39,13 +49,16 @@ class EnhancedPipeline {
       await this.splitVBScriptFiles(parsedData);
 
       // Step 4: Advanced transpilation with context awareness
-      const advancedJS = await this.advancedTranspilation(vbscriptData.code);
+      const { transpiler, program, scopeReport } = await this.advancedTranspilation(vbscriptData.code);
 
-      // Step 5: Post-process the generated JavaScript
-      const postProcessed = await this.postProcessJavaScript(advancedJS);
+      // Step 5: Post-process the syntax tree and print it
+      const { jsCode, sourceMap } = await this.postProcessJavaScript(transpiler, program);
 
-      // Step 6: Generate enhanced outputs
-      await this.generateEnhancedOutputs(parsedData, postProcessed);
+      // Step 6: Transpile again as an ES module for the web app and Node
+      const scoringModule = await this.moduleTranspilation(vbscriptData.code);
+
+      // Step 7: Generate enhanced outputs
+      await this.generateEnhancedOutputs(parsedData, jsCode, scopeReport, sourceMap, scoringModule);
 
       this.logger.separator();
       this.logger.complete('✨ Enhanced pipeline completed successfully!');
@@ -106,33 +119,67 @@ class EnhancedPipeline {
     this.logger.step('Step 4: Advanced context-aware transpilation');
 
     const transpiler = new AdvancedTranspiler();
-    const jsCode = transpiler.transpile(vbscriptCode);
+    const program = transpiler.transpileToAST(vbscriptCode);
 
     this.logger.success('Advanced transpilation completed with context awareness');
 
-    return jsCode;
+    return { transpiler, program, scopeReport: transpiler.getScopeReport() };
   }
 
-  async postProcessJavaScript(jsCode) {
+  /**
+   * Post-process the transpiled syntax tree, then print it with its source map
+   */
+  async postProcessJavaScript(transpiler, program) {
     this.logger.step('Step 5: Post-processing JavaScript');
 
     const postProcessor = new PostProcessor();
-    const processed = postProcessor.process(jsCode);
+    const jsCode = transpiler.generate(postProcessor.process(program));
 
     const stats = postProcessor.getStats();
     this.logger.info(`Post-processing stats: ${JSON.stringify(stats)}`);
 
-    return processed;
+    return { jsCode, sourceMap: transpiler.getSourceMap() };
   }
 
-  async generateEnhancedOutputs(parsedData, advancedJS) {
-    this.logger.step('Step 6: Generating enhanced outputs');
+  /**
+   * Transpile the VBScript into an ES module that exports score() (see AdvancedTranspiler)
+   */
+  async moduleTranspilation(vbscriptCode) {
+    this.logger.step('Step 6: ES module transpilation');
+
+    const transpiler = new AdvancedTranspiler({ format: 'module' });
+    const jsCode = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscriptCode)));
 
-    // Write transpiled JavaScript (advanced context-aware version)
+    this.logger.success('ES module transpilation completed');
+
+    return { jsCode, sourceMap: transpiler.getSourceMap({ file: 'transpiled.module.js' }) };
+  }
+
+  async generateEnhancedOutputs(parsedData, advancedJS, scopeReport, sourceMap, scoringModule) {
+    this.logger.step('Step 7: Generating enhanced outputs');
+
+    for (const dir of ['json', 'javascript', 'html']) {
+      mkdirSync(join(this.outputDir, dir), { recursive: true });
+    }
+    mkdirSync(join(this.webappDir, 'js'), { recursive: true });
+
+    // Write transpiled JavaScript (advanced context-aware version) and its source map,
+    // which points each line back at original-vbscript.vbs
     const transpiledJSPath = join(this.outputDir, 'javascript', 'transpiled.js');
-    writeFileSync(transpiledJSPath, advancedJS);
+    writeFileSync(transpiledJSPath, `${advancedJS}//# sourceMappingURL=${sourceMap.file}.map\n`);
     this.logger.success(`✓ Transpiled JavaScript: ${transpiledJSPath}`);
 
+    const sourceMapPath = `${transpiledJSPath}.map`;
+    writeFileSync(sourceMapPath, `${sourceMap}\n`);
+    this.logger.success(`✓ Source map: ${sourceMapPath}`);
+
+    // Write the ES module, with its source map, and the web app's copy of it
+    const modulePath = join(this.outputDir, 'javascript', scoringModule.sourceMap.file);
+    writeFileSync(modulePath, `${scoringModule.jsCode}//# sourceMappingURL=${scoringModule.sourceMap.file}.map\n`);
+    writeFileSync(`${modulePath}.map`, `${scoringModule.sourceMap}\n`);
+    writeFileSync(join(this.webappDir, 'js', 'legacy-scoring.js'), scoringModule.jsCode);
+    this.logger.success(`✓ ES module: ${modulePath}`);
+
     // Write parsed analysis
     const parser = new AdvancedVBScriptParser('');
     parser.functions = parsedData.functions;
@@ -158,6 +205,28 @@ class EnhancedPipeline {
     writeFileSync(mapPath, JSON.stringify(functionMap, null, 2));
     this.logger.success(`✓ Function map: ${mapPath}`);
 
+    // Write variable scopes (which implicit globals cross function boundaries)
+    const scopePath = join(this.outputDir, 'json', 'variable-scope.json');
+    writeFileSync(scopePath, JSON.stringify(scopeReport, null, 2));
+    this.logger.success(`✓ Variable scopes (${scopeReport.shared.length} shared): ${scopePath}`);
+
+    // Write declarative scoring keys (also consumed by the webapp engine)
+    const scoringKeys = new ScoringKeyExtractor(parsedData.functions).extract();
+    const scoringKeysJSON = JSON.stringify(scoringKeys, null, 2);
+    const scoringKeysPath = join(this.outputDir, 'json', 'scoring-keys.json');
+    writeFileSync(scoringKeysPath, scoringKeysJSON);
+    mkdirSync(this.webappDataDir, { recursive: true });
+    writeFileSync(join(this.webappDataDir, 'scoring-keys.json'), scoringKeysJSON);
+    this.logger.success(`✓ Scoring keys (v${scoringKeys.version}): ${scoringKeysPath}`);
+
+    // Write gender-aware base-rate norms with their checksum
+    const baseRates = new BaseRateTableExtractor(parsedData.functions).extract();
+    const baseRatesJSON = JSON.stringify(baseRates, null, 2);
+    const baseRatesPath = join(this.outputDir, 'json', 'br-tables.json');
+    writeFileSync(baseRatesPath, baseRatesJSON);
+    writeFileSync(join(this.webappDataDir, 'br-tables.json'), baseRatesJSON);
+    this.logger.success(`✓ Base-rate tables (sha256 ${baseRates.checksum.slice(0, 12)}…): ${baseRatesPath}`);
+
     // Generate file download example
     const examplePath = join(this.outputDir, 'html', 'download-example.html');
     const exampleHTML = this._generateDownloadExample();
@@ -300,15 +369,19 @@ class EnhancedPipeline {
   }
 }
 
-// Run the enhanced pipeline
-const pipeline = new EnhancedPipeline();
-pipeline.run()
-  .then(result => {
-    console.log('\n✅ Enhanced pipeline completed!');
-    console.log(`  Functions parsed: ${result.parsedFunctions}`);
-    console.log(`  Files created: ${result.splitFiles}`);
-  })
-  .catch(error => {
-    console.error('\n❌ Enhanced pipeline failed:', error.message);
-    process.exit(1);
-  });
+// Run the enhanced pipeline (also `mcmi parse`)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const pipeline = new EnhancedPipeline();
+  pipeline.run()
+    .then(result => {
+      console.log('\n✅ Enhanced pipeline completed!');
+      console.log(`  Functions parsed: ${result.parsedFunctions}`);
+      console.log(`  Files created: ${result.splitFiles}`);
+    })
+    .catch(error => {
+      console.error('\n❌ Enhanced pipeline failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default EnhancedPipeline;
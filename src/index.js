@@ -15,11 +15,16 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
 
-class MCMIIPipeline {
-  constructor() {
+export class MCMIIPipeline {
+  /**
+   * @param {object} options - Paths, by default those of this repository
+   * @param {string} options.sourceFile - Legacy HTML page
+   * @param {string} options.outputDir - Directory for the json/, javascript/ and html/ outputs
+   */
+  constructor(options = {}) {
     this.logger = new Logger('Pipeline');
-    this.sourceFile = join(rootDir, 'MCMI2_DRS.html');
-    this.outputDir = join(rootDir, 'output');
+    this.sourceFile = options.sourceFile || join(rootDir, 'MCMI2_DRS.html');
+    this.outputDir = options.outputDir || join(rootDir, 'output');
   }
 
   async run() {
@@ -62,6 +67,25 @@ class MCMIIPipeline {
     }
   }
 
+  /**
+   * Extract the questions and the VBScript, without transpiling it (`mcmi extract`)
+   * The transpiled JavaScript comes from the enhanced pipeline or `mcmi transpile`
+   * @returns {object} { questions, functions, variables, lines } counts
+   */
+  async extract() {
+    const questionsData = await this.parseHTML();
+    const vbscriptData = await this.extractVBScript();
+    await this.generateOutputs(questionsData, vbscriptData, null);
+    await this.generateHTMLFragments(questionsData);
+
+    return {
+      questions: questionsData.questions.length,
+      functions: vbscriptData.functions.length,
+      variables: vbscriptData.variables.length,
+      lines: vbscriptData.totalLines
+    };
+  }
+
   async parseHTML() {
     this.logger.step('Step 1: Parsing HTML');
 
@@ -129,30 +153,21 @@ class MCMIIPipeline {
     this.logger.success(`✓ Original VBScript: ${vbscriptPath}`);
 
     // Write transpiled JavaScript
-    const jsPath = join(this.outputDir, 'javascript', 'transpiled.js');
-    const jsHeader = `/**
- * Transpiled JavaScript from VBScript
- * Source: MCMI-II Assessment Tool
- * Generated: ${new Date().toISOString()}
- * 
- * Note: This is an automated transpilation. Manual review and testing recommended.
- */
-
-`;
-    writeFileSync(jsPath, jsHeader + javascriptData.code);
-    this.logger.success(`✓ Transpiled JavaScript: ${jsPath}`);
+    if (javascriptData) {
+      this._writeTranspiledJavaScript(javascriptData);
+    }
 
     // Write engine/data separation info
     const engineDataPath = join(this.outputDir, 'json', 'engine-structure.json');
     writeFileSync(engineDataPath, JSON.stringify({
       description: 'Engine and data structure for MCMI-II',
-      functions: javascriptData.functions.map(f => ({
+      functions: vbscriptData.functions.map(f => ({
         name: f.name,
         type: f.type,
         parameters: f.parameters,
         purpose: this._inferFunctionPurpose(f.name)
       })),
-      dataStructures: javascriptData.variables.map(v => ({
+      dataStructures: vbscriptData.variables.map(v => ({
         name: v.name,
         isArray: v.isArray,
         arraySize: v.arraySize,
@@ -162,6 +177,21 @@ class MCMIIPipeline {
     this.logger.success(`✓ Engine structure: ${engineDataPath}`);
   }
 
+  _writeTranspiledJavaScript(javascriptData) {
+    const jsPath = join(this.outputDir, 'javascript', 'transpiled.js');
+    const jsHeader = `/**
+ * Transpiled JavaScript from VBScript
+ * Source: MCMI-II Assessment Tool
+ * Generated: ${new Date().toISOString()}
+ * 
+ * Note: This is an automated transpilation. Manual review and testing recommended.
+ */
+
+`;
+    writeFileSync(jsPath, jsHeader + javascriptData.code);
+    this.logger.success(`✓ Transpiled JavaScript: ${jsPath}`);
+  }
+
   async generateHTMLFragments(questionsData) {
     this.logger.step('Step 5: Generating modern HTML fragments');
 
@@ -268,16 +298,20 @@ class MCMIIPipeline {
 }
 
 // Run the pipeline
-const pipeline = new MCMIIPipeline();
-pipeline.run()
-  .then(result => {
-    console.log('\n✅ All outputs generated successfully!');
-    console.log('\nOutput locations:');
-    Object.entries(result.outputs).forEach(([key, path]) => {
-      console.log(`  ${key}: ${path}`);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const pipeline = new MCMIIPipeline();
+  pipeline.run()
+    .then(result => {
+      console.log('\n✅ All outputs generated successfully!');
+      console.log('\nOutput locations:');
+      Object.entries(result.outputs).forEach(([key, path]) => {
+        console.log(`  ${key}: ${path}`);
+      });
+    })
+    .catch(error => {
+      console.error('\n❌ Pipeline failed:', error.message);
+      process.exit(1);
     });
-  })
-  .catch(error => {
-    console.error('\n❌ Pipeline failed:', error.message);
-    process.exit(1);
-  });
+}
+
+export default MCMIIPipeline;
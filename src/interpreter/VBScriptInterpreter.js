@@ -0,0 +1,805 @@
+/**
+ * VBScript Interpreter
+ * Tree-walking interpreter over the VBScriptASTParser syntax tree, so the legacy scoring can
+ * run as written in Node; the page's objects (document, the form) come from a host binding
+ *
+ * Values are plain JS values: Empty is undefined, Null is null and arrays are JS arrays.
+ * Variables assigned in a procedure without a Dim are local to that procedure, as in VBScript.
+ */
+
+import vb from '../runtime/vbruntime.js';
+
+const CONSTANTS = {
+  vbcrlf: '\r\n',
+  vbcr: '\r',
+  vblf: '\n',
+  vbnewline: '\r\n',
+  vbtab: '\t',
+  vbnullstring: '',
+  vbok: 1
+};
+
+// Value of the Nothing keyword, an object reference to no object
+const NOTHING = Object.freeze({});
+
+// Calls nested deeper than this fail like VBScript's "Out of stack space"
+const MAX_CALL_DEPTH = 1000;
+
+// Errors already given the line of the statement that raised them
+const locatedErrors = new WeakSet();
+
+function isEmpty(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Text of a variant: numbers to 15 significant digits, so 0.1 + 0.2 shows as 0.3
+ */
+function toText(value) {
+  if (isEmpty(value)) return '';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'number') return String(Number(value.toPrecision(15)));
+  return String(value);
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (isEmpty(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (vb.IsNumeric(text)) return Number(text) !== 0;
+  }
+  throw new TypeError(`Type mismatch: "${toText(value)}"`);
+}
+
+/**
+ * Whole number of a variant, rounded like CLng, for Mod, \, And, Or, Not and array indexes
+ */
+function toInteger(value) {
+  return vb.Round(value);
+}
+
+function createArray(bounds) {
+  const [upper, ...rest] = bounds;
+  const array = [];
+  for (let i = 0; i <= upper; i++) {
+    array.push(rest.length > 0 ? createArray(rest) : undefined);
+  }
+  return array;
+}
+
+// Arrays are values in VBScript: assigning or passing one ByVal copies it
+function copyValue(value) {
+  return Array.isArray(value) ? value.map(copyValue) : value;
+}
+
+/**
+ * Key of a host object's property, matched without regard to case
+ */
+function resolveProperty(object, property) {
+  if (property in object) return property;
+
+  const lower = property.toLowerCase();
+  for (let target = object; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+    const key = Object.getOwnPropertyNames(target).find(name => name.toLowerCase() === lower);
+    if (key) return key;
+  }
+  return null;
+}
+
+export class VBScriptInterpreter {
+  /**
+   * @param {object} program - Program node from VBScriptASTParser
+   * @param {object} host - Host binding
+   * @param {object} host.globals - Objects the script reaches by name (e.g. document, window)
+   * @param {Function} host.msgbox - Called with the text of each MsgBox; returns the button pressed
+   * @param {Function} host.createObject - Called with the ProgID of each CreateObject
+   */
+  constructor(program, host = {}) {
+    this.program = program;
+    this.host = host;
+    this.hostGlobals = new Map(Object.entries(host.globals || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    this.globals = new Map();
+    this.procedures = new Map();
+    this.frame = null;
+    this.depth = 0;
+    this.optionExplicit = false;
+    this.builtins = this._createBuiltins();
+  }
+
+  /**
+   * Declare the script's procedures and run its script-level statements, as a page does
+   * when it loads the script block
+   * @returns {VBScriptInterpreter} This interpreter
+   */
+  run() {
+    for (const procedure of this.program.procedures) {
+      const key = procedure.name.toLowerCase();
+      if (this.procedures.has(key)) {
+        throw this._locate(new Error(`Name redefined: '${procedure.name}'`), procedure);
+      }
+      this.procedures.set(key, procedure);
+    }
+
+    this._executeBlock(this.program.body);
+    return this;
+  }
+
+  /**
+   * Call a Sub or Function, passing arguments ByVal
+   * @param {string} name - Procedure name
+   * @param {...*} args - Argument values
+   * @returns {*} The Function's return value, or Empty for a Sub
+   */
+  call(name, ...args) {
+    const procedure = this.procedures.get(name.toLowerCase());
+    if (!procedure) {
+      throw new ReferenceError(`Sub or Function not defined: '${name}'`);
+    }
+    return this._invokeProcedure(procedure, args.map(value => ({ value })));
+  }
+
+  /**
+   * Value of a script-level variable
+   * @param {string} name - Variable name
+   * @returns {*} Its value, or Empty if the script never set it
+   */
+  getGlobal(name) {
+    return this.globals.get(name.toLowerCase())?.value;
+  }
+
+  // Statements
+
+  /**
+   * Run statements in order
+   * @returns {string|null} Target of an Exit statement ('for', 'do', 'function' or 'sub') still to be handled
+   */
+  _executeBlock(statements) {
+    for (const statement of statements) {
+      const exit = this._execute(statement);
+      if (exit) return exit;
+    }
+    return null;
+  }
+
+  _execute(statement) {
+    try {
+      switch (statement.type) {
+      case 'OptionExplicit':
+        this.optionExplicit = true;
+        return null;
+      case 'ProcedureDeclaration':
+        return null;
+      case 'DimStatement':
+        for (const declaration of statement.declarations) {
+          const bounds = declaration.bounds && declaration.bounds.map(bound => toInteger(this._evaluate(bound)));
+          this._declare(declaration.name, { value: bounds ? createArray(bounds) : undefined });
+        }
+        return null;
+      case 'ReDimStatement':
+        this._executeReDim(statement);
+        return null;
+      case 'ConstStatement':
+        for (const declaration of statement.declarations) {
+          this._declare(declaration.name, { value: this._evaluate(declaration.value), constant: true });
+        }
+        return null;
+      case 'AssignmentStatement':
+        this._assign(statement.target, this._evaluate(statement.value), statement.isSet);
+        return null;
+      case 'CallStatement':
+        this._executeCall(statement.callee);
+        return null;
+      case 'IfStatement':
+        if (toBoolean(this._evaluate(statement.test))) {
+          return this._executeBlock(statement.consequent);
+        }
+        return statement.alternate ? this._executeBlock(statement.alternate) : null;
+      case 'SelectCaseStatement':
+        return this._executeSelect(statement);
+      case 'ForStatement':
+        return this._executeFor(statement);
+      case 'DoLoopStatement':
+        return this._executeDoLoop(statement);
+      case 'ExitStatement':
+        return statement.target;
+      default:
+        throw new Error(`Unknown statement type: ${statement.type}`);
+      }
+    } catch (error) {
+      throw this._locate(error, statement);
+    }
+  }
+
+  /**
+   * Add the line of the statement that failed, once, to an error's message
+   */
+  _locate(error, node) {
+    if (error instanceof Error && !locatedErrors.has(error)) {
+      error.message = `${error.message} at line ${node.loc.line}`;
+      locatedErrors.add(error);
+    }
+    return error;
+  }
+
+  _executeReDim(statement) {
+    for (const declaration of statement.declarations) {
+      const bounds = declaration.bounds.map(bound => toInteger(this._evaluate(bound)));
+      const array = createArray(bounds);
+      const cell = this._lookup(declaration.name.toLowerCase());
+
+      if (statement.preserve && cell && Array.isArray(cell.value)) {
+        cell.value.slice(0, array.length).forEach((value, i) => { array[i] = value; });
+      }
+      if (cell) {
+        cell.value = array;
+      } else {
+        this._declare(declaration.name, { value: array });
+      }
+    }
+  }
+
+  _executeSelect(statement) {
+    const value = this._evaluate(statement.discriminant);
+
+    for (const clause of statement.cases) {
+      const matches = clause.tests.some(test =>
+        vb.Compare(value, this._evaluate(test), this._literalSide(statement.discriminant, test)) === 0);
+      if (matches) {
+        return this._executeBlock(clause.body);
+      }
+    }
+    return statement.defaultCase ? this._executeBlock(statement.defaultCase) : null;
+  }
+
+  /**
+   * For loop; the counter is read back each pass, so assigning it in the body moves the loop on
+   */
+  _executeFor(statement) {
+    const start = vb.CDbl(this._evaluate(statement.start));
+    const end = vb.CDbl(this._evaluate(statement.end));
+    const step = statement.step ? vb.CDbl(this._evaluate(statement.step)) : 1;
+
+    this._assignName(statement.variable, start);
+    for (;;) {
+      const counter = vb.CDbl(this._readName(statement.variable));
+      if (step >= 0 ? counter > end : counter < end) break;
+
+      const exit = this._executeBlock(statement.body);
+      if (exit === 'for') break;
+      if (exit) return exit;
+
+      this._assignName(statement.variable, vb.CDbl(this._readName(statement.variable)) + step);
+    }
+    return null;
+  }
+
+  _executeDoLoop(statement) {
+    const stop = () => statement.test && toBoolean(this._evaluate(statement.test)) === statement.until;
+
+    for (;;) {
+      if (!statement.testAfter && stop()) break;
+
+      const exit = this._executeBlock(statement.body);
+      if (exit === 'do') break;
+      if (exit) return exit;
+
+      if (statement.testAfter && stop()) break;
+    }
+    return null;
+  }
+
+  /**
+   * A call statement: `name`, `name args`, `name(args)` or `object.method args`
+   */
+  _executeCall(callee) {
+    if (callee.type === 'CallExpression') {
+      this._evaluateCall(callee);
+    } else if (callee.type === 'Identifier' && !this._lookup(callee.name.toLowerCase())) {
+      this._callName(callee.name, []);
+    } else {
+      this._evaluate(callee);
+    }
+  }
+
+  // Variables
+
+  _lookup(key) {
+    if (this.frame) {
+      const cell = this.frame.locals.get(key);
+      if (cell) return cell;
+    }
+    return this.globals.get(key) || null;
+  }
+
+  _declare(name, cell) {
+    (this.frame ? this.frame.locals : this.globals).set(name.toLowerCase(), cell);
+  }
+
+  _readName(name) {
+    const key = name.toLowerCase();
+    const cell = this._lookup(key);
+    if (cell) return cell.value;
+
+    // A procedure named without arguments is called
+    if (this.procedures.has(key) || this.builtins.has(key) || this.hostGlobals.has(key)) {
+      return this._callName(name, []);
+    }
+    if (key in CONSTANTS) return CONSTANTS[key];
+    if (this.optionExplicit) {
+      throw new ReferenceError(`Variable is undefined: '${name}'`);
+    }
+    return undefined;
+  }
+
+  /**
+   * Assign a variable, creating it in the current scope if it does not exist yet
+   */
+  _assignName(name, value) {
+    const key = name.toLowerCase();
+    const cell = this._lookup(key);
+
+    if (cell) {
+      if (cell.constant) {
+        throw new TypeError(`Illegal assignment: '${name}'`);
+      }
+      cell.value = value;
+      return;
+    }
+    if (this.procedures.has(key)) {
+      throw new TypeError(`Illegal assignment: '${name}'`);
+    }
+    if (this.optionExplicit) {
+      throw new ReferenceError(`Variable is undefined: '${name}'`);
+    }
+    this._declare(name, { value });
+  }
+
+  _assign(target, value, isSet) {
+    const stored = isSet ? value : copyValue(value);
+
+    if (target.type === 'Identifier') {
+      this._assignName(target.name, stored);
+    } else if (target.type === 'MemberExpression') {
+      this._setMember(this._evaluate(target.object), target.property, stored);
+    } else {
+      const array = this._evaluateCallee(target.callee);
+      const indexes = target.arguments.map(argument => this._evaluate(argument));
+      const positions = this._positions(array, indexes, target.callee);
+      const last = positions.length - 1;
+      positions.slice(0, last).reduce((element, position) => element[position], array)[positions[last]] = stored;
+    }
+  }
+
+  // Expressions
+
+  _evaluate(node) {
+    switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Identifier':
+      return this._readName(node.name);
+    case 'MemberExpression': {
+      const object = this._evaluate(node.object);
+      const value = this._getMember(object, node.property);
+      // A method named without parentheses is called
+      return typeof value === 'function' ? value.call(object) : value;
+    }
+    case 'CallExpression':
+      return this._evaluateCall(node);
+    case 'UnaryExpression':
+      return this._evaluateUnary(node);
+    case 'BinaryExpression':
+      return this._evaluateBinary(node);
+    case 'Nothing':
+      return NOTHING;
+    default:
+      throw new Error(`Unknown expression type: ${node.type}`);
+    }
+  }
+
+  /**
+   * What an assignment target names, without calling it: the array itself
+   */
+  _evaluateCallee(node) {
+    if (node.type === 'Identifier') {
+      const cell = this._lookup(node.name.toLowerCase());
+      if (!cell) {
+        throw new TypeError(`Type mismatch: '${node.name}'`);
+      }
+      return cell.value;
+    }
+    if (node.type === 'MemberExpression') {
+      return this._getMember(this._evaluate(node.object), node.property);
+    }
+    return this._evaluate(node);
+  }
+
+  /**
+   * name(args): an array element, a procedure or built-in call, or a host method call
+   */
+  _evaluateCall(node) {
+    const { callee } = node;
+
+    if (callee.type === 'Identifier') {
+      const cell = this._lookup(callee.name.toLowerCase());
+      // Inside a Function its name is the return value, but name(args) still calls it
+      if (cell && !(this.frame && cell === this.frame.result)) {
+        return this._index(cell.value, node);
+      }
+      return this._callName(callee.name, node.arguments);
+    }
+
+    if (callee.type === 'MemberExpression') {
+      const object = this._evaluate(callee.object);
+      const value = this._getMember(object, callee.property);
+      if (typeof value === 'function') {
+        return value.apply(object, node.arguments.map(argument => this._evaluate(argument)));
+      }
+      return this._index(value, node);
+    }
+
+    return this._index(this._evaluate(callee), node);
+  }
+
+  /**
+   * Call a procedure, built-in or host function by name
+   */
+  _callName(name, argumentNodes) {
+    const key = name.toLowerCase();
+
+    const procedure = this.procedures.get(key);
+    if (procedure) {
+      return this._invokeProcedure(procedure, argumentNodes.map(argument => this._reference(argument)));
+    }
+
+    const builtin = this.builtins.get(key);
+    if (builtin) {
+      return builtin(argumentNodes.map(argument => this._evaluate(argument)));
+    }
+
+    if (this.hostGlobals.has(key)) {
+      const value = this.hostGlobals.get(key);
+      if (typeof value === 'function') {
+        return value(...argumentNodes.map(argument => this._evaluate(argument)));
+      }
+      return argumentNodes.length > 0 ? this._index(value, { callee: { type: 'Identifier', name }, arguments: argumentNodes }) : value;
+    }
+
+    throw new TypeError(`Type mismatch: '${name}'`);
+  }
+
+  /**
+   * Element of an array (or a call, for a host function value)
+   */
+  _index(value, node) {
+    const indexes = node.arguments.map(argument => this._evaluate(argument));
+
+    if (typeof value === 'function') {
+      return value(...indexes);
+    }
+    return this._positions(value, indexes, node.callee).reduce((element, position) => element[position], value);
+  }
+
+  /**
+   * Positions of an element in an array, checked against its bounds
+   */
+  _positions(array, indexes, callee) {
+    if (!Array.isArray(array) || indexes.length === 0) {
+      throw new TypeError(`Type mismatch: '${this._describe(callee)}'`);
+    }
+
+    let element = array;
+    return indexes.map(index => {
+      const position = toInteger(index);
+      if (!Array.isArray(element) || position < 0 || position >= element.length) {
+        throw new RangeError(`Subscript out of range: '${this._describe(callee)}(${indexes.map(toText).join(', ')})'`);
+      }
+      element = element[position];
+      return position;
+    });
+  }
+
+  /**
+   * Argument cell for a procedure parameter: the caller's variable or array element itself
+   * when the argument is one (ByRef), otherwise a cell holding the value
+   */
+  _reference(node) {
+    if (!node.parenthesized && node.type === 'Identifier') {
+      const key = node.name.toLowerCase();
+      const cell = this._lookup(key);
+      if (cell && !cell.constant) return cell;
+      if (!cell && !this.procedures.has(key) && !this.builtins.has(key) && !this.hostGlobals.has(key) && !(key in CONSTANTS)) {
+        this._assignName(node.name, undefined);
+        return this._lookup(key);
+      }
+    }
+
+    if (!node.parenthesized && node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      const cell = this._lookup(node.callee.name.toLowerCase());
+      if (cell && Array.isArray(cell.value) && node.arguments.length > 0) {
+        const positions = this._positions(cell.value, node.arguments.map(argument => this._evaluate(argument)), node.callee);
+        const last = positions.length - 1;
+        const container = positions.slice(0, last).reduce((element, position) => element[position], cell.value);
+        return {
+          get value() {
+            return container[positions[last]];
+          },
+          set value(value) {
+            container[positions[last]] = value;
+          }
+        };
+      }
+    }
+
+    return { value: copyValue(this._evaluate(node)) };
+  }
+
+  /**
+   * Run a Sub or Function with argument cells, one per parameter
+   */
+  _invokeProcedure(procedure, cells) {
+    if (cells.length !== procedure.params.length) {
+      throw new RangeError(`Wrong number of arguments or invalid property assignment: '${procedure.name}'`);
+    }
+    if (this.depth >= MAX_CALL_DEPTH) {
+      throw new RangeError(`Out of stack space: '${procedure.name}'`);
+    }
+
+    const locals = new Map();
+    procedure.params.forEach((param, i) => {
+      locals.set(param.name.toLowerCase(), param.byRef ? cells[i] : { value: copyValue(cells[i].value) });
+    });
+
+    const result = procedure.kind === 'function' ? { value: undefined } : null;
+    if (result) {
+      locals.set(procedure.name.toLowerCase(), result);
+    }
+
+    const caller = this.frame;
+    this.frame = { procedure, locals, result };
+    this.depth++;
+    try {
+      this._executeBlock(procedure.body);
+    } finally {
+      this.frame = caller;
+      this.depth--;
+    }
+
+    return result ? result.value : undefined;
+  }
+
+  _getMember(object, property) {
+    if (object === null || typeof object !== 'object' || object === NOTHING) {
+      throw new TypeError(`Object required: '${property}'`);
+    }
+    const key = resolveProperty(object, property);
+    if (key === null) {
+      throw new TypeError(`Object doesn't support this property or method: '${property}'`);
+    }
+    return object[key];
+  }
+
+  _setMember(object, property, value) {
+    if (object === null || typeof object !== 'object' || object === NOTHING) {
+      throw new TypeError(`Object required: '${property}'`);
+    }
+    object[resolveProperty(object, property) ?? property] = value;
+  }
+
+  _describe(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return `${this._describe(node.object)}.${node.property}`;
+    return '(expression)';
+  }
+
+  _evaluateUnary(node) {
+    const value = this._evaluate(node.argument);
+
+    switch (node.operator) {
+    case 'not':
+      if (value === null) return null;
+      return typeof value === 'boolean' ? !value : ~toInteger(value);
+    case '-':
+      return value === null ? null : 0 - vb.CDbl(value);
+    default:
+      return value;
+    }
+  }
+
+  /**
+   * Which operand of a comparison is a number or string literal in the source (see vb.Compare)
+   */
+  _literalSide(left, right) {
+    const isLiteral = node => node.type === 'Literal' && (typeof node.value === 'number' || typeof node.value === 'string');
+    if (isLiteral(right)) return 'right';
+    if (isLiteral(left)) return 'left';
+    return undefined;
+  }
+
+  _evaluateBinary(node) {
+    const { operator } = node;
+    const left = this._evaluate(node.left);
+    const right = this._evaluate(node.right);
+
+    switch (operator) {
+    case '&':
+      return toText(left) + toText(right);
+    case 'and':
+    case 'or':
+    case 'xor':
+    case 'eqv':
+    case 'imp':
+      return this._logical(operator, left, right);
+    case 'is':
+      return left === right;
+    }
+
+    // Null propagates through arithmetic and comparison
+    if (left === null || right === null) return null;
+
+    switch (operator) {
+    case '+':
+      return vb.Add(left, right);
+    case '-':
+      return vb.CDbl(left) - vb.CDbl(right);
+    case '*':
+      return vb.CDbl(left) * vb.CDbl(right);
+    case '/':
+      if (vb.CDbl(right) === 0) throw new RangeError('Division by zero');
+      return vb.CDbl(left) / vb.CDbl(right);
+    case '\\':
+      if (toInteger(right) === 0) throw new RangeError('Division by zero');
+      return vb.Fix(toInteger(left) / toInteger(right));
+    case 'mod':
+      if (toInteger(right) === 0) throw new RangeError('Division by zero');
+      return vb.Fix(toInteger(left) % toInteger(right));
+    case '^':
+      return Math.pow(vb.CDbl(left), vb.CDbl(right));
+    default: {
+      const order = vb.Compare(left, right, this._literalSide(node.left, node.right));
+      switch (operator) {
+      case '=': return order === 0;
+      case '<>': return order !== 0;
+      case '<': return order < 0;
+      case '>': return order > 0;
+      case '<=': return order <= 0;
+      default: return order >= 0;
+      }
+    }
+    }
+  }
+
+  /**
+   * And, Or, Xor, Eqv and Imp: logical on two Booleans, bitwise otherwise; both sides are
+   * always evaluated
+   */
+  _logical(operator, left, right) {
+    if (typeof left === 'boolean' && typeof right === 'boolean') {
+      switch (operator) {
+      case 'and': return left && right;
+      case 'or': return left || right;
+      case 'xor': return left !== right;
+      case 'eqv': return left === right;
+      default: return !left || right;
+      }
+    }
+
+    const a = toInteger(left);
+    const b = toInteger(right);
+    switch (operator) {
+    case 'and': return a & b;
+    case 'or': return a | b;
+    case 'xor': return a ^ b;
+    case 'eqv': return ~(a ^ b);
+    default: return ~a | b;
+    }
+  }
+
+  // Built-in functions
+
+  _createBuiltins() {
+    const argumentCount = (name, args, min, max = min) => {
+      if (args.length < min || args.length > max) {
+        throw new RangeError(`Wrong number of arguments or invalid property assignment: '${name}'`);
+      }
+    };
+    const unary = (name, fn) => args => {
+      argumentCount(name, args, 1);
+      return fn(args[0]);
+    };
+
+    const bound = (name, offset) => args => {
+      argumentCount(name, args, 1, 2);
+      const [array, dimension = 1] = args;
+      if (!Array.isArray(array)) throw new TypeError(`Type mismatch: '${name}'`);
+      let level = array;
+      for (let i = 1; i < toInteger(dimension); i++) level = level[0];
+      return offset === 0 ? 0 : level.length - 1;
+    };
+
+    return new Map(Object.entries({
+      abs: unary('Abs', value => Math.abs(vb.CDbl(value))),
+      array: args => args.slice(),
+      asc: unary('Asc', value => {
+        const text = toText(value);
+        if (text === '') throw new RangeError('Invalid procedure call or argument: \'Asc\'');
+        return text.charCodeAt(0);
+      }),
+      cbool: unary('CBool', toBoolean),
+      cdbl: unary('CDbl', vb.CDbl),
+      chr: unary('Chr', value => String.fromCharCode(toInteger(value))),
+      cint: unary('CInt', vb.CInt),
+      clng: unary('CLng', value => {
+        const rounded = vb.Round(value);
+        if (rounded < -2147483648 || rounded > 2147483647) throw new RangeError(`Overflow: CLng(${toText(value)})`);
+        return rounded;
+      }),
+      cstr: unary('CStr', toText),
+      fix: unary('Fix', vb.Fix),
+      instr: args => {
+        argumentCount('InStr', args, 2, 3);
+        const [start, text, search] = args.length === 3 ? args : [1, ...args];
+        return toText(text).indexOf(toText(search), toInteger(start) - 1) + 1;
+      },
+      int: unary('Int', vb.Int),
+      isarray: unary('IsArray', Array.isArray),
+      isempty: unary('IsEmpty', value => value === undefined),
+      isnull: unary('IsNull', value => value === null),
+      isnumeric: unary('IsNumeric', vb.IsNumeric),
+      isobject: unary('IsObject', value => value !== null && typeof value === 'object' && !Array.isArray(value)),
+      lbound: bound('LBound', 0),
+      lcase: unary('LCase', value => toText(value).toLowerCase()),
+      left: args => {
+        argumentCount('Left', args, 2);
+        return vb.Left(toText(args[0]), args[1]);
+      },
+      len: unary('Len', value => toText(value).length),
+      ltrim: unary('LTrim', value => toText(value).replace(/^ +/, '')),
+      mid: args => {
+        argumentCount('Mid', args, 2, 3);
+        return vb.Mid(toText(args[0]), args[1], args[2]);
+      },
+      right: args => {
+        argumentCount('Right', args, 2);
+        const text = toText(args[0]);
+        return text.substring(Math.max(0, text.length - toInteger(args[1])));
+      },
+      round: args => {
+        argumentCount('Round', args, 1, 2);
+        return vb.Round(args[0], args[1] ?? 0);
+      },
+      rtrim: unary('RTrim', value => toText(value).replace(/ +$/, '')),
+      sgn: unary('Sgn', value => Math.sign(vb.CDbl(value))),
+      sqr: unary('Sqr', value => Math.sqrt(vb.CDbl(value))),
+      trim: unary('Trim', vb.Trim),
+      ubound: bound('UBound', 1),
+      ucase: unary('UCase', value => toText(value).toUpperCase()),
+      msgbox: args => {
+        argumentCount('MsgBox', args, 1, 5);
+        return this.host.msgbox ? this.host.msgbox(toText(args[0])) ?? CONSTANTS.vbok : CONSTANTS.vbok;
+      },
+      createobject: args => {
+        argumentCount('CreateObject', args, 1, 2);
+        const object = this.host.createObject && this.host.createObject(toText(args[0]));
+        if (!object) throw new Error(`ActiveX component can't create object: '${toText(args[0])}'`);
+        return object;
+      }
+    }));
+  }
+}
+
+/**
+ * Run a parsed script with a host binding
+ * @param {object} program - Program node from VBScriptASTParser
+ * @param {object} host - Host binding (see VBScriptInterpreter)
+ * @returns {VBScriptInterpreter} The interpreter, after the script-level statements have run
+ */
+export function runVBScript(program, host = {}) {
+  return new VBScriptInterpreter(program, host).run();
+}
+
+export default VBScriptInterpreter;
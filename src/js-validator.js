@@ -4,14 +4,18 @@
  */
 
 import { readFileSync } from 'fs';
+import { basename } from 'path';
 import { createContext, runInContext } from 'vm';
 import Logger from './logger/Logger.js';
+import SourceMap from './transpiler/SourceMap.js';
 
 export class JavaScriptValidator {
   constructor() {
     this.logger = new Logger('JSValidator');
     this.errors = [];
     this.warnings = [];
+    this.fileName = null;
+    this.sourceMap = null;
   }
 
   /**
@@ -22,10 +26,13 @@ export class JavaScriptValidator {
 
     try {
       const code = readFileSync(filePath, 'utf8');
-      
+      this.fileName = basename(filePath);
+      this.sourceMap = SourceMap.load(filePath);
+
       // Step 1: Basic syntax check
       const syntaxValid = await this._checkSyntax(code, filePath);
       if (!syntaxValid) {
+        this.errors.forEach(err => this.logger.error(`  - ${err}`));
         return false;
       }
 
@@ -39,7 +46,7 @@ export class JavaScriptValidator {
       await this._checkCommonIssues(code);
 
       // Step 4: Try to load in VM context
-      const vmValid = await this._validateInVM(code);
+      const vmValid = await this._validateInVM(code, filePath);
       if (!vmValid) {
         this.warnings.push('File has runtime issues in VM context');
       }
@@ -76,14 +83,14 @@ export class JavaScriptValidator {
       const result = await execAsync(`node --check "${filePath}"`);
       
       if (result.stderr) {
-        this.errors.push(`Syntax error: ${result.stderr}`);
+        this.errors.push(`Syntax error: ${this._withSourceLocations(result.stderr)}`);
         return false;
       }
 
       this.logger.success('✓ Syntax check passed');
       return true;
     } catch (error) {
-      this.errors.push(`Syntax check failed: ${error.message}`);
+      this.errors.push(`Syntax check failed: ${this._withSourceLocations(error.message)}`);
       return false;
     }
   }
@@ -162,7 +169,7 @@ export class JavaScriptValidator {
     this.logger.success('✓ Common issues check completed');
   }
 
-  async _validateInVM(code) {
+  async _validateInVM(code, filePath) {
     this.logger.info('Validating in VM context');
 
     try {
@@ -198,6 +205,7 @@ export class JavaScriptValidator {
 
       // Try to run the code in the sandbox
       runInContext(code, context, {
+        filename: filePath,
         timeout: 1000,
         displayErrors: true
       });
@@ -209,11 +217,29 @@ export class JavaScriptValidator {
         this.warnings.push('Code execution timeout (this may be normal)');
         return true;
       }
-      this.logger.warning(`VM validation issue: ${error.message}`);
+      const location = (error.stack || '').match(new RegExp(`${this._escapedFileName()}:\\d+`));
+      this.logger.warning(`VM validation issue: ${error.message}` + (location ? ` at ${this._withSourceLocations(location[0])}` : ''));
       return false;
     }
   }
 
+  /**
+   * Follow each `<file>:<line>` in a message with the VBScript line it came from,
+   * when there is a source map: `transpiled.js:123 (original-vbscript.vbs:45)`
+   */
+  _withSourceLocations(message) {
+    if (!this.sourceMap) return message;
+
+    return message.replace(new RegExp(`${this._escapedFileName()}:(\\d+)(?::\\d+)?`, 'g'), (location, line) => {
+      const original = this.sourceMap.originalPosition(Number(line));
+      return original ? `${location} (${original.source}:${original.line})` : location;
+    });
+  }
+
+  _escapedFileName() {
+    return this.fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   getResults() {
     return {
       valid: this.errors.length === 0,
@@ -4,24 +4,32 @@
  */
 
 export class Logger {
+  /**
+   * Print errors only (set by `mcmi --quiet` and `--json`)
+   */
+  static quiet = false;
+
   constructor(context = 'MCMI-II') {
     this.context = context;
     this.startTime = Date.now();
   }
 
   info(message, data = null) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     console.log(`ℹ️  [${timestamp}] [${this.context}] ${message}`);
     if (data) console.log(data);
   }
 
   success(message, data = null) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     console.log(`✅ [${timestamp}] [${this.context}] ${message}`);
     if (data) console.log(data);
   }
 
   warning(message, data = null) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     console.warn(`⚠️  [${timestamp}] [${this.context}] ${message}`);
     if (data) console.warn(data);
@@ -34,23 +42,27 @@ export class Logger {
   }
 
   debug(message, data = null) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     console.log(`🔍 [${timestamp}] [${this.context}] ${message}`);
     if (data) console.log(data);
   }
 
   progress(message, step, total) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     const percentage = Math.round((step / total) * 100);
     console.log(`⏳ [${timestamp}] [${this.context}] ${message} (${step}/${total} - ${percentage}%)`);
   }
 
   step(stepName) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     console.log(`\n🚀 [${timestamp}] [${this.context}] Starting: ${stepName}`);
   }
 
   complete(message) {
+    if (Logger.quiet) return;
     const timestamp = this._getTimestamp();
     const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(2);
     console.log(`\n🎉 [${timestamp}] [${this.context}] ${message}`);
@@ -62,6 +74,7 @@ export class Logger {
   }
 
   separator() {
+    if (Logger.quiet) return;
     console.log('━'.repeat(80));
   }
 }
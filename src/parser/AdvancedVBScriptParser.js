@@ -6,6 +6,7 @@
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import Logger from '../logger/Logger.js';
+import { VBScriptLexer } from './VBScriptLexer.js';
 
 export class AdvancedVBScriptParser {
   constructor(vbscriptCode) {
@@ -15,6 +16,7 @@ export class AdvancedVBScriptParser {
     this.ast = [];
     this.functions = [];
     this.globalVariables = [];
+    this.lexedSource = ''; // Code as the lexer read it (CRLF as LF), which lexeme offsets index
   }
 
   parse() {
@@ -46,104 +48,243 @@ export class AdvancedVBScriptParser {
     }
   }
 
+  /**
+   * Split the code into statement tokens without building the tree
+   * @returns {Array<object>} Tokens with their source spans
+   */
+  tokenize() {
+    this._tokenize();
+    return this.tokens;
+  }
+
   _tokenize() {
     this.logger.info('Tokenizing VBScript code');
 
-    const lines = this.code.split('\n');
-    let lineNumber = 1;
+    let selectDepth = 0; // Nesting depth of the enclosing Select Case blocks
 
-    for (const line of lines) {
-      const trimmed = line.trim();
+    for (const statement of this._splitStatements()) {
+      const { text, lexemes } = statement;
+      const position = {
+        line: statement.line,
+        column: statement.column,
+        endLine: statement.endLine,
+        endColumn: statement.endColumn,
+        originalLine: statement.originalLine
+      };
 
-      if (!trimmed || trimmed.startsWith("'")) {
-        // Skip empty lines and comments
-        this.tokens.push({
-          type: 'COMMENT',
-          value: line,
-          line: lineNumber
-        });
-      } else if (/^(function|sub)\s+(\w+)\s*\(/i.test(trimmed)) {
-        const match = trimmed.match(/^(function|sub)\s+(\w+)\s*\((.*?)\)/i);
+      if (statement.comment) {
+        // Blank lines and comments
+        this.tokens.push({ type: 'COMMENT', value: text, ...position });
+      } else if (/^(function|sub)\s+(\w+)\s*\(/i.test(text)) {
+        const match = text.match(/^(function|sub)\s+(\w+)\s*\((.*?)\)/i);
+        selectDepth = 0;
         this.tokens.push({
           type: 'FUNCTION_START',
           functionType: match[1].toLowerCase(),
           name: match[2],
           parameters: match[3].split(',').map(p => p.trim()).filter(p => p),
-          line: lineNumber,
-          originalLine: line
-        });
-      } else if (/^end\s+(function|sub)/i.test(trimmed)) {
-        this.tokens.push({
-          type: 'FUNCTION_END',
-          line: lineNumber,
-          originalLine: line
+          value: text,
+          ...position
         });
-      } else if (/^dim\s+/i.test(trimmed)) {
-        const match = trimmed.match(/^dim\s+(\w+)(?:\((\d+)\))?/i);
+      } else if (/^end\s+(function|sub)/i.test(text)) {
+        this.tokens.push({ type: 'FUNCTION_END', value: text, ...position });
+      } else if (/^dim\s+/i.test(text)) {
+        const match = text.match(/^dim\s+(\w+)(?:\((\d+)\))?/i);
         if (match) {
           this.tokens.push({
             type: 'VARIABLE_DECLARATION',
             name: match[1],
             isArray: !!match[2],
             arraySize: match[2] ? parseInt(match[2]) : null,
-            line: lineNumber,
-            originalLine: line
+            value: text,
+            ...position
           });
         }
-      } else if (/^if\s+.*\s+then/i.test(trimmed)) {
-        // Check if this is a single-line if (has statement after then on same line)
-        const ifMatch = trimmed.match(/^if\s+(.*?)\s+then\s*(.*)$/i);
-        const isSingleLine = ifMatch && ifMatch[2].trim().length > 0;
-        
-        if (isSingleLine) {
-          // Single-line if: if condition then statement
+      } else if (this._isKeyword(lexemes[0], 'if') && this._findKeyword(lexemes, 'then') !== -1) {
+        const thenIndex = this._findKeyword(lexemes, 'then');
+        const condition = this._lexemeText(lexemes.slice(1, thenIndex));
+
+        if (thenIndex < lexemes.length - 1) {
+          // Single-line if: if condition then statement [else statement]
           this.tokens.push({
             type: 'STATEMENT',
-            value: trimmed,
-            line: lineNumber,
-            originalLine: line
+            value: text,
+            singleLineIf: this._splitSingleLineIf(condition, lexemes.slice(thenIndex + 1)),
+            ...position
           });
         } else {
           // Multi-line if: if condition then (with block)
-          this.tokens.push({
-            type: 'IF_STATEMENT',
-            condition: ifMatch[1],
-            line: lineNumber,
-            originalLine: line
-          });
+          this.tokens.push({ type: 'IF_STATEMENT', condition, value: text, ...position });
         }
-      } else if (/^for\s+/i.test(trimmed)) {
-        const match = trimmed.match(/^for\s+(\w+)\s*=\s*(\d+)\s+to\s+(\d+)/i);
+      } else if (/^for\s+/i.test(text)) {
+        const match = text.match(/^for\s+(\w+)\s*=\s*(\d+)\s+to\s+(\d+)/i);
         if (match) {
           this.tokens.push({
             type: 'FOR_LOOP',
             variable: match[1],
             start: match[2],
             end: match[3],
-            line: lineNumber,
-            originalLine: line
+            value: text,
+            ...position
           });
         }
-      } else {
+      } else if (/^select\s+case\s+/i.test(text)) {
+        this.tokens.push({
+          type: 'SELECT_CASE',
+          selector: text.match(/^select\s+case\s+(.*)$/i)[1].trim(),
+          depth: selectDepth,
+          value: text,
+          ...position
+        });
+        selectDepth++;
+      } else if (/^case\s+/i.test(text)) {
+        const isElse = /^case\s+else$/i.test(text);
         this.tokens.push({
-          type: 'STATEMENT',
-          value: trimmed,
-          line: lineNumber,
-          originalLine: line
+          type: 'CASE',
+          caseValue: isElse ? null : text.match(/^case\s+(.*)$/i)[1].trim(),
+          isElse,
+          depth: Math.max(selectDepth - 1, 0),
+          value: text,
+          ...position
         });
+      } else if (/^end\s+select$/i.test(text)) {
+        selectDepth = Math.max(selectDepth - 1, 0);
+        this.tokens.push({ type: 'END_SELECT', depth: selectDepth, value: text, ...position });
+      } else {
+        this.tokens.push({ type: 'STATEMENT', value: text, ...position });
       }
-
-      lineNumber++;
     }
 
     this.logger.success(`Tokenized ${this.tokens.length} tokens`);
   }
 
+  /**
+   * Split the code into logical statements with the character-level lexer
+   * A statement ends at a newline or `:`, except that a single-line If keeps every statement
+   * after Then, and ` _` continues it on the next line. Comments and blank lines come out as
+   * comment statements, one per blank line.
+   * @returns {Array<object>} { comment, text, lexemes, line, column, endLine, endColumn,
+   * originalLine }: 1-based start and end positions, endColumn just past the last character,
+   * and the full source line the statement starts on
+   */
+  _splitStatements() {
+    const lexer = new VBScriptLexer(this.code, { comments: true });
+    const lexemes = lexer.tokenize();
+    this.lexedSource = lexer.source;
+    const lines = this.code.split('\n');
+    const statements = [];
+    let current = [];
+    let lineHasContent = false;
+
+    const span = (first, last) => ({
+      line: first.line,
+      column: first.column,
+      endLine: last.line,
+      endColumn: last.column + (last.end - last.start),
+      originalLine: lines[first.line - 1]
+    });
+    const flush = () => {
+      if (current.length === 0) return;
+      statements.push({ comment: false, text: this._lexemeText(current), lexemes: current, ...span(current[0], current[current.length - 1]) });
+      current = [];
+    };
+
+    for (const lexeme of lexemes) {
+      if (lexeme.type === 'newline' || lexeme.type === 'eof') {
+        flush();
+        if (!lineHasContent) {
+          statements.push({ comment: true, text: lines[lexeme.line - 1], lexemes: [], ...span(lexeme, lexeme), column: 1, endColumn: 1 });
+        }
+        lineHasContent = false;
+      } else if (lexeme.type === 'comment') {
+        flush();
+        statements.push({ comment: true, text: lexeme.value, lexemes: [], ...span(lexeme, lexeme) });
+        lineHasContent = true;
+      } else if (lexeme.type === 'colon' && !(this._isKeyword(current[0], 'if') && this._findKeyword(current, 'then') !== -1)) {
+        flush();
+        lineHasContent = true;
+      } else {
+        current.push(lexeme);
+        lineHasContent = true;
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Split the part of a single-line If after Then into its statements
+   * An Else belongs to the innermost If without one, so `if a then if b then x else y`
+   * keeps `else y` with the inner If.
+   * @returns {object} { condition, consequent, alternate }: each branch lists statement texts,
+   * or one object of this shape for a nested single-line If
+   */
+  _splitSingleLineIf(condition, lexemes) {
+    const branches = [[]];
+    let openIfs = 0;
+
+    for (const lexeme of lexemes) {
+      if (this._isKeyword(lexeme, 'if')) {
+        openIfs++;
+      } else if (this._isKeyword(lexeme, 'else') && branches.length === 1) {
+        if (openIfs === 0) {
+          branches.push([]);
+          continue;
+        }
+        openIfs--;
+      }
+      branches[branches.length - 1].push(lexeme);
+    }
+
+    const statements = branch => {
+      const thenIndex = this._findKeyword(branch, 'then');
+      if (this._isKeyword(branch[0], 'if') && thenIndex !== -1 && thenIndex < branch.length - 1) {
+        return [this._splitSingleLineIf(this._lexemeText(branch.slice(1, thenIndex)), branch.slice(thenIndex + 1))];
+      }
+      const parts = [[]];
+      for (const lexeme of branch) {
+        if (lexeme.type === 'colon') {
+          parts.push([]);
+        } else {
+          parts[parts.length - 1].push(lexeme);
+        }
+      }
+      return parts.filter(part => part.length > 0).map(part => this._lexemeText(part));
+    };
+
+    return { condition, consequent: statements(branches[0]), alternate: branches[1] ? statements(branches[1]) : [] };
+  }
+
+  /**
+   * Source text of a run of lexemes, with each ` _` line continuation read as a space
+   */
+  _lexemeText(lexemes) {
+    const source = this.lexedSource;
+    let text = '';
+    lexemes.forEach((lexeme, index) => {
+      if (index > 0) {
+        const gap = source.substring(lexemes[index - 1].end, lexeme.start);
+        text += gap.includes('\n') ? ' ' : gap;
+      }
+      text += source.substring(lexeme.start, lexeme.end);
+    });
+    return text;
+  }
+
+  _isKeyword(lexeme, keyword) {
+    return !!lexeme && lexeme.type === 'identifier' && lexeme.value.toLowerCase() === keyword;
+  }
+
+  _findKeyword(lexemes, keyword) {
+    return lexemes.findIndex(lexeme => this._isKeyword(lexeme, keyword));
+  }
+
   _buildAST() {
     this.logger.info('Building Abstract Syntax Tree');
 
     let currentNode = null;
     const stack = [];
+    let selects = []; // Open Select Case nodes of the current function
 
     for (const token of this.tokens) {
       if (token.type === 'FUNCTION_START') {
@@ -152,6 +293,7 @@ export class AdvancedVBScriptParser {
           functionType: token.functionType,
           name: token.name,
           parameters: token.parameters,
+          tokens: [],
           body: [],
           startLine: token.line,
           endLine: null,
@@ -161,15 +303,21 @@ export class AdvancedVBScriptParser {
 
         stack.push(functionNode);
         currentNode = functionNode;
+        selects = [];
       } else if (token.type === 'FUNCTION_END') {
         if (currentNode) {
+          if (selects.length > 0) {
+            this.logger.warning(`Unterminated Select Case in ${currentNode.name}() at line ${selects[0].line}`);
+            selects = [];
+          }
           currentNode.endLine = token.line;
           this.ast.push(currentNode);
           stack.pop();
           currentNode = stack.length > 0 ? stack[stack.length - 1] : null;
         }
       } else if (currentNode) {
-        currentNode.body.push(token);
+        currentNode.tokens.push(token);
+        this._addToBody(currentNode, selects, token);
 
         // Track local variables
         if (token.type === 'VARIABLE_DECLARATION') {
@@ -208,6 +356,51 @@ export class AdvancedVBScriptParser {
     this.logger.success(`Built AST with ${this.ast.filter(n => n.type === 'FUNCTION').length} functions`);
   }
 
+  /**
+   * Place a function body token in the statement tree
+   * Select Case blocks become SELECT_CASE nodes holding CASE nodes, each with its own body
+   */
+  _addToBody(functionNode, selects, token) {
+    const select = selects[selects.length - 1];
+    const currentCase = select && select.cases[select.cases.length - 1];
+    const container = select ? (currentCase ? currentCase.body : select.leading) : functionNode.body;
+
+    if (token.type === 'SELECT_CASE') {
+      const selectNode = {
+        type: 'SELECT_CASE',
+        selector: token.selector,
+        depth: token.depth,
+        line: token.line,
+        leading: [],
+        cases: []
+      };
+      container.push(selectNode);
+      selects.push(selectNode);
+    } else if (token.type === 'CASE') {
+      if (!select) {
+        this.logger.warning(`Case outside Select Case in ${functionNode.name}() at line ${token.line}`);
+        return;
+      }
+      select.cases.push({
+        type: 'CASE',
+        caseValue: token.caseValue,
+        isElse: token.isElse,
+        depth: token.depth,
+        line: token.line,
+        body: []
+      });
+    } else if (token.type === 'END_SELECT') {
+      if (!select) {
+        this.logger.warning(`End Select without Select Case in ${functionNode.name}() at line ${token.line}`);
+        return;
+      }
+      select.endLine = token.line;
+      selects.pop();
+    } else {
+      container.push(token);
+    }
+  }
+
   _extractFunctions() {
     this.logger.info('Extracting functions with full context');
 
@@ -221,7 +414,8 @@ export class AdvancedVBScriptParser {
         returnStatements: node.returnStatements,
         startLine: node.startLine,
         endLine: node.endLine,
-        bodyTokens: node.body,
+        bodyTokens: node.tokens,
+        body: node.body,
         code: this._reconstructCode(node)
       }));
 
@@ -241,9 +435,14 @@ export class AdvancedVBScriptParser {
     const params = node.parameters.join(', ');
     lines.push(`${node.functionType} ${node.name}(${params})`);
 
-    // Body
-    for (const token of node.body) {
-      lines.push(token.originalLine || token.value);
+    // Body, as the source lines its statements cover (once each, with colons and continuations)
+    const sourceLines = this.code.split('\n');
+    let lastLine = node.startLine;
+    for (const token of node.tokens) {
+      for (let line = Math.max(token.line, lastLine + 1); line <= token.endLine; line++) {
+        lines.push(sourceLines[line - 1]);
+      }
+      lastLine = Math.max(lastLine, token.endLine);
     }
 
     // End statement
@@ -0,0 +1,99 @@
+/**
+ * Base-Rate Table Extractor
+ * Turns the VBScript BR conversion functions (checkonebr ... checkfzbr) into a norms dataset
+ */
+
+import { createHash } from 'crypto';
+import Logger from '../logger/Logger.js';
+import { SCALE_FUNCTIONS } from './ScoringKeyExtractor.js';
+
+/**
+ * Version of the br-tables.json format; bump when the shape changes
+ */
+export const BR_TABLES_VERSION = '1.0.0';
+
+const DIM_PATTERN = /^dim\s+(\w+)\((\d+)\)$/i;
+const ENTRY_PATTERN = /^(\w+)\((\d+)\)\s*=\s*(-?\d+)$/i;
+
+/**
+ * SHA-256 of the serialized tables, as stored in br-tables.json
+ * @param {object} tables - Tables keyed by scale code and norm group
+ * @returns {string} Hex digest
+ */
+export function checksumTables(tables) {
+  return createHash('sha256').update(JSON.stringify(tables)).digest('hex');
+}
+
+export class BaseRateTableExtractor {
+  /**
+   * @param {Array} functions - Functions from AdvancedVBScriptParser.parse()
+   */
+  constructor(functions) {
+    this.logger = new Logger('BaseRateTableExtractor');
+    this.functions = new Map(functions.map(func => [func.name.toLowerCase(), func]));
+  }
+
+  /**
+   * Extract the male (check<scale>br) and female (checkf<scale>br) table of every scale
+   * @returns {object} { version, source, algorithm, checksum, tables: { code: { male, female } } }
+   */
+  extract() {
+    this.logger.step('Extracting base-rate tables from BR functions');
+
+    const tables = {};
+    for (const [name, code] of Object.entries(SCALE_FUNCTIONS)) {
+      // Validity (V) is reported as a raw count and has no BR table
+      if (code === 'V') continue;
+
+      tables[code] = {
+        male: this._extractTable(`check${name}br`),
+        female: this._extractTable(`checkf${name}br`)
+      };
+    }
+
+    this.logger.success(`Extracted ${Object.keys(tables).length * 2} base-rate tables`);
+
+    return {
+      version: BR_TABLES_VERSION,
+      source: 'MCMI2_DRS.html',
+      algorithm: 'sha256',
+      checksum: checksumTables(tables),
+      tables
+    };
+  }
+
+  _extractTable(functionName) {
+    const func = this.functions.get(functionName);
+    if (!func) {
+      throw new Error(`BR function ${functionName}() not found`);
+    }
+
+    const lines = func.bodyTokens
+      .map(token => (token.value || token.originalLine || '').trim())
+      .filter(line => line && !line.startsWith("'"));
+
+    const dim = lines[0] && lines[0].match(DIM_PATTERN);
+    if (!dim) {
+      throw new Error(`BR function ${functionName}() does not start with an array declaration`);
+    }
+
+    const values = [];
+    for (const line of lines.slice(1)) {
+      const match = line.match(ENTRY_PATTERN);
+      if (!match || match[1].toLowerCase() !== dim[1].toLowerCase()) continue;
+
+      if (parseInt(match[2]) !== values.length) {
+        throw new Error(`BR function ${functionName}() skips raw score ${values.length}`);
+      }
+      values.push(parseInt(match[3]));
+    }
+
+    if (values.length === 0) {
+      throw new Error(`BR function ${functionName}() has no entries`);
+    }
+
+    return values;
+  }
+}
+
+export default BaseRateTableExtractor;
@@ -0,0 +1,150 @@
+/**
+ * Scoring Key Extractor
+ * Turns the VBScript scale functions (v() ... y()) into a declarative scoring-key dataset
+ */
+
+import Logger from '../logger/Logger.js';
+
+/**
+ * Version of the scoring-keys.json format; bump when the shape changes
+ */
+export const SCORING_KEYS_VERSION = '1.0.0';
+
+/**
+ * Legacy scale function name -> MCMI-II scale code
+ */
+export const SCALE_FUNCTIONS = {
+  y: 'Y',
+  z: 'Z',
+  one: '1',
+  two: '2',
+  three: '3',
+  four: '4',
+  five: '5',
+  sixa: '6A',
+  sixb: '6B',
+  seven: '7',
+  eighta: '8A',
+  eightb: '8B',
+  s: 'S',
+  c: 'C',
+  p: 'P',
+  a: 'A',
+  h: 'H',
+  n: 'N',
+  d: 'D',
+  b: 'B',
+  t: 'T',
+  ss: 'SS',
+  cc: 'CC',
+  pp: 'PP',
+  v: 'V'
+};
+
+const ITEM_PATTERN = /^if\s+k\.r(\d+)\((0|1)\)\.checked\s+then\s+sum\s*=\s*sum\s*\+\s*(\d+)$/i;
+const CAP_PATTERN = /^(?:else)?if\s+sum\s*>\s*(\d+)\s+then\s+sum\s*=\s*(\d+)$/i;
+const GENDER_PATTERN = /^if\s+k\.radgender\(1\)\.checked\s+then$/i;
+const INDEX_PATTERN = /^w\((\d+)\)\s*=\s*sum$/i;
+const LABEL_PATTERN = /^r\((\d+)\)\s*=\s*"(.*)"$/i;
+
+export class ScoringKeyExtractor {
+  /**
+   * @param {Array} functions - Functions from AdvancedVBScriptParser.parse()
+   */
+  constructor(functions) {
+    this.logger = new Logger('ScoringKeyExtractor');
+    this.functions = functions;
+  }
+
+  /**
+   * Extract the scoring keys of every scale function
+   * @returns {object} { version, source, scales: [{ code, index, function, label, caps, items }] }
+   */
+  extract() {
+    this.logger.step('Extracting scoring keys from scale functions');
+
+    const scales = this.functions
+      .filter(func => SCALE_FUNCTIONS[func.name.toLowerCase()])
+      .map(func => this._extractScale(func))
+      .sort((a, b) => a.index - b.index);
+
+    const missing = Object.values(SCALE_FUNCTIONS).filter(code => !scales.some(scale => scale.code === code));
+    if (missing.length > 0) {
+      throw new Error(`Scale functions not found for: ${missing.join(', ')}`);
+    }
+
+    const itemCount = scales.reduce((total, scale) => total + scale.items.length, 0);
+    this.logger.success(`Extracted ${scales.length} scales with ${itemCount} keyed items`);
+
+    return {
+      version: SCORING_KEYS_VERSION,
+      source: 'MCMI2_DRS.html',
+      scales
+    };
+  }
+
+  _extractScale(func) {
+    const code = SCALE_FUNCTIONS[func.name.toLowerCase()];
+    const lines = func.bodyTokens
+      .map(token => (token.value || token.originalLine || '').trim())
+      .filter(line => line && !line.startsWith("'"));
+
+    const scale = { code, index: null, function: func.name, label: null, caps: null, items: [] };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let match = line.match(ITEM_PATTERN);
+      if (match) {
+        scale.items.push({
+          item: parseInt(match[1]),
+          answer: match[2] === '1' ? 'true' : 'false',
+          weight: parseInt(match[3])
+        });
+        continue;
+      }
+
+      if (GENDER_PATTERN.test(line)) {
+        const male = (lines[i + 1] || '').match(CAP_PATTERN);
+        const female = (lines[i + 2] || '').match(CAP_PATTERN);
+        if (male && female) {
+          scale.caps = { male: this._capValue(func, male), female: this._capValue(func, female) };
+          i += 2;
+        }
+        continue;
+      }
+
+      match = line.match(CAP_PATTERN);
+      if (match) {
+        const cap = this._capValue(func, match);
+        scale.caps = { male: cap, female: cap };
+        continue;
+      }
+
+      match = line.match(INDEX_PATTERN);
+      if (match) {
+        scale.index = parseInt(match[1]);
+        continue;
+      }
+
+      match = line.match(LABEL_PATTERN);
+      if (match) {
+        scale.label = match[2];
+      }
+    }
+
+    if (scale.index === null || scale.items.length === 0) {
+      throw new Error(`Scale function ${func.name}() does not match the scoring pattern`);
+    }
+
+    return scale;
+  }
+
+  _capValue(func, match) {
+    if (match[1] !== match[2]) {
+      throw new Error(`Scale function ${func.name}() clamps sum>${match[1]} to ${match[2]}`);
+    }
+    return parseInt(match[1]);
+  }
+}
+
+export default ScoringKeyExtractor;
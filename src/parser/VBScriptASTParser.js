@@ -0,0 +1,660 @@
+/**
+ * VBScript AST Parser
+ * Recursive-descent parser from VBScript tokens to a syntax tree of statements and
+ * expressions, each node carrying its source location ({ line, column })
+ */
+
+import Logger from '../logger/Logger.js';
+import { tokenize } from './VBScriptLexer.js';
+
+/**
+ * Binary operators by precedence, lowest first; each level is left-associative
+ */
+const BINARY_PRECEDENCE = [
+  ['imp'],
+  ['eqv'],
+  ['xor'],
+  ['or'],
+  ['and'],
+  null, // Not
+  ['=', '<>', '<', '>', '<=', '>=', 'is'],
+  ['&'],
+  ['+', '-'],
+  ['mod'],
+  ['\\'],
+  ['*', '/']
+];
+
+const NOT_LEVEL = BINARY_PRECEDENCE.indexOf(null);
+
+/**
+ * Keywords that end the statement list of an enclosing block
+ */
+const BLOCK_END_KEYWORDS = new Set(['end', 'else', 'elseif', 'case', 'next', 'loop', 'wend']);
+
+const LITERAL_KEYWORDS = {
+  true: true,
+  false: false,
+  empty: undefined,
+  null: null
+};
+
+export class VBScriptASTParser {
+  /**
+   * @param {string} vbscriptCode - VBScript source code
+   */
+  constructor(vbscriptCode) {
+    this.logger = new Logger('VBScriptASTParser');
+    this.code = vbscriptCode;
+    this.tokens = [];
+    this.position = 0;
+  }
+
+  /**
+   * Parse the source
+   * @returns {object} Program node: { type: 'Program', body, procedures }, where procedures
+   * lists the Sub and Function declarations of the body in source order
+   */
+  parse() {
+    this.logger.step('Parsing VBScript into a syntax tree');
+
+    this.tokens = tokenize(this.code);
+    this.position = 0;
+
+    const body = this._parseStatements(() => this._peek().type === 'eof');
+    const procedures = body.filter(node => node.type === 'ProcedureDeclaration');
+
+    this.logger.success(`Parsed ${body.length} statements with ${procedures.length} procedures`);
+
+    return { type: 'Program', body, procedures, loc: { line: 1, column: 1 } };
+  }
+
+  /**
+   * Parse the source as a single expression
+   * @returns {object} Expression node
+   */
+  parseExpression() {
+    this.tokens = tokenize(this.code);
+    this.position = 0;
+
+    this._skipSeparators();
+    const expression = this._parseExpression();
+    this._skipSeparators();
+    if (this._peek().type !== 'eof') {
+      this._fail('Expected end of expression');
+    }
+
+    return expression;
+  }
+
+  // Token helpers
+
+  _peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  _next() {
+    const token = this._peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  _isKeyword(word, token = this._peek()) {
+    return token.type === 'identifier' && token.value.toLowerCase() === word;
+  }
+
+  _isOperator(value, token = this._peek()) {
+    return token.type === 'operator' && token.value === value;
+  }
+
+  _isStatementEnd(token = this._peek()) {
+    return token.type === 'newline' || token.type === 'colon' || token.type === 'eof';
+  }
+
+  _acceptKeyword(word) {
+    if (this._isKeyword(word)) {
+      this._next();
+      return true;
+    }
+    return false;
+  }
+
+  _expectKeyword(word) {
+    if (!this._acceptKeyword(word)) {
+      this._fail(`Expected '${word}'`);
+    }
+  }
+
+  _expectOperator(value) {
+    if (!this._isOperator(value)) {
+      this._fail(`Expected '${value}'`);
+    }
+    this._next();
+  }
+
+  _expectIdentifier() {
+    if (this._peek().type !== 'identifier') {
+      this._fail('Expected identifier');
+    }
+    return this._next().value;
+  }
+
+  _expectStatementEnd() {
+    if (!this._isStatementEnd()) {
+      this._fail('Expected end of statement');
+    }
+  }
+
+  _skipSeparators() {
+    while (this._peek().type === 'newline' || this._peek().type === 'colon') {
+      this.position++;
+    }
+  }
+
+  _loc(token = this._peek()) {
+    return { line: token.line, column: token.column };
+  }
+
+  _fail(message, token = this._peek()) {
+    const found = token.type === 'eof' ? 'end of script' : token.type === 'newline' ? 'end of line' : `'${token.value}'`;
+    throw new Error(`${message} but found ${found} at line ${token.line}, column ${token.column}`);
+  }
+
+  // Statements
+
+  /**
+   * Statements up to the one `isEnd` stops at, which is left unread
+   */
+  _parseStatements(isEnd) {
+    const statements = [];
+
+    for (;;) {
+      this._skipSeparators();
+      if (isEnd()) break;
+      if (this._peek().type === 'eof') this._fail('Unexpected end of script');
+
+      const statement = this._parseStatement();
+      if (statement) statements.push(statement);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Statements of a block, up to its closing keyword
+   */
+  _parseBlock(...endings) {
+    return this._parseStatements(() => endings.some(words => words.every((word, i) => this._isKeyword(word, this._peek(i)))));
+  }
+
+  _parseStatement() {
+    const token = this._peek();
+    if (token.type !== 'identifier') {
+      this._fail('Expected statement');
+    }
+
+    switch (token.value.toLowerCase()) {
+    case 'option':
+      this._next();
+      this._expectKeyword('explicit');
+      return { type: 'OptionExplicit', loc: this._loc(token) };
+    case 'dim':
+      this._next();
+      return this._parseDim(token);
+    case 'redim':
+      this._next();
+      return this._parseReDim(token);
+    case 'const':
+      this._next();
+      return this._parseConst(token);
+    case 'public':
+    case 'private':
+      this._next();
+      if (this._isKeyword('sub') || this._isKeyword('function')) {
+        return this._parseProcedure();
+      }
+      return this._isKeyword('const') ? this._parseStatement() : this._parseDim(token);
+    case 'sub':
+    case 'function':
+      return this._parseProcedure();
+    case 'if':
+      return this._parseIf();
+    case 'select':
+      return this._parseSelect();
+    case 'for':
+      return this._parseFor();
+    case 'do':
+      return this._parseDo();
+    case 'while':
+      return this._parseWhile();
+    case 'exit':
+      return this._parseExit();
+    case 'set':
+      this._next();
+      return this._parseAssignment(this._parsePostfix(), token, true);
+    case 'call':
+      this._next();
+      return { type: 'CallStatement', callee: this._parsePostfix(), loc: this._loc(token) };
+    default:
+      if (BLOCK_END_KEYWORDS.has(token.value.toLowerCase())) {
+        this._fail('Unexpected statement');
+      }
+      return this._parseSimpleStatement();
+    }
+  }
+
+  _parseDim(token) {
+    const declarations = [];
+
+    do {
+      const nameToken = this._peek();
+      const name = this._expectIdentifier();
+      let bounds = null;
+
+      if (this._isOperator('(')) {
+        this._next();
+        bounds = this._isOperator(')') ? [] : this._parseExpressionList();
+        this._expectOperator(')');
+      }
+
+      declarations.push({ name, bounds, loc: this._loc(nameToken) });
+    } while (this._isOperator(',') && this._next());
+
+    return { type: 'DimStatement', declarations, loc: this._loc(token) };
+  }
+
+  _parseReDim(token) {
+    const preserve = this._acceptKeyword('preserve');
+    const declarations = [];
+
+    do {
+      const nameToken = this._peek();
+      const name = this._expectIdentifier();
+      this._expectOperator('(');
+      const bounds = this._parseExpressionList();
+      this._expectOperator(')');
+      declarations.push({ name, bounds, loc: this._loc(nameToken) });
+    } while (this._isOperator(',') && this._next());
+
+    return { type: 'ReDimStatement', preserve, declarations, loc: this._loc(token) };
+  }
+
+  _parseConst(token) {
+    const declarations = [];
+
+    do {
+      const nameToken = this._peek();
+      const name = this._expectIdentifier();
+      this._expectOperator('=');
+      declarations.push({ name, value: this._parseExpression(), loc: this._loc(nameToken) });
+    } while (this._isOperator(',') && this._next());
+
+    return { type: 'ConstStatement', declarations, loc: this._loc(token) };
+  }
+
+  _parseProcedure() {
+    const token = this._next();
+    const kind = token.value.toLowerCase();
+    const name = this._expectIdentifier();
+    const params = [];
+
+    if (this._isOperator('(')) {
+      this._next();
+      while (!this._isOperator(')')) {
+        const byRef = !this._acceptKeyword('byval');
+        this._acceptKeyword('byref');
+        const nameToken = this._peek();
+        params.push({ name: this._expectIdentifier(), byRef, loc: this._loc(nameToken) });
+        if (this._isOperator('(')) {
+          // Array parameter: name()
+          this._next();
+          this._expectOperator(')');
+        }
+        if (!this._isOperator(')')) this._expectOperator(',');
+      }
+      this._next();
+    }
+    this._expectStatementEnd();
+
+    const body = this._parseBlock(['end', kind]);
+    this._next();
+    this._next();
+
+    return { type: 'ProcedureDeclaration', kind, name, params, body, loc: this._loc(token) };
+  }
+
+  _parseIf() {
+    const token = this._next();
+    const test = this._parseExpression();
+    this._expectKeyword('then');
+
+    if (!(this._peek().type === 'newline' || this._peek().type === 'eof')) {
+      return this._parseSingleLineIf(token, test);
+    }
+
+    const consequent = this._parseBlock(['elseif'], ['else'], ['end', 'if']);
+    let alternate = null;
+    let tail = null;
+
+    // ElseIf clauses nest as If statements in the alternate of the one before
+    while (this._isKeyword('elseif')) {
+      const elseIfToken = this._next();
+      const elseIfTest = this._parseExpression();
+      this._expectKeyword('then');
+      const clause = {
+        type: 'IfStatement',
+        test: elseIfTest,
+        consequent: this._parseBlock(['elseif'], ['else'], ['end', 'if']),
+        alternate: null,
+        loc: this._loc(elseIfToken)
+      };
+      if (tail) {
+        tail.alternate = [clause];
+      } else {
+        alternate = [clause];
+      }
+      tail = clause;
+    }
+
+    if (this._acceptKeyword('else')) {
+      const elseBody = this._parseBlock(['end', 'if']);
+      if (tail) {
+        tail.alternate = elseBody;
+      } else {
+        alternate = elseBody;
+      }
+    }
+
+    this._expectKeyword('end');
+    this._expectKeyword('if');
+
+    return { type: 'IfStatement', test, consequent, alternate, loc: this._loc(token) };
+  }
+
+  /**
+   * If ... Then stmt [: stmt] [Else stmt [: stmt]] on one line
+   */
+  _parseSingleLineIf(token, test) {
+    const lineStatements = () => {
+      const statements = [];
+      for (;;) {
+        statements.push(this._parseStatement());
+        if (this._peek().type !== 'colon') break;
+        this._next();
+        if (this._isStatementEnd() || this._isKeyword('else')) break;
+      }
+      return statements;
+    };
+
+    const consequent = lineStatements();
+    const alternate = this._acceptKeyword('else') ? lineStatements() : null;
+    if (this._isKeyword('end') && this._isKeyword('if', this._peek(1))) {
+      // Tolerate a stray End If closing a one-line If
+      this._next();
+      this._next();
+    }
+
+    return { type: 'IfStatement', test, consequent, alternate, singleLine: true, loc: this._loc(token) };
+  }
+
+  _parseSelect() {
+    const token = this._next();
+    this._expectKeyword('case');
+    const discriminant = this._parseExpression();
+    this._expectStatementEnd();
+    this._skipSeparators();
+
+    const cases = [];
+    let defaultCase = null;
+    let defaultLoc = null;
+
+    while (this._isKeyword('case')) {
+      const caseToken = this._next();
+      if (this._acceptKeyword('else')) {
+        defaultLoc = this._loc(caseToken);
+        defaultCase = this._parseBlock(['case'], ['end', 'select']);
+      } else {
+        const tests = this._parseExpressionList();
+        cases.push({ tests, body: this._parseBlock(['case'], ['end', 'select']), loc: this._loc(caseToken) });
+      }
+    }
+
+    this._expectKeyword('end');
+    this._expectKeyword('select');
+
+    return { type: 'SelectCaseStatement', discriminant, cases, defaultCase, defaultLoc, loc: this._loc(token) };
+  }
+
+  _parseFor() {
+    const token = this._next();
+    if (this._isKeyword('each')) {
+      this._fail('For Each is not supported');
+    }
+
+    const variable = this._expectIdentifier();
+    this._expectOperator('=');
+    const start = this._parseExpression();
+    this._expectKeyword('to');
+    const end = this._parseExpression();
+    const step = this._acceptKeyword('step') ? this._parseExpression() : null;
+
+    const body = this._parseBlock(['next']);
+    this._next();
+    if (this._peek().type === 'identifier') this._next();
+
+    return { type: 'ForStatement', variable, start, end, step, body, loc: this._loc(token) };
+  }
+
+  _parseDo() {
+    const token = this._next();
+    let test = null;
+    let until = false;
+    let testAfter = false;
+
+    if (this._isKeyword('while') || this._isKeyword('until')) {
+      until = this._next().value.toLowerCase() === 'until';
+      test = this._parseExpression();
+    }
+
+    const body = this._parseBlock(['loop']);
+    this._next();
+
+    if (!test && (this._isKeyword('while') || this._isKeyword('until'))) {
+      until = this._next().value.toLowerCase() === 'until';
+      test = this._parseExpression();
+      testAfter = true;
+    }
+
+    return { type: 'DoLoopStatement', test, until, testAfter, body, loc: this._loc(token) };
+  }
+
+  _parseWhile() {
+    const token = this._next();
+    const test = this._parseExpression();
+    const body = this._parseBlock(['wend']);
+    this._next();
+
+    return { type: 'DoLoopStatement', test, until: false, testAfter: false, body, loc: this._loc(token) };
+  }
+
+  _parseExit() {
+    const token = this._next();
+    const target = this._expectIdentifier().toLowerCase();
+    if (!['function', 'sub', 'for', 'do'].includes(target)) {
+      this._fail(`Invalid Exit ${target}`, this.tokens[this.position - 1]);
+    }
+    return { type: 'ExitStatement', target, loc: this._loc(token) };
+  }
+
+  /**
+   * Assignment or call, both starting with a name
+   */
+  _parseSimpleStatement() {
+    const token = this._peek();
+    const target = this._parsePostfix();
+
+    if (this._isOperator('=')) {
+      return this._parseAssignment(target, token, false);
+    }
+
+    if (this._isStatementEnd() || this._isKeyword('else')) {
+      if (target.type === 'CallExpression' && target.arguments.length === 1) {
+        // name(a) without Call: the parentheses belong to the argument, which goes ByVal
+        const callee = { ...target, arguments: [{ ...target.arguments[0], parenthesized: true }] };
+        return { type: 'CallStatement', callee, loc: this._loc(token) };
+      }
+      return { type: 'CallStatement', callee: target, loc: this._loc(token) };
+    }
+
+    // Call without parentheses: name arg1, arg2
+    let args;
+    if (target.type === 'CallExpression' && target.arguments.length === 1 && this._isOperator(',')) {
+      // name (a), b: the parentheses belonged to the first argument
+      this._next();
+      args = [{ ...target.arguments[0], parenthesized: true }, ...this._parseExpressionList()];
+      return { type: 'CallStatement', callee: { ...target, arguments: args }, loc: this._loc(token) };
+    }
+    args = this._parseExpressionList();
+    return {
+      type: 'CallStatement',
+      callee: { type: 'CallExpression', callee: target, arguments: args, loc: target.loc },
+      loc: this._loc(token)
+    };
+  }
+
+  _parseAssignment(target, token, isSet) {
+    if (!['Identifier', 'MemberExpression', 'CallExpression'].includes(target.type)) {
+      this._fail('Invalid assignment target', token);
+    }
+    this._expectOperator('=');
+    return { type: 'AssignmentStatement', target, value: this._parseExpression(), isSet, loc: this._loc(token) };
+  }
+
+  // Expressions
+
+  _parseExpressionList() {
+    const expressions = [this._parseExpression()];
+    while (this._isOperator(',')) {
+      this._next();
+      expressions.push(this._parseExpression());
+    }
+    return expressions;
+  }
+
+  _parseExpression() {
+    return this._parseBinary(0);
+  }
+
+  _parseBinary(level) {
+    if (level === NOT_LEVEL) {
+      if (this._isKeyword('not')) {
+        const token = this._next();
+        return { type: 'UnaryExpression', operator: 'not', argument: this._parseBinary(level), loc: this._loc(token) };
+      }
+      return this._parseBinary(level + 1);
+    }
+    if (level === BINARY_PRECEDENCE.length) {
+      return this._parseUnary();
+    }
+
+    let left = this._parseBinary(level + 1);
+    for (;;) {
+      const token = this._peek();
+      const operator = token.type === 'operator' ? token.value : token.type === 'identifier' ? token.value.toLowerCase() : null;
+      if (!BINARY_PRECEDENCE[level].includes(operator)) break;
+      this._next();
+      left = { type: 'BinaryExpression', operator, left, right: this._parseBinary(level + 1), loc: left.loc };
+    }
+    return left;
+  }
+
+  /**
+   * Unary minus and plus bind looser than ^, so -2^2 is -4
+   */
+  _parseUnary() {
+    if (this._isOperator('-') || this._isOperator('+')) {
+      const token = this._next();
+      return { type: 'UnaryExpression', operator: token.value, argument: this._parseUnary(), loc: this._loc(token) };
+    }
+    return this._parseExponent();
+  }
+
+  _parseExponent() {
+    let left = this._parsePostfix();
+    while (this._isOperator('^')) {
+      this._next();
+      const right = this._isOperator('-') || this._isOperator('+') ? this._parseUnary() : this._parsePostfix();
+      left = { type: 'BinaryExpression', operator: '^', left, right, loc: left.loc };
+    }
+    return left;
+  }
+
+  /**
+   * A primary followed by member accesses and argument lists; whether name(...) indexes
+   * an array or calls a procedure is only known when it runs
+   */
+  _parsePostfix() {
+    let node = this._parsePrimary();
+
+    for (;;) {
+      if (this._isOperator('.')) {
+        this._next();
+        const token = this._peek();
+        node = { type: 'MemberExpression', object: node, property: this._expectIdentifier(), loc: this._loc(token) };
+      } else if (this._isOperator('(') && node.type !== 'Literal') {
+        this._next();
+        const args = this._isOperator(')') ? [] : this._parseExpressionList();
+        this._expectOperator(')');
+        node = { type: 'CallExpression', callee: node, arguments: args, loc: node.loc };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  _parsePrimary() {
+    const token = this._peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this._next();
+      return { type: 'Literal', value: token.value, loc: this._loc(token) };
+    }
+
+    if (this._isOperator('(')) {
+      this._next();
+      const expression = this._parseExpression();
+      this._expectOperator(')');
+      return { ...expression, parenthesized: true };
+    }
+
+    if (token.type === 'identifier') {
+      const word = token.value.toLowerCase();
+      if (word in LITERAL_KEYWORDS) {
+        this._next();
+        return { type: 'Literal', value: LITERAL_KEYWORDS[word], loc: this._loc(token) };
+      }
+      if (word === 'nothing') {
+        this._next();
+        return { type: 'Nothing', loc: this._loc(token) };
+      }
+      if (BLOCK_END_KEYWORDS.has(word) || word === 'then' || word === 'to' || word === 'step' || word === 'not') {
+        this._fail('Expected expression');
+      }
+      this._next();
+      return { type: 'Identifier', name: token.value, loc: this._loc(token) };
+    }
+
+    return this._fail('Expected expression');
+  }
+}
+
+/**
+ * Parse VBScript source into a syntax tree
+ * @param {string} vbscriptCode - VBScript source code
+ * @returns {object} Program node (see VBScriptASTParser.parse)
+ */
+export function parseVBScript(vbscriptCode) {
+  return new VBScriptASTParser(vbscriptCode).parse();
+}
+
+export default VBScriptASTParser;
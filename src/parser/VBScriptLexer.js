@@ -0,0 +1,177 @@
+/**
+ * VBScript Lexer
+ * Character-level tokenizer for VBScript source, with line and column spans per token
+ * Handles string escapes (""), comments (' and Rem), `_` line continuations and `:` separators
+ */
+
+// Two-character operators; VBScript also accepts => and =< for >= and <=
+const COMPOUND_OPERATORS = { '<>': '<>', '<=': '<=', '>=': '>=', '=<': '<=', '=>': '>=' };
+
+const SINGLE_OPERATORS = new Set(['=', '<', '>', '+', '-', '*', '/', '\\', '^', '&', '(', ')', ',', '.']);
+
+export class VBScriptLexer {
+  /**
+   * @param {string} source - VBScript source code
+   * @param {object} options
+   * @param {boolean} options.comments - Keep comments as 'comment' tokens instead of skipping them
+   */
+  constructor(source, options = {}) {
+    this.source = source.replace(/\r\n?/g, '\n');
+    this.comments = !!options.comments;
+    this.position = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.tokens = [];
+  }
+
+  /**
+   * Split the source into tokens
+   * @returns {Array<object>} Tokens: { type, value, line, column, start, end }, where type is
+   * 'identifier', 'number', 'string', 'operator', 'newline', 'colon', 'comment' (with the
+   * comments option; the value is the comment text from ' or Rem) or 'eof'.
+   * Columns are 1-based; start and end are offsets into the source (CRLF read as LF).
+   */
+  tokenize() {
+    const source = this.source;
+
+    while (this.position < source.length) {
+      const char = source[this.position];
+
+      if (char === ' ' || char === '\t') {
+        this.position++;
+      } else if (char === '\n') {
+        this._push('newline', '\n', this.position, this.position + 1);
+        this.position++;
+        this.line++;
+        this.lineStart = this.position;
+      } else if (char === ':') {
+        this._push('colon', ':', this.position, this.position + 1);
+        this.position++;
+      } else if (char === "'") {
+        this._skipComment();
+      } else if (char === '_' && this._isContinuation()) {
+        // Skip to the start of the next line, which continues this statement
+        this.position = source.indexOf('\n', this.position) + 1;
+        this.line++;
+        this.lineStart = this.position;
+      } else if (char === '"') {
+        this._readString();
+      } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[this.position + 1] || '') && !this._followsOperand())) {
+        this._readNumber();
+      } else if (char === '&' && /[hH]/.test(source[this.position + 1] || '')) {
+        this._readHexNumber();
+      } else if (/[a-z]/i.test(char)) {
+        this._readIdentifier();
+      } else if (COMPOUND_OPERATORS[source.substr(this.position, 2)]) {
+        this._push('operator', COMPOUND_OPERATORS[source.substr(this.position, 2)], this.position, this.position + 2);
+        this.position += 2;
+      } else if (SINGLE_OPERATORS.has(char)) {
+        this._push('operator', char, this.position, this.position + 1);
+        this.position++;
+      } else {
+        this._fail(`Invalid character '${char}'`);
+      }
+    }
+
+    this._push('eof', null, this.position, this.position);
+    return this.tokens;
+  }
+
+  _push(type, value, start, end) {
+    this.tokens.push({ type, value, line: this.line, column: start - this.lineStart + 1, start, end });
+  }
+
+  _fail(message) {
+    throw new Error(`${message} at line ${this.line}, column ${this.position - this.lineStart + 1}`);
+  }
+
+  _skipComment(start = this.position) {
+    const end = this.source.indexOf('\n', this.position);
+    this.position = end === -1 ? this.source.length : end;
+    if (this.comments) {
+      this._push('comment', this.source.substring(start, this.position), start, this.position);
+    }
+  }
+
+  /**
+   * A `_` after whitespace with nothing but whitespace after it on the line
+   */
+  _isContinuation() {
+    const before = this.source[this.position - 1];
+    const rest = this.source.substring(this.position + 1, this.source.indexOf('\n', this.position));
+    return (before === ' ' || before === '\t') && this.source.indexOf('\n', this.position) !== -1 && rest.trim() === '';
+  }
+
+  /**
+   * Whether the previous token ends an operand, so a following `.` is member access
+   */
+  _followsOperand() {
+    const previous = this.tokens[this.tokens.length - 1];
+    return previous && previous.end === this.position &&
+      (previous.type === 'identifier' || (previous.type === 'operator' && previous.value === ')'));
+  }
+
+  _readString() {
+    const start = this.position;
+    let value = '';
+    this.position++;
+
+    for (;;) {
+      const end = this.source.indexOf('"', this.position);
+      const newline = this.source.indexOf('\n', this.position);
+      if (end === -1 || (newline !== -1 && newline < end)) {
+        this.position = start;
+        this._fail('Unterminated string constant');
+      }
+      value += this.source.substring(this.position, end);
+      this.position = end + 1;
+      if (this.source[this.position] !== '"') break;
+      value += '"';
+      this.position++;
+    }
+
+    this._push('string', value, start, this.position);
+  }
+
+  _readNumber() {
+    const start = this.position;
+    const match = this.source.substring(start).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    this.position += match[0].length;
+    this._push('number', parseFloat(match[0]), start, this.position);
+  }
+
+  _readHexNumber() {
+    const start = this.position;
+    const match = this.source.substring(start).match(/^&[hH]([0-9a-fA-F]+)&?/);
+    if (!match) this._fail('Expected hexadecimal digits');
+    this.position += match[0].length;
+    this._push('number', parseInt(match[1], 16), start, this.position);
+  }
+
+  _readIdentifier() {
+    const start = this.position;
+    const match = this.source.substring(start).match(/^[a-z]\w*/i);
+    this.position += match[0].length;
+
+    // Rem starts a comment where a statement could start
+    const previous = this.tokens[this.tokens.length - 1];
+    if (match[0].toLowerCase() === 'rem' && (!previous || previous.type === 'newline' || previous.type === 'colon')) {
+      this._skipComment(start);
+      return;
+    }
+
+    this._push('identifier', match[0], start, this.position);
+  }
+}
+
+/**
+ * Tokenize VBScript source
+ * @param {string} source - VBScript source code
+ * @param {object} options - Lexer options (see VBScriptLexer)
+ * @returns {Array<object>} Tokens (see VBScriptLexer.tokenize)
+ */
+export function tokenize(source, options = {}) {
+  return new VBScriptLexer(source, options).tokenize();
+}
+
+export default VBScriptLexer;
@@ -0,0 +1,205 @@
+/**
+ * VBScript Runtime Compatibility Library
+ * Built-in functions and variant comparison with VBScript semantics, targeted by the transpiler
+ *
+ * createVBRuntime() references nothing outside its own body, so the transpiler can inline
+ * its source into generated scripts (`const vb = (function createVBRuntime() {...})();`).
+ * Empty is undefined; null, which the transpiler uses for unset values, is treated as Empty.
+ */
+
+/**
+ * Name of the runtime object in generated scripts (vb.Add, vb.Concat, ...)
+ */
+export const RUNTIME_OBJECT = 'vb';
+
+export function createVBRuntime() {
+  function fail(message) {
+    throw new TypeError(message);
+  }
+
+  function isEmpty(value) {
+    return value === undefined || value === null;
+  }
+
+  // Number of a variant: Empty is 0 and True is -1, as in VBScript
+  function toNumber(value) {
+    if (isEmpty(value)) return 0;
+    if (typeof value === 'boolean') return value ? -1 : 0;
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    const number = Number(text);
+    if (text === '' || Number.isNaN(number)) {
+      fail(`Type mismatch: "${value}"`);
+    }
+    return number;
+  }
+
+  function toText(value) {
+    if (isEmpty(value)) return '';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    return String(value);
+  }
+
+  // Drop the sign of a zero result
+  function normalize(number) {
+    return number === 0 ? 0 : number;
+  }
+
+  /**
+   * Int(): largest integer not greater than the number, Int(-2.5) = -3
+   */
+  function Int(value) {
+    return normalize(Math.floor(toNumber(value)));
+  }
+
+  /**
+   * Fix(): integer part of the number, Fix(-2.5) = -2
+   */
+  function Fix(value) {
+    return normalize(Math.trunc(toNumber(value)));
+  }
+
+  /**
+   * Round(): banker's rounding, halves go to the even neighbour (Round(2.5) = 2, Round(3.5) = 4)
+   */
+  function Round(value, digits = 0) {
+    const factor = Math.pow(10, toNumber(digits));
+    const scaled = toNumber(value) * factor;
+    const floor = Math.floor(scaled);
+    const rounded = scaled - floor === 0.5 ? (floor % 2 === 0 ? floor : floor + 1) : Math.round(scaled);
+    return normalize(rounded / factor);
+  }
+
+  /**
+   * CInt(): Integer subtype, rounded like Round()
+   */
+  function CInt(value) {
+    const rounded = Round(value);
+    if (rounded < -32768 || rounded > 32767) {
+      fail(`Overflow: CInt(${value})`);
+    }
+    return rounded;
+  }
+
+  /**
+   * CDbl(): Double subtype
+   */
+  function CDbl(value) {
+    return toNumber(value);
+  }
+
+  /**
+   * IsNumeric(): whether the variant converts to a number
+   */
+  function IsNumeric(value) {
+    if (isEmpty(value) || typeof value === 'boolean' || typeof value === 'number') return true;
+    const text = String(value).trim();
+    return text !== '' && !Number.isNaN(Number(text));
+  }
+
+  /**
+   * Mid(): substring from a 1-based start, to the end when length is omitted
+   */
+  function Mid(value, start, length) {
+    const from = toNumber(start);
+    if (from < 1 || (length !== undefined && toNumber(length) < 0)) {
+      fail(`Invalid procedure call: Mid(${value}, ${start}, ${length})`);
+    }
+    const text = toText(value);
+    return length === undefined ? text.substring(from - 1) : text.substr(from - 1, toNumber(length));
+  }
+
+  /**
+   * Left(): first characters of a string
+   */
+  function Left(value, length) {
+    if (toNumber(length) < 0) {
+      fail(`Invalid procedure call: Left(${value}, ${length})`);
+    }
+    return toText(value).substring(0, toNumber(length));
+  }
+
+  /**
+   * Len(): characters of the variant's text, 0 for Empty
+   */
+  function Len(value) {
+    return toText(value).length;
+  }
+
+  /**
+   * Trim(): remove leading and trailing spaces (only spaces, not tabs or newlines)
+   */
+  function Trim(value) {
+    return toText(value).replace(/^ +| +$/g, '');
+  }
+
+  /**
+   * Add(): the + operator on variants
+   * Empty adds as 0 (or as "" to a string), two strings concatenate and anything else
+   * adds as numbers, so an unassigned array element plus 8 is 8 rather than NaN
+   */
+  function Add(left, right) {
+    if (isEmpty(left) && isEmpty(right)) return 0;
+    if (isEmpty(left)) return typeof right === 'string' ? right : toNumber(right);
+    if (isEmpty(right)) return typeof left === 'string' ? left : toNumber(left);
+    if (typeof left === 'string' && typeof right === 'string') return left + right;
+    return toNumber(left) + toNumber(right);
+  }
+
+  /**
+   * Subtract(): the - operator on variants
+   * Empty subtracts as 0, so a number minus a variable nobody assigned is that number rather than NaN
+   */
+  function Subtract(left, right) {
+    return toNumber(left) - toNumber(right);
+  }
+
+  /**
+   * Concat(): the & operator on variants
+   * Every operand joins as text, Empty and Null as "", so Empty & 34 is "34" and 1 & 2 is "12"
+   */
+  function Concat(...values) {
+    return values.map(toText).join('');
+  }
+
+  /**
+   * Compare two variants the way VBScript's comparison operators do
+   * A number and a string compare as numbers when the number is a literal in the source,
+   * as strings when the string is the literal, and otherwise the number is the smaller one.
+   * @param {*} left - Left operand
+   * @param {*} right - Right operand
+   * @param {string} literal - 'left' or 'right' when that operand is a literal in the source
+   * @returns {number} -1, 0 or 1
+   */
+  function Compare(left, right, literal) {
+    const order = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    if (isEmpty(left) && isEmpty(right)) return 0;
+    if (isEmpty(left)) left = typeof right === 'string' ? '' : 0;
+    if (isEmpty(right)) right = typeof left === 'string' ? '' : 0;
+    if (typeof left === 'boolean') left = toNumber(left);
+    if (typeof right === 'boolean') right = toNumber(right);
+
+    if (typeof left === typeof right) {
+      return order(left, right);
+    }
+
+    const numberSide = typeof left === 'number' ? 'left' : 'right';
+    if (literal === numberSide) {
+      return order(toNumber(left), toNumber(right));
+    }
+    if (literal) {
+      return order(toText(left), toText(right));
+    }
+    return numberSide === 'left' ? -1 : 1;
+  }
+
+  return { Int, Fix, Round, CInt, CDbl, IsNumeric, Mid, Left, Len, Trim, Add, Subtract, Concat, Compare };
+}
+
+const runtime = createVBRuntime();
+
+export const { Int, Fix, Round, CInt, CDbl, IsNumeric, Mid, Left, Len, Trim, Add, Subtract, Concat, Compare } = runtime;
+
+export default runtime;
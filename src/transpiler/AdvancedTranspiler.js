@@ -1,22 +1,122 @@
 /**
  * Advanced Context-Aware VBScript to JavaScript Transpiler
- * Uses AST-based approach for precise transpilation
- * Handles ALL VBScript tokens comprehensively
+ * Converts the VBScript syntax tree (VBScriptASTParser.js) into an ESTree syntax tree and
+ * prints it with CodeGenerator.js, so the output format does not depend on the input's
+ * spacing; AdvancedVBScriptParser.js supplies the arrays, functions and variable scopes
  */
 
 import Logger from '../logger/Logger.js';
 import AdvancedVBScriptParser from '../parser/AdvancedVBScriptParser.js';
-import { TokenHandlers } from './VBScriptTokens.js';
+import VBScriptASTParser from '../parser/VBScriptASTParser.js';
+import { tokenize } from '../parser/VBScriptLexer.js';
+import { VBScriptReservedWords, groupCaseValues, needsCaseRanges } from './VBScriptTokens.js';
+import { DEFAULT_FORM_MAPPING, resolveFormField } from './FormMapping.js';
+import { createVBRuntime, RUNTIME_OBJECT } from '../runtime/vbruntime.js';
+import CodeGenerator from './CodeGenerator.js';
+import SourceMap from './SourceMap.js';
+import {
+  identifier, literal, member, memberPath, call, newExpression, binary, unary, update, assignment,
+  object, spread, assignmentPattern, expressionStatement, variable, functionDeclaration, exportNamed, block,
+  returnStatement, breakStatement, ifStatement, lineComment, blockComment
+} from './ESTree.js';
+
+// Local that holds a function's result when it cannot be returned where it is assigned
+const RETURN_VARIABLE = 'returnValue';
+
+// Module-level object holding implicit globals that cross function boundaries
+const STATE_OBJECT = 'state';
+
+// VBScript built-ins implemented by the runtime, by lowercase name
+const RUNTIME_BUILTINS = ['Int', 'Fix', 'Round', 'CInt', 'CDbl', 'IsNumeric', 'Mid', 'Left', 'Len', 'Trim'];
+
+// Host objects the page provides, never declared by the script
+const HOST_OBJECTS = new Set(['k', 'document', 'window']);
+
+// The legacy page's form
+const FORM_OBJECT = 'k';
+
+// Top-level functions of the ES module output, besides the exports of the script's Functions
+const MODULE_FACTORY = 'createScript';
+const MODULE_ENTRY = 'score';
+const MODULE_IGNORE_MESSAGE = 'ignoreMessage';
+
+// Variable assigned by a statement, and by each statement of a one-line If
+const ASSIGNMENT_TARGET = /^(?:set\s+)?(\w+)\s*=(?!=)/i;
+const INLINE_ASSIGNMENT_TARGETS = /(?:^|\bthen\s+|\belse\s+|:\s*)(?:set\s+)?(\w+)\s*=(?!=)/gi;
+
+// VBScript operators spelled differently in JavaScript
+const OPERATORS = {
+  '=': '===',
+  '<>': '!==',
+  'is': '===',
+  'and': '&&',
+  'or': '||',
+  'xor': '^',
+  'mod': '%',
+  '^': '**',
+  'not': '!'
+};
+
+const COMPARISONS = new Set(['=', '<>', '<', '>', '<=', '>=']);
+
+// chr() codes written as string literals; a carriage return becomes a line feed
+const CHARACTER_CODES = { 0: '\0', 9: '\t', 10: '\n', 13: '\n', 34: '"', 39: '\'', 92: '\\' };
 
 export class AdvancedTranspiler {
-  constructor() {
+  /**
+   * @param {object} options - Transpiler options
+   * @param {string} options.formAccess - 'dom' keeps reads of the form object `k`; 'context' reads
+   * form fields from an injected context parameter instead, so the code runs without a document
+   * @param {object} options.formMapping - Form field -> context key mapping (see FormMapping.js)
+   * @param {string} options.contextName - Name of the injected parameter
+   * @param {string|number} options.indent - Indentation of the output (see CodeGenerator.js)
+   * @param {string} options.quotes - 'double' or 'single' quotes around strings in the output
+   * @param {string} options.format - 'script' prints the script's globals and functions at the top
+   * level; 'module' prints an ES module without top-level side effects, which always reads the form
+   * from the context (see _transpileModule)
+   * @param {string} options.entryPoint - Procedure the module's score() runs
+   */
+  constructor(options = {}) {
     this.logger = new Logger('AdvancedTranspiler');
+    this.format = options.format || 'script';
+    if (this.format !== 'script' && this.format !== 'module') {
+      throw new Error(`Unknown output format '${options.format}', expected 'script' or 'module'`);
+    }
+    this.entryPoint = options.entryPoint || 'buttclick';
+    this.formAccess = this.format === 'module' ? 'context' : options.formAccess || 'dom';
+    this.formMapping = options.formMapping || DEFAULT_FORM_MAPPING;
+    this.contextName = options.contextName || 'context';
+    this.generator = new CodeGenerator({ indent: options.indent, quotes: options.quotes });
     this.knownArrays = new Set();
     this.knownFunctions = new Set();
+    this.parameterlessFunctions = new Set();
+    this.localNames = new Set(); // Names that shadow functions in the function being transpiled
     this.unknownTokens = new Set();
+    this.functionScopes = new Map(); // Function name -> implicit locals to hoist
+    this.sharedState = new Map(); // Implicit global -> functions that use it
+    this.emptyReads = new Map(); // Function -> implicit locals it reads but never assigns
+    this.contextFunctions = new Set(); // Functions that take the context parameter
+    this.comments = []; // Comment tokens not yet attached to a statement, in source order
+    this.usesRuntime = false; // Whether the tree built so far calls the runtime library
+    this.sourceLines = []; // VBScript line of each line of the last generate() result, or null
   }
 
+  /**
+   * Transpile VBScript into JavaScript source
+   * @param {string} vbscriptCode - VBScript source code
+   * @returns {string} The JavaScript; getSourceMap() maps its lines back to the VBScript
+   */
   transpile(vbscriptCode) {
+    return this.generate(this.transpileToAST(vbscriptCode));
+  }
+
+  /**
+   * Transpile VBScript into an ESTree Program, for transforms before generate()
+   * Statements carry `loc.start.line` of the VBScript statement they came from.
+   * @param {string} vbscriptCode - VBScript source code
+   * @returns {object} Program node
+   */
+  transpileToAST(vbscriptCode) {
     this.logger.step('Transpiling VBScript with comprehensive token handling');
 
     try {
@@ -27,29 +127,35 @@ export class AdvancedTranspiler {
       // Build knowledge base
       this._buildKnowledgeBase(parsed);
 
-      // Transpile each function
-      const transpiledFunctions = [];
-      for (const func of parsed.functions) {
-        const jsCode = this._transpileFunction(func);
-        transpiledFunctions.push(jsCode);
-      }
-
-      // Generate global variables
-      const globalVars = this._transpileGlobalVariables(parsed.globalVariables);
-
-      // Combine all code
-      const fullCode = [
-        '/**',
-        ' * Transpiled JavaScript from VBScript',
-        ' * Generated with comprehensive token-aware transpiler',
-        ` * Date: ${new Date().toISOString()}`,
-        ' * All VBScript tokens handled systematically',
-        ' */',
-        '',
-        globalVars,
-        '',
-        ...transpiledFunctions
-      ].join('\n');
+      // Transpile each procedure from its syntax tree
+      const syntaxTree = new VBScriptASTParser(vbscriptCode).parse();
+      this.comments = tokenize(vbscriptCode, { comments: true }).filter(token => token.type === 'comment');
+      this.usesRuntime = false;
+      const functions = this._transpileFunctions(parsed, syntaxTree);
+      const script = [
+        ...this._transpileGlobalVariables(parsed.globalVariables),
+        ...this._transpileSharedState(),
+        ...functions
+      ];
+
+      const program = {
+        type: 'Program',
+        sourceType: this.format,
+        body: [
+          // Inline the runtime library when the code calls it
+          ...(this.usesRuntime ? [this._transpileRuntime()] : []),
+          ...(this.format === 'module' ? this._transpileModule(parsed, script) : script)
+        ],
+        leadingComments: [blockComment([
+          '*',
+          ' * Transpiled JavaScript from VBScript',
+          ' * Generated with comprehensive token-aware transpiler',
+          ` * Date: ${new Date().toISOString()}`,
+          ' * All VBScript tokens handled systematically',
+          ...(this.format === 'module' ? [` * ES module: ${MODULE_ENTRY}() runs ${this.entryPoint}() on a fresh copy of the script`] : []),
+          ' '
+        ].join('\n'))]
+      };
 
       // Report any unknown tokens encountered
       if (this.unknownTokens.size > 0) {
@@ -63,13 +169,24 @@ export class AdvancedTranspiler {
 
       this.logger.complete('Comprehensive transpilation completed');
 
-      return fullCode;
+      return program;
     } catch (error) {
       this.logger.error('Failed to transpile', error);
       throw error;
     }
   }
 
+  /**
+   * Print a syntax tree with this transpiler's formatting options
+   * @param {object} program - Program node from transpileToAST(), possibly post-processed
+   * @returns {string} The JavaScript; its VBScript lines go to this.sourceLines
+   */
+  generate(program) {
+    const code = this.generator.generate(program);
+    this.sourceLines = this.generator.sourceLines;
+    return code;
+  }
+
   _buildKnowledgeBase(parsed) {
     this.logger.info('Building comprehensive knowledge base');
 
@@ -83,6 +200,9 @@ export class AdvancedTranspiler {
     // Track all functions
     for (const func of parsed.functions) {
       this.knownFunctions.add(func.name);
+      if (func.parameters.length === 0) {
+        this.parameterlessFunctions.add(func.name);
+      }
 
       // Track local arrays
       for (const localVar of func.localVariables) {
@@ -105,423 +225,1044 @@ export class AdvancedTranspiler {
       'fcbr', 'fpbr', 'fabr', 'fhbr', 'fnbr', 'fdbr', 'ftbr', 'fybr',
       'fzbr', 'fppbr', 'fssbr', 'fccbr'
     ];
-    
+
     for (const arrayName of knownMCMIArrays) {
       this.knownArrays.add(arrayName);
     }
 
+    this._buildScopes(parsed);
+    if (this.formAccess === 'context') {
+      this._buildContextFunctions(parsed);
+    }
+
     this.logger.info(`Knowledge base: ${this.knownArrays.size} arrays, ${this.knownFunctions.size} functions`);
+    this.logger.info(`Scopes: ${this.sharedState.size} shared implicit globals`);
   }
 
-  _transpileGlobalVariables(globalVars) {
-    const lines = ['// Global Variables'];
+  /**
+   * Work out where each undeclared VBScript variable lives
+   * As in VBScript, a variable a function assigns without a Dim is local to that function
+   * and becomes a hoisted `let` there, even if another function uses the same name. Only
+   * variables assigned at script level are shared, through the module-level state object.
+   */
+  _buildScopes(parsed) {
+    const declaredGlobals = new Set(parsed.globalVariables.map(varDecl => varDecl.name));
+    const scriptAssigned = new Set(parsed.ast
+      .filter(node => node.type === 'STATEMENT')
+      .map(node => node.value.match(ASSIGNMENT_TARGET))
+      .filter(Boolean)
+      .map(match => match[1]));
+    const usage = new Map(); // Variable -> functions that use it
+    this.emptyReads = new Map();
 
-    for (const varDecl of globalVars) {
-      const handler = TokenHandlers.getHandler('dim');
-      const result = handler(varDecl, this);
-      lines.push(result);
-    }
+    for (const func of parsed.functions) {
+      const declared = new Set([
+        ...func.parameters,
+        ...func.localVariables.map(localVar => localVar.name)
+      ]);
+      const used = new Set();
+      const assigned = new Set();
+
+      for (const token of func.bodyTokens) {
+        if (token.type === 'FOR_LOOP') {
+          // Declared by the loop header
+          declared.add(token.variable);
+          continue;
+        }
 
-    return lines.join('\n');
-  }
+        const setMatch = token.type === 'STATEMENT' && token.value.match(/^set\s+(\w+)\s*=/i);
+        if (setMatch) {
+          // Becomes a const declaration
+          declared.add(setMatch[1]);
+        }
 
-  _transpileFunction(func) {
-    this.logger.debug(`Transpiling function: ${func.name}`);
+        const text = token.condition || token.selector || token.caseValue ||
+          (token.type === 'STATEMENT' ? token.value : '');
+        this._findIdentifiers(text).forEach(name => used.add(name));
+        if (token.type === 'STATEMENT') {
+          for (const match of token.value.matchAll(INLINE_ASSIGNMENT_TARGETS)) {
+            assigned.add(match[1]);
+          }
+        }
+      }
 
-    const lines = [];
+      for (const name of used) {
+        if (declared.has(name) || declaredGlobals.has(name) || this.knownArrays.has(name) ||
+            this.knownFunctions.has(name) || HOST_OBJECTS.has(name)) {
+          continue;
+        }
+        if (!usage.has(name)) {
+          usage.set(name, []);
+        }
+        usage.get(name).push(func.name);
 
-    // Function declaration
-    const params = func.parameters.join(', ');
-    lines.push(`function ${func.name}(${params}) {`);
+        // A local the function reads but never assigns is always Empty
+        if (!assigned.has(name) && !scriptAssigned.has(name)) {
+          if (!this.emptyReads.has(func.name)) {
+            this.emptyReads.set(func.name, []);
+          }
+          this.emptyReads.get(func.name).push(name);
+        }
+      }
+    }
 
-    // Local variables
-    for (const localVar of func.localVariables) {
-      if (localVar.isArray) {
-        lines.push(`  const ${localVar.name} = new Array(${localVar.arraySize} + 1);`);
+    this.functionScopes = new Map(parsed.functions.map(func => [func.name, []]));
+    this.sharedState = new Map();
+    for (const [name, functions] of usage) {
+      if (scriptAssigned.has(name)) {
+        this.sharedState.set(name, functions);
       } else {
-        lines.push(`  let ${localVar.name};`);
+        for (const functionName of functions) {
+          this.functionScopes.get(functionName).push(name);
+        }
       }
     }
 
-    if (func.localVariables.length > 0) {
-      lines.push('');
+    for (const [functionName, names] of this.emptyReads) {
+      this.logger.warning(`${functionName}() reads ${names.join(', ')} without assigning it, so VBScript reads Empty`);
     }
+  }
 
-    // Transpile body with comprehensive token handling
-    const bodyLines = this._transpileBody(func.bodyTokens, func);
-    lines.push(...bodyLines);
-
-    // Add return statement if function doesn't have one explicitly
-    if (func.type === 'function' && func.returnStatements.length === 0) {
-      lines.push('  return null;');
+  /**
+   * Variable-like identifiers of a VBScript expression or statement
+   * Skips string literals, comments, member names after a dot and reserved words
+   */
+  _findIdentifiers(text) {
+    const code = text.replace(/"[^"]*"/g, '""').replace(/'.*$/, '');
+    const names = [];
+
+    for (const match of code.matchAll(/(^|[^.\w])([a-z_]\w*)/gi)) {
+      if (!VBScriptReservedWords.has(match[2].toLowerCase())) {
+        names.push(match[2]);
+      }
     }
 
-    lines.push('}');
-    lines.push('');
-
-    return lines.join('\n');
+    return names;
   }
 
-  _transpileBody(tokens, func) {
-    const lines = [];
-    let indentLevel = 1;
-    let contextStack = []; // Track context (if, for, switch, case)
+  /**
+   * Find the functions that need the context parameter
+   * Those reading the form, and those calling one of them, since the context is passed down
+   */
+  _buildContextFunctions(parsed) {
+    const calls = new Map();
+    this.contextFunctions = new Set();
 
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-      const tokenType = this._identifyTokenType(token);
+    for (const func of parsed.functions) {
+      const text = func.bodyTokens
+        .map(token => token.condition || token.selector || token.caseValue || token.value || '')
+        .join('\n');
+      if (/(^|[^.\w])k\./im.test(text.replace(/"[^"]*"/g, '""'))) {
+        this.contextFunctions.add(func.name);
+      }
+      calls.set(func.name, new Set(this._findIdentifiers(text).filter(name =>
+        name !== func.name && this.knownFunctions.has(name))));
+    }
 
-      if (token.type === 'COMMENT') {
-        const comment = token.value.trim();
-        if (comment.startsWith("'")) {
-          lines.push('  '.repeat(indentLevel) + '//' + comment.substring(1));
-        }
-      } else if (token.type === 'VARIABLE_DECLARATION') {
-        // Already handled in function preamble
-        continue;
-      } else if (token.type === 'IF_STATEMENT') {
-        const condition = this._transpileExpression(token.condition, true);
-        lines.push('  '.repeat(indentLevel) + `if (${condition}) {`);
-        indentLevel++;
-        contextStack.push('if');
-      } else if (token.type === 'FOR_LOOP') {
-        lines.push('  '.repeat(indentLevel) + `for (let ${token.variable} = ${token.start}; ${token.variable} <= ${token.end}; ${token.variable}++) {`);
-        indentLevel++;
-        contextStack.push('for');
-      } else if (token.type === 'STATEMENT') {
-        const statement = this._transpileStatement(token.value, func, tokenType);
-
-        // Check for control flow statements
-        if (/^end\s+if$/i.test(token.value)) {
-          if (contextStack[contextStack.length - 1] === 'if') {
-            contextStack.pop();
-          }
-          indentLevel--;
-          lines.push('  '.repeat(indentLevel) + '}');
-        } else if (/^next$/i.test(token.value)) {
-          if (contextStack[contextStack.length - 1] === 'for') {
-            contextStack.pop();
-          }
-          indentLevel--;
-          lines.push('  '.repeat(indentLevel) + '}');
-        } else if (/^else\s+\w+/i.test(token.value)) {
-          // Inline else with statement: else x=1
-          const match = token.value.match(/^else\s+(.+)$/i);
-          if (match) {
-            const elseStatement = this._transpileStatement(match[1], func, 'STATEMENT');
-            indentLevel--;
-            lines.push('  '.repeat(indentLevel) + '} else {');
-            indentLevel++;
-            lines.push('  '.repeat(indentLevel) + elseStatement);
-            indentLevel--;
-            lines.push('  '.repeat(indentLevel) + '}');
-            
-            // Check if next token is 'end if' to properly close
-            if (i + 1 < tokens.length && /^end\s+if$/i.test(tokens[i + 1].value)) {
-              // Skip it as we already closed
-              i++;
-              if (contextStack[contextStack.length - 1] === 'if') {
-                contextStack.pop();
-              }
-            }
-          }
-        } else if (/^else$/i.test(token.value)) {
-          indentLevel--;
-          lines.push('  '.repeat(indentLevel) + '} else {');
-          indentLevel++;
-        } else if (/^elseif\s+/i.test(token.value)) {
-          const match = token.value.match(/^elseif\s+(.*?)\s+then$/i);
-          if (match) {
-            const condition = this._transpileExpression(match[1], true);
-            indentLevel--;
-            lines.push('  '.repeat(indentLevel) + `} else if (${condition}) {`);
-            indentLevel++;
-          }
-        } else if (/^do\s+while/i.test(token.value)) {
-          const match = token.value.match(/^do\s+while\s+(.*?)$/i);
-          if (match) {
-            const condition = this._transpileExpression(match[1], true);
-            lines.push('  '.repeat(indentLevel) + `while (${condition}) {`);
-            indentLevel++;
-            contextStack.push('while');
-          }
-        } else if (/^loop$/i.test(token.value)) {
-          if (contextStack[contextStack.length - 1] === 'while') {
-            contextStack.pop();
-          }
-          indentLevel--;
-          lines.push('  '.repeat(indentLevel) + '}');
-        } else if (/^select\s+case/i.test(token.value)) {
-          const match = token.value.match(/^select\s+case\s+(.*?)$/i);
-          if (match) {
-            const expr = this._transpileExpression(match[1]);
-            lines.push('  '.repeat(indentLevel) + `switch (${expr}) {`);
-            indentLevel++;
-            contextStack.push('switch');
-          }
-        } else if (/^case\s+/i.test(token.value)) {
-          // Close previous case if we're already in one
-          if (contextStack[contextStack.length - 1] === 'case') {
-            indentLevel--;
-            lines.push('  '.repeat(indentLevel) + 'break;');
-            contextStack.pop();
-          }
-          
-          if (/^case\s+else$/i.test(token.value)) {
-            lines.push('  '.repeat(indentLevel) + 'default:');
-          } else {
-            const match = token.value.match(/^case\s+(.*?)$/i);
-            if (match) {
-              const value = this._transpileExpression(match[1]);
-              lines.push('  '.repeat(indentLevel) + `case ${value}:`);
-            }
-          }
-          indentLevel++;
-          contextStack.push('case');
-        } else if (/^end\s+select$/i.test(token.value)) {
-          // Close the last case if still open
-          if (contextStack[contextStack.length - 1] === 'case') {
-            indentLevel--;
-            lines.push('  '.repeat(indentLevel) + 'break;');
-            contextStack.pop();
-          }
-          // Close the switch
-          if (contextStack[contextStack.length - 1] === 'switch') {
-            contextStack.pop();
-          }
-          indentLevel--;
-          lines.push('  '.repeat(indentLevel) + '}');
-        } else if (/^exit\s+(function|sub|for|do)$/i.test(token.value)) {
-          const match = token.value.match(/^exit\s+(function|sub|for|do)$/i);
-          if (match[1].toLowerCase() === 'function' || match[1].toLowerCase() === 'sub') {
-            lines.push('  '.repeat(indentLevel) + 'return;');
-          } else {
-            lines.push('  '.repeat(indentLevel) + 'break;');
-          }
-        } else if (statement) {
-          lines.push('  '.repeat(indentLevel) + statement);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const [name, callees] of calls) {
+        if (!this.contextFunctions.has(name) && [...callees].some(callee => this.contextFunctions.has(callee))) {
+          this.contextFunctions.add(name);
+          changed = true;
         }
       }
     }
-
-    return lines;
   }
 
-  _identifyTokenType(token) {
-    // Identify the specific VBScript construct
-    if (!token.value) return 'UNKNOWN';
+  /**
+   * Source map of the last generate() result, by line
+   * @param {object} options
+   * @param {string} options.file - Name of the generated file
+   * @param {string} options.source - Name of the VBScript file, relative to the map
+   * @returns {SourceMap}
+   */
+  getSourceMap({ file = 'transpiled.js', source = 'original-vbscript.vbs' } = {}) {
+    return new SourceMap({ file, source, lines: this.sourceLines });
+  }
 
-    const value = token.value.trim().toLowerCase();
+  /**
+   * Report which implicit variables cross function boundaries, which stay local and which
+   * locals a function reads without ever assigning them (Empty in VBScript)
+   */
+  getScopeReport() {
+    return {
+      stateObject: STATE_OBJECT,
+      shared: [...this.sharedState]
+        .map(([name, functions]) => ({ name, functions }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      locals: Object.fromEntries([...this.functionScopes].filter(([, names]) => names.length > 0)),
+      emptyReads: Object.fromEntries(this.emptyReads)
+    };
+  }
 
-    // Check for known keywords
-    if (value.startsWith('dim ')) return 'DIM';
-    if (value.startsWith('set ')) return 'SET';
-    if (value.startsWith('if ')) return 'IF';
-    if (value.startsWith('elseif ')) return 'ELSEIF';
-    if (value === 'else') return 'ELSE';
-    if (value === 'end if') return 'END_IF';
-    if (value.startsWith('for ')) return 'FOR';
-    if (value === 'next') return 'NEXT';
-    if (value.startsWith('do ')) return 'DO';
-    if (value === 'loop') return 'LOOP';
-    if (value.startsWith('select ')) return 'SELECT';
-    if (value.startsWith('case ')) return 'CASE';
-    if (value === 'end select') return 'END_SELECT';
-    if (value.startsWith('exit ')) return 'EXIT';
-    if (value.includes('msgbox')) return 'MSGBOX';
-    if (value.includes('inputbox')) return 'INPUTBOX';
-    if (value.includes('createobject')) return 'CREATEOBJECT';
-    if (value.includes('document.write')) return 'DOCUMENT_WRITE';
+  _transpileSharedState() {
+    if (this.sharedState.size === 0) return [];
 
-    return 'STATEMENT';
+    const names = [...this.sharedState.keys()].sort();
+    const declaration = variable('const', STATE_OBJECT, object(names.map(name => [name, literal(null)])));
+    declaration.leadingComments = [lineComment(' Shared State (implicit globals assigned at script level)')];
+    return [declaration];
   }
 
-  _transpileStatement(statement, func, tokenType) {
-    if (!statement || statement.trim() === '') {
-      return '';
+  /**
+   * Wrap the script in an ES module
+   * The script's globals and functions move into createScript(), so importing the module runs
+   * nothing and every call starts from fresh globals, as if the page had been reloaded. score()
+   * runs the entry point; each Function that returns a value from its inputs is exported on its
+   * own, taking the answers and demographics in place of the context when it reads the form.
+   * @param {object} parsed - AdvancedVBScriptParser result
+   * @param {Array<object>} script - Statements of the script output
+   * @returns {Array<object>} Top-level statements of the module
+   */
+  _transpileModule(parsed, script) {
+    const names = parsed.functions.map(func => func.name);
+    if (!names.includes(this.entryPoint)) {
+      throw new Error(`Entry point ${this.entryPoint}() not found`);
+    }
+    const clash = names.find(name => [MODULE_FACTORY, MODULE_ENTRY, MODULE_IGNORE_MESSAGE, RUNTIME_OBJECT].includes(name));
+    if (clash) {
+      throw new Error(`Function ${clash}() clashes with the module's own ${clash}`);
+    }
+    const answers = Object.values(this.formMapping).find(entry => entry.indexed);
+    if (!answers) {
+      throw new Error('The form mapping has no indexed field for the answers');
+    }
+    const demographics = Object.values(this.formMapping).filter(entry => !entry.indexed).map(entry => entry.key);
+
+    // The form's initial values for demographics left out: inpatientCode ?? 1
+    const defaulted = Object.values(this.formMapping).filter(entry => !entry.indexed && entry.default !== undefined);
+    const defaults = defaulted.map(entry => [entry.key, binary('??', memberPath('demographics', entry.key), literal(entry.default))]);
+
+    // createScript(alert).name(context, ...params)
+    const run = (name, alert, params) => returnStatement(call(
+      member(call(identifier(MODULE_FACTORY), [alert]), name),
+      [
+        ...(this.contextFunctions.has(name) ? [object([spread(identifier('demographics')), ...defaults, [answers.key, identifier('responses')]])] : []),
+        ...params.map(identifier)
+      ]
+    ));
+    const inputs = name => this.contextFunctions.has(name)
+      ? [identifier('responses'), assignmentPattern(identifier('demographics'), object([]))]
+      : [];
+
+    const factory = functionDeclaration(MODULE_FACTORY, [identifier('alert')], block([
+      ...script,
+      returnStatement(object(names.map(name => [name, identifier(name)])))
+    ]));
+    factory.leadingComments = [blockComment([
+      '*',
+      ' * A fresh copy of the legacy script: its globals and functions',
+      ' * @param {Function} alert - Receives the script\'s message boxes',
+      ' * @returns {object} The script\'s functions by name',
+      ' '
+    ].join('\n'))];
+
+    const ignoreMessage = functionDeclaration(MODULE_IGNORE_MESSAGE, [], block([]));
+    ignoreMessage.leadingComments = [lineComment(` Message boxes go nowhere unless ${MODULE_ENTRY}() is given an alert`)];
+
+    const entry = exportNamed(functionDeclaration(MODULE_ENTRY, [
+      ...inputs(this.entryPoint),
+      assignmentPattern(identifier('options'), object([]))
+    ], block([
+      run(this.entryPoint, binary('||', memberPath('options', 'alert'), identifier(MODULE_IGNORE_MESSAGE)), [])
+    ])));
+    entry.leadingComments = [blockComment([
+      '*',
+      ` * Score an answer sheet with the legacy ${this.entryPoint}()`,
+      ` * @param {object} responses - Answers by item number, the context's ${answers.key}`,
+      ` * @param {object} demographics - The other context keys: ${demographics.join(', ')}`,
+      ...defaulted.map(entry => ` *   (${entry.key} defaults to ${JSON.stringify(entry.default)}, as on the form)`),
+      ' * @param {object} options - { alert }: receives the script\'s message boxes, ignored by default',
+      ` * @returns {*} What ${this.entryPoint}() returns`,
+      ' '
+    ].join('\n'))];
+
+    // Functions that return a value from their inputs (the scales and the BR lookups); those
+    // without inputs work on globals that a fresh copy of the script leaves empty
+    const exported = parsed.functions.filter(func => !['sub', 'none'].includes(this._returnStyle(func)) &&
+      (this.contextFunctions.has(func.name) || func.parameters.length > 0)).map(func => exportNamed(functionDeclaration(
+      func.name,
+      [...inputs(func.name), ...func.parameters.map(identifier)],
+      block([run(func.name, identifier(MODULE_IGNORE_MESSAGE), func.parameters)])
+    )));
+    if (exported.length > 0) {
+      exported[0].leadingComments = [lineComment(' The script\'s Functions, each run on a fresh copy of the script')];
     }
 
-    // Handle single-line if-then-else: if condition then statement1 else statement2
-    const singleIfElseMatch = statement.match(/^if\s+(.*?)\s+then\s+(.+?)\s+else\s+(.+)$/i);
-    if (singleIfElseMatch) {
-      const condition = this._transpileExpression(singleIfElseMatch[1], true);
-      const thenStatement = this._transpileStatement(singleIfElseMatch[2], func, 'STATEMENT');
-      const elseStatement = this._transpileStatement(singleIfElseMatch[3], func, 'STATEMENT');
-      return `if (${condition}) { ${thenStatement} } else { ${elseStatement} }`;
+    return [factory, ignoreMessage, entry, ...exported];
+  }
+
+  _transpileRuntime() {
+    // The library's source, printed as it is
+    const library = { type: 'Literal', value: null, raw: createVBRuntime.toString() };
+    const declaration = variable('const', RUNTIME_OBJECT, call({ type: 'ParenthesizedExpression', expression: library }));
+    declaration.leadingComments = [lineComment(' VBScript Runtime (src/runtime/vbruntime.js)')];
+    return declaration;
+  }
+
+  _transpileGlobalVariables(globalVars) {
+    const declarations = globalVars.map(varDecl => this._at(this._declare(varDecl), { line: varDecl.line, column: 1 }));
+    if (declarations.length > 0) {
+      declarations[0].leadingComments = [lineComment(' Global Variables')];
     }
+    return declarations;
+  }
 
-    // Handle single-line if statements: if condition then statement
-    const singleIfMatch = statement.match(/^if\s+(.*?)\s+then\s+(.+)$/i);
-    if (singleIfMatch) {
-      const condition = this._transpileExpression(singleIfMatch[1], true);
-      const thenStatement = this._transpileStatement(singleIfMatch[2], func, 'STATEMENT');
-      return `if (${condition}) { ${thenStatement} }`;
+  /**
+   * Declaration of a Dim'd variable; an array gets its upper bound + 1 elements
+   */
+  _declare(varDecl) {
+    if (varDecl.isArray) {
+      return variable('const', varDecl.name, newExpression(identifier('Array'), [
+        binary('+', literal(varDecl.arraySize), literal(1))
+      ]));
     }
+    return variable('let', varDecl.name);
+  }
 
-    // Handle SET statements (VBScript object assignment)
-    const setMatch = statement.match(/^set\s+(\w+)\s*=\s*(.+)$/i);
-    if (setMatch) {
-      const varName = setMatch[1];
-      const value = this._transpileExpression(setMatch[2]);
-      return `const ${varName} = ${value};`;
-    }
-
-    // Check if this is a return statement (function name assignment)
-    const returnMatch = statement.match(new RegExp(`^${func.name}\\s*=\\s*(.+)$`, 'i'));
-    if (returnMatch) {
-      const value = this._transpileExpression(returnMatch[1]);
-      return `return ${value};`;
-    }
-
-    // Handle specific token types
-    if (tokenType === 'MSGBOX' || /^msgbox[\s"]/i.test(statement)) {
-      // Handle msgbox with or without parentheses
-      // Extract everything after 'msgbox'
-      const msgboxIndex = statement.toLowerCase().indexOf('msgbox');
-      let message = statement.substring(msgboxIndex + 6).trim();
-      
-      // Remove leading/trailing parentheses if present
-      if (message.startsWith('(') && message.endsWith(')')) {
-        message = message.substring(1, message.length - 1).trim();
+  /**
+   * Set the VBScript location of a node, for the source map
+   * @param {object} node - ESTree node
+   * @param {object} loc - { line, column } with 1-based columns, as VBScriptASTParser gives them
+   */
+  _at(node, loc) {
+    node.loc = { start: { line: loc.line, column: loc.column - 1 } };
+    return node;
+  }
+
+  _transpileFunctions(parsed, syntaxTree) {
+    const procedures = new Map(syntaxTree.procedures.map(procedure => [procedure.name, procedure]));
+
+    return parsed.functions.map(func => {
+      const procedure = procedures.get(func.name);
+      if (!procedure) {
+        throw new Error(`No syntax tree for ${func.type} ${func.name}()`);
       }
-      
-      const transpiledMessage = this._transpileExpression(message);
-      return `alert(${transpiledMessage});`;
+      return this._transpileFunction(func, procedure);
+    });
+  }
+
+  _transpileFunction(func, procedure) {
+    this.logger.debug(`Transpiling function: ${func.name}`);
+
+    // Undeclared variables used only here
+    const implicitLocals = this.functionScopes.get(func.name) || [];
+    this.localNames = new Set([
+      func.name,
+      ...func.parameters,
+      ...func.localVariables.map(localVar => localVar.name),
+      ...implicitLocals
+    ]);
+
+    // VBScript returns whatever was last assigned to the function name
+    const returnStyle = this._returnStyle(func);
+    const scope = {
+      func,
+      returnVariable: returnStyle === 'variable' ? RETURN_VARIABLE : null,
+      loopVariables: func.bodyTokens.filter(token => token.type === 'FOR_LOOP').map(token => token.variable)
+    };
+
+    const declarations = func.localVariables.map(localVar => this._declare(localVar));
+    if (implicitLocals.length > 0) {
+      declarations.push(variable('let', implicitLocals));
+    }
+    if (scope.returnVariable) {
+      declarations.push(variable('let', scope.returnVariable, literal(null)));
     }
 
-    if (tokenType === 'INPUTBOX') {
-      const match = statement.match(/(\w+)\s*=\s*inputbox\s*\((.+?)\)/i);
-      if (match) {
-        const varName = match[1];
-        const message = this._transpileExpression(match[2]);
-        return `${varName} = prompt(${message});`;
-      }
+    // Comments above the procedure belong to the script level
+    this._takeComments(procedure.loc.line - 1);
+    const statements = this._transpileStatements(procedure.body, scope);
+    this._attachComments(statements[statements.length - 1], 'trailingComments', this._takeComments(func.endLine));
+
+    // Return at End Function unless the last statement already did
+    const end = { line: func.endLine, column: 1 };
+    if (scope.returnVariable) {
+      statements.push(this._at(returnStatement(identifier(scope.returnVariable)), end));
+    } else if (returnStyle === 'none') {
+      statements.push(this._at(returnStatement(literal(null)), end));
+    }
+
+    const params = [
+      ...(this.contextFunctions.has(func.name) ? [this.contextName] : []),
+      ...func.parameters
+    ].map(identifier);
+    return this._at(functionDeclaration(func.name, params, block([...declarations, ...statements])), procedure.loc);
+  }
+
+  /**
+   * Decide how a function returns its value
+   * @returns {string} 'sub' for subs, 'none' without assignments to the function name,
+   * 'last' when its only assignment is the final statement, otherwise 'variable'
+   */
+  _returnStyle(func) {
+    if (func.type !== 'function') return 'sub';
+
+    const assignment = new RegExp(`(^|\\s(then|else)\\s+)${func.name}\\s*=(?!=)`, 'i');
+    const assignments = func.bodyTokens.filter(token => token.type === 'STATEMENT' && assignment.test(token.value));
+    if (assignments.length === 0) return 'none';
+
+    const statements = func.body.filter(token => token.type !== 'COMMENT');
+    const last = statements[statements.length - 1];
+    if (assignments.length === 1 && assignments[0] === last && !/^if\s/i.test(last.value)) {
+      return 'last';
     }
 
-    if (tokenType === 'DOCUMENT_WRITE') {
-      const match = statement.match(/document\.write\s+(.+)$/i);
-      if (match) {
-        const content = this._transpileExpression(match[1]);
-        return `document.write(${content});`;
+    return 'variable';
+  }
+
+  /**
+   * Remove the comments up to a line from the pending ones
+   * @returns {Array<object>} Comment tokens, in source order
+   */
+  _takeComments(lastLine) {
+    const taken = [];
+    while (this.comments.length > 0 && this.comments[0].line <= lastLine) {
+      taken.push(this.comments.shift());
+    }
+    return taken;
+  }
+
+  /**
+   * Print VBScript comments as line comments around a node
+   * @param {object} node - ESTree statement; without one the comments are dropped
+   * @param {string} position - 'leadingComments' or 'trailingComments'
+   * @param {Array<object>} comments - Comment tokens
+   */
+  _attachComments(node, position, comments) {
+    if (!node || comments.length === 0) return;
+
+    // ' text and Rem text -> // text
+    const converted = comments.map(comment => lineComment(comment.value.replace(/^('|rem\b)/i, '').trimEnd()));
+    node[position] = position === 'leadingComments'
+      ? [...converted, ...(node[position] || [])]
+      : [...(node[position] || []), ...converted];
+  }
+
+  _transpileStatements(statements, scope) {
+    const result = [];
+
+    for (const statement of statements) {
+      // Comments above a statement or after it on its line go before it
+      const comments = this._takeComments(statement.loc.line);
+      const converted = this._transpileStatement(statement, scope);
+      if (converted.length === 0) {
+        // Nothing to attach them to, so they go to the next statement
+        this.comments.unshift(...comments);
+        continue;
       }
+
+      this._attachComments(converted[0], 'leadingComments', comments);
+      result.push(...converted);
     }
 
-    // Handle f1.write (file write operations)
-    if (/f1\.write\s+/i.test(statement)) {
-      const match = statement.match(/f1\.write\s+(.+)$/i);
-      if (match) {
-        const content = this._transpileExpression(match[1]);
-        return `f1.write(${content});`;
+    return result;
+  }
+
+  /**
+   * Transpile one VBScript statement
+   * @returns {Array<object>} ESTree statements, none for declarations hoisted to the top
+   */
+  _transpileStatement(node, scope) {
+    const at = statement => this._at(statement, node.loc);
+
+    switch (node.type) {
+    case 'OptionExplicit':
+    case 'DimStatement':
+      // Declared at the top of the function
+      return [];
+    case 'ReDimStatement':
+      if (node.preserve) {
+        this.logger.warning(`ReDim Preserve at line ${node.loc.line} does not keep the elements`);
       }
+      return node.declarations.map(declaration => at(expressionStatement(assignment(
+        this._variableReference(declaration.name),
+        newExpression(identifier('Array'), [binary('+', this._transpileExpression(declaration.bounds[0], scope), literal(1))])
+      ))));
+    case 'ConstStatement':
+      return node.declarations.map(declaration =>
+        at(variable('const', declaration.name, this._transpileExpression(declaration.value, scope))));
+    case 'AssignmentStatement':
+      return [at(this._transpileAssignment(node, scope))];
+    case 'CallStatement':
+      return [at(expressionStatement(this._transpileCallStatement(node.callee, scope)))];
+    case 'IfStatement':
+      return [at(this._transpileIf(node, scope))];
+    case 'SelectCaseStatement':
+      return [at(this._transpileSelect(node, scope))];
+    case 'ForStatement':
+      return [at(this._transpileFor(node, scope))];
+    case 'DoLoopStatement':
+      return [at(this._transpileDo(node, scope))];
+    case 'ExitStatement':
+      if (node.target === 'function' || node.target === 'sub') {
+        return [at(returnStatement(scope.returnVariable ? identifier(scope.returnVariable) : null))];
+      }
+      return [at(breakStatement())];
+    default:
+      throw new Error(`Cannot transpile ${node.type} at line ${node.loc.line}`);
     }
+  }
 
-    // Check for assignment
-    const assignMatch = statement.match(/^(\w+(?:\([^)]+\))?)\s*=\s*(.+)$/);
-    if (assignMatch) {
-      const left = this._transpileExpression(assignMatch[1]);
-      const right = this._transpileExpression(assignMatch[2]);
-      return `${left} = ${right};`;
+  _transpileAssignment(node, scope) {
+    const { target, value } = node;
+
+    // Assigning the function name sets the result
+    if (target.type === 'Identifier' && scope.func.type === 'function' &&
+        target.name.toLowerCase() === scope.func.name.toLowerCase()) {
+      const result = this._transpileExpression(value, scope);
+      return scope.returnVariable
+        ? expressionStatement(assignment(identifier(scope.returnVariable), result))
+        : returnStatement(result);
     }
 
-    // Other statements
-    const transpiled = this._transpileExpression(statement);
-    return transpiled.endsWith(';') ? transpiled : transpiled + ';';
+    // Handle SET statements (VBScript object assignment)
+    if (node.isSet && target.type === 'Identifier') {
+      return variable('const', target.name, this._transpileExpression(value, scope));
+    }
+
+    const left = target.type === 'Identifier' ? this._variableReference(target.name) : this._transpileExpression(target, scope);
+    return expressionStatement(assignment(left, this._transpileExpression(value, scope)));
   }
 
-  _transpileExpression(expr, isConditionalContext = false) {
-    if (!expr) return '';
+  /**
+   * A call in statement position, with or without parentheses: msgbox "x", document.write s
+   */
+  _transpileCallStatement(callee, scope) {
+    if (callee.type === 'CallExpression') {
+      return this._transpileCall(callee.callee, callee.arguments, scope);
+    }
+    return this._transpileCall(callee, [], scope);
+  }
+
+  _transpileIf(node, scope) {
+    const test = this._transpileExpression(node.test, scope);
+    const consequent = block(this._transpileStatements(node.consequent, scope));
+    if (!node.alternate || node.alternate.length === 0) {
+      // A one-line If stays on one line where it can (see CodeGenerator)
+      return node.singleLine ? { ...ifStatement(test, consequent), singleLine: true } : ifStatement(test, consequent);
+    }
 
-    let result = expr.trim();
+    // ElseIf -> else if
+    const [clause] = node.alternate;
+    const alternate = node.alternate.length === 1 && clause.type === 'IfStatement'
+      ? this._at(this._transpileIf(clause, scope), clause.loc)
+      : block(this._transpileStatements(node.alternate, scope));
+    return ifStatement(test, consequent, alternate);
+  }
 
-    // Handle object property access with array indices
-    // Pattern: k.r62(1).checked
-    result = result.replace(/(\w+)\.r(\d+)\((\d+)\)\.(\w+)/g, (match, obj, num, idx, prop) => {
-      return `${obj}.elements.r${num}[${idx}].${prop}`;
+  _transpileFor(node, scope) {
+    const counter = () => this._variableReference(node.variable);
+    const start = this._transpileExpression(node.start, scope);
+    const step = node.step && this._transpileExpression(node.step, scope);
+    const descending = node.step && node.step.type === 'UnaryExpression' && this._isNumberLiteral(node.step);
+
+    return {
+      type: 'ForStatement',
+      init: counter().type === 'Identifier' ? variable('let', node.variable, start) : assignment(counter(), start),
+      test: binary(descending ? '>=' : '<=', counter(), this._transpileExpression(node.end, scope)),
+      update: step ? assignment(counter(), step, '+=') : update('++', counter()),
+      body: block(this._transpileStatements(node.body, scope))
+    };
+  }
+
+  _transpileDo(node, scope) {
+    const body = block(this._transpileStatements(node.body, scope));
+    if (!node.test) {
+      return { type: 'WhileStatement', test: literal(true), body };
+    }
+
+    const condition = this._transpileExpression(node.test, scope);
+    const test = node.until ? unary('!', condition) : condition;
+    return node.testAfter ? { type: 'DoWhileStatement', body, test } : { type: 'WhileStatement', test, body };
+  }
+
+  /**
+   * Transpile a Select Case into a switch, one label group and break per Case
+   */
+  _transpileSelect(node, scope) {
+    const discriminant = () => this._transpileExpression(node.discriminant, scope);
+    const caseItems = node.cases.map(caseNode => caseNode.tests.map(test => this._caseItem(test)));
+
+    // Long runs of case values become range checks on a switch (true);
+    // only for plain selectors, which are safe to evaluate once per case
+    const ranges = this._isPlainReference(discriminant()) && needsCaseRanges(caseItems);
+    const cases = node.cases.flatMap((caseNode, index) => {
+      const groups = groupCaseValues(caseItems[index]);
+      const tests = ranges
+        ? [groups.map(group => this._caseRange(group, discriminant, scope)).reduce((test, range) => binary('||', test, range))]
+        : groups.flatMap(group => group.value !== undefined
+          ? [this._transpileExpression(group.value, scope)]
+          : Array.from({ length: group.to - group.from + 1 }, (_, offset) => literal(group.from + offset)));
+
+      const labels = tests.map(test => this._at({ type: 'SwitchCase', test, consequent: [] }, caseNode.loc));
+      labels[labels.length - 1].consequent = this._caseBody(caseNode.body, scope);
+      return labels;
     });
 
-    // Handle array access - CONTEXT AWARE
-    // Replace array(index) with array[index] for known arrays AND expressions like aftercor(i)
-    for (const arrayName of this.knownArrays) {
-      const arrayPattern = new RegExp(`\\b${arrayName}\\(([^)]+)\\)`, 'g');
-      result = result.replace(arrayPattern, `${arrayName}[$1]`);
-    }
-
-    // Handle form element access: k.element(0) -> k.elements.element[0]
-    result = result.replace(/\bk\.(\w+)\((\d+)\)/g, 'k.elements.$1[$2]');
-
-    // Convert VBScript comparison operators (BEFORE logical operators!)
-    result = result.replace(/\s*=>\s*/gi, ' >= ');
-    result = result.replace(/\s*=<\s*/gi, ' <= ');
-    result = result.replace(/\s*<>\s*/gi, ' !== ');
-
-    // Convert VBScript operators - handle all cases
-    // First, handle 'not' with comparisons - it applies to the whole comparison
-    result = result.replace(/\bnot\s+([a-zA-Z_][\w.()[\]]*)\s*=\s*"([^"]*)"/gi, '!($1 === "$2")');
-    result = result.replace(/\bnot\s+([a-zA-Z_][\w.()[\]]*)\s*=\s*([^=\s]+)/gi, '!($1 === $2)');
-    result = result.replace(/\bnot\s+/gi, '!');
-    
-    // Then handle 'and' and 'or' - must have spaces or be at boundaries
-    result = result.replace(/\s+and\s+/gi, ' && ');
-    result = result.replace(/\s+or\s+/gi, ' || ');
-    
-    // Handle other operators
-    result = result.replace(/\s+xor\s+/gi, ' ^ ');
-    result = result.replace(/\s+mod\s+/gi, ' % ');
-
-    // Convert VBScript built-in functions
-    result = result.replace(/\bchr\s*\((\d+)\)/gi, 'String.fromCharCode($1)');
-    result = result.replace(/\bucase\s*\(/gi, '.toUpperCase(');
-    result = result.replace(/\blcase\s*\(/gi, '.toLowerCase(');
-    result = result.replace(/\blen\s*\(/gi, '.length ');
-    result = result.replace(/\btrim\s*\(/gi, '.trim(');
-    result = result.replace(/\bisempty\s*\(/gi, '(typeof ');
-    result = result.replace(/\bisnull\s*\(/gi, '(');
-    result = result.replace(/\bisnumeric\s*\(/gi, '!isNaN(');
-    result = result.replace(/\bisarray\s*\(/gi, 'Array.isArray(');
-    result = result.replace(/\babs\s*\(/gi, 'Math.abs(');
-    result = result.replace(/\bround\s*\(/gi, 'Math.round(');
-    result = result.replace(/\bint\s*\(/gi, 'Math.floor(');
-
-    // Convert equality checks (after comparison operators!)
-    result = result.replace(/\s*=\s*true\b/gi, ' === true');
-    result = result.replace(/\s*=\s*false\b/gi, ' === false');
-    
-    // IN CONDITIONAL CONTEXT: Convert single = to === for comparisons
-    // Pattern: variable = value (not variable === value already)
-    if (isConditionalContext) {
-      // Convert comparisons: i=1, i=2, etc. to i===1, i===2
-      // But avoid converting: a===b, a>=b, a<=b, a!==b
-      result = result.replace(/\b([a-zA-Z_][\w]*)\s*=\s*([0-9]+)\b(?![=<>])/g, '$1===$2');
-      result = result.replace(/\b([a-zA-Z_][\w]*)\s*=\s*"([^"]*)"/g, '$1==="$2"');
-      result = result.replace(/\b([a-zA-Z_][\w]*)\s*=\s*'([^']*)'/g, "$1==='$2'");
-      // Also handle: variable=variable comparisons
-      result = result.replace(/\b([a-zA-Z_][\w]*)\s*=\s*([a-zA-Z_][\w]*)\b(?![=<>])/g, '$1===$2');
-    }
-
-    // Convert string concatenation (careful not to touch &&)
-    result = result.replace(/([^&])\s*&\s*([^&])/g, '$1 + $2');
-
-    // Handle createobject calls
-    result = result.replace(/createobject\s*\(\s*["']scripting\.filesystemobject["']\s*\)/gi,
-      '/* FileSystemObject - use Blob API */ null');
-
-    // Handle document.write
-    result = result.replace(/document\.write\s+/gi, 'document.write(');
-    if (/document\.write\([^)]*$/.test(result)) {
-      result += ')';
-    }
-
-    // Check for unknown patterns
-    if (result.includes('createobject') && !result.includes('FileSystemObject')) {
-      this.unknownTokens.add(`CreateObject: ${result}`);
+    if (node.defaultCase) {
+      cases.push(this._at({ type: 'SwitchCase', test: null, consequent: this._caseBody(node.defaultCase, scope) }, node.defaultLoc));
     }
 
-    return result;
+    return {
+      type: 'SwitchStatement',
+      discriminant: ranges ? literal(true) : this._switchSelector(node, discriminant(), scope),
+      cases
+    };
   }
 
-  // Method to allow external access for token handlers
-  transpileExpression(expr) {
-    return this._transpileExpression(expr);
+  /**
+   * Case value as groupCaseValues() takes it: integer literals as numbers, anything else
+   * as its syntax tree
+   */
+  _caseItem(test) {
+    if (test.type === 'Literal' && Number.isInteger(test.value)) {
+      return test.value;
+    }
+    if (test.type === 'UnaryExpression' && test.operator === '-' && test.argument.type === 'Literal' &&
+        Number.isInteger(test.argument.value)) {
+      return -test.argument.value;
+    }
+    return test;
+  }
+
+  /**
+   * Test of a switch (true) case for one group of Case values
+   */
+  _caseRange(group, discriminant, scope) {
+    if (group.value !== undefined) {
+      return binary('===', discriminant(), this._transpileExpression(group.value, scope));
+    }
+    if (group.from === group.to) {
+      return binary('===', discriminant(), literal(group.from));
+    }
+    return binary('&&', binary('>=', discriminant(), literal(group.from)), binary('<=', discriminant(), literal(group.to)));
+  }
+
+  /**
+   * Statements of a Case, ending in a break unless they already leave the switch
+   */
+  _caseBody(statements, scope) {
+    const body = this._transpileStatements(statements, scope);
+    const last = body[body.length - 1];
+    if (last && (last.type === 'ReturnStatement' || last.type === 'BreakStatement')) {
+      return body;
+    }
+    return [...body, breakStatement()];
+  }
+
+  /**
+   * Selector of a switch over numeric Case values
+   * VBScript compares a string selector with numeric literals as a number ("1" matches
+   * `case 1`), while a JS switch compares strictly, so the selector goes through CDbl()
+   * unless it is a number already (a literal or a For loop variable)
+   */
+  _switchSelector(node, selector, scope) {
+    const numericCases = node.cases.every(caseNode => caseNode.tests.every(test => this._isNumberLiteral(test)));
+    const loopVariable = node.discriminant.type === 'Identifier' && scope.loopVariables.includes(node.discriminant.name);
+    if (!numericCases || this._isNumberLiteral(node.discriminant) || loopVariable) {
+      return selector;
+    }
+    return this._runtimeCall('CDbl', [selector]);
+  }
+
+  _transpileExpression(node, scope) {
+    switch (node.type) {
+    case 'Literal':
+      return node.value === undefined ? identifier('undefined') : literal(node.value);
+    case 'Nothing':
+      return literal(null);
+    case 'Identifier':
+      return this._transpileIdentifier(node, scope);
+    case 'MemberExpression':
+      return this._transpileMember(node, scope);
+    case 'CallExpression':
+      return this._transpileCall(node.callee, node.arguments, scope);
+    case 'UnaryExpression':
+      return unary(OPERATORS[node.operator] || node.operator, this._transpileExpression(node.argument, scope));
+    case 'BinaryExpression':
+      return this._transpileBinary(node, scope);
+    default:
+      throw new Error(`Cannot transpile ${node.type} at line ${node.loc.line}`);
+    }
+  }
+
+  /**
+   * A variable read
+   * A function named without arguments is called (total=v+pp+...), unless a local shadows
+   * it; inside a function its own name reads the result assigned so far.
+   */
+  _transpileIdentifier(node, scope) {
+    const { name } = node;
+
+    if (scope.returnVariable && name.toLowerCase() === scope.func.name.toLowerCase()) {
+      return identifier(scope.returnVariable);
+    }
+    if (this.parameterlessFunctions.has(name) && !this.localNames.has(name)) {
+      return call(identifier(name), this._withContext(name, []));
+    }
+    return this._variableReference(name);
+  }
+
+  /**
+   * A variable as an assignment target; shared implicit globals live on the state object
+   */
+  _variableReference(name) {
+    return this.sharedState.has(name) ? memberPath(STATE_OBJECT, name) : identifier(name);
+  }
+
+  _transpileMember(node, scope) {
+    if (this.formAccess === 'context') {
+      const read = this._readFormFromContext(node);
+      if (read) return read;
+    }
+    return member(this._transpileExpression(node.object, scope), node.property);
+  }
+
+  /**
+   * Read a form field from the context parameter instead of the form `k`
+   * k.r12(1).checked -> context.answers[12] === "true", k.t3.value -> context.age
+   * @returns {object|null} The read, or null for form access the mapping does not cover
+   */
+  _readFormFromContext(node) {
+    const field = this._formField(node.object);
+    if (!field) return null;
+
+    const mapped = resolveFormField(this.formMapping, field.name);
+    const property = node.property.toLowerCase();
+    if (!mapped || !['checked', 'value'].includes(property) || (field.option !== undefined && !mapped.options)) {
+      const option = field.option !== undefined ? `(${field.option})` : '';
+      this.logger.warning(`Form access left on k (not mapped to the context): ${FORM_OBJECT}.${field.name}${option}.${node.property}`);
+      return null;
+    }
+
+    const read = mapped.item !== null
+      ? member(memberPath(this.contextName, mapped.key), literal(mapped.item), true)
+      : memberPath(this.contextName, mapped.key);
+    return field.option === undefined ? read : binary('===', read, literal(mapped.options[field.option]));
+  }
+
+  /**
+   * The form control a node names: k.t3 -> { name: 't3' }, k.r12(1) -> { name: 'r12', option: 1 }
+   */
+  _formField(node) {
+    const isControl = target => target.type === 'MemberExpression' &&
+      target.object.type === 'Identifier' && target.object.name === FORM_OBJECT;
+
+    if (isControl(node)) {
+      return { name: node.property };
+    }
+    if (node.type === 'CallExpression' && isControl(node.callee) && node.arguments.length === 1 &&
+        node.arguments[0].type === 'Literal' && Number.isInteger(node.arguments[0].value)) {
+      return { name: node.callee.property, option: node.arguments[0].value };
+    }
+    return null;
+  }
+
+  /**
+   * A name followed by an argument list: array element, built-in, function or method call
+   */
+  _transpileCall(target, args, scope) {
+    const transpiledArgs = () => args.map(arg => this._transpileExpression(arg, scope));
+
+    // Indexed form controls: k.r62(1) -> k.elements.r62[1]
+    if (target.type === 'MemberExpression' && target.object.type === 'Identifier' && target.object.name === FORM_OBJECT) {
+      return transpiledArgs().reduce((element, index) => member(element, index, true),
+        memberPath(FORM_OBJECT, 'elements', target.property));
+    }
+    if (target.type !== 'Identifier') {
+      return call(this._transpileExpression(target, scope), transpiledArgs());
+    }
+
+    const { name } = target;
+    if (this.knownArrays.has(name)) {
+      return transpiledArgs().reduce((element, index) => member(element, index, true), identifier(name));
+    }
+
+    // Built-ins whose VBScript semantics differ from Math/String go to the runtime:
+    // banker's rounding in Round/CInt, Int vs Fix on negatives, string coercion
+    const builtin = RUNTIME_BUILTINS.find(runtimeName => runtimeName.toLowerCase() === name.toLowerCase());
+    if (builtin) {
+      return this._runtimeCall(builtin, transpiledArgs());
+    }
+
+    switch (name.toLowerCase()) {
+    case 'chr':
+      return this._transpileChr(args, transpiledArgs());
+    case 'abs':
+      return call(memberPath('Math', 'abs'), transpiledArgs());
+    case 'ucase':
+      return call(member(transpiledArgs()[0], 'toUpperCase'));
+    case 'lcase':
+      return call(member(transpiledArgs()[0], 'toLowerCase'));
+    case 'isarray':
+      return call(memberPath('Array', 'isArray'), transpiledArgs());
+    case 'isempty':
+      return binary('===', transpiledArgs()[0], identifier('undefined'));
+    case 'isnull':
+      return binary('===', transpiledArgs()[0], literal(null));
+    case 'msgbox':
+      return call(identifier('alert'), transpiledArgs().slice(0, 1));
+    case 'inputbox':
+      return call(identifier('prompt'), transpiledArgs().slice(0, 1));
+    case 'createobject':
+      return this._transpileCreateObject(target, args, transpiledArgs());
+    }
+
+    return call(identifier(name), this._withContext(name, transpiledArgs()));
+  }
+
+  /**
+   * chr() of a known code becomes the character itself: chr(13) -> "\n"
+   */
+  _transpileChr(args, transpiledArgs) {
+    const [code] = args;
+    if (args.length === 1 && code.type === 'Literal' && Number.isInteger(code.value)) {
+      return CHARACTER_CODES[code.value] !== undefined
+        ? literal(CHARACTER_CODES[code.value])
+        : call(memberPath('String', 'fromCharCode'), [literal(code.value)]);
+    }
+    return call(memberPath('String', 'fromCharCode'), transpiledArgs);
+  }
+
+  _transpileCreateObject(target, args, transpiledArgs) {
+    const [progId] = args;
+    if (progId && progId.type === 'Literal' && String(progId.value).toLowerCase() === 'scripting.filesystemobject') {
+      return { ...literal(null), leadingComments: [blockComment(' FileSystemObject - use Blob API ')] };
+    }
+
+    this.unknownTokens.add(`CreateObject: ${progId && progId.type === 'Literal' ? progId.value : '(computed)'}`);
+    return call(identifier(target.name), transpiledArgs);
+  }
+
+  /**
+   * Arguments of a call, with the context first for functions that read the form
+   */
+  _withContext(name, args) {
+    return this.contextFunctions.has(name) ? [identifier(this.contextName), ...args] : args;
+  }
+
+  _runtimeCall(name, args) {
+    this.usesRuntime = true;
+    return call(memberPath(RUNTIME_OBJECT, name), args);
+  }
+
+  _transpileBinary(node, scope) {
+    const { operator } = node;
+
+    if (operator === '&') {
+      return this._concatenate(node, scope);
+    }
+    if (operator === '+') {
+      const sum = this._addVariants(node, scope);
+      if (sum) return sum;
+    }
+    if (operator === '-') {
+      const difference = this._subtractVariants(node, scope);
+      if (difference) return difference;
+    }
+    if (COMPARISONS.has(operator)) {
+      const comparison = this._compareVariants(node, scope);
+      if (comparison) return comparison;
+    }
+
+    const left = this._transpileExpression(node.left, scope);
+    const right = this._transpileExpression(node.right, scope);
+    if (operator === '\\') {
+      // Integer division truncates
+      return this._runtimeCall('Fix', [binary('/', left, right)]);
+    }
+    if (operator === 'imp' || operator === 'eqv') {
+      throw new Error(`Operator ${operator} at line ${node.loc.line} is not supported`);
+    }
+    return binary(OPERATORS[operator] || operator, left, right);
+  }
+
+  /**
+   * Join with VBScript's & operator, which always gives a string: a chain of & becomes one
+   * runtime call, k.t1.value & k.t3.value & " ساله" -> vb.Concat(k.t1.value, k.t3.value, " ساله")
+   */
+  _concatenate(node, scope) {
+    const terms = [node.right];
+    let left = node.left;
+    while (left.type === 'BinaryExpression' && left.operator === '&' && !left.parenthesized) {
+      terms.unshift(left.right);
+      left = left.left;
+    }
+    terms.unshift(left);
+
+    return this._runtimeCall('Concat', terms.map(term => this._transpileExpression(term, scope)));
+  }
+
+  /**
+   * Add array elements with VBScript variant semantics
+   * An array element nobody assigned is Empty, which adds as 0 in VBScript but gives NaN
+   * in JS, so sums of plain operands that read an array element go through the runtime:
+   * afterinp(22)+8 -> vb.Add(afterinp[22], 8)
+   */
+  _addVariants(node, scope) {
+    const terms = [node.right];
+    let left = node.left;
+    while (left.type === 'BinaryExpression' && left.operator === '+' && !left.parenthesized) {
+      terms.unshift(left.right);
+      left = left.left;
+    }
+    terms.unshift(left);
+
+    if (!terms.every(term => this._isPlainOperand(term)) || !terms.some(term => this._isArrayElement(term))) {
+      return null;
+    }
+
+    const [first, ...rest] = terms.map(term => this._transpileExpression(term, scope));
+    return rest.reduce((sum, term) => this._runtimeCall('Add', [sum, term]), first);
+  }
+
+  /**
+   * Subtract variants that may be Empty with VBScript semantics
+   * Empty subtracts as 0 in VBScript but gives NaN in JS, so differences of plain operands
+   * that read a variable, a form value or an array element go through the runtime:
+   * aftercor(i)-da -> vb.Subtract(aftercor[i], da)
+   */
+  _subtractVariants(node, scope) {
+    const terms = [node.right];
+    let left = node.left;
+    while (left.type === 'BinaryExpression' && left.operator === '-' && !left.parenthesized) {
+      terms.unshift(left.right);
+      left = left.left;
+    }
+    terms.unshift(left);
+
+    if (!terms.every(term => this._isPlainOperand(term)) || terms.every(term => this._isValueLiteral(term))) {
+      return null;
+    }
+
+    const [first, ...rest] = terms.map(term => this._transpileExpression(term, scope));
+    return rest.reduce((difference, term) => this._runtimeCall('Subtract', [difference, term]), first);
+  }
+
+  /**
+   * Compare form field values and array elements with VBScript variant semantics
+   * A text field holds a string, which VBScript compares with a numeric literal as a
+   * number: k.t3.value>120 -> vb.Compare(k.t3.value, 120, "right") > 0. An array element
+   * may hold "" or Empty, and a number is less than any string: bigger<fordc(13) is true
+   * for fordc(13)="" in VBScript but false in JS.
+   */
+  _compareVariants(node, scope) {
+    const { left, right } = node;
+    if (!this._isComparable(left) || !this._isComparable(right) ||
+        (!this._isVariant(left) && !this._isVariant(right))) {
+      return null;
+    }
+
+    const literalSide = this._isValueLiteral(right) ? 'right' : this._isValueLiteral(left) ? 'left' : null;
+    const args = [
+      this._transpileExpression(left, scope),
+      this._transpileExpression(right, scope),
+      ...(literalSide ? [literal(literalSide)] : [])
+    ];
+    return binary(OPERATORS[node.operator] || node.operator, this._runtimeCall('Compare', args), literal(0));
+  }
+
+  /**
+   * Variables, literals, member chains and indexed elements: the operands of a sum that
+   * can go through vb.Add()
+   */
+  _isPlainOperand(node) {
+    if (node.parenthesized) return false;
+
+    switch (node.type) {
+    case 'Identifier':
+    case 'Literal':
+      return true;
+    case 'UnaryExpression':
+      return this._isNumberLiteral(node);
+    case 'MemberExpression':
+      return node.object.type !== 'Literal' && this._isPlainOperand(node.object);
+    case 'CallExpression':
+      return this._isArrayElement(node) || this._formField(node) !== null;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Operands a comparison can pass to vb.Compare(): variables, literals, dotted names and
+   * array elements
+   */
+  _isComparable(node) {
+    if (node.parenthesized) return false;
+
+    switch (node.type) {
+    case 'Identifier':
+    case 'Literal':
+      return true;
+    case 'UnaryExpression':
+      return this._isNumberLiteral(node);
+    case 'MemberExpression':
+      return this._isDottedName(node);
+    case 'CallExpression':
+      return this._isArrayElement(node) && node.arguments.length === 1;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Operands that may hold a string or Empty: form field values and array elements
+   */
+  _isVariant(node) {
+    if (node.type === 'MemberExpression') {
+      const field = this._formField(node.object);
+      return node.property === 'value' && field !== null && field.option === undefined;
+    }
+    return this._isArrayElement(node);
+  }
+
+  _isArrayElement(node) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' && this.knownArrays.has(node.callee.name);
+  }
+
+  _isDottedName(node) {
+    return node.type === 'Identifier' || (node.type === 'MemberExpression' && this._isDottedName(node.object));
+  }
+
+  _isNumberLiteral(node) {
+    if (node.type === 'UnaryExpression' && node.operator === '-') {
+      return this._isNumberLiteral(node.argument);
+    }
+    return node.type === 'Literal' && typeof node.value === 'number';
+  }
+
+  _isValueLiteral(node) {
+    return this._isNumberLiteral(node) || (node.type === 'Literal' && typeof node.value === 'string');
+  }
+
+  /**
+   * Whether a transpiled expression is a variable or a property path, which reads the same
+   * value every time
+   */
+  _isPlainReference(node) {
+    return node.type === 'Identifier' ||
+      (node.type === 'MemberExpression' && !node.computed && this._isPlainReference(node.object));
+  }
+
+  /**
+   * Transpile a VBScript expression or statement outside any function
+   * @param {string} expr - VBScript expression, or statements when position is 'statement'
+   * @param {string} position - 'value', 'condition' or 'statement', which decides whether `=` assigns or compares
+   * @returns {string} The JavaScript
+   */
+  transpileExpression(expr, position = 'value') {
+    const scope = { func: { name: '', type: 'sub' }, returnVariable: null, loopVariables: [] };
+    this.comments = [];
+
+    if (position === 'statement') {
+      const statements = new VBScriptASTParser(expr).parse().body;
+      return this._transpileStatements(statements, scope).map(statement => this.generator.generate(statement)).join('\n');
+    }
+    return this.generator.generate(this._transpileExpression(new VBScriptASTParser(expr).parseExpression(), scope));
   }
 }
 
@@ -0,0 +1,710 @@
+/**
+ * Code Generator
+ * Prints an ESTree syntax tree as JavaScript; the same tree always prints the same text.
+ * Parentheses follow from operator precedence, not from the tree. Comments come from a
+ * node's `leadingComments`/`trailingComments` ({ type: 'Line'|'Block', value }), a
+ * Literal with a `raw` text is printed as that text, and an IfStatement marked `singleLine`
+ * whose block holds one simple statement is printed on one line.
+ */
+
+/**
+ * Binding strength of each expression, weakest first
+ */
+const PRECEDENCE = {
+  ASSIGNMENT: 3,
+  CONDITIONAL: 4,
+  UNARY: 16,
+  UPDATE: 17,
+  CALL: 18,
+  MEMBER: 19,
+  PRIMARY: 20
+};
+
+const BINARY_PRECEDENCE = {
+  '??': 5,
+  '||': 5,
+  '&&': 6,
+  '|': 7,
+  '^': 8,
+  '&': 9,
+  '==': 10, '!=': 10, '===': 10, '!==': 10,
+  '<': 11, '>': 11, '<=': 11, '>=': 11, 'in': 11, 'instanceof': 11,
+  '<<': 12, '>>': 12, '>>>': 12,
+  '+': 13, '-': 13,
+  '*': 14, '/': 14, '%': 14,
+  '**': 15
+};
+
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\v': '\\v',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+};
+
+/**
+ * Statements an `if` marked singleLine can hold on its own line
+ */
+const SIMPLE_STATEMENTS = new Set(['ExpressionStatement', 'ReturnStatement', 'BreakStatement', 'ContinueStatement', 'ThrowStatement']);
+
+const QUOTES = {
+  double: '"',
+  single: "'"
+};
+
+export class CodeGenerator {
+  /**
+   * @param {object} options - Formatting options
+   * @param {string|number} options.indent - One level of indentation, or a number of spaces (default 2)
+   * @param {string} options.quotes - 'double' (default) or 'single' quotes around strings
+   */
+  constructor(options = {}) {
+    const indent = options.indent ?? 2;
+    this.indent = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+    this.quote = QUOTES[options.quotes || 'double'];
+    if (!this.quote) {
+      throw new Error(`Unknown quote style '${options.quotes}', expected 'double' or 'single'`);
+    }
+    this.sourceLines = []; // Source line of each line of the last generate() result, or null
+  }
+
+  /**
+   * Print a syntax tree
+   * Each output line maps to `loc.start.line` of the first node starting on it, or else of
+   * the innermost node around it; the result goes to this.sourceLines
+   * @param {object} node - Program, statement or expression node
+   * @returns {string} The JavaScript
+   */
+  generate(node) {
+    this.lines = [''];
+    this.sourceLines = [null];
+    this.lineMapped = false;
+    this.locations = [];
+    this.level = 0;
+
+    if (node.type === 'Program') {
+      this._program(node);
+    } else if (this._isStatement(node)) {
+      this._statement(node);
+    } else {
+      this._expression(node);
+    }
+
+    // Blank lines come from no source
+    this.sourceLines = this.sourceLines.map((line, index) => this.lines[index].trim() ? line : null);
+    return this.lines.join('\n');
+  }
+
+  // Output
+
+  _write(text) {
+    const last = this.lines.length - 1;
+    if (this.lines[last] === '' && text) {
+      this.lines[last] = this.indent.repeat(this.level);
+    }
+    this.lines[last] += text;
+  }
+
+  /**
+   * Write text that brings its own line breaks and indentation
+   */
+  _writeRaw(text) {
+    text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        this.lines.push('');
+        this.sourceLines.push(this._currentSource());
+      }
+      this.lines[this.lines.length - 1] += line;
+    });
+  }
+
+  _newline() {
+    this.lines.push('');
+    this.sourceLines.push(this._currentSource());
+    this.lineMapped = false;
+  }
+
+  _currentSource() {
+    return this.locations.length > 0 ? this.locations[this.locations.length - 1] : null;
+  }
+
+  /**
+   * Start printing a node, mapping the current line to it if no other node starts there
+   */
+  _enter(node) {
+    const line = node.loc && node.loc.start && node.loc.start.line;
+    if (!line) return false;
+
+    if (!this.lineMapped) {
+      this.sourceLines[this.sourceLines.length - 1] = line;
+      this.lineMapped = true;
+    }
+    this.locations.push(line);
+    return true;
+  }
+
+  _leave(entered) {
+    if (entered) this.locations.pop();
+  }
+
+  // Statements
+
+  _program(node) {
+    for (const comment of node.leadingComments || []) {
+      this._comment(comment);
+      this._newline();
+    }
+    if (node.leadingComments && node.leadingComments.length > 0 && node.body.length > 0) {
+      this._newline();
+    }
+
+    this._statements(node.body, node);
+    if (node.body.length > 0) {
+      this._newline();
+    }
+  }
+
+  /**
+   * Statements one per line, with a blank line around functions, after a run of
+   * declarations and, at the top level, before commented statements
+   */
+  _statements(statements, parent) {
+    statements.forEach((statement, index) => {
+      if (index > 0) {
+        this._newline();
+        if (this._blankLineBetween(statements[index - 1], statement, parent)) {
+          this._newline();
+        }
+      }
+      this._statement(statement);
+    });
+  }
+
+  _blankLineBetween(previous, next, parent) {
+    if (this._isFunction(previous) || this._isFunction(next)) return true;
+    if (previous.type === 'VariableDeclaration' && next.type !== 'VariableDeclaration') return true;
+    return parent.type === 'Program' && (next.leadingComments || []).length > 0;
+  }
+
+  _statement(node) {
+    const entered = this._enter(node);
+
+    for (const comment of node.leadingComments || []) {
+      this._comment(comment);
+      this._newline();
+    }
+
+    switch (node.type) {
+    case 'ExportNamedDeclaration':
+      this._write('export ');
+      this._statement(node.declaration);
+      break;
+    case 'FunctionDeclaration':
+      this._write(`function ${node.id.name}(`);
+      this._list(node.params);
+      this._write(') ');
+      this._block(node.body);
+      break;
+    case 'VariableDeclaration':
+      this._variableDeclaration(node);
+      this._write(';');
+      break;
+    case 'ExpressionStatement':
+      this._expression(node.expression, 0, this._startsWithBrace(node.expression));
+      this._write(';');
+      break;
+    case 'BlockStatement':
+      this._block(node);
+      break;
+    case 'IfStatement':
+      this._ifStatement(node);
+      break;
+    case 'SwitchStatement':
+      this._switchStatement(node);
+      break;
+    case 'ForStatement':
+      this._write('for (');
+      if (node.init && node.init.type === 'VariableDeclaration') {
+        this._variableDeclaration(node.init);
+      } else if (node.init) {
+        this._expression(node.init);
+      }
+      this._write(';');
+      if (node.test) {
+        this._write(' ');
+        this._expression(node.test);
+      }
+      this._write(';');
+      if (node.update) {
+        this._write(' ');
+        this._expression(node.update);
+      }
+      this._write(') ');
+      this._body(node.body);
+      break;
+    case 'WhileStatement':
+      this._write('while (');
+      this._expression(node.test);
+      this._write(') ');
+      this._body(node.body);
+      break;
+    case 'DoWhileStatement':
+      this._write('do ');
+      this._body(node.body);
+      this._write(' while (');
+      this._expression(node.test);
+      this._write(');');
+      break;
+    case 'ReturnStatement':
+      this._write('return');
+      if (node.argument) {
+        this._write(' ');
+        this._expression(node.argument);
+      }
+      this._write(';');
+      break;
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      this._write(node.type === 'BreakStatement' ? 'break' : 'continue');
+      if (node.label) this._write(` ${node.label.name}`);
+      this._write(';');
+      break;
+    case 'ThrowStatement':
+      this._write('throw ');
+      this._expression(node.argument);
+      this._write(';');
+      break;
+    case 'EmptyStatement':
+      this._write(';');
+      break;
+    default:
+      throw new Error(`Cannot generate code for ${node.type} statements`);
+    }
+
+    for (const comment of node.trailingComments || []) {
+      this._newline();
+      this._comment(comment);
+    }
+
+    this._leave(entered);
+  }
+
+  _isFunction(node) {
+    return node.type === 'FunctionDeclaration' ||
+      (node.type === 'ExportNamedDeclaration' && node.declaration.type === 'FunctionDeclaration');
+  }
+
+  _comment(comment) {
+    if (comment.type === 'Line') {
+      this._write(`//${comment.value}`);
+    } else {
+      const [first, ...rest] = `/*${comment.value}*/`.split('\n');
+      this._write(first);
+      if (rest.length > 0) this._writeRaw(`\n${rest.join('\n')}`);
+    }
+  }
+
+  _block(node) {
+    if (node.body.length === 0) {
+      this._write('{}');
+      return;
+    }
+
+    this._write('{');
+    this.level++;
+    this._newline();
+    this._statements(node.body, node);
+    this.level--;
+    this._newline();
+    this._write('}');
+  }
+
+  /**
+   * Body of a loop or branch: a block, or a statement on its own indented line
+   */
+  _body(node) {
+    if (node.type === 'BlockStatement') {
+      this._block(node);
+      return;
+    }
+
+    this.level++;
+    this._newline();
+    this._statement(node);
+    this.level--;
+  }
+
+  _ifStatement(node) {
+    this._write('if (');
+    this._expression(node.test);
+    this._write(') ');
+    if (this._isCompactIf(node)) {
+      this._statement(node.consequent.body[0]);
+      return;
+    }
+    this._body(node.consequent);
+
+    if (node.alternate) {
+      if (node.consequent.type === 'BlockStatement') {
+        this._write(' ');
+      } else {
+        this._newline();
+      }
+      this._write('else ');
+      if (node.alternate.type === 'IfStatement') {
+        this._statement(node.alternate);
+      } else {
+        this._body(node.alternate);
+      }
+    }
+  }
+
+  /**
+   * A one-line If of the source with one simple statement and no comments: if (test) statement;
+   */
+  _isCompactIf(node) {
+    if (!node.singleLine || node.alternate || node.consequent.type !== 'BlockStatement') return false;
+    const [statement, ...rest] = node.consequent.body;
+    return Boolean(statement) && rest.length === 0 && SIMPLE_STATEMENTS.has(statement.type) &&
+      !(statement.leadingComments || []).length && !(statement.trailingComments || []).length;
+  }
+
+  _switchStatement(node) {
+    this._write('switch (');
+    this._expression(node.discriminant);
+    this._write(') {');
+    this.level++;
+
+    for (const switchCase of node.cases) {
+      this._newline();
+      const entered = this._enter(switchCase);
+      for (const comment of switchCase.leadingComments || []) {
+        this._comment(comment);
+        this._newline();
+      }
+
+      if (switchCase.test) {
+        this._write('case ');
+        this._expression(switchCase.test);
+        this._write(':');
+      } else {
+        this._write('default:');
+      }
+
+      if (switchCase.consequent.length > 0) {
+        this.level++;
+        this._newline();
+        this._statements(switchCase.consequent, switchCase);
+        this.level--;
+      }
+      this._leave(entered);
+    }
+
+    this.level--;
+    this._newline();
+    this._write('}');
+  }
+
+  _variableDeclaration(node) {
+    this._write(`${node.kind} `);
+    node.declarations.forEach((declarator, index) => {
+      if (index > 0) this._write(', ');
+      this._expression(declarator.id);
+      if (declarator.init) {
+        this._write(' = ');
+        this._expression(declarator.init, PRECEDENCE.ASSIGNMENT);
+      }
+    });
+  }
+
+  _isStatement(node) {
+    return /Statement$|Declaration$/.test(node.type);
+  }
+
+  /**
+   * Whether an expression statement would start with `{` or `function`, which needs parentheses
+   */
+  _startsWithBrace(node) {
+    switch (node.type) {
+    case 'ObjectExpression':
+    case 'FunctionExpression':
+      return true;
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+      return this._startsWithBrace(node.left);
+    case 'CallExpression':
+      return this._startsWithBrace(node.callee);
+    case 'MemberExpression':
+      return this._startsWithBrace(node.object);
+    case 'ConditionalExpression':
+      return this._startsWithBrace(node.test);
+    case 'UpdateExpression':
+      return !node.prefix && this._startsWithBrace(node.argument);
+    default:
+      return false;
+    }
+  }
+
+  // Expressions
+
+  _precedence(node) {
+    switch (node.type) {
+    case 'AssignmentExpression':
+      return PRECEDENCE.ASSIGNMENT;
+    case 'ConditionalExpression':
+      return PRECEDENCE.CONDITIONAL;
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return BINARY_PRECEDENCE[node.operator];
+    case 'UnaryExpression':
+      return PRECEDENCE.UNARY;
+    case 'UpdateExpression':
+      return PRECEDENCE.UPDATE;
+    case 'CallExpression':
+    case 'NewExpression':
+      return PRECEDENCE.CALL;
+    case 'MemberExpression':
+      return PRECEDENCE.MEMBER;
+    case 'Literal':
+      return typeof node.value === 'number' && (node.value < 0 || Object.is(node.value, -0)) && node.raw === undefined
+        ? PRECEDENCE.UNARY
+        : PRECEDENCE.PRIMARY;
+    default:
+      return PRECEDENCE.PRIMARY;
+    }
+  }
+
+  /**
+   * Print an expression, in parentheses if it binds less tightly than its position needs
+   * @param {object} node - Expression node
+   * @param {number} precedence - Weakest binding the position takes without parentheses
+   * @param {boolean} parenthesize - Parenthesize anyway
+   */
+  _expression(node, precedence = 0, parenthesize = false) {
+    const parens = parenthesize || this._precedence(node) < precedence;
+    if (parens) this._write('(');
+
+    for (const comment of node.leadingComments || []) {
+      this._write(comment.type === 'Line' ? `/*${comment.value} */ ` : `/*${comment.value}*/ `);
+    }
+
+    switch (node.type) {
+    case 'Identifier':
+      this._write(node.name);
+      break;
+    case 'Literal':
+      this._literal(node);
+      break;
+    case 'ParenthesizedExpression':
+      this._write('(');
+      this._expression(node.expression);
+      this._write(')');
+      break;
+    case 'MemberExpression':
+      this._expression(node.object, PRECEDENCE.CALL, this._isNumber(node.object) && !node.computed);
+      if (node.computed) {
+        this._write('[');
+        this._expression(node.property);
+        this._write(']');
+      } else {
+        this._write('.');
+        this._expression(node.property);
+      }
+      break;
+    case 'CallExpression':
+      this._expression(node.callee, PRECEDENCE.CALL);
+      this._arguments(node.arguments);
+      break;
+    case 'NewExpression':
+      this._write('new ');
+      this._expression(node.callee, PRECEDENCE.MEMBER);
+      this._arguments(node.arguments);
+      break;
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      this._binary(node);
+      break;
+    case 'UnaryExpression':
+      this._unary(node);
+      break;
+    case 'UpdateExpression':
+      if (node.prefix) {
+        this._write(node.operator);
+        this._expression(node.argument, PRECEDENCE.UNARY);
+      } else {
+        this._expression(node.argument, PRECEDENCE.CALL);
+        this._write(node.operator);
+      }
+      break;
+    case 'AssignmentExpression':
+      this._expression(node.left, PRECEDENCE.CALL);
+      this._write(` ${node.operator} `);
+      this._expression(node.right, PRECEDENCE.ASSIGNMENT);
+      break;
+    case 'ConditionalExpression':
+      this._expression(node.test, PRECEDENCE.CONDITIONAL + 1);
+      this._write(' ? ');
+      this._expression(node.consequent, PRECEDENCE.ASSIGNMENT);
+      this._write(' : ');
+      this._expression(node.alternate, PRECEDENCE.ASSIGNMENT);
+      break;
+    case 'ObjectExpression':
+      this._object(node);
+      break;
+    case 'ArrayExpression':
+      this._write('[');
+      this._list(node.elements);
+      this._write(']');
+      break;
+    case 'SpreadElement':
+      this._write('...');
+      this._expression(node.argument, PRECEDENCE.ASSIGNMENT);
+      break;
+    case 'AssignmentPattern':
+      this._expression(node.left);
+      this._write(' = ');
+      this._expression(node.right, PRECEDENCE.ASSIGNMENT);
+      break;
+    default:
+      throw new Error(`Cannot generate code for ${node.type} expressions`);
+    }
+
+    if (parens) this._write(')');
+  }
+
+  _binary(node) {
+    const precedence = BINARY_PRECEDENCE[node.operator];
+    if (precedence === undefined) {
+      throw new Error(`Unknown operator '${node.operator}'`);
+    }
+
+    if (node.operator === '**') {
+      // Right-associative, and a unary operand on the left is a syntax error
+      this._expression(node.left, PRECEDENCE.UNARY + 1);
+      this._write(' ** ');
+      this._expression(node.right, precedence);
+      return;
+    }
+
+    this._expression(node.left, precedence);
+    this._write(` ${node.operator} `);
+    this._expression(node.right, precedence + 1);
+  }
+
+  _unary(node) {
+    const word = /^[a-z]/.test(node.operator);
+    this._write(word ? `${node.operator} ` : node.operator);
+
+    // Keep - -x and + +x from printing as the -- and ++ operators
+    const argument = node.argument;
+    const repeatsSign = !word && (
+      (argument.type === 'UnaryExpression' && argument.operator === node.operator) ||
+      (argument.type === 'UpdateExpression' && argument.prefix && argument.operator[0] === node.operator) ||
+      (node.operator === '-' && argument.type === 'Literal' && this._precedence(argument) === PRECEDENCE.UNARY));
+    this._expression(argument, PRECEDENCE.UNARY, repeatsSign);
+  }
+
+  _arguments(args) {
+    this._write('(');
+    this._list(args);
+    this._write(')');
+  }
+
+  _list(nodes) {
+    nodes.forEach((node, index) => {
+      if (index > 0) this._write(', ');
+      this._expression(node, PRECEDENCE.ASSIGNMENT);
+    });
+  }
+
+  /**
+   * Objects list one property per line, each with a trailing comma
+   */
+  _object(node) {
+    if (node.properties.length === 0) {
+      this._write('{}');
+      return;
+    }
+
+    this._write('{');
+    this.level++;
+    for (const property of node.properties) {
+      this._newline();
+      if (property.type === 'SpreadElement' || property.shorthand) {
+        this._expression(property.type === 'SpreadElement' ? property : property.value, PRECEDENCE.ASSIGNMENT);
+        this._write(',');
+        continue;
+      }
+      if (property.computed) {
+        this._write('[');
+        this._expression(property.key);
+        this._write(']');
+      } else {
+        this._expression(property.key);
+      }
+      this._write(': ');
+      this._expression(property.value, PRECEDENCE.ASSIGNMENT);
+      this._write(',');
+    }
+    this.level--;
+    this._newline();
+    this._write('}');
+  }
+
+  _literal(node) {
+    if (node.raw !== undefined) {
+      this._writeRaw(node.raw);
+    } else if (typeof node.value === 'string') {
+      this._write(this._string(node.value));
+    } else if (typeof node.value === 'number') {
+      this._write(Object.is(node.value, -0) ? '-0' : String(node.value));
+    } else if (node.value === null || typeof node.value === 'boolean') {
+      this._write(String(node.value));
+    } else {
+      throw new Error(`Cannot generate code for a ${typeof node.value} literal`);
+    }
+  }
+
+  _isNumber(node) {
+    return node.type === 'Literal' && typeof node.value === 'number' && node.raw === undefined;
+  }
+
+  /**
+   * Quote a string, escaping the quote, backslashes and control characters
+   */
+  _string(value) {
+    let escaped = '';
+
+    for (const char of value) {
+      if (char === this.quote) {
+        escaped += `\\${char}`;
+      } else if (STRING_ESCAPES[char]) {
+        escaped += STRING_ESCAPES[char];
+      } else if (char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f) {
+        escaped += `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`;
+      } else {
+        escaped += char;
+      }
+    }
+
+    return this.quote + escaped + this.quote;
+  }
+}
+
+/**
+ * Print a syntax tree as JavaScript
+ * @param {object} node - ESTree node
+ * @param {object} options - See CodeGenerator
+ * @returns {string}
+ */
+export function generate(node, options = {}) {
+  return new CodeGenerator(options).generate(node);
+}
+
+export default CodeGenerator;
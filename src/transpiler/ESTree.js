@@ -0,0 +1,155 @@
+/**
+ * ESTree Node Factories
+ * The JavaScript syntax tree nodes the transpiler and post-processor build
+ * (https://github.com/estree/estree), printed by CodeGenerator.js
+ */
+
+export function identifier(name) {
+  return { type: 'Identifier', name };
+}
+
+/**
+ * A string, number, boolean or null literal; a negative number prints as `-n`
+ */
+export function literal(value) {
+  return { type: 'Literal', value };
+}
+
+/**
+ * `object.property`, or `object[property]` when computed
+ * @param {object} object - Expression node
+ * @param {string|object} property - Property name, or an expression node when computed
+ */
+export function member(object, property, computed = false) {
+  return {
+    type: 'MemberExpression',
+    object,
+    property: typeof property === 'string' ? identifier(property) : property,
+    computed
+  };
+}
+
+/**
+ * Member access along a dotted path: memberPath('results', 'rows', 'push')
+ */
+export function memberPath(...names) {
+  return names.slice(1).reduce((object, name) => member(object, name), identifier(names[0]));
+}
+
+export function call(callee, args = []) {
+  return { type: 'CallExpression', callee, arguments: args };
+}
+
+export function newExpression(callee, args = []) {
+  return { type: 'NewExpression', callee, arguments: args };
+}
+
+/**
+ * Binary or logical expression, by operator
+ */
+export function binary(operator, left, right) {
+  const type = ['&&', '||', '??'].includes(operator) ? 'LogicalExpression' : 'BinaryExpression';
+  return { type, operator, left, right };
+}
+
+export function unary(operator, argument) {
+  return { type: 'UnaryExpression', operator, prefix: true, argument };
+}
+
+export function update(operator, argument, prefix = false) {
+  return { type: 'UpdateExpression', operator, prefix, argument };
+}
+
+export function assignment(left, right, operator = '=') {
+  return { type: 'AssignmentExpression', operator, left, right };
+}
+
+/**
+ * Object literal from [key, value] pairs and spread elements
+ * A value that is the identifier of its key prints as a shorthand property
+ */
+export function object(entries) {
+  return {
+    type: 'ObjectExpression',
+    properties: entries.map(entry => Array.isArray(entry) ? {
+      type: 'Property',
+      key: identifier(entry[0]),
+      value: entry[1],
+      kind: 'init',
+      computed: false,
+      method: false,
+      shorthand: entry[1].type === 'Identifier' && entry[1].name === entry[0]
+    } : entry)
+  };
+}
+
+export function spread(argument) {
+  return { type: 'SpreadElement', argument };
+}
+
+export function array(elements = []) {
+  return { type: 'ArrayExpression', elements };
+}
+
+/**
+ * A parameter with a default value: `left = right`
+ */
+export function assignmentPattern(left, right) {
+  return { type: 'AssignmentPattern', left, right };
+}
+
+export function expressionStatement(expression) {
+  return { type: 'ExpressionStatement', expression };
+}
+
+/**
+ * `kind name = init` declaring one variable, or several without initializers
+ * @param {string} kind - 'let' or 'const'
+ * @param {string|Array<string>} names - Variable name, or names declared together
+ * @param {object|null} init - Initializer of a single variable
+ */
+export function variable(kind, names, init = null) {
+  return {
+    type: 'VariableDeclaration',
+    kind,
+    declarations: [].concat(names).map(name => ({ type: 'VariableDeclarator', id: identifier(name), init }))
+  };
+}
+
+export function functionDeclaration(name, params, body) {
+  return { type: 'FunctionDeclaration', id: identifier(name), params, body, generator: false, async: false };
+}
+
+export function exportNamed(declaration) {
+  return { type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null };
+}
+
+export function block(body) {
+  return { type: 'BlockStatement', body };
+}
+
+export function returnStatement(argument = null) {
+  return { type: 'ReturnStatement', argument };
+}
+
+export function breakStatement() {
+  return { type: 'BreakStatement', label: null };
+}
+
+export function ifStatement(test, consequent, alternate = null) {
+  return { type: 'IfStatement', test, consequent, alternate };
+}
+
+/**
+ * A `// value` line comment, for a node's leadingComments
+ */
+export function lineComment(value) {
+  return { type: 'Line', value };
+}
+
+/**
+ * A block comment, for a node's leadingComments
+ */
+export function blockComment(value) {
+  return { type: 'Block', value };
+}
@@ -0,0 +1,51 @@
+/**
+ * Form Field Mapping
+ * Maps the legacy form fields the VBScript reads through `k` (set k=document.frm1)
+ * to keys of an injected context object, for transpiling scoring code without a DOM
+ */
+
+/**
+ * Default mapping, matching the answers and demographics of the web app's AssessmentEngine
+ * - `indexed` entries cover every field named prefix + number (R1...R175 -> answers[1]...)
+ * - `options` turn a radio group into the value of its checked button (r1(1).checked -> answers[1] === "true")
+ * - other fields read their `.value` / `.checked` from the key
+ * - `default` is the value the legacy form starts with, which the ES module's score() uses
+ *   when the demographics leave the key out
+ */
+export const DEFAULT_FORM_MAPPING = {
+  r: { key: 'answers', indexed: true, options: ['false', 'true'] },
+  radgender: { key: 'gender', options: ['female', 'male'] },
+  t1: { key: 'name' },
+  t2: { key: 'code' },
+  t3: { key: 'age' },
+  t4: { key: 'reportName' },
+  d1: { key: 'inpatientCode', default: 1 }, // OutPatient is selected
+  c1: { key: 'saveReport' }
+};
+
+/**
+ * Look up a form field in a mapping
+ * @param {object} mapping - Field name -> { key, indexed, options }
+ * @param {string} field - Form field name, in any case (VBScript is case-insensitive)
+ * @returns {object|null} { key, options, item } with item set for indexed fields, or null if unmapped
+ */
+export function resolveFormField(mapping, field) {
+  const name = field.toLowerCase();
+  const entries = Object.entries(mapping).map(([entryName, entry]) => [entryName.toLowerCase(), entry]);
+
+  const exact = entries.find(([entryName, entry]) => entryName === name && !entry.indexed);
+  if (exact) {
+    return { key: exact[1].key, options: exact[1].options || null, item: null };
+  }
+
+  for (const [prefix, entry] of entries) {
+    const match = entry.indexed && name.match(new RegExp(`^${prefix}(\\d+)$`));
+    if (match) {
+      return { key: entry.key, options: entry.options || null, item: parseInt(match[1]) };
+    }
+  }
+
+  return null;
+}
+
+export default { DEFAULT_FORM_MAPPING, resolveFormField };
@@ -1,306 +1,334 @@
 /**
- * Post-Processing Middleware for Generated JavaScript
- * Handles character code conversions, syntax fixes, and cleanup
+ * Post-Processing Middleware for the Transpiled Syntax Tree
+ * Rewrites what the browser-only legacy code does with its results, on the ESTree Program
+ * from AdvancedTranspiler.transpileToAST(), before it is printed
  */
 
 import Logger from '../logger/Logger.js';
+import { generate } from './CodeGenerator.js';
+import { RUNTIME_OBJECT } from '../runtime/vbruntime.js';
+import {
+  identifier, literal, memberPath, call, assignment, object, array, expressionStatement, variable,
+  returnStatement
+} from './ESTree.js';
+
+/**
+ * Fields of a report row, in the order of the cells of the legacy report table
+ */
+export const REPORT_ROW_FIELDS = [
+  'code', 'label', 'raw', 'br', 'afterX', 'afterHalfX', 'daAdj', 'ddAdj', 'dcAdj', 'inpAdj', 'final'
+];
+
+/**
+ * Results fields for report lines written with a text label
+ */
+const REPORT_LABEL_FIELDS = {
+  'x (disclosure)': 'xScore'
+};
 
 export class PostProcessor {
   constructor() {
     this.logger = new Logger('PostProcessor');
     this.fixes = {
-      charCodes: 0,
-      syntaxIssues: 0,
-      arrayAccess: 0,
-      operatorFixes: 0
+      reportWrites: 0
     };
   }
 
   /**
-   * Process generated JavaScript and fix all known issues
+   * Process a transpiled program
+   * @param {object} program - Program node; it is changed in place
+   * @returns {object} The program
    */
-  process(jsCode) {
+  process(program) {
     this.logger.step('Post-processing generated JavaScript');
 
-    let result = jsCode;
-
-    // Step 1: Convert character codes to human-readable escape sequences
-    result = this._convertCharacterCodes(result);
-
-    // Step 2: Fix array access patterns (high priority)
-    result = this._fixArrayAccess(result);
+    // Turn document.write report rendering into a results model
+    for (const func of this._functions(program.body)) {
+      if (this._statementLists(func.body.body).some(list => list.some(statement => this._isDocumentWrite(statement)))) {
+        this._rewriteReportFunction(func);
+      }
+    }
 
-    // Step 3: Fix operator issues
-    result = this._fixOperators(result);
+    this.logger.success(`Post-processing complete: ${JSON.stringify(this.fixes)}`);
 
-    // Step 4: Fix syntax issues
-    result = this._fixSyntaxIssues(result);
+    return program;
+  }
 
-    // Step 5: Clean up whitespace and formatting
-    result = this._cleanupFormatting(result);
+  /**
+   * Rewrite document.write report rendering into a results model
+   * A function that writes a report builds a `results` object instead and returns it:
+   * { title, rows, xScore, message, saveAs }, with one row per table row. The HTML is
+   * rendered from that object by webapp/js/report-template.js, so the code also runs
+   * without a document.
+   */
+  _rewriteReportFunction(func) {
+    const name = func.id.name;
+    this.logger.info(`Rewriting report writes of ${name}() into a results model`);
 
-    this.logger.success(`Post-processing complete: ${JSON.stringify(this.fixes)}`);
+    const body = func.body.body;
+    for (const list of this._statementLists(body)) {
+      this._rewriteReportFile(name, list);
+    }
+    for (const list of this._statementLists(body)) {
+      this._rewriteReportWrites(name, list);
+      list.forEach((statement, index) => {
+        if (statement.type === 'ReturnStatement') {
+          list[index] = this._replace(statement, returnStatement(identifier('results')));
+        }
+      });
+    }
 
-    return result;
+    // Declare the results object after the hoisted locals
+    let insertAt = 0;
+    while (insertAt < body.length && body[insertAt].type === 'VariableDeclaration' && body[insertAt].kind === 'let') {
+      insertAt++;
+    }
+    body.splice(insertAt, 0, variable('const', 'results', object([
+      ['title', literal(null)],
+      ['rows', array()],
+      ['xScore', literal(null)],
+      ['message', literal(null)],
+      ['saveAs', literal(null)]
+    ])));
+
+    // Subs fall off their end without a return
+    if (body[body.length - 1].type !== 'ReturnStatement') {
+      body.push(returnStatement(identifier('results')));
+    }
   }
 
   /**
-   * Convert chr() character codes to escape sequences
+   * Replace the report writes of one statement list
    */
-  _convertCharacterCodes(code) {
-    this.logger.info('Converting character codes to escape sequences');
-
-    const charCodeMap = {
-      0: '\\0',     // Null
-      9: '\\t',     // Tab
-      10: '\\n',    // Line feed
-      13: '\\n',    // Carriage return (convert to \n for cross-platform)
-      34: '\\"',    // Double quote
-      39: "\\'",    // Single quote
-      92: '\\\\',   // Backslash
-    };
+  _rewriteReportWrites(name, list) {
+    const result = [];
+    let row = null;
 
-    // Replace String.fromCharCode(X) with escape sequences
-    let result = code.replace(/String\.fromCharCode\((\d+)\)/g, (match, charCode) => {
-      const code = parseInt(charCode);
-      
-      if (charCodeMap[code]) {
-        this.fixes.charCodes++;
-        return `"${charCodeMap[code]}"`;
+    for (const statement of list) {
+      if (!this._isDocumentWrite(statement)) {
+        result.push(statement);
+        continue;
       }
-      
-      // For other codes, keep as String.fromCharCode but log
-      if (code < 32 || code > 126) {
-        this.logger.debug(`Character code ${code} kept as-is (non-printable)`);
+
+      const parts = this._concatenationParts(statement.expression.arguments[0]);
+
+      // Markup only (table open/close, header row): rendered by the template
+      if (!row && parts.every(part => this._isString(part))) {
+        this.fixes.reportWrites++;
+        continue;
+      }
+
+      // Table rows: collect the cells from `<tr` up to `</tr>`
+      if (row || (this._isString(parts[0]) && /^<tr\b/i.test(parts[0].value))) {
+        row = row || { statement, cells: [] };
+        parts.forEach((part, index) => {
+          if (!this._isString(part) && index > 0 && this._isString(parts[index - 1]) && parts[index - 1].value.endsWith('>') &&
+              !row.cells.some(cell => generate(cell) === generate(part))) {
+            row.cells.push(part);
+          }
+        });
+        this.fixes.reportWrites++;
+
+        const last = parts[parts.length - 1];
+        if (this._isString(last) && /<\/tr>\s*$/i.test(last.value)) {
+          result.push(this._reportRowPush(name, row));
+          row = null;
+        }
+        continue;
       }
-      
-      return match;
-    });
-
-    // Also handle direct chr(X) that might have been missed
-    result = result.replace(/chr\((\d+)\)/gi, (match, charCode) => {
-      const code = parseInt(charCode);
-      
-      if (charCodeMap[code]) {
-        this.fixes.charCodes++;
-        return `"${charCodeMap[code]}"`;
+
+      const field = this._reportField(parts);
+      const content = this._stripMarkup(parts);
+      if (!field || content.length === 0) {
+        this.logger.warning(`Kept unrecognized report write in ${name}(): ${generate(statement).trim()}`);
+        result.push(statement);
+        continue;
       }
-      
-      return `String.fromCharCode(${code})`;
-    });
+      const value = content.length === 1 ? content[0] : call(memberPath(RUNTIME_OBJECT, 'Concat'), content);
+      result.push(this._replace(statement, expressionStatement(assignment(memberPath('results', field), value))));
+      this.fixes.reportWrites++;
+    }
 
-    return result;
+    list.splice(0, list.length, ...result);
   }
 
   /**
-   * Fix array access patterns - convert () to []
+   * Replace a FileSystemObject report file with results.saveAs
+   * The saved report is rendered from the same results, so only the file name
+   * and the success branch of the FileExists check are kept.
    */
-  _fixArrayAccess(code) {
-    this.logger.info('Fixing array access patterns');
-
-    // Comprehensive list of ALL array names from the VBScript
-    const arrayNames = [
-      'w', 'r', 'rawbr', 'frawbr', 'aftercor', 'afterhcor', 'dabr',
-      'afterddcor', 'afterdccor', 'afterinp', 'afterall', 'gg', 'fordc',
-      'onebr', 'twobr', 'threebr', 'fourbr', 'fivebr', 'sixabr', 'sixbbr',
-      'sevenbr', 'eightabr', 'eightbbr', 'sbr', 'cbr', 'pbr', 'abr', 'hbr',
-      'nbr', 'dbr', 'tbr', 'ybr', 'zbr', 'ppbr', 'ssbr', 'ccbr',
-      'dcbr', 'ddbr', 'fonebr', 'ftwobr', 'fthreebr', 'ffourbr', 'ffivebr',
-      'fsixabr', 'fsixbbr', 'fsevenbr', 'feightabr', 'feightbbr', 'fsbr',
-      'fcbr', 'fpbr', 'fabr', 'fhbr', 'fnbr', 'fdbr', 'ftbr', 'fybr',
-      'fzbr', 'fppbr', 'fssbr', 'fccbr'
-    ];
-
-    let result = code;
-
-    // Helper to escape regex special characters
-    const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-    // Fix array access for each known array - support variables as indices too
-    for (const arrayName of arrayNames) {
-      // Pattern: arrayName(index) -> arrayName[index] where index can be variable or number
-      const escapedName = escapeRegex(arrayName);
-      const pattern = new RegExp(`\\b${escapedName}\\(([^)]+)\\)`, 'g');
-      const before = result;
-      result = result.replace(pattern, `${arrayName}[$1]`);
-      
-      if (result !== before) {
-        const count = (before.match(pattern) || []).length;
-        this.fixes.arrayAccess += count;
-      }
+  _rewriteReportFile(name, list) {
+    const start = list.findIndex(statement => this._isFileSystemDeclaration(statement));
+    if (start === -1) return;
+
+    const fileSystem = list[start].declarations[0].id.name;
+    const open = this._find(list.slice(start + 1), node => this._isMethodCall(node, fileSystem, 'OpenTextFile'));
+    const check = list.findIndex((statement, index) => index > start && statement.type === 'IfStatement' &&
+      this._find(statement.test, node => this._isMethodCall(node, fileSystem, 'FileExists')));
+    if (check === -1 || !open) {
+      this.logger.warning(`Kept FileSystemObject report file in ${name}(): no OpenTextFile/FileExists pair`);
+      return;
     }
 
-    return result;
+    const saveAs = this._replace(list[start], expressionStatement(assignment(memberPath('results', 'saveAs'), open.arguments[0])));
+    list.splice(start, check - start + 1, saveAs, ...list[check].consequent.body);
+    this.fixes.reportWrites++;
   }
 
   /**
-   * Fix operator issues
+   * Build the results.rows.push() for the cells of one table row
    */
-  _fixOperators(code) {
-    this.logger.info('Fixing operator issues');
-
-    let result = code;
-
-    // Fix assignment vs comparison in conditions
-    // Pattern: if (x=y) should be if (x===y)
-    result = result.replace(/if\s*\(([^)]*[^=!<>])=([^=][^)]*)\)/g, (match, left, right) => {
-      // Make sure it's not already ==, ===, <=, >=
-      if (!left.match(/[<>=!]$/) && !right.match(/^=/)) {
-        this.fixes.operatorFixes++;
-        return `if (${left}===${right})`;
-      }
-      return match;
-    });
-
-    // Fix .disabled === true/false (should be assignment in some contexts)
-    // This is tricky - need context awareness
-    // For now, log these for review
-    const disabledPatterns = result.match(/\.disabled\s*===\s*(true|false)/g);
-    if (disabledPatterns) {
-      this.logger.warning(`Found ${disabledPatterns.length} .disabled=== patterns that may need review`);
+  _reportRowPush(name, row) {
+    if (row.cells.length !== REPORT_ROW_FIELDS.length) {
+      this.logger.warning(`Report row in ${name}() has ${row.cells.length} cells, expected ${REPORT_ROW_FIELDS.length}`);
     }
 
-    return result;
+    const entries = row.cells.slice(0, REPORT_ROW_FIELDS.length).map((cell, index) => [REPORT_ROW_FIELDS[index], cell]);
+    return this._replace(row.statement, expressionStatement(call(memberPath('results', 'rows', 'push'), [object(entries)])));
   }
 
   /**
-   * Fix syntax issues
+   * Results field of a report line: the title, a labelled value or the message
    */
-  _fixSyntaxIssues(code) {
-    this.logger.info('Fixing syntax issues');
-
-    let result = code;
-
-    // Fix nested case statements appearing outside switch blocks
-    // This is a complex issue - we need to detect and fix misplaced case statements
-    result = this._fixMisplacedCaseStatements(result);
-
-    // Fix missing semicolons
-    result = this._fixMissingSemicolons(result);
-
-    // Fix unbalanced braces (if any)
-    result = this._fixUnbalancedBraces(result);
+  _reportField(parts) {
+    const leading = this._isString(parts[0]) ? parts[0].value : '';
+    if (/<center>/i.test(leading)) {
+      return 'title';
+    }
 
-    return result;
+    const label = leading.replace(/<[^>]*>/g, '').trim().replace(/:$/, '').toLowerCase();
+    if (label) {
+      return REPORT_LABEL_FIELDS[label] || null;
+    }
+    return 'message';
   }
 
   /**
-   * Fix misplaced case statements
+   * Drop the leading and trailing string parts of a write, keeping the written value
    */
-  _fixMisplacedCaseStatements(code) {
-    const lines = code.split('\n');
-    const result = [];
-    let inSwitch = false;
-    let switchDepth = 0;
-    let braceDepth = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmed = line.trim();
-
-      // Track switch statements
-      if (trimmed.startsWith('switch')) {
-        inSwitch = true;
-        switchDepth = braceDepth;
-      }
-
-      // Track braces
-      const openBraces = (line.match(/{/g) || []).length;
-      const closeBraces = (line.match(/}/g) || []).length;
-      braceDepth += openBraces - closeBraces;
+  _stripMarkup(parts) {
+    let from = 0;
+    let to = parts.length;
+    while (from < to && this._isString(parts[from])) {
+      from++;
+    }
+    while (to > from && this._isString(parts[to - 1]) && /^\s*(<[^>]*>\s*)*$/.test(parts[to - 1].value)) {
+      to--;
+    }
+    return parts.slice(from, to);
+  }
 
-      // Check if we're leaving the switch block
-      if (inSwitch && braceDepth <= switchDepth && closeBraces > 0) {
-        inSwitch = false;
-      }
+  /**
+   * Operands of a concatenation: vb.Concat(a, b, c) or a + b + c -> [a, b, c]
+   */
+  _concatenationParts(node) {
+    if (this._isConcat(node)) {
+      return node.arguments.flatMap(argument => this._concatenationParts(argument));
+    }
 
-      // If we find a case statement outside a switch, comment it out
-      if ((trimmed.startsWith('case ') || trimmed === 'default:') && !inSwitch) {
-        this.logger.warning(`Found misplaced case statement at line ${i + 1}`);
-        result.push(line.replace(/case\s+/, '/* FIXME: misplaced case */ // case '));
-        this.fixes.syntaxIssues++;
-      } else {
-        result.push(line);
-      }
+    const parts = [];
+    while (node.type === 'BinaryExpression' && node.operator === '+') {
+      parts.unshift(node.right);
+      node = node.left;
     }
+    return [node, ...parts];
+  }
 
-    return result.join('\n');
+  _isConcat(node) {
+    return node.type === 'CallExpression' && generate(node.callee) === `${RUNTIME_OBJECT}.Concat`;
   }
 
   /**
-   * Fix missing semicolons
+   * Every statement list of a function body: blocks, branches, loop bodies and cases
    */
-  _fixMissingSemicolons(code) {
-    const lines = code.split('\n');
-    const result = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      const trimmed = line.trim();
-
-      // Check if line needs a semicolon
-      if (trimmed.length > 0 &&
-          !trimmed.endsWith(';') &&
-          !trimmed.endsWith('{') &&
-          !trimmed.endsWith('}') &&
-          !trimmed.endsWith(',') &&
-          !trimmed.startsWith('//') &&
-          !trimmed.startsWith('/*') &&
-          !trimmed.startsWith('*') &&
-          !trimmed.match(/^(if|else|for|while|do|switch|case|default|function|return|break|continue)\b/)) {
-        
-        // Add semicolon
-        const indent = line.match(/^(\s*)/)[1];
-        line = indent + trimmed + ';';
-        this.fixes.syntaxIssues++;
+  _statementLists(list) {
+    const children = statement => {
+      switch (statement.type) {
+      case 'BlockStatement':
+        return [statement.body];
+      case 'IfStatement':
+        return [statement.consequent, statement.alternate].filter(Boolean).flatMap(children);
+      case 'ForStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        return children(statement.body);
+      case 'SwitchStatement':
+        return statement.cases.map(switchCase => switchCase.consequent);
+      default:
+        return [];
       }
+    };
 
-      result.push(line);
-    }
+    return [list, ...list.flatMap(statement => children(statement).flatMap(child => this._statementLists(child)))];
+  }
 
-    return result.join('\n');
+  /**
+   * Function declarations of a statement list, and those declared directly in their bodies
+   * (the script's functions sit inside createScript() in the ES module output)
+   */
+  _functions(list) {
+    return list
+      .map(statement => statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement)
+      .filter(statement => statement && statement.type === 'FunctionDeclaration')
+      .flatMap(func => [func, ...this._functions(func.body.body)]);
   }
 
   /**
-   * Fix unbalanced braces
+   * First node of a tree a predicate accepts, depth first
    */
-  _fixUnbalancedBraces(code) {
-    const openBraces = (code.match(/{/g) || []).length;
-    const closeBraces = (code.match(/}/g) || []).length;
-
-    if (openBraces !== closeBraces) {
-      this.logger.warning(`Unbalanced braces: ${openBraces} open, ${closeBraces} close`);
-      
-      // Add missing closing braces at the end
-      if (openBraces > closeBraces) {
-        const missing = openBraces - closeBraces;
-        code += '\n' + '}'.repeat(missing);
-        this.fixes.syntaxIssues += missing;
-        this.logger.info(`Added ${missing} missing closing braces`);
+  _find(node, predicate) {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const found = this._find(item, predicate);
+        if (found) return found;
       }
+      return null;
     }
+    if (!node || typeof node !== 'object') return null;
+    if (node.type && predicate(node)) return node;
 
-    return code;
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const found = this._find(value, predicate);
+      if (found) return found;
+    }
+    return null;
   }
 
   /**
-   * Clean up formatting
+   * A new statement in the place of an old one, keeping its source line and comments
    */
-  _cleanupFormatting(code) {
-    let result = code;
+  _replace(old, node) {
+    return { ...node, loc: old.loc, leadingComments: old.leadingComments, trailingComments: old.trailingComments };
+  }
+
+  _isDocumentWrite(statement) {
+    return statement.type === 'ExpressionStatement' &&
+      this._isMethodCall(statement.expression, 'document', 'write') && statement.expression.arguments.length === 1;
+  }
 
-    // Remove excessive blank lines (more than 2 in a row)
-    result = result.replace(/\n{3,}/g, '\n\n');
+  /**
+   * Whether a node calls a method of a variable: name.method(...), the method in any case
+   */
+  _isMethodCall(node, name, method) {
+    const { callee } = node;
+    return node.type === 'CallExpression' && callee.type === 'MemberExpression' && !callee.computed &&
+      callee.object.type === 'Identifier' && callee.object.name === name &&
+      callee.property.name.toLowerCase() === method.toLowerCase();
+  }
 
-    // Remove trailing whitespace
-    result = result.split('\n').map(line => line.trimEnd()).join('\n');
+  /**
+   * Whether a statement declares the report's FileSystemObject (see AdvancedTranspiler)
+   */
+  _isFileSystemDeclaration(statement) {
+    if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) return false;
 
-    // Ensure file ends with newline
-    if (!result.endsWith('\n')) {
-      result += '\n';
-    }
+    const { init } = statement.declarations[0];
+    return Boolean(init && init.leadingComments && init.leadingComments.some(comment => comment.value.includes('FileSystemObject')));
+  }
 
-    return result;
+  _isString(node) {
+    return node.type === 'Literal' && typeof node.value === 'string';
   }
 
   /**
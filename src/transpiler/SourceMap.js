@@ -0,0 +1,145 @@
+/**
+ * Source Map
+ * Line-level v3 source maps from generated JavaScript back to the VBScript it came from
+ * Each generated line maps its first column to the start of one VBScript line, or to nothing
+ */
+
+import { existsSync, readFileSync } from 'fs';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 VLQ encoding of a signed integer, as used by the `mappings` field
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Decode the Base64 VLQ integers of one mapping segment
+ */
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid source map mapping character '${char}'`);
+
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+export class SourceMap {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Generated file name
+   * @param {string} options.source - Original source file name, relative to the map
+   * @param {Array<number|null>} options.lines - Original (1-based) line of each generated line,
+   * or null for lines with no VBScript behind them
+   */
+  constructor({ file, source, lines }) {
+    this.file = file;
+    this.source = source;
+    this.lines = lines;
+  }
+
+  /**
+   * The map as a v3 source map object
+   */
+  toJSON() {
+    let previousLine = 0;
+
+    const mappings = this.lines.map(line => {
+      if (line === null || line === undefined) return '';
+
+      // Fields: generated column, source index, original line, original column; all but
+      // the generated column are relative to the previous segment
+      const segment = encodeVLQ(0) + encodeVLQ(0) + encodeVLQ(line - 1 - previousLine) + encodeVLQ(0);
+      previousLine = line - 1;
+      return segment;
+    }).join(';');
+
+    return {
+      version: 3,
+      file: this.file,
+      sources: [this.source],
+      names: [],
+      mappings
+    };
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /**
+   * Original location of a generated line
+   * @param {number} generatedLine - 1-based line in the generated file
+   * @returns {{source: string, line: number}|null}
+   */
+  originalPosition(generatedLine) {
+    const line = this.lines[generatedLine - 1];
+    return line === null || line === undefined ? null : { source: this.source, line };
+  }
+
+  /**
+   * Read a v3 source map, keeping the first segment of each generated line
+   * @param {object|string} json - Source map object or its JSON text
+   */
+  static fromJSON(json) {
+    const map = typeof json === 'string' ? JSON.parse(json) : json;
+    if (map.version !== 3) throw new Error(`Unsupported source map version: ${map.version}`);
+
+    const lines = [];
+    let sourceIndex = 0;
+    let originalLine = 0;
+
+    for (const group of map.mappings.split(';')) {
+      let first = null;
+
+      for (const segment of group.split(',').filter(Boolean)) {
+        const fields = decodeVLQ(segment);
+        if (fields.length < 4) continue;
+        sourceIndex += fields[1];
+        originalLine += fields[2];
+        if (first === null && sourceIndex === 0) first = originalLine + 1;
+      }
+
+      lines.push(first);
+    }
+
+    return new SourceMap({ file: map.file, source: map.sources[0], lines });
+  }
+
+  /**
+   * Load the map written next to a generated file (`<file>.map`)
+   * @returns {SourceMap|null} null when there is no map
+   */
+  static load(generatedPath) {
+    const mapPath = `${generatedPath}.map`;
+    return existsSync(mapPath) ? SourceMap.fromJSON(readFileSync(mapPath, 'utf8')) : null;
+  }
+}
+
+export default SourceMap;
@@ -1,6 +1,6 @@
 /**
  * Comprehensive VBScript Token Types
- * Defines all possible VBScript tokens with handlers
+ * Defines all possible VBScript tokens
  */
 
 export const VBScriptTokenTypes = {
@@ -118,185 +118,56 @@ export const VBScriptTokenTypes = {
   CDATE: 'cdate'
 };
 
-export const TokenHandlers = {
-  /**
-   * Get handler for a specific token type
-   */
-  getHandler(tokenType) {
-    return this[tokenType] || this.DEFAULT;
-  },
-
-  /**
-   * Default handler for unknown tokens
-   */
-  DEFAULT(token, context) {
-    context.logger.warning(`Unknown token type encountered: ${token.type || token.value}`);
-    return token.value || token.originalLine || '';
-  },
-
-  /**
-   * Handler for DIM declarations
-   */
-  [VBScriptTokenTypes.DIM](token, context) {
-    if (token.isArray) {
-      return `const ${token.name} = new Array(${token.arraySize} + 1);`;
-    }
-    return `let ${token.name};`;
-  },
-
-  /**
-   * Handler for SET statements
-   */
-  [VBScriptTokenTypes.SET](token, context) {
-    const match = token.value.match(/set\s+(\w+)\s*=\s*(.+)/i);
-    if (match) {
-      const varName = match[1];
-      const value = context.transpileExpression(match[2]);
-      return `const ${varName} = ${value};`;
-    }
-    return token.value;
-  },
-
-  /**
-   * Handler for IF statements
-   */
-  [VBScriptTokenTypes.IF](token, context) {
-    const condition = context.transpileExpression(token.condition);
-    return `if (${condition}) {`;
-  },
-
-  /**
-   * Handler for ELSE statements
-   */
-  [VBScriptTokenTypes.ELSE](token, context) {
-    return '} else {';
-  },
-
-  /**
-   * Handler for ELSEIF statements
-   */
-  [VBScriptTokenTypes.ELSEIF](token, context) {
-    const match = token.value.match(/elseif\s+(.*?)\s+then/i);
-    if (match) {
-      const condition = context.transpileExpression(match[1]);
-      return `} else if (${condition}) {`;
-    }
-    return '} else if (true) {';
-  },
-
-  /**
-   * Handler for END IF statements
-   */
-  [VBScriptTokenTypes.END_IF](token, context) {
-    return '}';
-  },
-
-  /**
-   * Handler for FOR loops
-   */
-  [VBScriptTokenTypes.FOR](token, context) {
-    const step = token.step || 1;
-    return `for (let ${token.variable} = ${token.start}; ${token.variable} <= ${token.end}; ${token.variable} += ${step}) {`;
-  },
-
-  /**
-   * Handler for NEXT statements
-   */
-  [VBScriptTokenTypes.NEXT](token, context) {
-    return '}';
-  },
-
-  /**
-   * Handler for DO WHILE loops
-   */
-  [VBScriptTokenTypes.DO](token, context) {
-    if (token.condition) {
-      const condition = context.transpileExpression(token.condition);
-      return `while (${condition}) {`;
-    }
-    return 'do {';
-  },
-
-  /**
-   * Handler for LOOP statements
-   */
-  [VBScriptTokenTypes.LOOP](token, context) {
-    if (token.condition) {
-      const condition = context.transpileExpression(token.condition);
-      return `} while (${condition});`;
-    }
-    return '}';
-  },
-
-  /**
-   * Handler for SELECT CASE statements
-   */
-  [VBScriptTokenTypes.SELECT](token, context) {
-    const expr = context.transpileExpression(token.expression);
-    return `switch (${expr}) {`;
-  },
-
-  /**
-   * Handler for CASE statements
-   */
-  [VBScriptTokenTypes.CASE](token, context) {
-    if (token.value.toLowerCase() === 'case else') {
-      return 'default:';
-    }
-    const value = context.transpileExpression(token.caseValue);
-    return `case ${value}:`;
-  },
-
-  /**
-   * Handler for END SELECT statements
-   */
-  [VBScriptTokenTypes.END_SELECT](token, context) {
-    return '}';
-  },
-
-  /**
-   * Handler for EXIT statements
-   */
-  [VBScriptTokenTypes.EXIT](token, context) {
-    if (token.exitType === 'function' || token.exitType === 'sub') {
-      return 'return;';
-    }
-    if (token.exitType === 'for' || token.exitType === 'do') {
-      return 'break;';
-    }
-    return 'break;';
-  },
-
-  /**
-   * Handler for CREATEOBJECT calls
-   */
-  [VBScriptTokenTypes.CREATEOBJECT](token, context) {
-    return '/* CreateObject not available in browser */ null';
-  },
+/**
+ * Keywords, operators and built-in functions, which are never variable names
+ */
+export const VBScriptReservedWords = new Set([
+  ...Object.values(VBScriptTokenTypes).flatMap(value => value.split(' ')),
+  'chr', 'each', 'in', 'is', 'me', 'new', 'wend', 'byval', 'byref', 'let', 'get', 'property'
+]);
 
-  /**
-   * Handler for MSGBOX calls
-   */
-  [VBScriptTokenTypes.MSGBOX](token, context) {
-    const match = token.value.match(/msgbox\s*\((.*?)\)/i);
-    if (match) {
-      const message = context.transpileExpression(match[1]);
-      return `alert(${message});`;
-    }
-    return 'alert("");';
-  },
+/**
+ * Runs of at least this many consecutive integers in a Select Case
+ * switch the whole switch to range checks instead of stacked labels
+ */
+export const CASE_RANGE_THRESHOLD = 8;
 
-  /**
-   * Handler for INPUTBOX calls
-   */
-  [VBScriptTokenTypes.INPUTBOX](token, context) {
-    const match = token.value.match(/inputbox\s*\((.*?)\)/i);
-    if (match) {
-      const message = context.transpileExpression(match[1]);
-      return `prompt(${message});`;
+/**
+ * Group case list items into runs of consecutive integers and single values
+ * @param {Array<number|object>} items - A case's values: integers as numbers, anything else
+ * (e.g. its expression node) as is
+ * @returns {Array<object>} { from, to } for integer runs, { value } otherwise
+ */
+export function groupCaseValues(items) {
+  const groups = [];
+
+  for (const item of items) {
+    const last = groups[groups.length - 1];
+    if (Number.isInteger(item)) {
+      if (last && last.to !== undefined && item === last.to + 1) {
+        last.to = item;
+      } else {
+        groups.push({ from: item, to: item });
+      }
+    } else {
+      groups.push({ value: item });
     }
-    return 'prompt("");';
   }
-};
 
-export default { VBScriptTokenTypes, TokenHandlers };
+  return groups;
+}
+
+/**
+ * Whether a Select Case needs range checks for its case lists
+ * @param {Array<Array<number|object>>} caseLists - Items of every case of the select (see groupCaseValues)
+ * @returns {boolean} True if any case has a long run of consecutive integers
+ */
+export function needsCaseRanges(caseLists) {
+  return caseLists.some(items =>
+    groupCaseValues(items).some(group =>
+      group.to !== undefined && group.to - group.from + 1 >= CASE_RANGE_THRESHOLD
+    )
+  );
+}
+
+export default { VBScriptTokenTypes };
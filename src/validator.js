@@ -4,11 +4,16 @@
  */
 
 import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
 import Logger from './logger/Logger.js';
 
-class Validator {
-  constructor() {
+export class Validator {
+  /**
+   * @param {string} outputDir - Pipeline output directory, relative to the working directory
+   */
+  constructor(outputDir = 'output') {
     this.logger = new Logger('Validator');
+    this.outputDir = outputDir;
     this.errors = [];
     this.warnings = [];
   }
@@ -45,14 +50,14 @@ class Validator {
     this.logger.step('Validating file structure');
 
     const requiredFiles = [
-      'output/json/questions.json',
-      'output/json/vbscript-metadata.json',
-      'output/json/engine-structure.json',
-      'output/javascript/original-vbscript.vbs',
-      'output/javascript/transpiled.js',
-      'output/html/question-fragment.html',
-      'output/html/assessment-form.html'
-    ];
+      'json/questions.json',
+      'json/vbscript-metadata.json',
+      'json/engine-structure.json',
+      'javascript/original-vbscript.vbs',
+      'javascript/transpiled.js',
+      'html/question-fragment.html',
+      'html/assessment-form.html'
+    ].map(file => join(this.outputDir, file));
 
     requiredFiles.forEach(file => {
       if (existsSync(file)) {
@@ -69,7 +74,7 @@ class Validator {
 
     // Validate questions.json
     try {
-      const questions = JSON.parse(readFileSync('output/json/questions.json', 'utf8'));
+      const questions = JSON.parse(readFileSync(this._path('json/questions.json'), 'utf8'));
 
       if (questions.totalQuestions !== 175) {
         this.errors.push(`Expected 175 questions, found ${questions.totalQuestions}`);
@@ -105,7 +110,7 @@ class Validator {
 
     // Validate vbscript-metadata.json
     try {
-      const metadata = JSON.parse(readFileSync('output/json/vbscript-metadata.json', 'utf8'));
+      const metadata = JSON.parse(readFileSync(this._path('json/vbscript-metadata.json'), 'utf8'));
 
       if (!metadata.functions || !Array.isArray(metadata.functions)) {
         this.errors.push('VBScript metadata missing functions array');
@@ -125,7 +130,7 @@ class Validator {
 
     // Validate engine-structure.json
     try {
-      const engine = JSON.parse(readFileSync('output/json/engine-structure.json', 'utf8'));
+      const engine = JSON.parse(readFileSync(this._path('json/engine-structure.json'), 'utf8'));
 
       if (!engine.functions || !engine.dataStructures) {
         this.errors.push('Engine structure incomplete');
@@ -143,7 +148,7 @@ class Validator {
 
     // Check VBScript file
     try {
-      const vbscript = readFileSync('output/javascript/original-vbscript.vbs', 'utf8');
+      const vbscript = readFileSync(this._path('javascript/original-vbscript.vbs'), 'utf8');
       const lines = vbscript.split('\n').length;
 
       if (lines < 4000) {
@@ -163,7 +168,7 @@ class Validator {
 
     // Check transpiled JavaScript
     try {
-      const js = readFileSync('output/javascript/transpiled.js', 'utf8');
+      const js = readFileSync(this._path('javascript/transpiled.js'), 'utf8');
       const lines = js.split('\n').length;
 
       this.logger.success(`✓ JavaScript generated: ${lines} lines`);
@@ -187,7 +192,7 @@ class Validator {
 
     // Check question fragment
     try {
-      const fragment = readFileSync('output/html/question-fragment.html', 'utf8');
+      const fragment = readFileSync(this._path('html/question-fragment.html'), 'utf8');
 
       if (!fragment.includes('<div class="question"')) {
         this.errors.push('Question fragment missing expected structure');
@@ -201,7 +206,7 @@ class Validator {
 
     // Check assessment form
     try {
-      const form = readFileSync('output/html/assessment-form.html', 'utf8');
+      const form = readFileSync(this._path('html/assessment-form.html'), 'utf8');
 
       if (!form.includes('<!DOCTYPE html>')) {
         this.warnings.push('Assessment form missing DOCTYPE');
@@ -222,7 +227,7 @@ class Validator {
     this.logger.step('Validating content quality');
 
     try {
-      const questions = JSON.parse(readFileSync('output/json/questions.json', 'utf8'));
+      const questions = JSON.parse(readFileSync(this._path('json/questions.json'), 'utf8'));
 
       // Check for Persian text
       let persianCount = 0;
@@ -249,10 +254,26 @@ class Validator {
       this.errors.push(`Content validation failed: ${error.message}`);
     }
   }
+
+  _path(file) {
+    return join(this.outputDir, file);
+  }
+
+  getResults() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
 }
 
-// Run validation
-const validator = new Validator();
-const success = validator.validate();
+// Run validation (also `mcmi validate <output-dir>`)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const validator = new Validator(process.argv[2]);
+  const success = validator.validate();
+
+  process.exit(success ? 0 : 1);
+}
 
-process.exit(success ? 0 : 1);
+export default Validator;
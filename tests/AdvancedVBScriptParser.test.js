@@ -0,0 +1,154 @@
+/**
+ * Tests for AdvancedVBScriptParser tokenization into logical statements
+ * Fixtures: tests/fixtures/vbscript/*.vbs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import AdvancedVBScriptParser from '../src/parser/AdvancedVBScriptParser.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import { VBScriptASTParser } from '../src/parser/VBScriptASTParser.js';
+import { VBScriptInterpreter } from '../src/interpreter/VBScriptInterpreter.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function fixture(name) {
+  return readFileSync(join(__dirname, 'fixtures', 'vbscript', `${name}.vbs`), 'utf8');
+}
+
+function statements(source) {
+  return new AdvancedVBScriptParser(source).tokenize().filter(token => token.type !== 'COMMENT');
+}
+
+function span(token) {
+  return [token.line, token.column, token.endLine, token.endColumn];
+}
+
+/**
+ * Run a fixture's run() sub transpiled and in the interpreter, returning both sets of globals
+ */
+function runBoth(source, names) {
+  const transpiled = new AdvancedTranspiler().transpile(source);
+  const js = new Function(`${transpiled}\nrun();\nreturn [${names.join(', ')}];`)();
+
+  const interpreter = new VBScriptInterpreter(new VBScriptASTParser(source).parse()).run();
+  interpreter.call('run');
+  return { js, vbscript: names.map(name => interpreter.getGlobal(name)) };
+}
+
+describe('AdvancedVBScriptParser tokenizer', () => {
+  describe('line continuations', () => {
+    const source = fixture('line-continuation');
+
+    it('should join continued lines into one statement spanning them', () => {
+      const tokens = statements(source);
+      const header = tokens.find(token => token.type === 'FUNCTION_START');
+      const result = tokens.find(token => token.value.startsWith('sum3 ='));
+      const message = tokens.find(token => token.value.startsWith('message'));
+
+      assert.deepEqual(header.parameters, ['a', 'b', 'c']);
+      assert.deepEqual(span(header), [5, 1, 6, 20]);
+      assert.equal(result.value, 'sum3 = a + b + c');
+      assert.deepEqual(span(result), [7, 3, 9, 6]);
+      assert.equal(message.value, 'message = "a _" & "b"', 'A _ inside a string does not continue the line');
+    });
+
+    it('should keep every source line in the function code', () => {
+      const parsed = new AdvancedVBScriptParser(source).parse();
+      const sum3 = parsed.functions.find(func => func.name === 'sum3');
+
+      assert.equal(sum3.code, 'function sum3(a, b, c)\n  sum3 = a + _\n    b + _\n    c\nend function');
+    });
+
+    it('should transpile to the values VBScript computes', () => {
+      const { js, vbscript } = runBoth(source, ['total', 'message']);
+      assert.deepEqual(js, [6, 'a _b']);
+      assert.deepEqual(js, vbscript);
+    });
+  });
+
+  describe('colon-separated statements', () => {
+    const source = fixture('colon-separated');
+
+    it('should split a line at colons outside strings, with a column span each', () => {
+      const tokens = statements(source).filter(token => token.line === 7 || token.line === 8);
+
+      assert.deepEqual(tokens.map(token => token.value), ['first = 1', 'second = 2', 'third = "x:y"', 'third = third & ":z"']);
+      assert.deepEqual(tokens.map(span), [[7, 3, 7, 12], [7, 15, 7, 25], [8, 3, 8, 16], [8, 19, 8, 39]]);
+    });
+
+    it('should keep a trailing comment as a comment token', () => {
+      const comment = new AdvancedVBScriptParser(source).tokenize().find(token => token.line === 8 && token.type === 'COMMENT');
+
+      assert.equal(comment.value, "' the colons in strings are not separators");
+      assert.equal(comment.column, 40);
+    });
+
+    it('should keep the statements after Then inside a single-line If', () => {
+      const token = statements(source).find(token => token.line === 9);
+
+      assert.deepEqual(token.singleLineIf, {
+        condition: 'first = 1',
+        consequent: ['second = second + 10', 'first = 5'],
+        alternate: []
+      });
+    });
+
+    it('should transpile to the values VBScript computes', () => {
+      const { js, vbscript } = runBoth(source, ['first', 'second', 'third']);
+      assert.deepEqual(js, [5, 12, 'x:y:z']);
+      assert.deepEqual(js, vbscript);
+    });
+  });
+
+  describe('single-line If with Else', () => {
+    const source = fixture('single-line-if-else');
+
+    it('should split the branches at Else', () => {
+      const token = statements(source).find(token => token.line === 8);
+
+      assert.deepEqual(token.singleLineIf, { condition: 'male', consequent: ['xscore=35'], alternate: ['xscore=34'] });
+    });
+
+    it('should not split at an Else inside a string', () => {
+      const token = statements(source).find(token => token.line === 9);
+
+      assert.deepEqual(token.singleLineIf.consequent, ['label = "high, else low"']);
+      assert.deepEqual(token.singleLineIf.alternate, ['label = "low"']);
+    });
+
+    it('should give an Else to the innermost If', () => {
+      const token = statements(source).find(token => token.line === 10);
+
+      assert.deepEqual(token.singleLineIf, {
+        condition: 'xscore > 0',
+        consequent: [{ condition: 'male', consequent: ['xscore = xscore + 1'], alternate: ['xscore = xscore - 1'] }],
+        alternate: []
+      });
+    });
+
+    it('should split colon-separated statements in both branches', () => {
+      const token = statements(source).find(token => token.line === 11);
+
+      assert.deepEqual(token.singleLineIf.consequent, ['label = "f"', 'xscore = 0']);
+      assert.deepEqual(token.singleLineIf.alternate, ['label = label & "!"', 'xscore = xscore * 2']);
+    });
+
+    it('should transpile to the values VBScript computes', () => {
+      const { js, vbscript } = runBoth(source, ['xscore', 'label']);
+      assert.deepEqual(js, [72, 'high, else low!']);
+      assert.deepEqual(js, vbscript);
+    });
+  });
+
+  it('should tokenize the legacy script one statement per line', () => {
+    const source = readFileSync(join(__dirname, '..', 'output/javascript/original-vbscript.vbs'), 'utf8');
+    const tokens = new AdvancedVBScriptParser(source).tokenize();
+
+    assert.equal(tokens.length, source.split('\n').length);
+    assert.ok(tokens.every((token, index) => token.line === index + 1));
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Tests for AssessmentEngine and the MCMI-II scoring module
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import AssessmentEngine from '../webapp/js/assessment-engine.js';
+import {
+  INPATIENT_ADJUSTMENTS,
+  scoreProfile,
+  assessValidity,
+  computeRawScores,
+  toBaseRate,
+  validateScoringKeys,
+  verifyBaseRateTables,
+  vbRound,
+  normGroup
+} from '../webapp/js/scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const scoringKeys = JSON.parse(readFileSync(join(rootDir, 'webapp/data/scoring-keys.json'), 'utf8'));
+const scales = scoringKeys.scales;
+const baseRates = JSON.parse(readFileSync(join(rootDir, 'webapp/data/br-tables.json'), 'utf8'));
+const tables = baseRates.tables;
+
+/**
+ * Build an answer sheet where every fourth item is answered true
+ */
+function patternSheet() {
+  const answers = {};
+  for (let id = 1; id <= 175; id++) {
+    answers[id] = id % 4 === 0 ? 'true' : 'false';
+  }
+  return answers;
+}
+
+function rowsByCode(profile) {
+  return Object.fromEntries(profile.rows.map(row => [row.code, row]));
+}
+
+describe('scoring', () => {
+  it('should use banker\'s rounding like VBScript Round', () => {
+    assert.equal(vbRound(0.5), 0);
+    assert.equal(vbRound(1.5), 2);
+    assert.equal(vbRound(2.5), 2);
+    assert.equal(vbRound(-2.5), -2);
+    assert.equal(vbRound(2.6), 3);
+  });
+
+  it('should score non-male respondents with the female norms', () => {
+    assert.equal(normGroup('male'), 'male');
+    assert.equal(normGroup('female'), 'female');
+    assert.equal(normGroup(undefined), 'female');
+  });
+
+  it('should count V items answered true', () => {
+    const raw = computeRawScores({ 62: 'true', 90: 'true', 152: 'true', 169: 'true' }, 'male', scales);
+    assert.equal(raw.V, 4);
+  });
+
+  it('should cap raw scores per gender', () => {
+    const desirability = scales.find(scale => scale.code === 'Y');
+    const answers = {};
+    desirability.items.forEach(({ item, answer }) => {
+      answers[item] = answer;
+    });
+
+    assert.equal(computeRawScores(answers, 'male', scales).Y, desirability.caps.male);
+    assert.equal(computeRawScores(answers, 'female', scales).Y, desirability.caps.female);
+  });
+
+  it('should reject scoring keys with an unsupported version', () => {
+    assert.equal(validateScoringKeys(scoringKeys), scales);
+    assert.throws(() => validateScoringKeys({ ...scoringKeys, version: '2.0.0' }), /Unsupported scoring keys version 2\.0\.0/);
+    assert.throws(() => validateScoringKeys({ version: '1.0.0' }), /missing scales/);
+  });
+
+  it('should verify the base-rate tables checksum', async () => {
+    assert.equal(await verifyBaseRateTables(baseRates), tables);
+
+    const tampered = structuredClone(baseRates);
+    tampered.tables['1'].male[10] += 1;
+    await assert.rejects(() => verifyBaseRateTables(tampered), /checksum mismatch/);
+    await assert.rejects(() => verifyBaseRateTables({ ...baseRates, version: '2.0.0' }), /Unsupported base-rate tables version/);
+  });
+
+  it('should verify the base-rate tables checksum with Node\'s WebCrypto when there is no global one', async () => {
+    assert.equal(await verifyBaseRateTables(baseRates, null), tables);
+
+    const tampered = structuredClone(baseRates);
+    tampered.tables['1'].male[10] += 1;
+    await assert.rejects(() => verifyBaseRateTables(tampered, null), /checksum mismatch/);
+  });
+
+  it('should convert raw scores with the male and female norms', () => {
+    assert.equal(toBaseRate(tables, 'Y', 1, 'male'), 5);
+    assert.equal(toBaseRate(tables, 'Y', 0, 'female'), tables.Y.female[0]);
+    assert.equal(toBaseRate(tables, 'Y', 22, 'male'), 100);
+  });
+
+  it('should reject raw scores outside the BR table', () => {
+    assert.throws(() => toBaseRate(tables, 'Y', 23, 'male'), {
+      name: 'RangeError',
+      message: 'Raw score 23 is out of range for scale Y (male norms cover 0-22)'
+    });
+    assert.throws(() => toBaseRate(tables, 'Y', -1, 'female'), RangeError);
+    assert.throws(() => toBaseRate(tables, 'Y', 1.5, 'male'), RangeError);
+    assert.throws(() => toBaseRate(tables, 'V', 1, 'male'), /No base-rate table for scale V/);
+  });
+
+  it('should produce the legacy profile for a fixed answer sheet', () => {
+    const profile = scoreProfile(patternSheet(), { gender: 'male' }, scales, tables);
+    const rows = rowsByCode(profile);
+
+    assert.equal(profile.valid, true);
+    assert.deepEqual(profile.disclosure, { raw: 268, br: 35 });
+    assert.equal(profile.corrections.dd, -5);
+    assert.equal(profile.corrections.dcHighest, '6A');
+    assert.equal(profile.corrections.dcSecond, '6B');
+
+    assert.deepEqual(
+      [rows['6A'].raw, rows['6A'].br, rows['6A'].final],
+      [35, 77, 77]
+    );
+    assert.deepEqual([rows.S.raw, rows.S.br, rows.S.final], [22, 67, 62]);
+    assert.deepEqual([rows.D.raw, rows.D.br, rows.D.final], [24, 80, 75]);
+  });
+
+  it('should apply inpatient additions to SS, CC and PP', () => {
+    const answers = patternSheet();
+    const outpatient = rowsByCode(scoreProfile(answers, { gender: 'male', inpatientCode: 1 }, scales, tables));
+    const inpatient = rowsByCode(scoreProfile(answers, { gender: 'male', inpatientCode: 2 }, scales, tables));
+
+    assert.equal(inpatient.SS.final - outpatient.SS.final, 8);
+    assert.equal(inpatient.CC.final - outpatient.CC.final, 10);
+    assert.equal(inpatient.PP.final - outpatient.PP.final, 4);
+  });
+
+  it('should mark the profile invalid when X is out of range', () => {
+    const answers = {};
+    for (let id = 1; id <= 175; id++) {
+      answers[id] = 'true';
+    }
+    const profile = scoreProfile(answers, { gender: 'male' }, scales, tables);
+
+    assert.equal(profile.valid, false);
+    assert.equal(profile.corrections, null);
+    assert.equal(profile.disclosure.raw, 671);
+    profile.rows.forEach(row => {
+      assert.equal(row.final, null);
+      assert.equal(row.afterX, null);
+    });
+  });
+
+  it('should flag V, omissions, Y and Z with a severity and message key', () => {
+    const answers = patternSheet();
+    const profile = scoreProfile(answers, { gender: 'male' }, scales, tables);
+    const validity = assessValidity(profile, answers);
+
+    // Item 152 is the one V item answered true by the pattern sheet
+    assert.equal(validity.status, 'questionable');
+    assert.equal(validity.valid, true);
+    assert.equal(validity.omissions, 0);
+    assert.deepEqual(validity.flags.find(flag => flag.rule === 'v-scale'),
+      { rule: 'v-scale', severity: 'caution', messageKey: 'validity.v_questionable', values: { raw: 1 } });
+
+    const invalid = assessValidity({ ...profile, validity: { raw: 2 } }, { 1: 'true', 2: 'false' });
+    assert.equal(invalid.status, 'invalid');
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.flags.map(flag => [flag.rule, flag.severity, flag.messageKey]).slice(0, 2), [
+      ['v-scale', 'invalid', 'validity.v_invalid'],
+      ['omissions', 'invalid', 'validity.omissions_excessive']
+    ]);
+    assert.deepEqual(invalid.flags[1].values, { count: 173, limit: 12 });
+
+    const disclosure = { ...profile, validity: { raw: 0 }, rows: [{ code: 'Y', br: 75 }, { code: 'Z', br: 74 }] };
+    const partial = { ...answers };
+    delete partial[3];
+    assert.deepEqual(assessValidity(disclosure, partial).flags, [
+      { rule: 'omissions', severity: 'info', messageKey: 'validity.omissions', values: { count: 1 } },
+      { rule: 'desirability', severity: 'caution', messageKey: 'validity.desirability', values: { br: 75 } }
+    ]);
+  });
+
+  it('should flag a raw X out of range as invalid', () => {
+    const answers = {};
+    for (let id = 1; id <= 175; id++) {
+      answers[id] = 'true';
+    }
+    const validity = assessValidity(scoreProfile(answers, { gender: 'male' }, scales, tables), answers);
+
+    assert.equal(validity.status, 'invalid');
+    assert.deepEqual(validity.flags.find(flag => flag.rule === 'raw-x').values, { raw: 671, min: 145, max: 590 });
+  });
+});
+
+async function createEngine() {
+  const engine = new AssessmentEngine(scoringKeys);
+  await engine.setBaseRateTables(baseRates);
+  return engine;
+}
+
+describe('AssessmentEngine', () => {
+  it('should calculate the same scores for the same answers', async () => {
+    const first = await createEngine();
+    const second = await createEngine();
+    const answers = patternSheet();
+
+    [first, second].forEach(engine => {
+      Object.entries(answers).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+      engine.setDemographics({ gender: 'female' });
+    });
+
+    assert.deepEqual(first.calculateScores(), second.calculateScores());
+    assert.deepEqual(first.calculateScores(), second.calculateScores());
+  });
+
+  it('should require scoring keys and norms before calculating scores', async () => {
+    const engine = new AssessmentEngine();
+    assert.throws(() => engine.calculateScores(), /Scoring keys not loaded/);
+
+    engine.setScoringKeys(scoringKeys);
+    assert.throws(() => engine.calculateScores(), /Base-rate tables not loaded/);
+
+    await engine.setBaseRateTables(baseRates);
+    assert.equal(engine.calculateScores().length, 26);
+  });
+
+  it('should expose toBaseRate on top of the loaded norms', async () => {
+    const engine = await createEngine();
+
+    assert.equal(engine.toBaseRate('Y', 1, 'male'), 5);
+    assert.throws(() => engine.toBaseRate('Y', 40, 'male'), RangeError);
+  });
+
+  it('should offer every inpatient code in the web app form, with a label in each locale', () => {
+    const form = readFileSync(join(rootDir, 'webapp/index.html'), 'utf8');
+    const select = /<select id="patient-inpatient"[^>]*>([\s\S]*?)<\/select>/.exec(form)[1];
+    const values = [...select.matchAll(/<option value="(\d+)"/g)].map(match => match[1]);
+
+    assert.deepEqual(values, Object.keys(INPATIENT_ADJUSTMENTS));
+    for (const locale of ['en', 'fa']) {
+      const translations = JSON.parse(readFileSync(join(rootDir, `webapp/locales/${locale}.json`), 'utf8'));
+      assert.deepEqual(Object.keys(translations.welcome.form.inpatient_options), values, locale);
+    }
+  });
+
+  it('should apply the inpatient code from the demographics', async () => {
+    const engine = await createEngine();
+    Object.entries(patternSheet()).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+    engine.setDemographics({ gender: 'male', inpatientCode: 2 });
+
+    const results = engine.getResults();
+    const expected = rowsByCode(scoreProfile(patternSheet(), { gender: 'male', inpatientCode: 2 }, scales, tables));
+
+    assert.equal(results.inpatientCode, 2);
+    assert.equal(results.scores.find(scale => scale.code === 'SS').value, expected.SS.final);
+  });
+
+  it('should flag items as uncertain and list the omitted ones', () => {
+    const engine = new AssessmentEngine(scoringKeys);
+    engine.recordAnswer(1, 'true');
+    engine.recordAnswer(3, 'false');
+
+    assert.equal(engine.toggleFlag(12), true);
+    assert.equal(engine.toggleFlag(2), true);
+    assert.equal(engine.toggleFlag(12), false);
+    assert.deepEqual(engine.getFlagged(), [2]);
+    assert.deepEqual(engine.getOmissions(4), [2, 4]);
+
+    engine.restore({ demographics: { gender: 'male' }, answers: { 1: 'true' }, flagged: [5, 4] });
+    assert.deepEqual(engine.getFlagged(), [4, 5]);
+    engine.reset();
+    assert.deepEqual(engine.getFlagged(), []);
+  });
+
+  it('should store the omitted and flagged items with the results', async () => {
+    const engine = await createEngine();
+    const answers = patternSheet();
+    delete answers[7];
+    delete answers[120];
+    Object.entries(answers).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+    engine.toggleFlag(30);
+    engine.setDemographics({ gender: 'female' });
+
+    const results = engine.getResults();
+
+    assert.deepEqual(results.omissions, { count: 2, items: [7, 120] });
+    assert.deepEqual(results.flagged, [30]);
+    assert.equal(results.validity.omissions, 2);
+  });
+
+  it('should expose the final BR, X and V in getResults', async () => {
+    const engine = await createEngine();
+    Object.entries(patternSheet()).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+    engine.setDemographics({ name: 'Test', gender: 'male' });
+
+    const results = engine.getResults();
+    const scores = Object.fromEntries(results.scores.map(scale => [scale.code, scale]));
+
+    assert.equal(results.valid, true);
+    assert.equal(results.validity.status, 'questionable');
+    assert.equal(results.inpatientCode, 1);
+    assert.equal(scores.X.value, 35);
+    assert.equal(scores.X.raw, 268);
+    assert.equal(scores.S.value, 62);
+    assert.equal(scores.S.br, 67);
+    assert.equal(typeof scores.V.value, 'number');
+    assert.equal(results.scores.length, 26);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for BaseRateTableExtractor
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import VBScriptExtractor from '../src/parser/VBScriptExtractor.js';
+import AdvancedVBScriptParser from '../src/parser/AdvancedVBScriptParser.js';
+import BaseRateTableExtractor, { checksumTables } from '../src/parser/BaseRateTableExtractor.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+function parseFunctions() {
+  const extractor = new VBScriptExtractor(join(rootDir, 'MCMI2_DRS.html'));
+  const parser = new AdvancedVBScriptParser(extractor.extract().code);
+  return parser.parse().functions;
+}
+
+describe('BaseRateTableExtractor', () => {
+  const functions = parseFunctions();
+
+  it('should extract male and female tables for the 24 BR scales', () => {
+    const { tables } = new BaseRateTableExtractor(functions).extract();
+
+    assert.equal(Object.keys(tables).length, 24);
+    assert.ok(!tables.V, 'Validity should not have a BR table');
+    Object.entries(tables).forEach(([code, norms]) => {
+      assert.ok(norms.male.length > 0, `${code} should have male norms`);
+      assert.ok(norms.female.length > 0, `${code} should have female norms`);
+    });
+  });
+
+  it('should map check<scale>br to male and checkf<scale>br to female norms', () => {
+    const { tables } = new BaseRateTableExtractor(functions).extract();
+
+    // checkfivebr is the male Narcissistic table, checkffivebr the female one
+    assert.equal(tables.Y.male.length, 23);
+    assert.deepEqual(tables.Y.male.slice(0, 3), [0, 5, 10]);
+    assert.equal(tables.Y.male[22], 100);
+    assert.notDeepEqual(tables['5'].male, tables['5'].female);
+  });
+
+  it('should checksum the tables', () => {
+    const baseRates = new BaseRateTableExtractor(functions).extract();
+
+    assert.equal(baseRates.algorithm, 'sha256');
+    assert.match(baseRates.checksum, /^[0-9a-f]{64}$/);
+    assert.equal(baseRates.checksum, checksumTables(baseRates.tables));
+  });
+
+  it('should match the generated br-tables.json files', () => {
+    const baseRates = new BaseRateTableExtractor(functions).extract();
+
+    ['output/json/br-tables.json', 'webapp/data/br-tables.json'].forEach(file => {
+      const generated = JSON.parse(readFileSync(join(rootDir, file), 'utf8'));
+      assert.deepEqual(generated, baseRates, `${file} should be up to date`);
+    });
+  });
+
+  it('should fail when a BR function is missing', () => {
+    const withoutTable = functions.filter(func => func.name !== 'checkfsixabr');
+
+    assert.throws(() => new BaseRateTableExtractor(withoutTable).extract(), /checkfsixabr\(\) not found/);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for batch scoring of answer-sheet records (src/cli/batch.js)
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ITEM_COUNT, SCALE_FIELDS, parseCSV, readRecords, normalizeRecord, scoreRecords, formatResults
+} from '../src/cli/batch.js';
+import AssessmentEngine from '../webapp/js/assessment-engine.js';
+import { verifyBaseRateTables } from '../webapp/js/scoring.js';
+import { scoringKeys, baseRates, scales, responses } from './harness/fixtures.js';
+
+/**
+ * A CSV file with one column per item
+ */
+function itemCSV(rows) {
+  const header = ['ID', 'Gender', 'Age', 'Inpatient', ...Array.from({ length: ITEM_COUNT }, (_, index) => `q${index + 1}`)];
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+describe('parseCSV', () => {
+  it('should read quoted cells and the line each row starts on', () => {
+    const rows = parseCSV('id,note\r\n1,"a, ""b"""\n\n2,"two\nlines"\n3,x');
+
+    assert.deepEqual(rows, [
+      { line: 1, cells: ['id', 'note'] },
+      { line: 2, cells: ['1', 'a, "b"'] },
+      { line: 4, cells: ['2', 'two\nlines'] },
+      { line: 6, cells: ['3', 'x'] }
+    ]);
+  });
+});
+
+describe('readRecords', () => {
+  it('should read item columns and a responses column', () => {
+    const [byItem] = readRecords(itemCSV([['A1', 'male', 34, 2, ...responses(2)]]), 'csv');
+    assert.equal(byItem.line, 2);
+    assert.deepEqual(normalizeRecord(byItem.fields).demographics, { gender: 'male', age: 34, inpatientCode: 2 });
+    assert.equal(byItem.fields.responses[175], responses(2)[174]);
+
+    const [byString] = readRecords(`record_id,sex,responses\nA2,F,${responses(5).join('')}\n`, 'csv');
+    assert.equal(normalizeRecord(byString.fields).id, 'A2');
+    assert.equal(normalizeRecord(byString.fields).answers[3], 'true');
+  });
+
+  it('should reject a header without ids or with missing items', () => {
+    assert.throws(() => readRecords('gender,responses\nmale,T\n', 'csv'), /needs an id column/);
+    assert.throws(() => readRecords('id,q1,q2\nA,T,F\n', 'csv'), /one column for each of the 175 items, found 2/);
+  });
+
+  it('should turn unreadable rows and lines into record errors', () => {
+    const csv = readRecords(itemCSV([['A1', 'male', 34, 1]]), 'csv');
+    assert.deepEqual(csv, [{ line: 2, id: 'A1', errors: ['Expected 179 cells, found 4'] }]);
+
+    const jsonl = readRecords('{"id":"A"}\n\nnot json\n[1]\n', 'jsonl');
+    assert.deepEqual(jsonl.map(record => record.line), [1, 3, 4]);
+    assert.match(jsonl[1].errors[0], /^Invalid JSON/);
+    assert.deepEqual(jsonl[2].errors, ['Expected a JSON object']);
+  });
+});
+
+describe('normalizeRecord', () => {
+  it('should read response strings, arrays and objects, with omissions', () => {
+    const sheet = responses(2);
+    const fromString = normalizeRecord({ id: 1, gender: 'M', responses: sheet.join(' ') });
+    const fromArray = normalizeRecord({ id: 1, gender: 'male', answers: sheet.map(answer => answer === 'T') });
+    const fromObject = normalizeRecord({ id: 1, gender: 'male', responses: { 1: 'yes', 2: 'N', r3: '?' } });
+
+    assert.deepEqual(fromString.errors, []);
+    assert.deepEqual(fromString.answers, fromArray.answers);
+    assert.equal(fromString.omissions, 0);
+    assert.deepEqual(fromObject.answers, { 1: 'true', 2: 'false' });
+    assert.equal(fromObject.omissions, 173);
+    assert.equal(normalizeRecord({ id: 1, gender: 'male', responses: `-${sheet.slice(1).join('')}` }).omissions, 1);
+  });
+
+  it('should read numeric responses keyed 1/0 or 1/2', () => {
+    const sheet = responses(3);
+    const letters = normalizeRecord({ id: 1, gender: 'female', responses: sheet.join('') });
+    const oneZero = normalizeRecord({ id: 1, gender: 'female', responses: sheet.map(answer => answer === 'T' ? '1' : '0').join('') });
+    const oneTwo = normalizeRecord({ id: 1, gender: 'female', responses: sheet.map(answer => answer === 'T' ? '1' : '2').join('') });
+
+    assert.deepEqual(oneZero.answers, letters.answers);
+    assert.deepEqual(oneTwo.answers, letters.answers);
+  });
+
+  it('should list every problem of a record', () => {
+    const { errors } = normalizeRecord({ gender: 'x', age: 'old', inpatient: 7, responses: 'TF' });
+
+    assert.deepEqual(errors, [
+      'Missing id',
+      'Invalid gender \'x\' (expected male or female)',
+      'Invalid age \'old\'',
+      'Invalid inpatient code \'7\' (expected 1, 2, 3, 4, 5)',
+      'Expected 175 responses, found 2'
+    ]);
+    assert.match(normalizeRecord({ id: 1, gender: 'f', responses: { 1: 'maybe', 176: 'T' } }).errors[0], /Unknown items: 176/);
+    assert.match(normalizeRecord({ id: 1, gender: 'f', responses: ['T', 'X', ...responses(1).slice(2)] }).errors[0], /Invalid responses \(expected T or F\): 2=X/);
+  });
+});
+
+describe('scoreRecords', () => {
+  let tables;
+
+  before(async () => {
+    tables = await verifyBaseRateTables(baseRates);
+  });
+
+  it('should score each record like the web app, with the correction chain', async () => {
+    const records = readRecords(itemCSV([
+      ['A1', 'male', 34, 1, ...responses(2)],
+      ['A2', 'female', '', 2, ...responses(5)]
+    ]), 'csv');
+    const results = scoreRecords(records, scales, tables);
+
+    for (const [index, [gender, inpatientCode, seed]] of [['male', 1, 2], ['female', 2, 5]].entries()) {
+      const engine = new AssessmentEngine(scoringKeys);
+      await engine.setBaseRateTables(baseRates);
+      responses(seed).forEach((answer, item) => engine.recordAnswer(item + 1, answer === 'T' ? 'true' : 'false'));
+      engine.setDemographics({ gender, inpatientCode });
+      const expected = engine.calculateScores();
+
+      const result = results[index];
+      assert.equal(result.status, 'scored');
+      assert.equal(result.scales.length, 24);
+      for (const scale of result.scales) {
+        const row = expected.find(expectedScale => expectedScale.code === scale.code);
+        for (const field of SCALE_FIELDS) {
+          assert.equal(scale[field], row[field], `${result.id} ${scale.code} ${field}`);
+        }
+      }
+      assert.equal(result.validity.vRaw, expected.find(scale => scale.code === 'V').raw);
+    }
+    assert.equal(results[1].age, null);
+  });
+
+  it('should keep scoring after a bad record', () => {
+    const results = scoreRecords(readRecords(itemCSV([
+      ['A1', 'x', 34, 1, ...responses(2)],
+      ['A2', 'male', 34, 1, ...responses(2)]
+    ]), 'csv'), scales, tables);
+
+    assert.deepEqual(results[0], { id: 'A1', line: 2, status: 'error', errors: ['Invalid gender \'x\' (expected male or female)'] });
+    assert.equal(results[1].status, 'scored');
+  });
+
+  it('should flag a raw X out of range', () => {
+    const [result] = scoreRecords([{ line: 1, fields: { id: 'A', gender: 'male', responses: 'F'.repeat(ITEM_COUNT) } }], scales, tables);
+
+    assert.equal(result.validity.valid, false);
+    assert.equal(result.validity.status, 'invalid');
+    assert.ok(result.validity.flags.some(flag => flag.rule === 'raw-x' && flag.severity === 'invalid'));
+    assert.ok(result.scales.every(scale => scale.final === null));
+  });
+});
+
+describe('formatResults', () => {
+  it('should print one CSV row per record, with a column per scale and stage', async () => {
+    const tables = await verifyBaseRateTables(baseRates);
+    const results = scoreRecords([
+      { line: 2, fields: { id: 'A, 1', gender: 'male', responses: responses(2).join('') } },
+      { line: 3, id: 'B', errors: ['Expected 179 cells, found 4'] }
+    ], scales, tables);
+    const [header, scored, failed] = parseCSV(formatResults(results, 'csv', scales));
+
+    assert.equal(header.cells.length, 14 + 24 * SCALE_FIELDS.length);
+    assert.deepEqual(header.cells.slice(14, 16), ['Y_raw', 'Y_br']);
+    assert.equal(scored.cells[0], 'A, 1');
+    assert.equal(scored.cells[header.cells.indexOf('8B_final')], String(results[0].scales.find(scale => scale.code === '8B').final));
+    assert.deepEqual(failed.cells.slice(0, 4), ['B', '3', 'error', 'Expected 179 cells, found 4']);
+    assert.equal(failed.cells.length, header.cells.length);
+
+    const lines = formatResults(results, 'jsonl', scales).trimEnd().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), results);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Tests for the mcmi command-line interface
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import CLI, { EXIT_CODES } from '../src/cli/CLI.js';
+import Logger from '../src/logger/Logger.js';
+import { score } from '../webapp/js/legacy-scoring.js';
+import { answerSheet, responses } from './harness/fixtures.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+/**
+ * Run a command line in-process, capturing what it writes
+ */
+async function mcmi(...argv) {
+  const output = { stdout: '', stderr: '' };
+  const stream = name => ({ write: text => { output[name] += text; } });
+  const code = await new CLI({ stdout: stream('stdout'), stderr: stream('stderr') }).run(argv);
+  return { code, ...output };
+}
+
+describe('mcmi command line', () => {
+  it('should print help and the version', async () => {
+    const help = await mcmi('--help');
+    assert.equal(help.code, EXIT_CODES.OK);
+    for (const command of ['extract', 'parse', 'transpile', 'validate', 'build', 'score']) {
+      assert.match(help.stdout, new RegExp(`^  ${command} `, 'm'));
+    }
+
+    assert.match((await mcmi('score', '--help')).stdout, /^Usage: mcmi score <answers.json\|->/);
+    assert.match((await mcmi('help', 'build')).stdout, /^Usage: mcmi build/);
+    assert.equal((await mcmi('--version')).stdout, `${JSON.parse(readFileSync(join(rootDir, 'package.json'), 'utf8')).version}\n`);
+  });
+
+  it('should exit with 2 on a bad command line', async () => {
+    const cases = [[], ['bogus'], ['score', '--bogus'], ['transpile'], ['transpile', 'a.vbs', '--format', 'umd'], ['extract', 'a.html', 'b.html']];
+    for (const argv of cases) {
+      const { code, stdout, stderr } = await mcmi(...argv);
+      assert.equal(code, EXIT_CODES.USAGE, `mcmi ${argv.join(' ')}`);
+      assert.equal(stdout, '');
+      assert.match(stderr, /Usage: mcmi/);
+    }
+    assert.match((await mcmi('transpile', 'a.vbs', '--format', 'umd')).stderr, /--format must be one of script, module, got 'umd'/);
+  });
+
+  it('should restore the logger after a quiet command', async () => {
+    await mcmi('--json', 'transpile', join(__dirname, 'fixtures', 'vbscript', 'single-line-if-else.vbs'));
+    assert.equal(Logger.quiet, false);
+  });
+
+  it('should run as a program with exit codes', () => {
+    const run = (...argv) => spawnSync(process.execPath, [join(rootDir, 'src', 'cli', 'mcmi.js'), ...argv], { encoding: 'utf8', timeout: 60000 });
+
+    assert.equal(run('--help').status, EXIT_CODES.OK);
+    assert.equal(run('bogus').status, EXIT_CODES.USAGE);
+    assert.equal(run('-q', 'validate', join(rootDir, 'no-such-file.js')).status, EXIT_CODES.FAILED);
+  });
+});
+
+describe('mcmi transpile', () => {
+  const fixture = join(__dirname, 'fixtures', 'vbscript', 'single-line-if-else.vbs');
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcmi-transpile-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should print the code without the progress log', async () => {
+    const { code, stdout } = await mcmi('transpile', fixture);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /^\/\*\*\n \* Transpiled JavaScript from VBScript/);
+    assert.ok(!stdout.includes('[AdvancedTranspiler]'));
+  });
+
+  it('should print an ES module for an entry point', async () => {
+    const vbscript = join(dir, 'report.vbs');
+    writeFileSync(vbscript, 'Function report()\n  report = k.t3.value + 1\nEnd Function\n');
+    const { code, stdout } = await mcmi('transpile', vbscript, '--format', 'module', '--entry-point', 'report');
+    const module = await import(`data:text/javascript;base64,${Buffer.from(stdout).toString('base64')}`);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(module.score({}, { age: 41 }), 42);
+  });
+
+  it('should write the code and a source map next to it', async () => {
+    const output = join(dir, 'js', 'out.js');
+    const { code, stdout } = await mcmi('--json', 'transpile', fixture, '-o', output, '--form-access', 'context');
+    const map = JSON.parse(readFileSync(`${output}.map`, 'utf8'));
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.deepEqual(JSON.parse(stdout), { format: 'script', lines: readFileSync(output, 'utf8').split('\n').length - 2, output, sourceMap: `${output}.map` });
+    assert.ok(readFileSync(output, 'utf8').endsWith('//# sourceMappingURL=out.js.map\n'));
+    assert.equal(map.file, 'out.js');
+    assert.deepEqual(map.sources, [relative(dirname(output), fixture)]);
+  });
+});
+
+describe('mcmi score', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcmi-score-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should score a sheet with the legacy script', async () => {
+    const demographics = { name: 'Test', code: '7', age: 34, gender: 'female', inpatientCode: 2 };
+    const sheet = join(dir, 'sheet.json');
+    writeFileSync(sheet, JSON.stringify({ answers: answerSheet(2), ...demographics }));
+
+    const { code, stdout } = await mcmi('--json', 'score', sheet, '--gender', 'male');
+    const results = JSON.parse(stdout);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(results.rows.length, 24);
+    const expected = score(answerSheet(2), { ...demographics, gender: 'male' });
+    assert.deepEqual(results, JSON.parse(JSON.stringify({ ...expected, alerts: [] })));
+  });
+
+  it('should print the scores as a table', async () => {
+    const sheet = join(dir, 'answers.json');
+    writeFileSync(sheet, JSON.stringify(answerSheet(5)));
+    const { code, stdout } = await mcmi('score', sheet, '--gender', 'male', '--age', '34');
+    const lines = stdout.split('\n');
+    const { rows, xScore } = score(answerSheet(5), { gender: 'male', age: '34' });
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(lines[0], '34 ساله');
+    assert.match(lines[2], /^Scale +Label +Raw +BR +Final$/);
+    assert.equal(rows.length, 24);
+    rows.forEach((row, index) => {
+      const [, scale, label, raw, br, final] = lines[3 + index].match(/^(\S+) +(\S.*?) +(\d+) +(\d+) +(\d+)$/);
+      assert.deepEqual([scale, label, Number(raw), Number(br), Number(final)], [row.code, row.label, row.raw, row.br, row.final]);
+    });
+    assert.deepEqual(lines.slice(27), ['', `X (Disclosure): ${xScore}`, 'Report is done!', '']);
+  });
+
+  it('should exit with 1 when the script gives a scale no number', async () => {
+    const module = join(dir, 'nan-scoring.mjs');
+    const row = (code, final) => ({ code, label: code, raw: 10, br: 50, final });
+    writeFileSync(module, `export function score() {
+      return { title: '', rows: ${JSON.stringify([row('1', 50), row('2', null), row('8B', null)])}.map(row => ({ ...row, final: row.final ?? NaN })) };
+    }`);
+    const sheet = join(dir, 'answers.json');
+    writeFileSync(sheet, JSON.stringify(answerSheet(5)));
+    const { code, stdout, stderr } = await mcmi('score', sheet, '--module', module);
+
+    assert.equal(code, EXIT_CODES.FAILED);
+    assert.equal(stdout, '');
+    assert.match(stderr, /The script gave no number for 2, 8B/);
+  });
+
+  it('should exit with 1 and the script\'s message for an invalid report', async () => {
+    const sheet = join(dir, 'invalid.json');
+    writeFileSync(sheet, JSON.stringify(Object.fromEntries(Object.keys(answerSheet(1)).map(id => [id, 'false']))));
+    const { code, stdout, stderr } = await mcmi('score', sheet);
+
+    assert.equal(code, EXIT_CODES.FAILED);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Report is invalid!/);
+  });
+
+  it('should score a CSV batch into a results file, listing bad records', async () => {
+    const header = ['id', 'gender', 'age', 'inpatient', ...Object.keys(answerSheet(1)).map(id => `q${id}`)];
+    const row = (id, gender, seed) => [id, gender, 30, 1, ...responses(seed)];
+    const records = join(dir, 'records.csv');
+    writeFileSync(records, [header, row('A1', 'male', 2), row('A2', 'unknown', 2), row('A3', 'female', 5)].map(cells => cells.join(',')).join('\n'));
+    const output = join(dir, 'results', 'scores.jsonl');
+
+    const { code, stdout, stderr } = await mcmi('score', records, '-o', output);
+    const results = readFileSync(output, 'utf8').trimEnd().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(code, EXIT_CODES.FAILED);
+    assert.equal(stdout, `Scored 2 of 3 records into ${output}\n`);
+    assert.equal(stderr, 'line 3 (A2): Invalid gender \'unknown\' (expected male or female)\n');
+    assert.deepEqual(results.map(result => result.status), ['scored', 'error', 'scored']);
+    assert.equal(results[0].scales.find(scale => scale.code === '1').final,
+      score(answerSheet(2), { gender: 'male', age: 30 }).rows.find(row => row.code === '1').final);
+  });
+
+  it('should score a JSONL batch to stdout as CSV', async () => {
+    const records = join(dir, 'records.jsonl');
+    writeFileSync(records, `${JSON.stringify({ id: 'B1', gender: 'female', responses: answerSheet(4) })}\n`);
+    const { code, stdout } = await mcmi('score', records, '--output-format', 'csv');
+    const [header, row] = stdout.trimEnd().split('\n');
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(header, /^id,line,status,errors,gender,age,inpatient_code,omissions,valid,/);
+    assert.match(row, /^B1,1,scored,,female,,1,0,true,/);
+    assert.equal((await mcmi('score', records, '--gender', 'male')).code, EXIT_CODES.USAGE);
+  });
+
+  it('should score a sheet alike alone and in a batch, though each uses its own engine', async () => {
+    // Answer sheets with and without omitted items, for each gender and inpatient code
+    const sheets = [[2, 0], [5, 0], [4, 7], [1, 7]].flatMap(([seed, omitEvery]) => ['male', 'female'].flatMap(gender =>
+      [1, 2, 3, 4, 5].map(inpatientCode => ({ gender, age: 34, inpatientCode, answers: answerSheet(seed, { omitEvery }) }))));
+    const records = join(dir, 'agreement.jsonl');
+    writeFileSync(records, sheets.map(({ answers, ...sheet }, index) => JSON.stringify({ id: index, ...sheet, responses: answers })).join('\n'));
+    const batch = (await mcmi('score', records)).stdout.trimEnd().split('\n').map(line => JSON.parse(line));
+
+    for (const [index, sheet] of sheets.entries()) {
+      const file = join(dir, 'agreement.json');
+      writeFileSync(file, JSON.stringify(sheet));
+      const { code, stdout } = await mcmi('--json', 'score', file);
+      const single = JSON.parse(stdout);
+      const columns = scale => [scale.code, scale.raw, scale.br, scale.final];
+
+      assert.equal(code, EXIT_CODES.OK, `sheet ${index}`);
+      assert.equal(batch[index].status, 'scored', `sheet ${index}`);
+      assert.deepEqual(batch[index].scales.map(columns), single.rows.map(columns), `sheet ${index}`);
+      assert.equal(batch[index].disclosure.br, single.xScore, `sheet ${index}`);
+    }
+  });
+
+  it('should exit with 1 when the sheet cannot be read', async () => {
+    writeFileSync(join(dir, 'broken.json'), '{');
+
+    assert.equal((await mcmi('-q', 'score', join(dir, 'broken.json'))).code, EXIT_CODES.FAILED);
+    assert.equal((await mcmi('-q', 'score', join(dir, 'missing.json'))).code, EXIT_CODES.FAILED);
+  });
+});
+
+describe('mcmi extract, validate and build', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcmi-build-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should validate the repository outputs', async () => {
+    const { code, stdout } = await mcmi('--json', 'validate');
+    const { valid, targets } = JSON.parse(stdout);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(valid, true);
+    assert.deepEqual(targets.map(target => target.kind), ['outputs', 'javascript']);
+  });
+
+  it('should extract, transpile and validate into another directory', async () => {
+    const outputDir = join(dir, 'output');
+    const extracted = await mcmi('--json', 'extract', '-o', outputDir);
+    assert.equal(extracted.code, EXIT_CODES.OK);
+    assert.equal(JSON.parse(extracted.stdout).questions, 175);
+
+    // Without transpiled.js the outputs are incomplete
+    assert.equal((await mcmi('-q', 'validate', outputDir)).code, EXIT_CODES.FAILED);
+
+    const javascriptDir = join(outputDir, 'javascript');
+    await mcmi('-q', 'transpile', join(javascriptDir, 'original-vbscript.vbs'), '-o', join(javascriptDir, 'transpiled.js'));
+    assert.equal((await mcmi('-q', 'validate', outputDir)).code, EXIT_CODES.OK);
+  });
+
+  it('should exit with 1 for a file with a syntax error', async () => {
+    const file = join(dir, 'broken.js');
+    writeFileSync(file, 'function (\n');
+    const { code, stdout } = await mcmi('-q', 'validate', file);
+
+    assert.equal(code, EXIT_CODES.FAILED);
+    assert.match(stdout, /broken\.js: INVALID/);
+  });
+
+  it('should build the web app and the modern HTML page', async () => {
+    const distDir = join(dir, 'dist');
+    const page = join(dir, 'modern.html');
+
+    assert.equal((await mcmi('-q', 'build', '-o', distDir)).code, EXIT_CODES.OK);
+    assert.ok(existsSync(join(distDir, 'index.html')));
+    assert.ok(existsSync(join(distDir, 'js', 'legacy-scoring.js')));
+
+    assert.equal((await mcmi('-q', 'build', '--format', 'html', '-o', page)).code, EXIT_CODES.OK);
+    assert.equal((await mcmi('-q', 'validate', page)).code, EXIT_CODES.OK);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for printing ESTree syntax trees as JavaScript
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import CodeGenerator, { generate } from '../src/transpiler/CodeGenerator.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import {
+  identifier, literal, member, call, binary, unary, assignment, object, spread, assignmentPattern, expressionStatement,
+  variable, functionDeclaration, exportNamed, block, returnStatement, ifStatement, lineComment
+} from '../src/transpiler/ESTree.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const a = identifier('a');
+const b = identifier('b');
+const c = identifier('c');
+
+describe('CodeGenerator expressions', () => {
+  it('should parenthesize by precedence, not by the input', () => {
+    assert.equal(generate(binary('*', binary('+', a, b), c)), '(a + b) * c');
+    assert.equal(generate(binary('+', a, binary('*', b, c))), 'a + b * c');
+    assert.equal(generate(binary('-', a, binary('-', b, c))), 'a - (b - c)');
+    assert.equal(generate(binary('-', binary('-', a, b), c)), 'a - b - c');
+    assert.equal(generate(binary('||', binary('&&', a, b), c)), 'a && b || c');
+    assert.equal(generate(binary('&&', a, binary('||', b, c))), 'a && (b || c)');
+    assert.equal(generate(unary('!', binary('===', a, b))), '!(a === b)');
+  });
+
+  it('should keep operators that change meaning when printed together apart', () => {
+    assert.equal(generate(binary('**', unary('-', a), literal(2))), '(-a) ** 2');
+    assert.equal(generate(binary('**', a, binary('**', b, c))), 'a ** b ** c');
+    assert.equal(generate(unary('-', unary('-', a))), '-(-a)');
+    assert.equal(generate(unary('-', literal(-1))), '-(-1)');
+    assert.equal(generate(member(literal(1), 'toString')), '(1).toString');
+  });
+
+  it('should print calls, members and assignments', () => {
+    assert.equal(generate(call(member(identifier('vb'), 'Add'), [member(a, literal(1), true), literal(8)])), 'vb.Add(a[1], 8)');
+    assert.equal(generate(assignment(a, assignment(b, c))), 'a = b = c');
+    assert.equal(generate(call(binary('||', a, b))), '(a || b)()');
+  });
+
+  it('should print spread elements and shorthand properties', () => {
+    assert.equal(generate(object([spread(a), ['b', b], ['c', literal(1)]])), '{\n  ...a,\n  b,\n  c: 1,\n}');
+  });
+});
+
+describe('CodeGenerator modules', () => {
+  it('should print exported functions with default parameters', () => {
+    const program = {
+      type: 'Program',
+      sourceType: 'module',
+      body: [
+        functionDeclaration('f', [], block([])),
+        exportNamed(functionDeclaration('g', [a, assignmentPattern(b, object([]))], block([returnStatement(a)])))
+      ]
+    };
+
+    assert.equal(generate(program), 'function f() {}\n\nexport function g(a, b = {}) {\n  return a;\n}\n');
+  });
+});
+
+describe('CodeGenerator formatting options', () => {
+  const tree = {
+    type: 'Program',
+    body: [{
+      type: 'FunctionDeclaration',
+      id: identifier('f'),
+      params: [a],
+      body: block([ifStatement(a, block([returnStatement(literal('it\'s "quoted"'))]))])
+    }]
+  };
+
+  it('should print double quotes and two spaces by default', () => {
+    assert.equal(generate(tree), 'function f(a) {\n  if (a) {\n    return "it\'s \\"quoted\\"";\n  }\n}\n');
+  });
+
+  it('should take the quote style and indentation', () => {
+    assert.equal(generate(tree, { quotes: 'single', indent: '\t' }), 'function f(a) {\n\tif (a) {\n\t\treturn \'it\\\'s "quoted"\';\n\t}\n}\n');
+    assert.equal(generate(tree, { indent: 4 }).split('\n')[1], '    if (a) {');
+    assert.throws(() => new CodeGenerator({ quotes: 'backtick' }), /Unknown quote style/);
+  });
+
+  it('should escape control characters, backslashes and line separators', () => {
+    assert.equal(generate(literal('a\nb\\c\u0000\u2028')), '"a\\nb\\\\c\\x00\\u2028"');
+  });
+
+  it('should print comments on their own lines', () => {
+    const statement = { ...expressionStatement(assignment(a, literal(1))), leadingComments: [lineComment(' set a')] };
+    assert.equal(generate(block([statement])), '{\n  // set a\n  a = 1;\n}');
+  });
+});
+
+describe('CodeGenerator one-line If', () => {
+  const singleLine = (consequent, alternate) => ({ ...ifStatement(a, consequent, alternate), singleLine: true });
+
+  it('should print a one-line If with one simple statement on one line', () => {
+    assert.equal(generate(singleLine(block([expressionStatement(assignment(b, literal(1)))]))), 'if (a) b = 1;');
+    assert.equal(generate(singleLine(block([returnStatement(b)]))), 'if (a) return b;');
+  });
+
+  it('should keep the block for several statements, declarations, comments or an else', () => {
+    const statement = expressionStatement(assignment(b, literal(1)));
+    assert.equal(generate(singleLine(block([statement, statement]))), 'if (a) {\n  b = 1;\n  b = 1;\n}');
+    assert.equal(generate(singleLine(block([variable('let', 'b', literal(1))]))), 'if (a) {\n  let b = 1;\n}');
+    assert.equal(generate(singleLine(block([{ ...statement, trailingComments: [lineComment(' one')] }]))), 'if (a) {\n  b = 1;\n  // one\n}');
+    assert.equal(generate(singleLine(block([statement]), block([statement]))), 'if (a) {\n  b = 1;\n} else {\n  b = 1;\n}');
+    assert.equal(generate(ifStatement(a, block([statement]))), 'if (a) {\n  b = 1;\n}');
+  });
+});
+
+describe('CodeGenerator source lines', () => {
+  it('should map each line to the first node starting on it', () => {
+    const at = (node, line) => ({ ...node, loc: { start: { line, column: 0 } } });
+    const generator = new CodeGenerator();
+    const code = generator.generate({
+      type: 'Program',
+      body: [
+        at(variable('let', 'a'), 1),
+        at({
+          type: 'FunctionDeclaration',
+          id: identifier('f'),
+          params: [],
+          body: block([at(ifStatement(a, block([at(returnStatement(a), 5)])), 4)])
+        }, 3)
+      ]
+    });
+
+    assert.equal(code, 'let a;\n\nfunction f() {\n  if (a) {\n    return a;\n  }\n}\n');
+    assert.deepEqual(generator.sourceLines, [1, null, 3, 4, 5, 4, 3, null]);
+  });
+});
+
+describe('AdvancedTranspiler output format', () => {
+  const vbscript = readFileSync(join(__dirname, 'fixtures', 'vbscript', 'single-line-if-else.vbs'), 'utf8');
+
+  it('should print the same code however the VBScript is spaced', () => {
+    const tight = 'function f(a,b)\nf=a+b*(a-b)\nend function';
+    const spaced = 'function f( a , b )\n  f = a  +  b * ( a - b )\nend function';
+    // Without the header, which has the date
+    const body = vbscript => new AdvancedTranspiler().transpile(vbscript).split('\n').slice(6).join('\n');
+
+    assert.equal(body(tight), body(spaced));
+    assert.ok(body(tight).includes('return a + b * vb.Subtract(a, b);'));
+  });
+
+  it('should keep a one-line If on one line', () => {
+    const jsCode = new AdvancedTranspiler().transpile('function f(a)\nf = 0\nif a > 1 then f = a\nif a < 0 then\nf = -a\nend if\nend function');
+
+    assert.ok(jsCode.includes('  if (a > 1) returnValue = a;\n'), jsCode);
+    assert.ok(jsCode.includes('  if (a < 0) {\n    returnValue = -a;\n  }'), jsCode);
+  });
+
+  it('should apply the formatting options to the transpiled code', () => {
+    const jsCode = new AdvancedTranspiler({ indent: 4, quotes: 'single' }).transpile(vbscript);
+    // The inlined runtime library is printed as it is
+    const script = jsCode.replace(/^const vb = \(function createVBRuntime\(\) \{[\s\S]*?^\}\)\(\);$/m, '');
+
+    assert.ok(script.includes('vb.Concat(label, \'!\')'));
+    assert.ok(!/^ {2}[^ ]/m.test(script), 'Should indent by four spaces');
+    assert.ok(jsCode.includes('label = \'high, else low\';'));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the checks of transpiled JavaScript (src/comprehensive-validator.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ComprehensiveValidator from '../src/comprehensive-validator.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import Logger from '../src/logger/Logger.js';
+
+describe('ComprehensiveValidator', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcmi-validator-'));
+    // ES module output passes Node's syntax check as it does in the repository
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+    Logger.quiet = true;
+  });
+
+  after(() => {
+    Logger.quiet = false;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Validate lines of JavaScript as a transpiled.js
+   */
+  function validate(lines) {
+    const file = join(dir, 'transpiled.js');
+    writeFileSync(file, lines.join('\n'));
+    const validator = new ComprehensiveValidator();
+    validator.validate(file);
+    return validator.getResults();
+  }
+
+  it('should pass a switch that starts with a case label', () => {
+    const results = validate([
+      'function inpatient(code) {',
+      '  switch (code) {',
+      '    // OutPatient',
+      '    case 1:',
+      '      return 0;',
+      '    default:',
+      '      return 5;',
+      '  }',
+      '}'
+    ]);
+
+    assert.deepEqual(results.errors, []);
+    assert.equal(results.valid, true);
+  });
+
+  it('should report a statement before the first case label of a switch', () => {
+    const results = validate([
+      'function inpatient(code) {',
+      '  let adjust = 0;',
+      '  switch (code) {',
+      '    adjust = 5;',
+      '    case 1:',
+      '      adjust = 0;',
+      '  }',
+      '  return adjust;',
+      '}'
+    ]);
+
+    // Node's syntax check rejects it too, without saying a Case label was lost
+    assert.equal(results.errors[0], 'transpiled.js:4: Statement before first case label of switch at transpiled.js:3: adjust = 5;');
+    assert.match(results.errors[1], /^Syntax error/);
+    assert.equal(results.errors.length, 2);
+  });
+
+  it('should pass comparisons in conditions, returns and loops', () => {
+    const results = validate([
+      'function disable(k, total) {',
+      '  for (let i = 1; i <= total; i++) k.fields[i].disabled = i > 3;',
+      '  if (k.t4.disabled === false) k.t4.value = "report";',
+      '  const label = "a === b;";',
+      '  return total >= 3;',
+      '}'
+    ]);
+
+    assert.deepEqual(results.errors, []);
+  });
+
+  it('should report a statement that only compares, an assignment lost in transpilation', () => {
+    const results = validate([
+      'function disable(k) {',
+      '  k.t4.disabled === false;',
+      '  if (k.c1.checked) { k.t4.value !== ""; }',
+      '}'
+    ]);
+
+    assert.deepEqual(results.errors, [
+      'transpiled.js:2: Comparison used as a statement: k.t4.disabled === false;',
+      'transpiled.js:3: Comparison used as a statement: k.t4.value !== "";'
+    ]);
+    assert.equal(results.valid, false);
+  });
+
+  it('should name the function of an unreachable statement in ES module output', () => {
+    const vbscript = [
+      'Function second()',
+      '  second = 2',
+      'End Function',
+      'Function first()',
+      '  first = 1',
+      '  Exit Function',
+      '  first = second()',
+      'End Function'
+    ].join('\n');
+    const jsCode = new AdvancedTranspiler({ format: 'module', entryPoint: 'first' }).transpile(vbscript);
+    const lines = jsCode.split('\n');
+    const unreachable = lines.indexOf('    returnValue = second();') + 1;
+
+    // The script's functions are indented inside createScript()
+    assert.ok(unreachable > 0, jsCode);
+    assert.deepEqual(validate(lines).errors, [`transpiled.js:${unreachable}: Unreachable statement in first(): returnValue = second();`]);
+  });
+});
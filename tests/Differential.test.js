@@ -0,0 +1,102 @@
+/**
+ * Differential tests: the legacy VBScript, run by the interpreter, against its transpiled JS
+ * and the web app's engine
+ * DIFF_SHEETS and DIFF_SEED change the number of sheets and the seed, e.g. to replay a failure
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { computeRawScores, computeRawX } from '../webapp/js/scoring.js';
+import { createForm } from './harness/form-stub.js';
+import {
+  EDGE_X,
+  createRandom,
+  generateSheets,
+  createImplementations,
+  diffOutcomes,
+  findDisagreement,
+  shrinkSheet,
+  formatDisagreement
+} from './harness/differential.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const scales = JSON.parse(readFileSync(join(rootDir, 'webapp/data/scoring-keys.json'), 'utf8')).scales;
+const SHEETS = Number(process.env.DIFF_SHEETS) || 2000;
+const SEED = Number(process.env.DIFF_SEED) || 1;
+
+describe('differential scoring', () => {
+  let implementations;
+  const sheets = generateSheets(SHEETS, SEED, scales);
+
+  before(async () => {
+    implementations = await createImplementations(rootDir);
+  });
+
+  it(`should score ${SHEETS} seeded answer sheets the same in every implementation`, async () => {
+    const disagreement = await findDisagreement(implementations, sheets);
+    if (disagreement) {
+      const minimal = await shrinkSheet(implementations, disagreement);
+      assert.fail(formatDisagreement(minimal, implementations[0].name, SEED));
+    }
+  });
+
+  it('should cover both genders, every inpatient option and the edge X ranges', () => {
+    const rawX = sheets.map(sheet => computeRawX(computeRawScores(sheet.answers, sheet.gender, scales)));
+
+    assert.deepEqual(new Set(sheets.map(sheet => sheet.gender)), new Set(['male', 'female']));
+    assert.deepEqual(new Set(sheets.map(sheet => sheet.inpatientCode)), new Set([1, 2, 3, 4, 5]));
+    assert.deepEqual(EDGE_X.filter(x => !rawX.includes(x)), []);
+    assert.ok(sheets.some(sheet => Object.keys(sheet.answers).length < 175), 'Some items unanswered');
+  });
+});
+
+describe('differential harness', () => {
+  it('should generate the same sheets from the same seed', () => {
+    assert.deepEqual(generateSheets(8, 7, scales), generateSheets(8, 7, scales));
+    assert.notDeepEqual(createRandom(1)(), createRandom(2)());
+  });
+
+  it('should build a form the legacy script can read through k', () => {
+    const k = createForm({ answers: { 62: 'true', 90: 'false' }, gender: 'male', age: 40, inpatientCode: 3 });
+
+    assert.equal(k.elements.r62[1].checked, true);
+    assert.equal(k.elements.r90[0].checked, true);
+    assert.equal(k.elements.r152[0].checked || k.elements.r152[1].checked, false);
+    assert.equal(k.elements.radgender[1].checked, true);
+    assert.equal(k.t3.value, '40');
+    assert.equal(k.d1.value, '3');
+    assert.equal(k.t4.disabled, true);
+  });
+
+  it('should diff the correction chain field by field', () => {
+    const row = { raw: 20, br: 67, afterX: 62, afterHalfX: null, daAdj: null, ddAdj: null, dcAdj: null, inpAdj: null, final: 62 };
+    const expected = { valid: true, xScore: 35, rows: { S: row } };
+
+    assert.deepEqual(diffOutcomes(expected, structuredClone(expected)), []);
+    assert.deepEqual(diffOutcomes(expected, { ...expected, rows: { S: { ...row, final: NaN } } }),
+      [{ field: 'S.final', expected: 62, actual: NaN }]);
+    assert.deepEqual(diffOutcomes(expected, { valid: false }), [{ field: 'valid', expected: true, actual: false }]);
+  });
+
+  it('should shrink a failing sheet to the answers that cause it', async () => {
+    const outcome = sheet => ({ valid: true, xScore: sheet.answers[12] === 'true' ? 1 : 0, rows: {} });
+    const implementations = [
+      { name: 'reference', score: async () => outcome({ answers: {} }) },
+      { name: 'broken', score: async sheet => outcome(sheet) }
+    ];
+    const [sheet] = generateSheets(1, 3, scales);
+    sheet.answers[12] = 'true';
+
+    const minimal = await shrinkSheet(implementations, await findDisagreement(implementations, [sheet]));
+
+    assert.deepEqual(minimal.sheet.answers, { 12: 'true' });
+    assert.equal(minimal.sheet.inpatientCode, 1);
+    assert.match(formatDisagreement(minimal, 'reference', 3), /broken disagrees with reference[\s\S]*true: 12\n/);
+  });
+});
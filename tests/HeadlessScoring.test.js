@@ -0,0 +1,55 @@
+/**
+ * Tests for the legacy scoring functions transpiled with form access through a context
+ * The original VBScript runs without a document and is checked against the web app's scoring module
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import PostProcessor from '../src/transpiler/PostProcessor.js';
+import { computeRawScores } from '../webapp/js/scoring.js';
+import { scales, answerSheet } from './harness/fixtures.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const vbscript = readFileSync(join(rootDir, 'output/javascript/original-vbscript.vbs'), 'utf8');
+
+/**
+ * Transpile the legacy script in context mode and load its scale functions
+ */
+function loadScoring() {
+  const transpiler = new AdvancedTranspiler({ formAccess: 'context' });
+  const jsCode = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscript)));
+  const names = scales.map(scale => scale.function);
+  return new Function(`'use strict';\n${jsCode}\nreturn { ${names.join(', ')}, w };`)();
+}
+
+describe('headless legacy scoring', () => {
+  const scoring = loadScoring();
+
+  for (const gender of ['male', 'female']) {
+    it(`should match the scoring module's raw scores for ${gender} answer sheets`, () => {
+      for (const seed of [1, 2, 5]) {
+        const answers = answerSheet(seed, { omitEvery: 7 });
+        const expected = computeRawScores(answers, gender, scales);
+
+        for (const scale of scales) {
+          const raw = scoring[scale.function]({ answers, gender });
+          assert.equal(raw, expected[scale.code], `${scale.function}() for seed ${seed}`);
+        }
+      }
+    });
+  }
+
+  it('should store raw scores in the shared w array', () => {
+    const answers = answerSheet(2, { omitEvery: 7 });
+    scoring.one({ answers, gender: 'male' });
+
+    assert.equal(scoring.w[3], computeRawScores(answers, 'male', scales)['1']);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the web app's rapid entry of paper answer sheets (webapp/js/rapid-entry.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { EntryGrid, KEY_MAPPINGS, answerForKey, compareEntries } from '../webapp/js/rapid-entry.js';
+
+/**
+ * Press each key in turn
+ */
+function type(grid, keys) {
+  return keys.map(key => grid.handleKey(key));
+}
+
+describe('Rapid entry', () => {
+  it('should map the keys of every mapping to answers, ignoring case', () => {
+    assert.equal(answerForKey('T', 'tf'), 'true');
+    assert.equal(answerForKey('f', 'tf'), 'false');
+    assert.equal(answerForKey('1', 'numeric'), 'true');
+    assert.equal(answerForKey('2', 'numeric'), 'false');
+    assert.equal(answerForKey('y', 'yn'), 'true');
+    assert.equal(answerForKey('N', 'yn'), 'false');
+    assert.equal(answerForKey('T', 'numeric'), null);
+    assert.equal(answerForKey('Enter', 'tf'), null);
+  });
+
+  it('should record an answer and advance to the next item', () => {
+    const grid = new EntryGrid(175, 'tf');
+    type(grid, ['t', 'F', 't']);
+
+    assert.deepEqual(grid.answers, { 1: 'true', 2: 'false', 3: 'true' });
+    assert.equal(grid.cursor, 3);
+    assert.equal(grid.keyFor(2), 'F');
+    assert.equal(grid.keyFor(4), '');
+  });
+
+  it('should go back and clear the previous item on backspace', () => {
+    const grid = new EntryGrid(175, 'numeric');
+    type(grid, ['1', '2', 'Backspace']);
+
+    assert.deepEqual(grid.answers, { 1: 'true' });
+    assert.equal(grid.cursor, 1);
+
+    type(grid, ['1']);
+    assert.deepEqual(grid.answers, { 1: 'true', 2: 'true' });
+  });
+
+  it('should not clear the first item on backspace', () => {
+    const grid = new EntryGrid(175, 'tf');
+    grid.answers[1] = 'true';
+
+    assert.equal(grid.handleKey('Backspace'), true);
+    assert.deepEqual(grid.answers, { 1: 'true' });
+    assert.equal(grid.cursor, 0);
+  });
+
+  it('should clear the last item in place on backspace once it is answered', () => {
+    const grid = new EntryGrid(175, 'tf');
+    type(grid, Array(175).fill('t'));
+    assert.equal(grid.cursor, 174);
+
+    type(grid, ['Backspace']);
+    assert.equal(grid.answers[175], undefined);
+    assert.equal(grid.answers[174], 'true');
+    assert.equal(grid.cursor, 174);
+
+    type(grid, ['Backspace']);
+    assert.equal(grid.answers[174], undefined);
+    assert.equal(grid.cursor, 173);
+  });
+
+  it('should leave an item blank on space and move with the arrow keys', () => {
+    const grid = new EntryGrid(175, 'yn');
+    grid.answers[2] = 'true';
+    type(grid, ['y', ' ', 'ArrowLeft']);
+
+    assert.deepEqual(grid.answers, { 1: 'true' });
+    assert.equal(grid.cursor, 1);
+    assert.deepEqual(type(grid, ['ArrowRight', 'x']), [true, false]);
+    assert.equal(grid.cursor, 2);
+  });
+
+  it('should stay on the grid at the first and the last item', () => {
+    const grid = new EntryGrid(3, 'tf');
+    type(grid, ['Backspace', 'ArrowUp']);
+    assert.equal(grid.cursor, 0);
+
+    type(grid, ['t', 't', 't', 'f']);
+    assert.deepEqual(grid.answers, { 1: 'true', 2: 'true', 3: 'false' });
+    assert.equal(grid.cursor, 2);
+  });
+
+  it('should show the keys of the current mapping', () => {
+    const grid = new EntryGrid(175, 'tf');
+    type(grid, ['t', 'f']);
+    grid.mapping = 'numeric';
+
+    assert.equal(grid.keyFor(1), '1');
+    assert.equal(grid.keyFor(2), '2');
+  });
+
+  it('should report the items where two keyings differ', () => {
+    const first = new EntryGrid(5, 'tf');
+    const second = new EntryGrid(5, 'tf');
+    type(first, ['t', 'f', ' ', 't', 'f']);
+    type(second, ['t', 't', 'f', 't', 'f']);
+
+    assert.deepEqual(compareEntries(first.answers, second.answers, 5), [
+      { item: 2, first: 'false', second: 'true' },
+      { item: 3, first: null, second: 'false' }
+    ]);
+    assert.deepEqual(compareEntries(first.answers, { ...first.answers }, 5), []);
+  });
+
+  it('should offer every key mapping in the web app and both locales', () => {
+    const html = readFileSync(new URL('../webapp/index.html', import.meta.url), 'utf8');
+    const select = html.match(/<select id="entry-mapping"[\s\S]*?<\/select>/)[0];
+    const options = [...select.matchAll(/value="([^"]+)"/g)].map(match => match[1]);
+    assert.deepEqual(options, Object.keys(KEY_MAPPINGS));
+
+    for (const language of ['en', 'fa']) {
+      const locale = JSON.parse(readFileSync(new URL(`../webapp/locales/${language}.json`, import.meta.url), 'utf8'));
+      assert.equal(typeof locale.entry.help, 'string', language);
+      assert.equal(typeof locale.welcome.form.entry, 'string', language);
+    }
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the shared report template
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { REPORT_COLUMNS, escapeHTML, renderResultsTable, renderValidity, renderReport } from '../webapp/js/report-template.js';
+import { FileDownloader } from '../webapp/js/file-downloader.js';
+import { REPORT_ROW_FIELDS } from '../src/transpiler/PostProcessor.js';
+
+const row = {
+  code: 'S', label: 'Schizotypal', raw: 20, br: 67, afterX: 62, afterHalfX: 64,
+  daAdj: null, ddAdj: null, dcAdj: null, inpAdj: null, final: 62
+};
+
+describe('report template', () => {
+  it('should have a column for every results row field after code and label', () => {
+    assert.deepEqual(REPORT_COLUMNS.map(column => column.key), REPORT_ROW_FIELDS.slice(2));
+  });
+
+  it('should render one table row per results row, with empty cells for skipped corrections', () => {
+    const html = renderResultsTable([row, { ...row, code: 'C', label: 'Borderline' }]);
+
+    assert.equal((html.match(/<tr>/g) || []).length, 3);
+    assert.ok(html.includes('<td>S</td><th scope="row">Schizotypal</th><td>20</td><td>67</td><td>62</td><td>64</td><td></td>'));
+    assert.ok(html.includes('<td class="score-value">62</td>'));
+  });
+
+  it('should escape the title and message', () => {
+    const html = renderReport({ title: '<script>', rows: [], xScore: 0, message: 'Report is done!' });
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('&lt;script&gt;'));
+    assert.ok(html.includes('X (Disclosure): 0'));
+    assert.equal(escapeHTML(undefined), '');
+  });
+
+  it('should render the downloaded report table from the same rows', () => {
+    const html = FileDownloader.generateReport({
+      name: 'Test', age: 40, code: '1', gender: 'male',
+      scores: [{ ...row, name: row.label, value: row.final }]
+    });
+
+    assert.ok(html.includes(renderResultsTable([row])));
+  });
+
+  it('should render the validity status and a translated line per flag', () => {
+    const validity = {
+      status: 'invalid',
+      flags: [{ rule: 'v-scale', severity: 'invalid', messageKey: 'validity.v_invalid', values: { raw: 2 } }]
+    };
+    const translate = (key, params = {}) => `${key}${params.raw === undefined ? '' : `<${params.raw}>`}`;
+    const html = renderValidity(validity, translate);
+
+    assert.match(html, /^<section class="validity validity-invalid"/);
+    assert.ok(html.includes('<h2>validity.title: validity.status.invalid</h2>'));
+    assert.ok(html.includes('<li class="validity-flag validity-invalid"><strong>validity.severity.invalid</strong> validity.v_invalid&lt;2&gt;</li>'));
+    assert.ok(renderValidity({ status: 'valid', flags: [] }).includes('<p>validity.none</p>'));
+  });
+
+  it('should put the validity section before the scores in the downloaded report', () => {
+    const html = FileDownloader.generateReport({
+      name: 'Test', age: 40, code: '1', gender: 'male',
+      scores: [{ ...row, name: row.label, value: row.final }],
+      inpatientCode: 3,
+      validity: { status: 'valid', flags: [] },
+      omissions: { count: 2, items: [7, 120] }
+    });
+
+    assert.ok(html.includes('<p><strong>Episode:</strong> 1-4 Weeks</p>'));
+    assert.ok(html.includes('<p><strong>Omitted items:</strong> 2 (7, 120)</p>'));
+    assert.ok(html.indexOf('<section class="validity validity-valid"') < html.indexOf(renderResultsTable([row])));
+  });
+
+  it('should write the validity section of the English report in English in any app language', async () => {
+    // i18n.js reads the saved language from localStorage when it loads
+    globalThis.localStorage ??= { getItem: () => null, setItem: () => {} };
+    const { default: i18n } = await import('../webapp/js/i18n.js');
+    for (const language of ['en', 'fa']) {
+      i18n.translations[language] = JSON.parse(readFileSync(new URL(`../webapp/locales/${language}.json`, import.meta.url), 'utf8'));
+    }
+    i18n.currentLang = 'fa';
+
+    const html = FileDownloader.generateReport({
+      name: 'Test', age: 40, code: '1', gender: 'male', scores: [],
+      validity: { status: 'valid', flags: [] }
+    }, (key, params) => i18n.t(key, params, 'en'));
+
+    assert.ok(html.includes('<html lang="en">'));
+    assert.ok(html.includes(`<h2>Profile Validity: ${i18n.translations.en.validity.status.valid}</h2>`));
+    assert.notEqual(i18n.t('validity.title'), 'Profile Validity');
+  });
+});
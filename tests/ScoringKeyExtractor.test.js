@@ -0,0 +1,68 @@
+/**
+ * Tests for ScoringKeyExtractor
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import VBScriptExtractor from '../src/parser/VBScriptExtractor.js';
+import AdvancedVBScriptParser from '../src/parser/AdvancedVBScriptParser.js';
+import ScoringKeyExtractor, { SCORING_KEYS_VERSION } from '../src/parser/ScoringKeyExtractor.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+function parseFunctions() {
+  const extractor = new VBScriptExtractor(join(rootDir, 'MCMI2_DRS.html'));
+  const parser = new AdvancedVBScriptParser(extractor.extract().code);
+  return parser.parse().functions;
+}
+
+describe('ScoringKeyExtractor', () => {
+  const functions = parseFunctions();
+
+  it('should extract all 25 scales in legacy report order', () => {
+    const keys = new ScoringKeyExtractor(functions).extract();
+
+    assert.equal(keys.version, SCORING_KEYS_VERSION);
+    assert.equal(keys.scales.length, 25);
+    assert.deepEqual(
+      keys.scales.map(scale => scale.index),
+      Array.from({ length: 25 }, (_, i) => i + 1)
+    );
+    assert.equal(keys.scales[0].code, 'Y');
+    assert.equal(keys.scales[24].code, 'V');
+  });
+
+  it('should extract items, weights and per-gender caps', () => {
+    const keys = new ScoringKeyExtractor(functions).extract();
+    const desirability = keys.scales.find(scale => scale.code === 'Y');
+    const validity = keys.scales.find(scale => scale.code === 'V');
+
+    assert.equal(desirability.label, 'Desirability');
+    assert.deepEqual(desirability.caps, { male: 22, female: 21 });
+    assert.deepEqual(desirability.items[0], { item: 4, answer: 'true', weight: 1 });
+    assert.deepEqual(validity.items.map(item => item.item), [62, 90, 152, 169]);
+
+    const weights = new Set(keys.scales.flatMap(scale => scale.items.map(item => item.weight)));
+    assert.deepEqual([...weights].sort(), [1, 2, 3], 'Items should be weighted 1 to 3');
+  });
+
+  it('should match the generated scoring-keys.json files', () => {
+    const keys = new ScoringKeyExtractor(functions).extract();
+
+    ['output/json/scoring-keys.json', 'webapp/data/scoring-keys.json'].forEach(file => {
+      const generated = JSON.parse(readFileSync(join(rootDir, file), 'utf8'));
+      assert.deepEqual(generated, keys, `${file} should be up to date`);
+    });
+  });
+
+  it('should fail when a scale function is missing', () => {
+    const withoutY = functions.filter(func => func.name !== 'y');
+
+    assert.throws(() => new ScoringKeyExtractor(withoutY).extract(), /Scale functions not found for: Y/);
+  });
+});
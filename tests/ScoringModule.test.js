@@ -0,0 +1,147 @@
+/**
+ * Tests for the ES module output of the transpiler (webapp/js/legacy-scoring.js)
+ * The module is imported as the web app and Node scripts import it
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import PostProcessor from '../src/transpiler/PostProcessor.js';
+import AssessmentEngine from '../webapp/js/assessment-engine.js';
+import { computeRawScores } from '../webapp/js/scoring.js';
+import * as legacyScoring from '../webapp/js/legacy-scoring.js';
+import { scoringKeys, baseRates, scales, answerSheet } from './harness/fixtures.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const vbscript = readFileSync(join(rootDir, 'output/javascript/original-vbscript.vbs'), 'utf8');
+
+/**
+ * Transpile VBScript into an ES module and import it
+ */
+function importModule(code, options = {}) {
+  const transpiler = new AdvancedTranspiler({ ...options, format: 'module' });
+  const jsCode = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(code)));
+  return import(`data:text/javascript;base64,${Buffer.from(jsCode).toString('base64')}`);
+}
+
+const demographics = { name: 'Test', code: '7', age: 34, gender: 'female', inpatientCode: 2 };
+
+describe('ES module output', () => {
+  it('should export score() and the scale and BR lookup functions, nothing else', () => {
+    const lookups = Object.keys(baseRates.tables).flatMap(code => {
+      const name = scales.find(scale => scale.code === code).function;
+      return [`check${name}br`, `checkf${name}br`];
+    });
+    const expected = ['score', ...scales.map(scale => scale.function), ...lookups];
+
+    assert.deepEqual(Object.keys(legacyScoring).sort(), expected.sort());
+  });
+
+  it('should be what the transpiler generates now', () => {
+    const transpiler = new AdvancedTranspiler({ format: 'module' });
+    const jsCode = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscript)));
+    // Without the date line
+    const body = code => code.split('\n').filter(line => !line.startsWith(' * Date:')).join('\n');
+
+    assert.equal(body(readFileSync(join(rootDir, 'webapp/js/legacy-scoring.js'), 'utf8')), body(jsCode));
+  });
+
+  it('should score a sheet like the web app\'s scoring', async () => {
+    const engine = new AssessmentEngine(scoringKeys);
+    await engine.setBaseRateTables(baseRates);
+    const answers = answerSheet(2);
+    Object.entries(answers).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+    engine.setDemographics(demographics);
+    const expected = engine.calculateScores();
+
+    const results = legacyScoring.score(answers, demographics);
+    assert.equal(results.rows.length, 24);
+    for (const row of results.rows) {
+      const scale = expected.find(scale => scale.code === row.code);
+      assert.equal(row.raw, scale.raw, `raw ${row.code}`);
+      assert.equal(row.br, scale.br, `br ${row.code}`);
+      assert.equal(row.final, scale.final, `final ${row.code}`);
+    }
+    assert.deepEqual(await engine.scoreWithLegacyScript(), results);
+  });
+
+  it('should score an outpatient, as the form does, when the demographics leave out the inpatient code', () => {
+    const { inpatientCode, ...withoutCode } = demographics;
+    const results = legacyScoring.score(answerSheet(2), withoutCode);
+
+    assert.equal(inpatientCode, 2);
+    assert.equal(results.rows.length, 24);
+    assert.ok(results.rows.every(row => Number.isFinite(row.final)), JSON.stringify(results.rows));
+    assert.deepEqual(results, legacyScoring.score(answerSheet(2), { ...withoutCode, inpatientCode: 1 }));
+  });
+
+  it('should start every call from fresh globals', () => {
+    const first = legacyScoring.score(answerSheet(1), { ...demographics, gender: 'male' });
+    legacyScoring.score(answerSheet(5), demographics);
+
+    assert.deepEqual(legacyScoring.score(answerSheet(1), { ...demographics, gender: 'male' }), first);
+  });
+
+  it('should run the scale functions on the answers', () => {
+    const answers = answerSheet(5);
+    const expected = computeRawScores(answers, 'male', scales);
+
+    for (const scale of scales) {
+      assert.equal(legacyScoring[scale.function](answers, { gender: 'male' }), expected[scale.code], `${scale.function}()`);
+    }
+  });
+
+  it('should look up base rates', () => {
+    const { male, female } = baseRates.tables['1'];
+
+    assert.equal(legacyScoring.checkonebr(10), male[10]);
+    assert.equal(legacyScoring.checkfonebr(10), female[10]);
+  });
+
+  it('should pass message boxes to the alert option', () => {
+    const messages = [];
+    const answers = Object.fromEntries(Object.keys(answerSheet(1)).map(id => [id, 'false']));
+    const results = legacyScoring.score(answers, demographics, { alert: message => messages.push(message) });
+
+    assert.equal(results.rows.length, 0);
+    assert.match(messages[0], /Report is invalid!/);
+    assert.doesNotThrow(() => legacyScoring.score(answers, demographics));
+  });
+});
+
+describe('ES module transpilation', () => {
+  const vbscript = [
+    'Dim total',
+    'Function double(n)',
+    '  double = n * 2',
+    'End Function',
+    'Function first()',
+    '  first = k.r1(1).checked',
+    'End Function',
+    'Function report()',
+    '  total = double(k.t3.value)',
+    '  report = total + 1',
+    'End Function'
+  ].join('\n');
+
+  it('should keep the script\'s globals inside the module', async () => {
+    const module = await importModule(vbscript, { entryPoint: 'report' });
+
+    assert.deepEqual(Object.keys(module).sort(), ['double', 'first', 'report', 'score']);
+    assert.equal(module.first({ 1: 'true' }), true);
+    assert.equal(module.double(4), 8);
+    assert.equal(module.score({}, { age: 5 }), 11);
+    assert.equal(module.report({}, { age: 1 }), 3);
+  });
+
+  it('should check the entry point and the format', () => {
+    assert.throws(() => new AdvancedTranspiler({ format: 'umd' }), /Unknown output format 'umd'/);
+    assert.throws(() => new AdvancedTranspiler({ format: 'module' }).transpileToAST(vbscript), /Entry point buttclick\(\) not found/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the web app's session store (webapp/js/session-store.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionStore, SESSION_TTL, isExpired } from '../webapp/js/session-store.js';
+import AssessmentEngine from '../webapp/js/assessment-engine.js';
+import { createIndexedDB } from './harness/indexeddb-stub.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A store on an empty database, with a clock the test moves
+ */
+function createStore() {
+  const clock = { time: Date.UTC(2025, 0, 1) };
+  const store = new SessionStore({ indexedDB: createIndexedDB(), now: () => clock.time });
+  return { store, clock };
+}
+
+describe('SessionStore', () => {
+  it('should save a new session and update it under the same id', async () => {
+    const { store, clock } = createStore();
+
+    const created = await store.save({ demographics: { name: 'A', gender: 'male' }, answers: { 1: 'true' }, currentQuestionIndex: 1 });
+    clock.time += 1000;
+    const updated = await store.save({ ...created, answers: { 1: 'true', 2: 'false' }, currentQuestionIndex: 2 });
+
+    assert.equal(typeof created.id, 'string');
+    assert.equal(updated.id, created.id);
+    assert.equal(updated.createdAt, created.createdAt);
+    assert.equal(updated.updatedAt, created.updatedAt + 1000);
+    assert.deepEqual(await store.get(created.id), updated);
+    assert.equal((await store.list()).length, 1);
+  });
+
+  it('should list sessions most recently saved first and discard them', async () => {
+    const { store, clock } = createStore();
+    const first = await store.save({ demographics: {}, answers: {} });
+    clock.time += 1000;
+    const second = await store.save({ demographics: {}, answers: {} });
+
+    assert.deepEqual((await store.list()).map(session => session.id), [second.id, first.id]);
+
+    await store.discard(second.id);
+    assert.deepEqual((await store.list()).map(session => session.id), [first.id]);
+    assert.equal(await store.get(second.id), null);
+  });
+
+  it('should delete sessions not saved for the time to live', async () => {
+    const { store, clock } = createStore();
+    const old = await store.save({ demographics: {}, answers: {} });
+    clock.time += SESSION_TTL - DAY;
+    const recent = await store.save({ demographics: {}, answers: {} });
+    clock.time += DAY;
+
+    assert.deepEqual((await store.list()).map(session => session.id), [recent.id]);
+    clock.time += SESSION_TTL;
+    assert.equal(await store.get(recent.id), null);
+    assert.deepEqual(await store.list(), []);
+    assert.equal(isExpired(old, old.updatedAt + SESSION_TTL - 1), false);
+  });
+
+  it('should copy the state, so later answers do not change a saved session', async () => {
+    const { store } = createStore();
+    const answers = { 1: 'true' };
+    const { id } = await store.save({ demographics: { gender: 'female' }, answers });
+    answers[2] = 'false';
+
+    assert.deepEqual((await store.get(id)).answers, { 1: 'true' });
+  });
+
+  it('should restore a saved session into the engine', async () => {
+    const { store } = createStore();
+    const { id } = await store.save({ demographics: { gender: 'male', inpatientCode: 3 }, answers: { 1: 'true', 2: 'false' }, flagged: [2], currentQuestionIndex: 2 });
+    const engine = new AssessmentEngine();
+    engine.recordAnswer(5, 'true');
+
+    engine.restore(await store.get(id));
+
+    assert.deepEqual(engine.answers, { 1: 'true', 2: 'false' });
+    assert.deepEqual(engine.demographics, { gender: 'male', inpatientCode: 3 });
+    assert.deepEqual(engine.getFlagged(), [2]);
+  });
+
+  it('should report whether IndexedDB is available', () => {
+    assert.equal(new SessionStore({ indexedDB: null }).isSupported(), false);
+    assert.equal(createStore().store.isSupported(), true);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the transpiled.js -> original-vbscript.vbs source map
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import SourceMap from '../src/transpiler/SourceMap.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import PostProcessor from '../src/transpiler/PostProcessor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, '..');
+
+describe('SourceMap', () => {
+  it('should encode one segment per mapped line as v3 mappings', () => {
+    const map = new SourceMap({ file: 'out.js', source: 'in.vbs', lines: [null, 1, 2, 5, 2, 103] });
+
+    assert.deepEqual(map.toJSON(), {
+      version: 3,
+      file: 'out.js',
+      sources: ['in.vbs'],
+      names: [],
+      mappings: ';AAAA;AACA;AAGA;AAHA;AAqGA'
+    });
+  });
+
+  it('should read back the lines it wrote', () => {
+    const lines = [null, 1, 2, 5, null, 2, 103];
+    const map = SourceMap.fromJSON(new SourceMap({ file: 'out.js', source: 'in.vbs', lines }).toString());
+
+    assert.deepEqual(map.lines, lines);
+    assert.deepEqual(map.originalPosition(4), { source: 'in.vbs', line: 5 });
+    assert.equal(map.originalPosition(1), null);
+    assert.equal(map.originalPosition(99), null);
+  });
+});
+
+describe('AdvancedTranspiler source map', () => {
+  const vbscript = [
+    'dim total',
+    '',
+    'function add(a, b)',
+    '  add=a+b',
+    'end function',
+    '',
+    'sub run()',
+    '  select case total',
+    '    case 1',
+    '      total=add(total, 1)',
+    '    case else',
+    '      total=0',
+    '  end select',
+    'end sub'
+  ].join('\n');
+
+  function mappedLines(code, map) {
+    const lines = code.split('\n');
+    return Object.fromEntries(lines
+      .map((line, index) => [line.trim(), map.originalPosition(index + 1)])
+      .filter(([line, original]) => line && original)
+      .map(([line, original]) => [line, original.line]));
+  }
+
+  it('should map generated lines to the VBScript lines they came from', () => {
+    const transpiler = new AdvancedTranspiler();
+    const code = transpiler.transpile(vbscript);
+    const map = transpiler.getSourceMap();
+    const lines = mappedLines(code, map);
+
+    assert.equal(map.file, 'transpiled.js');
+    assert.equal(map.source, 'original-vbscript.vbs');
+    assert.equal(map.lines.length, code.split('\n').length);
+    assert.equal(lines['let total;'], 1);
+    assert.equal(lines['function add(a, b) {'], 3);
+    assert.equal(lines['return a + b;'], 4);
+    assert.equal(lines['function run() {'], 7);
+    assert.equal(lines['case 1:'], 9);
+    assert.equal(lines['total = add(total, 1);'], 10);
+    assert.equal(lines['default:'], 11);
+    assert.equal(lines['total = 0;'], 12);
+  });
+
+  it('should keep the mapping through post-processing', () => {
+    const transpiler = new AdvancedTranspiler();
+    const processed = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscript)));
+
+    assert.equal(mappedLines(processed, transpiler.getSourceMap())['total = 0;'], 12);
+  });
+
+  it('should ship a map for transpiled.js that points at original-vbscript.vbs', () => {
+    const jsPath = join(rootDir, 'output/javascript/transpiled.js');
+    const js = readFileSync(jsPath, 'utf8').split('\n');
+    const vbs = readFileSync(join(rootDir, 'output/javascript/original-vbscript.vbs'), 'utf8').split('\n');
+    const map = SourceMap.load(jsPath);
+
+    assert.ok(js.includes('//# sourceMappingURL=transpiled.js.map'));
+    assert.equal(map.source, 'original-vbscript.vbs');
+
+    const index = js.findIndex(line => line.trim() === 'afterall[i] = rawbr[i];');
+    const original = map.originalPosition(index + 1);
+    assert.equal(vbs[original.line - 1].trim(), 'afterall(i)=rawbr(i)');
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Tests for the VBScript runtime library and the transpiler's use of it
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import vb, { Int, Fix, Round, CInt, CDbl, IsNumeric, Mid, Left, Len, Trim, Add, Subtract, Concat, Compare, createVBRuntime } from '../src/runtime/vbruntime.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+
+describe('vbruntime', () => {
+  it('Int rounds down and Fix truncates, which differ on negatives', () => {
+    assert.equal(Int(2.7), 2);
+    assert.equal(Int(-2.5), -3);
+    assert.equal(Fix(2.7), 2);
+    assert.equal(Fix(-2.5), -2);
+    assert.ok(Object.is(Fix(-0.5), 0), 'No negative zero');
+    assert.equal(Int('3.9'), 3);
+    assert.equal(Int(undefined), 0);
+  });
+
+  it("Round uses banker's rounding", () => {
+    assert.equal(Round(2.5), 2);
+    assert.equal(Round(3.5), 4);
+    assert.equal(Round(-2.5), -2);
+    assert.equal(Round(2.6), 3);
+    assert.equal(Round(-2.6), -3);
+    assert.equal(Round(1.25, 1), 1.2);
+    assert.equal(Round('4.5'), 4);
+  });
+
+  it('CInt rounds like Round and overflows outside the Integer range', () => {
+    assert.equal(CInt(0.5), 0);
+    assert.equal(CInt(1.5), 2);
+    assert.equal(CInt(' 12 '), 12);
+    assert.equal(CInt(true), -1);
+    assert.throws(() => CInt(32768), /Overflow/);
+    assert.throws(() => CInt('abc'), /Type mismatch/);
+  });
+
+  it('CDbl converts numeric strings and rejects others', () => {
+    assert.equal(CDbl('1.5'), 1.5);
+    assert.equal(CDbl(null), 0);
+    assert.equal(CDbl(false), 0);
+    assert.throws(() => CDbl(''), /Type mismatch/);
+    assert.throws(() => CDbl('12a'), /Type mismatch/);
+  });
+
+  it('IsNumeric accepts numbers, numeric strings and Empty', () => {
+    assert.equal(IsNumeric(42), true);
+    assert.equal(IsNumeric(' 42 '), true);
+    assert.equal(IsNumeric('1e3'), true);
+    assert.equal(IsNumeric(undefined), true);
+    assert.equal(IsNumeric(''), false);
+    assert.equal(IsNumeric('abc'), false);
+  });
+
+  it('Mid and Left take 1-based positions and lengths', () => {
+    assert.equal(Mid('MCMI-II', 6), 'II');
+    assert.equal(Mid('MCMI-II', 1, 4), 'MCMI');
+    assert.equal(Mid('MCMI', 10, 2), '');
+    assert.throws(() => Mid('MCMI', 0), /Invalid procedure call/);
+    assert.equal(Left('MCMI-II', 4), 'MCMI');
+    assert.equal(Left('MC', 10), 'MC');
+    assert.throws(() => Left('MCMI', -1), /Invalid procedure call/);
+  });
+
+  it('Len measures the text of any variant', () => {
+    assert.equal(Len('abc'), 3);
+    assert.equal(Len(123), 3);
+    assert.equal(Len(true), 4);
+    assert.equal(Len(undefined), 0);
+  });
+
+  it('Trim removes spaces only', () => {
+    assert.equal(Trim('  40  '), '40');
+    assert.equal(Trim('\t40\n'), '\t40\n');
+    assert.equal(Trim(undefined), '');
+  });
+
+  it('Add treats Empty as 0 and concatenates only two strings', () => {
+    assert.equal(Add(undefined, 8), 8);
+    assert.equal(Add(61, null), 61);
+    assert.equal(Add(undefined, undefined), 0);
+    assert.equal(Add(undefined, 'a'), 'a');
+    assert.equal(Add('1', '2'), '12');
+    assert.equal(Add('1', 2), 3);
+    assert.equal(Add(true, 1), 0);
+    assert.throws(() => Add('', 4), /Type mismatch/);
+  });
+
+  it('Subtract treats Empty as 0', () => {
+    assert.equal(Subtract(undefined, 5), -5);
+    assert.equal(Subtract(8, null), 8);
+    assert.equal(Subtract(undefined, undefined), 0);
+    assert.equal(Subtract('10', 2.5), 7.5);
+  });
+
+  it('Concat joins every variant as text, Empty and Null as the empty string', () => {
+    assert.equal(Concat(undefined, 34, ' ساله'), '34 ساله');
+    assert.equal(Concat(null, null), '');
+    assert.equal(Concat(1, 2), '12');
+    assert.equal(Concat('X: ', 2.5, true), 'X: 2.5True');
+  });
+
+  it('Compare converts a string to a number against a numeric literal', () => {
+    assert.equal(Compare('150', 120, 'right'), 1);
+    assert.equal(Compare('9', 13, 'right'), -1);
+    assert.equal(Compare('1', 1, 'right'), 0);
+    assert.throws(() => Compare('abc', 1, 'right'), /Type mismatch/);
+  });
+
+  it('Compare converts a number to a string against a string literal', () => {
+    assert.equal(Compare(9, '13', 'right'), 1);
+    assert.equal(Compare('', 40, 'left'), -1);
+  });
+
+  it('Compare puts numbers before strings when neither is a literal', () => {
+    assert.equal(Compare(500, '1'), -1);
+    assert.equal(Compare('1', 500), 1);
+    assert.equal(Compare('abc', 'abd'), -1);
+    assert.equal(Compare(2, 10), -1);
+  });
+
+  it('Compare treats Empty as 0 or the empty string', () => {
+    assert.equal(Compare(undefined, 0), 0);
+    assert.equal(Compare(undefined, ''), 0);
+    assert.equal(Compare(null, -1), 1);
+    assert.equal(Compare(undefined, undefined), 0);
+    assert.equal(Compare(true, -1), 0);
+  });
+
+  it('should build a self-contained runtime from the factory source', () => {
+    const inlined = new Function(`return (${createVBRuntime.toString()})();`)();
+
+    assert.deepEqual(Object.keys(inlined), Object.keys(vb));
+    assert.equal(inlined.Round(2.5), 2);
+  });
+});
+
+describe('AdvancedTranspiler runtime calls', () => {
+  const vbscript = [
+    'function ddadjust()',
+    'dd=(rawbr(1)-rawbr(2))/10',
+    'if abs(dd-round(dd))=.5 then',
+    'if dd=abs(dd) then',
+    'dd=dd+.1',
+    'else',
+    'dd=dd-.1',
+    'end if',
+    'end if',
+    'ddadjust=round(dd)',
+    'end function',
+    'function agecheck()',
+    'if k.t3.value="" then',
+    'agecheck="empty"',
+    'elseif not isnumeric(k.t3.value) then',
+    'agecheck="text"',
+    'elseif k.t3.value>120 or k.t3.value<13 then',
+    'agecheck="range"',
+    'else',
+    'agecheck=int(k.t3.value/10)',
+    'end if',
+    'end function',
+    'function inpatient()',
+    'inpadjust=k.d1.value',
+    'select case inpadjust',
+    'case 1,4',
+    'inpatient="out"',
+    'case else',
+    'inpatient="in"',
+    'end select',
+    'end function'
+  ].join('\n');
+
+  function transpile() {
+    return new AdvancedTranspiler().transpile(vbscript);
+  }
+
+  it('should inline the runtime and call it for VBScript built-ins', () => {
+    const jsCode = transpile();
+
+    assert.ok(jsCode.includes('const vb = (function createVBRuntime() {'));
+    assert.ok(jsCode.includes('if (Math.abs(dd - vb.Round(dd)) === 0.5) {'));
+    assert.ok(jsCode.includes('!vb.IsNumeric(k.t3.value)'));
+    assert.ok(jsCode.includes('vb.Compare(k.t3.value, 120, "right") > 0'));
+    assert.ok(jsCode.includes('switch (vb.CDbl(inpadjust)) {'));
+  });
+
+  it('should leave out the runtime when the code does not use it', () => {
+    const jsCode = new AdvancedTranspiler().transpile('function one()\none=1\nend function');
+
+    assert.ok(!jsCode.includes('createVBRuntime'));
+  });
+
+  it('should run with VBScript semantics', () => {
+    const jsCode = transpile();
+    const run = (fn, value, rawbr = []) => {
+      const k = { t3: { value }, d1: { value } };
+      return new Function('k', 'rawbr', `${jsCode}\nreturn ${fn}();`)(k, rawbr);
+    };
+
+    // dd = 2.5: banker's rounding gives 2, the +.1 nudge makes it 3 like the original
+    assert.equal(run('ddadjust', '', [null, 75, 50]), 3);
+    assert.equal(run('agecheck', ''), 'empty');
+    assert.equal(run('agecheck', 'forty'), 'text');
+    assert.equal(run('agecheck', '9'), 'range');
+    assert.equal(run('agecheck', '40'), 4);
+    assert.equal(run('inpatient', '4'), 'out');
+    assert.equal(run('inpatient', '2'), 'in');
+  });
+});
+
+describe('AdvancedTranspiler variant arrays', () => {
+  const vbscript = [
+    'dim afterinp(26)',
+    'dim fordc(26)',
+    'function inpatient()',
+    'afterinp(22)=afterinp(22)+8',
+    'inpatient=afterinp(22)+afterinp(24)',
+    'end function',
+    'function second()',
+    'bigger=0',
+    'for j=3 to 13',
+    'if bigger<fordc(j) then',
+    'bigger=fordc(j)',
+    'gp=j',
+    'end if',
+    'next',
+    'second=gp',
+    'end function'
+  ].join('\n');
+
+  function load() {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    return { jsCode, ...new Function(`${jsCode}\nreturn { inpatient, second, fordc };`)() };
+  }
+
+  it('should add unassigned array elements as Empty', () => {
+    const { jsCode, inpatient } = load();
+
+    assert.ok(jsCode.includes('afterinp[22] = vb.Add(afterinp[22], 8);'));
+    assert.equal(inpatient(), 8);
+  });
+
+  it('should subtract unassigned variables as Empty', () => {
+    const jsCode = new AdvancedTranspiler().transpile('Dim da\nfunction adjust(score)\nadjust = score - da - 2\nend function\nfunction half()\nhalf = (10 - 4) / 2\nend function');
+    const { adjust, half } = new Function(`${jsCode}\nreturn { adjust, half };`)();
+
+    assert.ok(jsCode.includes('return vb.Subtract(vb.Subtract(score, da), 2);'), jsCode);
+    assert.ok(jsCode.includes('return (10 - 4) / 2;'), jsCode);
+    assert.equal(adjust(75), 73);
+    assert.equal(half(), 3);
+  });
+
+  it('should join with & as text, never adding or printing undefined', () => {
+    const jsCode = new AdvancedTranspiler().transpile('function title(name, age)\ntitle = name & age & " ساله"\nend function\nfunction pair()\npair = 1 & 2\nend function');
+    const { title, pair } = new Function(`${jsCode}\nreturn { title, pair };`)();
+
+    assert.ok(jsCode.includes('return vb.Concat(name, age, " ساله");'), jsCode);
+    assert.equal(title(undefined, 34), '34 ساله');
+    assert.equal(pair(), '12');
+  });
+
+  it('should order numbers before the strings an array element holds', () => {
+    const { jsCode, second, fordc } = load();
+    fordc.splice(3, 11, 11, 42, 11, 11, 11, 11, 21, 47, 11, 48, '');
+
+    assert.ok(jsCode.includes('if (vb.Compare(bigger, fordc[j]) < 0) {'));
+    assert.equal(second(), 13);
+  });
+});
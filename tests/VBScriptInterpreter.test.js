@@ -0,0 +1,351 @@
+/**
+ * Tests for the VBScript lexer, syntax tree parser and interpreter
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize } from '../src/parser/VBScriptLexer.js';
+import { parseVBScript } from '../src/parser/VBScriptASTParser.js';
+import { runVBScript } from '../src/interpreter/VBScriptInterpreter.js';
+import { createForm } from './harness/form-stub.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+function run(lines, host) {
+  return runVBScript(parseVBScript(lines.join('\n')), host);
+}
+
+describe('VBScriptLexer', () => {
+  it('should give each token its line and column', () => {
+    const tokens = tokenize('x = 1\n  y=x+.5');
+
+    assert.deepEqual(tokens.map(token => [token.type, token.value, token.line, token.column]), [
+      ['identifier', 'x', 1, 1],
+      ['operator', '=', 1, 3],
+      ['number', 1, 1, 5],
+      ['newline', '\n', 1, 6],
+      ['identifier', 'y', 2, 3],
+      ['operator', '=', 2, 4],
+      ['identifier', 'x', 2, 5],
+      ['operator', '+', 2, 6],
+      ['number', 0.5, 2, 7],
+      ['eof', null, 2, 9]
+    ]);
+  });
+
+  it('should read strings with doubled quotes and skip comments', () => {
+    const tokens = tokenize('msgbox "say ""hi""" \' greet\nrem done\nx = &H1F');
+
+    assert.deepEqual(tokens.filter(token => token.type !== 'newline').map(token => token.value),
+      ['msgbox', 'say "hi"', 'x', '=', 31, null]);
+  });
+
+  it('should join continued lines and split statements on colons', () => {
+    const tokens = tokenize('x = 1 + _\n  2: y = 3');
+
+    assert.deepEqual(tokens.map(token => token.value), ['x', '=', 1, '+', 2, ':', 'y', '=', 3, null]);
+    assert.equal(tokens[4].line, 2);
+  });
+
+  it('should read => and =< as comparison operators and k.r1 as member access', () => {
+    assert.deepEqual(tokenize('a=>b').map(token => token.value), ['a', '>=', 'b', null]);
+    assert.deepEqual(tokenize('a=<b').map(token => token.value), ['a', '<=', 'b', null]);
+    assert.deepEqual(tokenize('k.r1(1).checked').map(token => token.value),
+      ['k', '.', 'r1', '(', 1, ')', '.', 'checked', null]);
+  });
+
+  it('should report where an unterminated string starts', () => {
+    assert.throws(() => tokenize('x = 1\ny = "abc'), /Unterminated string constant at line 2, column 5/);
+  });
+});
+
+describe('VBScriptASTParser', () => {
+  it('should parse procedures, arrays and assignments with their locations', () => {
+    const program = parseVBScript('dim w(26), g\nfunction v(byval a, b)\n  w(25) = a\nend function');
+    const [dim, procedure] = program.body;
+
+    assert.deepEqual(dim.declarations.map(declaration => declaration.name), ['w', 'g']);
+    assert.deepEqual(dim.declarations[0].bounds, [{ type: 'Literal', value: 26, loc: { line: 1, column: 7 } }]);
+    assert.deepEqual(program.procedures, [procedure]);
+    assert.equal(procedure.kind, 'function');
+    assert.deepEqual(procedure.params.map(param => [param.name, param.byRef]), [['a', false], ['b', true]]);
+    assert.equal(procedure.body[0].type, 'AssignmentStatement');
+    assert.equal(procedure.body[0].target.type, 'CallExpression');
+    assert.deepEqual(procedure.body[0].loc, { line: 3, column: 3 });
+  });
+
+  it('should follow VBScript operator precedence', () => {
+    const [statement] = parseVBScript('x = not a = 1 and b & c + d * -e ^ 2').body;
+    const describe = node => node.type === 'BinaryExpression'
+      ? `(${describe(node.left)} ${node.operator} ${describe(node.right)})`
+      : node.type === 'UnaryExpression' ? `(${node.operator} ${describe(node.argument)})` : String(node.name ?? node.value);
+
+    assert.equal(describe(statement.value), '((not (a = 1)) and (b & (c + (d * (- (e ^ 2))))))');
+  });
+
+  it('should nest ElseIf clauses and parse one-line If statements', () => {
+    const [block, line] = parseVBScript([
+      'if a then',
+      '  x = 1',
+      'elseif b then x = 2',
+      'else',
+      '  x = 3',
+      'end if',
+      'if a then x = 1: y = 2 else x = 3'
+    ].join('\n')).body;
+
+    assert.equal(block.alternate[0].type, 'IfStatement');
+    assert.equal(block.alternate[0].consequent[0].value.value, 2);
+    assert.equal(block.alternate[0].alternate[0].value.value, 3);
+    assert.equal(line.singleLine, true);
+    assert.equal(line.consequent.length, 2);
+    assert.equal(line.alternate.length, 1);
+  });
+
+  it('should parse calls with and without parentheses', () => {
+    const [write, call, statement] = parseVBScript('document.write "a" & b\nbuttclick()\nmale').body;
+
+    assert.equal(write.type, 'CallStatement');
+    assert.equal(write.callee.callee.type, 'MemberExpression');
+    assert.equal(write.callee.arguments.length, 1);
+    assert.equal(call.callee.type, 'CallExpression');
+    assert.equal(statement.callee.type, 'Identifier');
+  });
+
+  it('should report syntax errors with line and column', () => {
+    assert.throws(() => parseVBScript('if a then\n  x = 1\n'), /Unexpected end of script/);
+    assert.throws(() => parseVBScript('x = (1 + 2\ny = 1'), /Expected '\)' but found end of line at line 1, column 11/);
+    assert.throws(() => parseVBScript('for each x in y\nnext'), /For Each is not supported/);
+  });
+});
+
+describe('VBScriptInterpreter', () => {
+  it('should run Functions and Subs with the function name as return value', () => {
+    const vbscript = run([
+      'dim total',
+      'function double(n)',
+      '  double = n * 2',
+      'end function',
+      'sub add(n)',
+      '  total = total + double(n)',
+      'end sub',
+      'add 3',
+      'call add(4)'
+    ]);
+
+    assert.equal(vbscript.getGlobal('total'), 14);
+    assert.equal(vbscript.call('double', 5), 10);
+  });
+
+  it('should call a Function named without arguments', () => {
+    const vbscript = run([
+      'function three()',
+      '  three = 3',
+      'end function',
+      'x = three + three()'
+    ]);
+
+    assert.equal(vbscript.getGlobal('x'), 6);
+  });
+
+  it('should keep variables assigned in a procedure local to it', () => {
+    const vbscript = run([
+      'sub setter()',
+      '  xcor = 11',
+      'end sub',
+      'function getter()',
+      '  getter = 1 + xcor',
+      'end function',
+      'setter',
+      'result = getter'
+    ]);
+
+    assert.equal(vbscript.getGlobal('xcor'), undefined);
+    assert.equal(vbscript.getGlobal('result'), 1);
+  });
+
+  it('should pass variables and array elements ByRef unless ByVal or parenthesized', () => {
+    const vbscript = run([
+      'dim a(2)',
+      'sub bump(n)',
+      '  n = n + 1',
+      'end sub',
+      'sub keep(byval n)',
+      '  n = n + 1',
+      'end sub',
+      'x = 1: y = 1: z = 1',
+      'bump x',
+      'keep y',
+      'bump (z)',
+      'bump a(1)',
+      'w = 1: bump(w)',
+      'v = 1: call bump(v)'
+    ]);
+
+    assert.deepEqual(['x', 'y', 'z', 'w', 'v'].map(name => vbscript.getGlobal(name)), [2, 1, 1, 1, 2]);
+    assert.deepEqual(vbscript.getGlobal('a'), [undefined, 1, undefined]);
+  });
+
+  it('should size Dim arrays from their upper bound and check subscripts', () => {
+    assert.deepEqual(run(['dim w(3)', 'w(3) = 1', 'n = ubound(w)']).getGlobal('w'), [undefined, undefined, undefined, 1]);
+    assert.deepEqual(run(['dim m(1, 2)', 'm(1, 2) = "x"']).getGlobal('m'), [[undefined, undefined, undefined], [undefined, undefined, 'x']]);
+    assert.throws(() => run(['dim w(3)', '', 'w(4) = 1']), /Subscript out of range: 'w\(4\)' at line 3/);
+  });
+
+  it('should run If, ElseIf, Select Case, For and Do loops', () => {
+    const vbscript = run([
+      'for i = 1 to 10 step 3',
+      '  if i = 1 then',
+      '    s = s & "a"',
+      '  elseif i < 7 then s = s & "b"',
+      '  else',
+      '    s = s & "c"',
+      '  end if',
+      '  select case i',
+      '    case 4, 7',
+      '      s = s & "4"',
+      '    case else',
+      '      s = s & "-"',
+      '  end select',
+      'next',
+      'do while n < 5',
+      '  n = n + 2',
+      '  if n = 4 then exit do',
+      'loop'
+    ]);
+
+    assert.equal(vbscript.getGlobal('s'), 'a-b4c4c-');
+    assert.equal(vbscript.getGlobal('i'), 13);
+    assert.equal(vbscript.getGlobal('n'), 4);
+  });
+
+  it('should let a For body move its counter on', () => {
+    const vbscript = run([
+      'for j = 3 to 6',
+      '  if j = 4 then j = j + 1',
+      '  s = s & j',
+      'next'
+    ]);
+
+    assert.equal(vbscript.getGlobal('s'), '356');
+  });
+
+  it('should leave a Function on Exit Function', () => {
+    const vbscript = run([
+      'function first()',
+      '  for i = 1 to 10',
+      '    first = i',
+      '    if i = 3 then exit function',
+      '  next',
+      'end function',
+      'x = first()'
+    ]);
+
+    assert.equal(vbscript.getGlobal('x'), 3);
+  });
+
+  it('should evaluate variants the way VBScript does', () => {
+    const vbscript = run([
+      'dim a(2)',
+      'a(1) = ""',
+      'sum = a(0) + 8',
+      'concat = "1" + "2"',
+      'mixed = "1" + 2',
+      'n = 47',
+      'lessThanEmptyString = n < a(1)',
+      'literal = "10" > 9',
+      'intdiv = 7 \\ 2',
+      'modulo = -7 mod 3',
+      'bits = 6 and 3',
+      'both = (1 > 2) or (2 > 1)',
+      'rounded = round(2.5) + round(3.5)',
+      'text = 0.1 + 0.2 & ""'
+    ]);
+
+    assert.equal(vbscript.getGlobal('sum'), 8);
+    assert.equal(vbscript.getGlobal('concat'), '12');
+    assert.equal(vbscript.getGlobal('mixed'), 3);
+    assert.equal(vbscript.getGlobal('lessThanEmptyString'), true);
+    assert.equal(vbscript.getGlobal('literal'), true);
+    assert.equal(vbscript.getGlobal('intdiv'), 3);
+    assert.equal(vbscript.getGlobal('modulo'), -1);
+    assert.equal(vbscript.getGlobal('bits'), 2);
+    assert.equal(vbscript.getGlobal('both'), true);
+    assert.equal(vbscript.getGlobal('rounded'), 6);
+    assert.equal(vbscript.getGlobal('text'), '0.3');
+  });
+
+  it('should report runtime errors with the line of the statement', () => {
+    assert.throws(() => run(['x = 1', 'y = x / 0']), /Division by zero at line 2/);
+    assert.throws(() => run(['x = "abc" * 2']), /Type mismatch: "abc" at line 1/);
+    assert.throws(() => run(['option explicit', 'dim a', 'b = 1']), /Variable is undefined: 'b' at line 3/);
+    assert.throws(() => run(['x = nosuchfunction(1)']), /Type mismatch: 'nosuchfunction'/);
+  });
+
+  it('should read and write the page through the host binding', () => {
+    const messages = [];
+    const page = { written: '' };
+    const document = {
+      frm1: createForm({ answers: { 62: 'true' }, gender: 'male', age: 40 }),
+      write(html) { page.written += html; }
+    };
+    const vbscript = run([
+      'set k=document.frm1',
+      'if k.r62(1).checked and k.RadGender(1).checked then msgbox "male, 62 true"',
+      'k.t4.disabled = false',
+      'document.write "<b>" & k.t3.value & "</b>"',
+      'age = k.t3.value + 1'
+    ], { globals: { document }, msgbox: message => messages.push(message) });
+
+    assert.deepEqual(messages, ['male, 62 true']);
+    assert.equal(document.frm1.t4.disabled, false);
+    assert.equal(page.written, '<b>40</b>');
+    assert.equal(vbscript.getGlobal('age'), 41);
+  });
+
+  it('should create objects through the host', () => {
+    const files = {};
+    const fso = {
+      OpenTextFile(name) {
+        files[name] = '';
+        return { write(text) { files[name] += text; }, close() {} };
+      }
+    };
+    run([
+      'set fso = createobject("scripting.filesystemobject")',
+      'set f1 = fso.OpenTextFile ("report.htm", 2, true)',
+      'f1.write "done"',
+      'f1.close'
+    ], { createObject: progId => (progId === 'scripting.filesystemobject' ? fso : null) });
+
+    assert.deepEqual(files, { 'report.htm': 'done' });
+    assert.throws(() => run(['set x = createobject("excel.application")']), /ActiveX component can't create object/);
+  });
+
+  it('should score the legacy script as written', () => {
+    const program = parseVBScript(readFileSync(join(rootDir, 'output/javascript/original-vbscript.vbs'), 'utf8'));
+    const answers = {};
+    for (let id = 1; id <= 175; id++) {
+      answers[id] = id % 3 === 0 ? 'true' : 'false';
+    }
+    let report = '';
+    const document = {
+      frm1: createForm({ answers, gender: 'male', age: 40, inpatientCode: 2, name: 'A', code: '1' }),
+      write(html) { report += html; }
+    };
+
+    const vbscript = runVBScript(program, { globals: { document } });
+    vbscript.call('buttclick');
+
+    assert.equal(vbscript.getGlobal('gg')[13], 'S');
+    assert.equal(vbscript.getGlobal('w')[13], 29);
+    assert.equal(vbscript.getGlobal('afterall')[13], 65);
+    assert.equal(vbscript.getGlobal('afterinp')[22], 68);
+    assert.match(report, /X \(Disclosure\):63<\/b>/);
+  });
+});
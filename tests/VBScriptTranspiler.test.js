@@ -5,6 +5,10 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import VBScriptTranspiler from '../src/transpiler/VBScriptTranspiler.js';
+import AdvancedTranspiler from '../src/transpiler/AdvancedTranspiler.js';
+import AdvancedVBScriptParser from '../src/parser/AdvancedVBScriptParser.js';
+import PostProcessor from '../src/transpiler/PostProcessor.js';
+import { DEFAULT_FORM_MAPPING, resolveFormField } from '../src/transpiler/FormMapping.js';
 
 describe('VBScriptTranspiler', () => {
   it('should convert dim declarations to let/const', () => {
@@ -120,3 +124,455 @@ describe('VBScriptTranspiler', () => {
     assert.ok(ratio > 0.5 && ratio < 2, `Line count should be similar, ratio: ${ratio}`);
   });
 });
+
+describe('AdvancedTranspiler Select Case lists', () => {
+  // The X-correction switch of buttclick(), cut down to a few runs
+  const xCorrection = [
+    'function xcorrect(rrawx)',
+    'select case rrawx',
+    'case 145,146,147,148,149',
+    'xcor=11',
+    'case 150,151,152,153,154,155,156,157,158,159',
+    'xcor=10',
+    'case 250,251,252,253,254,255,256,257,258,259,260',
+    'xcor=0',
+    'case 577,578,579,580,581,582,583,584,585,586,587,588,589,590',
+    'xcor=-12',
+    'case else',
+    'xcor="invalid"',
+    'end select',
+    'xcorrect=xcor',
+    'end function'
+  ].join('\n');
+
+  const compile = (vbscript, name) => {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    return new Function(`let xcor;\n${jsCode}\nreturn ${name};`)();
+  };
+
+  it('should match every value of a long case list', () => {
+    const xcorrect = compile(xCorrection, 'xcorrect');
+
+    assert.equal(xcorrect(145), 11);
+    assert.equal(xcorrect(147), 11);
+    assert.equal(xcorrect(149), 11);
+    assert.equal(xcorrect(150), 10);
+    assert.equal(xcorrect(155), 10);
+    assert.equal(xcorrect(252), 0);
+    assert.equal(xcorrect(577), -12);
+    assert.equal(xcorrect(590), -12);
+    assert.equal(xcorrect(144), 'invalid');
+    assert.equal(xcorrect(591), 'invalid');
+  });
+
+  it('should stack labels for short case lists', () => {
+    const vbscript = [
+      'function adjust(inpadjust)',
+      'select case inpadjust',
+      'case 1,4',
+      'xcor=1',
+      'case 2',
+      'xcor=2',
+      'end select',
+      'adjust=xcor',
+      'end function'
+    ].join('\n');
+    const adjust = compile(vbscript, 'adjust');
+
+    assert.ok(!/case [^:]*,/.test(new AdvancedTranspiler().transpile(vbscript)), 'Should not emit comma expressions');
+    assert.equal(adjust(1), 1);
+    assert.equal(adjust(4), 1);
+    assert.equal(adjust(2), 2);
+  });
+});
+
+describe('AdvancedTranspiler nested Select Case', () => {
+  // The afterdccor/afterall switches of buttclick(), inside the loop over the scales
+  const nested = [
+    'function adjustments(g)',
+    'dim total',
+    'total=0',
+    'for i=1 to 6',
+    'select case i',
+    'case 1,2',
+    'total=total+1',
+    'case 3',
+    'if g=6 then',
+    'select case g',
+    'case 6',
+    'total=total+100',
+    'case else',
+    'total=total-100',
+    'end select',
+    'end if',
+    'case 4,5',
+    'total=total+20',
+    'case else',
+    'total=total+10',
+    'end select',
+    'next',
+    'adjustments=total',
+    'end function'
+  ].join('\n');
+
+  it('should parse Select Case into nested nodes with their depth', () => {
+    const parsed = new AdvancedVBScriptParser(nested).parse();
+    const body = parsed.functions[0].body;
+    const outer = body.find(node => node.type === 'SELECT_CASE');
+
+    assert.equal(outer.selector, 'i');
+    assert.equal(outer.depth, 0);
+    assert.deepEqual(outer.cases.map(caseNode => caseNode.caseValue), ['1,2', '3', '4,5', null]);
+    assert.equal(outer.cases[3].isElse, true);
+
+    const inner = outer.cases[1].body.find(node => node.type === 'SELECT_CASE');
+    assert.equal(inner.depth, 1);
+    assert.equal(inner.cases.length, 2);
+    assert.ok(!body.some(node => node.type === 'CASE'), 'Case nodes should only appear inside their select');
+  });
+
+  it('should keep every case label and branch body', () => {
+    const jsCode = new AdvancedTranspiler().transpile(nested);
+
+    assert.match(jsCode, /switch \(i\) \{\n\s+case 1:\n\s+case 2:\n\s+total = total \+ 1;/);
+    assert.match(jsCode, /case 3:\n\s+if \(g === 6\) \{\n\s+switch \(vb\.CDbl\(g\)\) \{\n\s+case 6:/);
+    assert.equal((jsCode.match(/default:/g) || []).length, 2);
+
+    const adjustments = new Function(`${jsCode}\nreturn adjustments;`)();
+    assert.equal(adjustments(6), 1 + 1 + 100 + 20 * 2 + 10);
+    assert.equal(adjustments(4), 1 + 1 + 20 * 2 + 10);
+  });
+
+  it('should keep outer case labels after a nested switch when post-processing', () => {
+    const transpiler = new AdvancedTranspiler();
+    const processed = transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(nested)));
+
+    assert.match(processed, /^\s+case 4:$/m);
+    assert.equal((processed.match(/default:/g) || []).length, 2);
+  });
+});
+
+describe('AdvancedTranspiler assignment vs comparison', () => {
+  it('should assign to object properties in statement position', () => {
+    const vbscript = [
+      'sub c1_onclick()',
+      'if k.c1.checked=true then',
+      'k.t4.disabled=false',
+      'else',
+      'k.t4.disabled=true',
+      'end if',
+      'end sub',
+      'sub window_onload()',
+      'if k.c1.checked=true then k.t4.disabled=false',
+      'end sub'
+    ].join('\n');
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+
+    assert.ok(jsCode.includes('if (k.c1.checked === true) {'), 'Should compare in the condition');
+    assert.ok(jsCode.includes('k.t4.disabled = false;'), 'Should assign in the branch');
+    assert.ok(jsCode.includes('k.t4.disabled = true;'), 'Should assign in the else branch');
+    assert.match(jsCode, /function window_onload\(\) \{\n\s+if \(k\.c1\.checked === true\) k\.t4\.disabled = false;/, 'Should assign in a single-line if');
+  });
+
+  it('should compare on the right-hand side of an assignment', () => {
+    const transpiler = new AdvancedTranspiler();
+
+    assert.equal(transpiler.transpileExpression('same=a=b', 'statement'), 'same = a === b;');
+    assert.equal(transpiler.transpileExpression('total=total+1', 'statement'), 'total = total + 1;');
+    assert.equal(transpiler.transpileExpression('a=b', 'condition'), 'a === b');
+  });
+});
+
+describe('AdvancedTranspiler function return values', () => {
+  it('should return at End Function when statements follow the name assignment', () => {
+    const vbscript = [
+      'function v()',
+      'sum=0',
+      'if k.r62(1).checked then sum=sum+1',
+      'v=sum',
+      'w(25)=sum',
+      'r(25)="Validity"',
+      'end function'
+    ].join('\n');
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    const w = [];
+    const r = [];
+    const k = { elements: { r62: [null, { checked: true }] } };
+    const v = new Function('w', 'r', 'k', `let sum;\n${jsCode}\nreturn v;`)(w, r, k);
+
+    assert.equal(v(), 1);
+    assert.equal(w[25], 1);
+    assert.equal(r[25], 'Validity');
+  });
+
+  it('should keep a direct return when the assignment is the last statement', () => {
+    const vbscript = 'function checkzbr(ze)\ncheckzbr=ze+1\nend function';
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+
+    assert.ok(jsCode.includes('return ze + 1;'));
+    assert.ok(!jsCode.includes('returnValue'));
+  });
+
+  it('should return the last assigned value from nested branches and Exit Function', () => {
+    const vbscript = [
+      'function adjust(d)',
+      'adjust=0',
+      'if d>=85 then',
+      'adjust=d-85',
+      'exit function',
+      'end if',
+      'adjust=-1',
+      'end function'
+    ].join('\n');
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    const adjust = new Function(`${jsCode}\nreturn adjust;`)();
+
+    assert.equal(adjust(90), 5);
+    assert.equal(adjust(10), -1);
+  });
+});
+
+describe('AdvancedTranspiler calls and branches', () => {
+  const vbscript = [
+    'function one()',
+    'sum=70',
+    'if male then',
+    'if sum>64 then sum=64',
+    'elseif sum>65 then sum=65',
+    'end if',
+    'one=sum',
+    'end function',
+    'function male()',
+    'male=k.c1.checked',
+    'end function',
+    'function total(one)',
+    'total=one+two',
+    'end function',
+    'function two()',
+    'two=one+1',
+    'end function'
+  ].join('\n');
+
+  function load(male) {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    const k = { c1: { checked: male } };
+    return { jsCode, ...new Function('k', `${jsCode}\nreturn { one, total, two };`)(k) };
+  }
+
+  it('should call functions named without arguments in expressions', () => {
+    const { jsCode, two } = load(true);
+
+    assert.ok(jsCode.includes('if (male()) {'));
+    assert.ok(jsCode.includes('return one() + 1;'));
+    assert.equal(two(), 65);
+  });
+
+  it('should leave parameters and the function\'s own name alone', () => {
+    const { jsCode, total } = load(true);
+
+    assert.ok(jsCode.includes('return one + two();'));
+    assert.equal(total(1), 66);
+  });
+
+  it('should keep the statement after Then on an ElseIf line', () => {
+    assert.equal(load(true).one(), 64);
+    assert.equal(load(false).one(), 65);
+  });
+});
+
+describe('AdvancedTranspiler variable scopes', () => {
+  const vbscript = [
+    'limit=85',
+    'function daadjust()',
+    'dcorrect=rawbr(19)+xcor',
+    'if dcorrect>=limit then dcorrect=dcorrect-limit',
+    'daadjust=dcorrect',
+    'end function',
+    'function one()',
+    'sum=0',
+    'if k.r1(1).checked then sum=sum+2',
+    'one=sum',
+    'end function',
+    'function two()',
+    'sum=0',
+    'two=sum+1',
+    'end function',
+    'sub buttclick()',
+    'select case k.d1.value',
+    'case 1',
+    'xcor=11',
+    'end select',
+    'rawbr(1)=daadjust()',
+    'end sub'
+  ].join('\n');
+
+  it('should hoist implicit variables into let declarations in each function using them', () => {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+
+    assert.match(jsCode, /function daadjust\(\) \{\n\s+let dcorrect\b/);
+    assert.match(jsCode, /function one\(\) \{\n\s+let sum;/);
+    assert.match(jsCode, /function two\(\) \{\n\s+let sum;/);
+  });
+
+  it('should keep variables assigned at script level in the state object', () => {
+    const transpiler = new AdvancedTranspiler();
+    const jsCode = transpiler.transpile(vbscript);
+
+    assert.match(jsCode, /const state = \{\n\s+limit: null,\n\};/);
+    assert.match(jsCode, /if \(dcorrect >= state\.limit\) dcorrect = vb\.Subtract\(dcorrect, state\.limit\);/);
+    assert.deepEqual(transpiler.getScopeReport().shared, [{ name: 'limit', functions: ['daadjust'] }]);
+  });
+
+  it('should keep a variable assigned in another function local, as VBScript does', () => {
+    const transpiler = new AdvancedTranspiler();
+    const jsCode = transpiler.transpile(vbscript);
+
+    assert.match(jsCode, /function daadjust\(\) \{\n\s+let dcorrect, xcor;/);
+    assert.ok(jsCode.includes('dcorrect = vb.Add(rawbr[19], xcor);'));
+    assert.match(jsCode, /function buttclick\(\) \{\n\s+let xcor;/);
+    assert.deepEqual(transpiler.getScopeReport().emptyReads, { daadjust: ['xcor'] });
+  });
+
+  it('should run in strict mode', () => {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+    const k = { d1: { value: 1 }, elements: { r1: [null, { checked: true }] } };
+    const run = new Function('k', `'use strict';\nconst rawbr = new Array(27).fill(0);\n${jsCode}\nbuttclick();\nreturn { rawbr, one: one() };`);
+
+    assert.equal(run(k).one, 2);
+    assert.equal(run(k).rawbr[1], 0); // xcor is Empty in daadjust()
+  });
+});
+
+describe('PostProcessor report writes', () => {
+  // The report section of buttclick(), with the eleven cells of a row on two writes
+  const vbscript = [
+    'sub report()',
+    'wf=1',
+    'fname=k.t4.value',
+    'xscore=35',
+    'document.write "<center><b>" & k.t1.value & " (" & k.t3.value & ")" & "</b></center>"',
+    'document.write "<table><tbody>"',
+    'document.write "<tr><td>Raw Score</td><td>Final BR</td></tr>"',
+    'for i=1 to 2',
+    'document.write "<tr bgcolor=#" & xx & "><td>" & gg(i) & "</td><th>" & r(i) & "</th><th><u>" & w(i) & "</u></th><th><u>" & rawbr(i) & "</u></th>"',
+    'document.write "<th>" & aftercor(i) & "</th><th>" & afterhcor(i) & "</th><th>" & dabr(i) & "</th><th>" & afterddcor(i) & "</th><th>" & afterdccor(i) & "</th><th>" & afterinp(i) & "</th><th><u>" & afterall(i) & "</u></th><td>" & gg(i) & "</td></tr>"',
+    'next',
+    'document.write "</tbody></table>"',
+    'f="Report is done!"',
+    'if wf=1 then',
+    'set fso=createobject("scripting.filesystemobject")',
+    'set f1=fso.opentextfile(fname & ".htm",2,true)',
+    'for i=1 to 2',
+    'f1.write "<tr><td>" & gg(i) & "</td></tr>"',
+    'next',
+    'f1.close',
+    'if fso.fileexists(fname & ".htm") then',
+    'f="A report has been saved"',
+    'end if',
+    'end if',
+    'document.write "<b>X (Disclosure):" & xscore & "</b><br>"',
+    'document.write "<b>" & f',
+    'end sub'
+  ].join('\n');
+  const arrays = ['gg', 'r', 'w', 'rawbr', 'aftercor', 'afterhcor', 'dabr', 'afterddcor', 'afterdccor', 'afterinp', 'afterall'];
+
+  function transpileReport() {
+    const transpiler = new AdvancedTranspiler();
+    return transpiler.generate(new PostProcessor().process(transpiler.transpileToAST(vbscript)));
+  }
+
+  it('should replace every document.write with results fields and rows', () => {
+    const jsCode = transpileReport();
+
+    assert.ok(!jsCode.includes('document.write'), jsCode);
+    assert.ok(!jsCode.includes('fso'), 'The saved report is rendered from the results, not written');
+    assert.ok(jsCode.includes('results.title = vb.Concat(k.t1.value, " (", k.t3.value, ")");'));
+    assert.ok(jsCode.includes('results.xScore = xscore;'));
+    assert.ok(jsCode.includes('results.message = f;'));
+    assert.ok(jsCode.includes('results.saveAs = vb.Concat(fname, ".htm");'));
+    assert.match(jsCode, /return results;\n\}/);
+  });
+
+  it('should build the results object without a document', () => {
+    const jsCode = transpileReport();
+    const k = { t1: { value: 'Test' }, t3: { value: 40 }, t4: { value: 'report' } };
+    const declarations = arrays.map((name, column) => `const ${name} = [null, ${column}, ${column + 100}];`).join('\n');
+    const report = new Function('k', `'use strict';\n${declarations}\n${jsCode}\nreturn report();`);
+
+    const results = report(k);
+
+    assert.equal(results.title, 'Test (40)');
+    assert.equal(results.xScore, 35);
+    assert.equal(results.message, 'A report has been saved');
+    assert.equal(results.saveAs, 'report.htm');
+    assert.deepEqual(results.rows[1], {
+      code: 100, label: 101, raw: 102, br: 103, afterX: 104, afterHalfX: 105,
+      daAdj: 106, ddAdj: 107, dcAdj: 108, inpAdj: 109, final: 110
+    });
+    assert.equal(results.rows.length, 2);
+  });
+});
+
+describe('AdvancedTranspiler form context mode', () => {
+  const vbscript = [
+    'function one()',
+    'sum=0',
+    'if k.r2(1).checked then sum=sum+3',
+    'if k.r14(0).checked then sum=sum+1',
+    'if k.radgender(1).checked then',
+    'if sum>3 then sum=3',
+    'end if',
+    'one=sum',
+    'end function',
+    'sub buttclick()',
+    'w(3)=one()',
+    'if not k.radgender(0).checked and k.t3.value>12 then w(4)=k.d1.value',
+    'end sub'
+  ].join('\n');
+
+  it('should keep reading the form object by default', () => {
+    const jsCode = new AdvancedTranspiler().transpile(vbscript);
+
+    assert.ok(jsCode.includes('if (k.elements.r2[1].checked)'));
+    assert.match(jsCode, /function one\(\) \{/);
+  });
+
+  it('should read answers and demographics from the injected context', () => {
+    const jsCode = new AdvancedTranspiler({ formAccess: 'context' }).transpile(vbscript);
+
+    assert.ok(!/\bk\./.test(jsCode), jsCode);
+    assert.ok(jsCode.includes('if (context.answers[2] === "true")'));
+    assert.ok(jsCode.includes('if (context.answers[14] === "false")'));
+    assert.ok(jsCode.includes('if (context.gender === "male")'));
+    assert.ok(jsCode.includes('!(context.gender === "female") && vb.Compare(context.age, 12, "right") > 0'));
+    assert.ok(jsCode.includes('w[4] = context.inpatientCode;'));
+  });
+
+  it('should pass the context down to the functions that read the form', () => {
+    const jsCode = new AdvancedTranspiler({ formAccess: 'context' }).transpile(vbscript);
+    const run = new Function('context', `const w = [];\n${jsCode}\nbuttclick(context);\nreturn w;`);
+
+    assert.match(jsCode, /function one\(context\) \{/);
+    assert.ok(jsCode.includes('w[3] = one(context);'));
+    assert.deepEqual(run({ answers: { 2: 'true', 14: 'false' }, gender: 'male', age: 40, inpatientCode: 2 }).slice(3), [3, 2]);
+    assert.deepEqual(run({ answers: { 2: 'true', 14: 'false' }, gender: 'female', age: 40 }).slice(3), [4]);
+  });
+
+  it('should take a custom field mapping and parameter name', () => {
+    const transpiler = new AdvancedTranspiler({
+      formAccess: 'context',
+      contextName: 'responses',
+      formMapping: { ...DEFAULT_FORM_MAPPING, r: { key: 'items', indexed: true, options: [false, true] } }
+    });
+    const jsCode = transpiler.transpile(vbscript);
+
+    assert.ok(jsCode.includes('if (responses.items[2] === true)'));
+    assert.match(jsCode, /function one\(responses\) \{/);
+  });
+
+  it('should resolve indexed and named fields in any case', () => {
+    assert.deepEqual(resolveFormField(DEFAULT_FORM_MAPPING, 'R12'), { key: 'answers', options: ['false', 'true'], item: 12 });
+    assert.deepEqual(resolveFormField(DEFAULT_FORM_MAPPING, 'T3'), { key: 'age', options: null, item: null });
+    assert.equal(resolveFormField(DEFAULT_FORM_MAPPING, 'butt1'), null);
+  });
+});
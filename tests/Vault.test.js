@@ -0,0 +1,179 @@
+/**
+ * Tests for the web app's encrypted storage (webapp/js/vault.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+import { Vault, AutoLock, VAULT_KEY } from '../webapp/js/vault.js';
+import { SessionStore } from '../webapp/js/session-store.js';
+import { createIndexedDB } from './harness/indexeddb-stub.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    items
+  };
+}
+
+// Few PBKDF2 iterations keep the tests fast; the app uses PBKDF2_ITERATIONS. Node's WebCrypto
+// is passed in, as Node 18 has no global crypto in ES modules
+function createVault(storage = createStorage()) {
+  return new Vault({ crypto: webcrypto, storage, iterations: 1000 });
+}
+
+describe('Vault', () => {
+  it('should set a passphrase and unlock only with it', async () => {
+    const storage = createStorage();
+    const vault = createVault(storage);
+    assert.equal(vault.isInitialized(), false);
+    await assert.rejects(() => vault.create('short'), /at least 8 characters/);
+
+    await vault.create('correct horse');
+    assert.equal(vault.isLocked(), false);
+    assert.ok(!storage.items.get(VAULT_KEY).includes('correct horse'));
+    await assert.rejects(() => vault.create('another passphrase'), /already has a passphrase/);
+
+    const reopened = createVault(storage);
+    assert.equal(reopened.isLocked(), true);
+    assert.equal(await reopened.unlock('wrong horse!'), false);
+    assert.equal(reopened.isLocked(), true);
+    assert.equal(await reopened.unlock('correct horse'), true);
+    assert.equal(reopened.isLocked(), false);
+  });
+
+  it('should encrypt with a fresh IV and decrypt only while unlocked', async () => {
+    const vault = createVault();
+    await vault.create('correct horse');
+    const value = { name: 'Jane Doe', answers: { 1: 'true' } };
+
+    const first = await vault.encrypt(value);
+    const second = await vault.encrypt(value);
+    assert.equal(first.iv.length, 12);
+    assert.notDeepEqual(first.iv, second.iv);
+    assert.ok(!new TextDecoder().decode(first.data).includes('Jane'));
+    assert.deepEqual(await vault.decrypt(first), value);
+
+    vault.lock();
+    await assert.rejects(() => vault.decrypt(first), /locked/);
+    await assert.rejects(() => vault.encrypt(value), /locked/);
+  });
+
+  it('should not decrypt data of another passphrase', async () => {
+    const vault = createVault();
+    await vault.create('correct horse');
+    const payload = await vault.encrypt('secret');
+
+    vault.forget();
+    assert.equal(vault.isInitialized(), false);
+    await vault.create('battery staple');
+    await assert.rejects(() => vault.decrypt(payload));
+  });
+
+  it('should keep only ids and timestamps of sessions in the clear', async () => {
+    const indexedDB = createIndexedDB();
+    const vault = createVault();
+    await vault.create('correct horse');
+    const store = new SessionStore({ indexedDB, cipher: vault });
+
+    const { id } = await store.save({ demographics: { name: 'Jane Doe', code: 'P-17' }, answers: { 1: 'true' }, currentQuestionIndex: 1 });
+    const [stored] = indexedDB.databases.get('mcmi-ii').stores.get('sessions').records.values();
+
+    assert.deepEqual(Object.keys(stored).sort(), ['createdAt', 'id', 'payload', 'updatedAt']);
+    assert.ok(!new TextDecoder().decode(stored.payload.data).includes('Jane'));
+    assert.deepEqual((await store.get(id)).demographics, { name: 'Jane Doe', code: 'P-17' });
+
+    vault.lock();
+    await assert.rejects(() => store.list(), /locked/);
+  });
+
+  it('should encrypt sessions saved before a passphrase was set', async () => {
+    const indexedDB = createIndexedDB();
+    const { id } = await new SessionStore({ indexedDB }).save({ demographics: { name: 'Jane Doe' }, answers: {} });
+    const vault = createVault();
+    await vault.create('correct horse');
+
+    const [session] = await new SessionStore({ indexedDB, cipher: vault }).list();
+    const stored = indexedDB.databases.get('mcmi-ii').stores.get('sessions').records.get(id);
+
+    assert.equal(session.demographics.name, 'Jane Doe');
+    assert.equal(stored.demographics, undefined);
+    assert.ok(stored.payload);
+  });
+
+  it('should not store sessions when the browser cannot encrypt', () => {
+    const vault = new Vault({ crypto: null, storage: createStorage() });
+    const store = new SessionStore({ indexedDB: createIndexedDB(), cipher: vault });
+
+    assert.equal(vault.isSupported(), false);
+    assert.equal(createVault().isSupported(), true);
+    assert.equal(store.isSupported(), false);
+    assert.equal(new SessionStore({ indexedDB: createIndexedDB(), cipher: createVault() }).isSupported(), true);
+  });
+
+  it('should delete every session when the data is forgotten', async () => {
+    const indexedDB = createIndexedDB();
+    const store = new SessionStore({ indexedDB });
+    await store.save({ demographics: {}, answers: {} });
+
+    await store.clear();
+
+    assert.equal(indexedDB.databases.size, 0);
+    assert.deepEqual(await store.list(), []);
+  });
+});
+
+describe('AutoLock', () => {
+  /**
+   * Timers the test fires by hand
+   */
+  function createTimers() {
+    const pending = new Map();
+    let next = 1;
+    return {
+      setTimeout: (callback, delay) => {
+        pending.set(next, { callback, delay });
+        return next++;
+      },
+      clearTimeout: id => pending.delete(id),
+      fire: () => [...pending.entries()].forEach(([id, { callback }]) => {
+        pending.delete(id);
+        callback();
+      }),
+      pending
+    };
+  }
+
+  it('should lock once the timeout passes without activity', () => {
+    const timers = createTimers();
+    let locks = 0;
+    const autoLock = new AutoLock(() => locks++, 60000, timers);
+
+    autoLock.touch();
+    autoLock.touch();
+    assert.equal(timers.pending.size, 1);
+    assert.equal([...timers.pending.values()][0].delay, 60000);
+
+    timers.fire();
+    assert.equal(locks, 1);
+    assert.equal(autoLock.timer, null);
+  });
+
+  it('should not lock after it is stopped', () => {
+    const timers = createTimers();
+    let locks = 0;
+    const autoLock = new AutoLock(() => locks++, 60000, timers);
+
+    autoLock.touch();
+    autoLock.stop();
+    timers.fire();
+
+    assert.equal(locks, 0);
+  });
+});
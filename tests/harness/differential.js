@@ -0,0 +1,367 @@
+/**
+ * Differential Scoring Harness
+ * Scores seeded random answer sheets through every implementation of the legacy
+ * buttclick() scoring and diffs the per-scale correction chains against the first one
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import AdvancedTranspiler from '../../src/transpiler/AdvancedTranspiler.js';
+import VBScriptASTParser from '../../src/parser/VBScriptASTParser.js';
+import VBScriptInterpreter from '../../src/interpreter/VBScriptInterpreter.js';
+import PostProcessor, { REPORT_ROW_FIELDS } from '../../src/transpiler/PostProcessor.js';
+import { AssessmentEngine } from '../../webapp/js/assessment-engine.js';
+import { X_CORRECTIONS, computeRawScores, computeRawX } from '../../webapp/js/scoring.js';
+import { createForm } from './form-stub.js';
+
+/**
+ * Correction chain fields compared per scale
+ */
+export const CHAIN_FIELDS = REPORT_ROW_FIELDS.filter(field => field !== 'code' && field !== 'label');
+
+/**
+ * Legacy arrays holding each correction chain field, indexed by report row (1-24)
+ */
+const LEGACY_CHAIN_ARRAYS = {
+  raw: 'w',
+  br: 'rawbr',
+  afterX: 'aftercor',
+  afterHalfX: 'afterhcor',
+  daAdj: 'dabr',
+  ddAdj: 'afterddcor',
+  dcAdj: 'afterdccor',
+  inpAdj: 'afterinp',
+  final: 'afterall'
+};
+
+/**
+ * Raw X values at the edges of the X correction bands, just outside the valid range,
+ * and 180, which has no disclosure band
+ */
+export const EDGE_X = [
+  X_CORRECTIONS[0].min - 1,
+  ...X_CORRECTIONS.flatMap(band => [band.min, band.max]),
+  X_CORRECTIONS[X_CORRECTIONS.length - 1].max + 1,
+  180
+];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Flip answers until the sheet's raw X reaches a target, or gets as close as it can
+ */
+function steerRawX(sheet, target, random, scales) {
+  const rawX = () => computeRawX(computeRawScores(sheet.answers, sheet.gender, scales));
+  let distance = Math.abs(rawX() - target);
+
+  for (let step = 0; step < 2000 && distance > 0; step++) {
+    const id = 1 + Math.floor(random() * 175);
+    const previous = sheet.answers[id];
+    sheet.answers[id] = previous === 'true' ? 'false' : 'true';
+
+    const next = Math.abs(rawX() - target);
+    if (next <= distance) {
+      distance = next;
+    } else {
+      sheet.answers[id] = previous;
+    }
+  }
+}
+
+/**
+ * Generate answer sheets
+ * Genders and inpatient codes (legacy d1) take turns so every combination comes up;
+ * each sheet answers true at its own rate and leaves some items unanswered, and every
+ * fourth sheet is steered onto one of the edge X values
+ * @param {number} count - Number of sheets
+ * @param {number} seed - Seed, so a failing run can be repeated
+ * @param {Array} scales - Scale keys from scoring-keys.json, to steer raw X
+ * @returns {Array<object>} Sheets: { index, answers, gender, inpatientCode, name, code, age }
+ */
+export function generateSheets(count, seed, scales) {
+  const random = createRandom(seed);
+  const sheets = [];
+
+  for (let index = 0; index < count; index++) {
+    const trueRate = random();
+    const skipRate = random() < 0.2 ? random() * 0.3 : 0;
+    const sheet = {
+      index,
+      answers: {},
+      gender: index % 2 === 0 ? 'male' : 'female',
+      inpatientCode: 1 + Math.floor(index / 2) % 5,
+      name: `Sheet ${index}`,
+      code: String(index),
+      age: 13 + Math.floor(random() * 108)
+    };
+
+    for (let id = 1; id <= 175; id++) {
+      if (random() >= skipRate) {
+        sheet.answers[id] = random() < trueRate ? 'true' : 'false';
+      }
+    }
+    if (index % 4 === 3) {
+      steerRawX(sheet, EDGE_X[Math.floor(index / 4) % EDGE_X.length], random, scales);
+    }
+
+    sheets.push(sheet);
+  }
+
+  return sheets;
+}
+
+/**
+ * A report cell: the legacy report leaves skipped corrections Empty or "", the web app null
+ */
+function cell(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Outcome of the legacy script run as written: the report arrays it leaves in its globals and
+ * the X score it writes under the table; valid when it wrote a report at all
+ */
+function fromLegacyGlobals(interpreter, report) {
+  if (report === '') {
+    return { valid: false };
+  }
+
+  const codes = interpreter.getGlobal('gg');
+  const rows = {};
+  for (let i = 1; i <= 24; i++) {
+    rows[codes[i]] = Object.fromEntries(CHAIN_FIELDS.map(field => [field, cell(interpreter.getGlobal(LEGACY_CHAIN_ARRAYS[field])[i])]));
+  }
+
+  const xScore = report.match(/X \(Disclosure\):(.*?)<\/b>/)[1];
+  return { valid: true, xScore: xScore === '' ? null : Number(xScore), rows };
+}
+
+/**
+ * Outcome of the legacy results model (see PostProcessor): valid unless the raw X check stopped it
+ */
+function fromLegacyResults(results) {
+  if (results.rows.length === 0) {
+    return { valid: false };
+  }
+
+  const rows = {};
+  for (const row of results.rows) {
+    rows[row.code] = Object.fromEntries(CHAIN_FIELDS.map(field => [field, cell(row[field])]));
+  }
+  return { valid: true, xScore: cell(results.xScore), rows };
+}
+
+/**
+ * Outcome of the web app's assessment results, for the scales of the legacy report
+ */
+function fromAssessmentResults(results) {
+  if (!results.valid) {
+    return { valid: false };
+  }
+
+  const rows = {};
+  for (const score of results.scores.filter(score => score.code !== 'X' && score.code !== 'V')) {
+    rows[score.code] = Object.fromEntries(CHAIN_FIELDS.map(field => [field, cell(score[field])]));
+  }
+  return { valid: true, xScore: cell(results.disclosure.br), rows };
+}
+
+/**
+ * Load the implementations to compare, the first being the reference
+ * - original VBScript: the legacy script itself, run by the VBScript interpreter
+ * - transpiled.js: the committed transpiler output, reading the form stand-in through `k`
+ * - context transpile: the legacy VBScript transpiled now, in context mode
+ * - AssessmentEngine: the web app's scoring
+ * Scripts are compiled once; each sheet runs in a fresh copy of the script's globals,
+ * as if the page had been reloaded
+ * @param {string} rootDir - Repository root
+ * @returns {Promise<Array<object>>} Implementations: { name, score(sheet) -> Promise<outcome> }
+ */
+export async function createImplementations(rootDir) {
+  const read = file => readFileSync(join(rootDir, file), 'utf8');
+  const legacyProgram = new VBScriptASTParser(read('output/javascript/original-vbscript.vbs')).parse();
+  const scoringKeys = JSON.parse(read('webapp/data/scoring-keys.json'));
+  const baseRates = JSON.parse(read('webapp/data/br-tables.json'));
+
+  const transpiled = new Function('k', 'alert', `${read('output/javascript/transpiled.js')}\nreturn buttclick;`);
+  const contextTranspiler = new AdvancedTranspiler({ formAccess: 'context' });
+  const contextCode = contextTranspiler.generate(
+    new PostProcessor().process(contextTranspiler.transpileToAST(read('output/javascript/original-vbscript.vbs')))
+  );
+  const contextMode = new Function('alert', `${contextCode}\nreturn buttclick;`);
+  const ignoreAlert = () => {};
+
+  return [
+    {
+      name: 'original VBScript',
+      score: async sheet => {
+        let report = '';
+        const document = { frm1: createForm(sheet), write: html => { report += html; } };
+        const interpreter = new VBScriptInterpreter(legacyProgram, { globals: { document }, msgbox: ignoreAlert }).run();
+        interpreter.call('buttclick');
+        return fromLegacyGlobals(interpreter, report);
+      }
+    },
+    {
+      name: 'transpiled.js',
+      score: async sheet => fromLegacyResults(transpiled(createForm(sheet), ignoreAlert)())
+    },
+    {
+      name: 'context transpile',
+      score: async sheet => fromLegacyResults(contextMode(ignoreAlert)({ ...sheet, saveReport: false }))
+    },
+    {
+      name: 'AssessmentEngine',
+      score: async sheet => {
+        const engine = new AssessmentEngine(scoringKeys);
+        await engine.setBaseRateTables(baseRates);
+        Object.entries(sheet.answers).forEach(([id, answer]) => engine.recordAnswer(Number(id), answer));
+        engine.setDemographics({ name: sheet.name, code: sheet.code, age: sheet.age, gender: sheet.gender, inpatientCode: sheet.inpatientCode });
+        return fromAssessmentResults(engine.getResults());
+      }
+    }
+  ];
+}
+
+/**
+ * Score a sheet, turning a thrown error into an outcome of its own
+ */
+async function scoreSafely(implementation, sheet) {
+  try {
+    return await implementation.score(sheet);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Fields where two outcomes differ
+ * @returns {Array<object>} { field, expected, actual }, empty when they agree
+ */
+export function diffOutcomes(expected, actual) {
+  const differences = [];
+  const compare = (field, a, b) => {
+    if (!Object.is(a, b)) {
+      differences.push({ field, expected: a, actual: b });
+    }
+  };
+
+  compare('error', expected.error ?? null, actual.error ?? null);
+  compare('valid', expected.valid, actual.valid);
+  if (differences.length > 0 || !expected.valid) {
+    return differences;
+  }
+
+  compare('xScore', expected.xScore, actual.xScore);
+  for (const code of new Set([...Object.keys(expected.rows), ...Object.keys(actual.rows)])) {
+    for (const field of CHAIN_FIELDS) {
+      compare(`${code}.${field}`, expected.rows[code]?.[field], actual.rows[code]?.[field]);
+    }
+  }
+  return differences;
+}
+
+/**
+ * Score a sheet through every implementation and diff each against the first
+ * @returns {Promise<object|null>} { implementation, differences } for the first disagreement, or null
+ */
+export async function compareSheet(implementations, sheet) {
+  const [reference, ...others] = implementations;
+  const expected = await scoreSafely(reference, sheet);
+
+  for (const implementation of others) {
+    const differences = diffOutcomes(expected, await scoreSafely(implementation, sheet));
+    if (differences.length > 0) {
+      return { implementation: implementation.name, differences };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first sheet the implementations disagree on
+ * @returns {Promise<object|null>} { sheet, implementation, differences }, or null if all agree
+ */
+export async function findDisagreement(implementations, sheets) {
+  for (const sheet of sheets) {
+    const disagreement = await compareSheet(implementations, sheet);
+    if (disagreement) {
+      return { sheet, ...disagreement };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shrink a sheet the implementations disagree on
+ * Drops answers (leaves them unanswered) and falls back to outpatient while the
+ * disagreement remains, so what is left are the answers that matter
+ * @returns {Promise<object>} { sheet, implementation, differences } for the smallest sheet found
+ */
+export async function shrinkSheet(implementations, failure) {
+  let current = failure;
+
+  const attempt = async candidate => {
+    const disagreement = await compareSheet(implementations, candidate);
+    if (disagreement) {
+      current = { sheet: candidate, ...disagreement };
+    }
+  };
+
+  if (current.sheet.inpatientCode !== 1) {
+    await attempt({ ...current.sheet, inpatientCode: 1 });
+  }
+  for (const id of Object.keys(failure.sheet.answers)) {
+    if (id in current.sheet.answers) {
+      const answers = { ...current.sheet.answers };
+      delete answers[id];
+      await attempt({ ...current.sheet, answers });
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Describe a disagreement for the test output
+ */
+export function formatDisagreement({ sheet, implementation, differences }, reference, seed) {
+  const items = answer => Object.keys(sheet.answers).filter(id => sheet.answers[id] === answer).join(', ') || '-';
+
+  return [
+    `${implementation} disagrees with ${reference} (seed ${seed}, sheet ${sheet.index})`,
+    `  gender: ${sheet.gender}, d1: ${sheet.inpatientCode}`,
+    `  true: ${items('true')}`,
+    `  false: ${items('false')}`,
+    '  (other items unanswered)',
+    ...differences.map(({ field, expected, actual }) =>
+      `  ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+  ].join('\n');
+}
+
+export default {
+  CHAIN_FIELDS,
+  EDGE_X,
+  createRandom,
+  generateSheets,
+  createImplementations,
+  diffOutcomes,
+  compareSheet,
+  findDisagreement,
+  shrinkSheet,
+  formatDisagreement
+};
@@ -0,0 +1,63 @@
+/**
+ * Scoring Fixtures
+ * The web app's scoring data and answer sheets built from a seed, shared by the scoring tests
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const dataDir = join(__dirname, '..', '..', 'webapp', 'data');
+
+/**
+ * Number of items on an answer sheet
+ */
+export const ITEMS = 175;
+
+/**
+ * Scale keys (webapp/data/scoring-keys.json)
+ */
+export const scoringKeys = JSON.parse(readFileSync(join(dataDir, 'scoring-keys.json'), 'utf8'));
+
+/**
+ * Base-rate tables (webapp/data/br-tables.json)
+ */
+export const baseRates = JSON.parse(readFileSync(join(dataDir, 'br-tables.json'), 'utf8'));
+
+export const scales = scoringKeys.scales;
+
+/**
+ * Build an answer sheet from a seed: item n is true when n * seed is a multiple of 3
+ * @param {number} seed - Seed; sheets of different seeds score differently
+ * @param {object} options - { omitEvery }: leave the items where n + seed is a multiple of it unanswered
+ * @returns {object} Answers by item number, 'true' or 'false'
+ */
+export function answerSheet(seed, { omitEvery = 0 } = {}) {
+  const answers = {};
+  for (let id = 1; id <= ITEMS; id++) {
+    if (!omitEvery || (id + seed) % omitEvery !== 0) {
+      answers[id] = (id * seed) % 3 === 0 ? 'true' : 'false';
+    }
+  }
+  return answers;
+}
+
+/**
+ * The answers of answerSheet(seed) as T/F characters in item order, as keyed in a batch
+ * @param {number} seed - Seed
+ * @returns {Array<string>} 'T' or 'F' per item
+ */
+export function responses(seed) {
+  return Object.values(answerSheet(seed)).map(answer => answer === 'true' ? 'T' : 'F');
+}
+
+export default {
+  ITEMS,
+  scoringKeys,
+  baseRates,
+  scales,
+  answerSheet,
+  responses
+};
@@ -0,0 +1,43 @@
+/**
+ * Form Stand-in
+ * A small replacement for the legacy page's `document.frm1` (the VBScript's `k`), enough
+ * for the legacy scoring to run in Node: radio groups, text fields, the inpatient select and
+ * the save-report checkbox, both under `elements` and as named properties of the form
+ */
+
+/**
+ * A radio group: one button per option, as in form.elements.r62[1].checked
+ * @param {Array<string>} options - Option values in button order
+ * @param {string|undefined} value - Checked option, or undefined to leave every button unchecked
+ */
+function radioGroup(options, value) {
+  return options.map(option => ({ value: option, checked: option === value }));
+}
+
+/**
+ * Build the legacy form for an answer sheet
+ * @param {object} sheet - { answers, gender, age, name, code, inpatientCode, reportName, saveReport }
+ * @returns {object} Object shaped like the form the VBScript reads through `k`
+ */
+export function createForm(sheet) {
+  const elements = {};
+  for (let id = 1; id <= 175; id++) {
+    elements[`r${id}`] = radioGroup(['false', 'true'], sheet.answers[id]);
+  }
+  elements.radgender = radioGroup(['female', 'male'], sheet.gender);
+
+  const saveReport = Boolean(sheet.saveReport);
+  const fields = {
+    t1: { value: sheet.name ?? '' },
+    t2: { value: sheet.code ?? '' },
+    t3: { value: String(sheet.age ?? '') },
+    t4: { value: sheet.reportName ?? '', disabled: !saveReport },
+    d1: { value: String(sheet.inpatientCode ?? 1) },
+    c1: { checked: saveReport }
+  };
+  Object.assign(elements, fields);
+
+  return { elements, ...elements };
+}
+
+export default { createForm };
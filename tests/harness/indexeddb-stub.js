@@ -0,0 +1,92 @@
+/**
+ * IndexedDB Stand-in
+ * An in-memory replacement for the browser's `indexedDB`, enough for the web app's session
+ * store to run in Node: open with an upgrade, object stores keyed by a key path,
+ * put / get / getAll / delete requests that succeed asynchronously like the real ones,
+ * and deleteDatabase
+ */
+
+/**
+ * A request that succeeds (or fails) after the caller has attached its handlers
+ */
+function request(operation) {
+  const req = { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+  setTimeout(() => {
+    try {
+      req.result = operation(req);
+    } catch (error) {
+      req.error = error;
+      if (req.onerror) req.onerror();
+      return;
+    }
+    if (req.onsuccess) req.onsuccess();
+  });
+  return req;
+}
+
+function objectStore(records, keyPath, writable) {
+  const write = operation => {
+    if (!writable) {
+      throw new Error('ReadOnlyError: the transaction is read-only');
+    }
+    return operation();
+  };
+  return {
+    put: record => request(() => write(() => {
+      records.set(record[keyPath], structuredClone(record));
+      return record[keyPath];
+    })),
+    get: key => request(() => records.has(key) ? structuredClone(records.get(key)) : undefined),
+    getAll: () => request(() => [...records.values()].map(record => structuredClone(record))),
+    delete: key => request(() => write(() => {
+      records.delete(key);
+    }))
+  };
+}
+
+/**
+ * Build an empty IndexedDB factory
+ * @returns {object} Object shaped like `window.indexedDB`, with the databases under `databases`
+ */
+export function createIndexedDB() {
+  const databases = new Map();
+
+  const open = (name, version = 1) => request(req => {
+    let database = databases.get(name);
+    const upgrade = !database || version > database.version;
+    if (!database) {
+      database = { version, stores: new Map() };
+      databases.set(name, database);
+    }
+    database.version = version;
+
+    const db = {
+      close: () => {},
+      objectStoreNames: { contains: storeName => database.stores.has(storeName) },
+      createObjectStore: (storeName, { keyPath }) => {
+        database.stores.set(storeName, { keyPath, records: new Map() });
+      },
+      transaction: (storeName, mode = 'readonly') => ({
+        objectStore: () => {
+          const store = database.stores.get(storeName);
+          if (!store) {
+            throw new Error(`NotFoundError: no object store ${storeName}`);
+          }
+          return objectStore(store.records, store.keyPath, mode === 'readwrite');
+        }
+      })
+    };
+
+    if (upgrade) {
+      req.result = db;
+      if (req.onupgradeneeded) req.onupgradeneeded();
+    }
+    return db;
+  });
+
+  const deleteDatabase = name => request(() => {
+    databases.delete(name);
+  });
+
+  return { open, deleteDatabase, databases };
+}
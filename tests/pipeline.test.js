@@ -18,8 +18,13 @@ describe('Pipeline Integration', () => {
       'output/json/questions.json',
       'output/json/vbscript-metadata.json',
       'output/json/engine-structure.json',
+      'output/json/variable-scope.json',
       'output/javascript/original-vbscript.vbs',
       'output/javascript/transpiled.js',
+      'output/javascript/transpiled.js.map',
+      'output/javascript/transpiled.module.js',
+      'output/javascript/transpiled.module.js.map',
+      'webapp/js/legacy-scoring.js',
       'output/html/question-fragment.html',
       'output/html/assessment-form.html'
     ];
@@ -8,32 +8,53 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Logger from './src/logger/Logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-console.log('🔍 Validating MCMI2-modern.html...\n');
+const MODERN_HTML_PATH = path.join(__dirname, 'MCMI2-modern.html');
 
-const modernHtmlPath = path.join(__dirname, 'MCMI2-modern.html');
+/**
+ * Print a check result, unless the logger is quiet (mcmi --quiet)
+ */
+function log(...args) {
+  if (!Logger.quiet) console.log(...args);
+}
+
+/**
+ * Validate a modern HTML file built by build-modern-html.js
+ * @param {string} file - HTML file to check
+ * @returns {object} { valid, errors, warnings } with the failed checks' messages
+ * @throws {Error} If the file cannot be read
+ */
+export function validateModernHTML(file = MODERN_HTML_PATH) {
+  log(`🔍 Validating ${path.basename(file)}...\n`);
+
+  const html = fs.readFileSync(file, 'utf-8');
+
+  const errors = [];
+  const warnings = [];
+  const fail = message => {
+    log(`✗ ${message}`);
+    errors.push(message);
+  };
+  const warn = message => {
+    log(`⚠ Warning: ${message}`);
+    warnings.push(message);
+  };
 
-try {
-  const html = fs.readFileSync(modernHtmlPath, 'utf-8');
-  
-  let errors = 0;
-  let warnings = 0;
-  
   // Check 1: File exists and has content
-  console.log('✓ File exists and loaded');
-  console.log(`  Size: ${(html.length / 1024).toFixed(2)} KB`);
-  
+  log('✓ File exists and loaded');
+  log(`  Size: ${(html.length / 1024).toFixed(2)} KB`);
+
   // Check 2: Has DOCTYPE and HTML tags
   if (html.includes('<!DOCTYPE') && html.includes('<HTML>')) {
-    console.log('✓ HTML structure present');
+    log('✓ HTML structure present');
   } else {
-    console.log('✗ Missing HTML structure');
-    errors++;
+    fail('Missing HTML structure');
   }
-  
+
   // Check 3: Has all 175 questions (R1 through R175)
   // Count unique question names (each question has exactly 2 radio buttons)
   const questionMatches = html.match(/name=["']?R(\d+)["']?/g) || [];
@@ -43,106 +64,99 @@ try {
     uniqueQuestions.add(parseInt(num));
   });
   const questionCount = uniqueQuestions.size;
-  
+
   if (questionCount === 175) {
-    console.log(`✓ All 175 questions present (${questionMatches.length} radio buttons found)`);
+    log(`✓ All 175 questions present (${questionMatches.length} radio buttons found)`);
   } else {
-    console.log(`✗ Expected 175 questions, found ${questionCount}`);
-    console.log(`  (Total radio buttons: ${questionMatches.length})`);
-    errors++;
+    fail(`Expected 175 questions, found ${questionCount} (total radio buttons: ${questionMatches.length})`);
   }
-  
+
   // Check 4: No VBScript tags
   if (html.includes('language=vbscript')) {
-    console.log('✗ VBScript tags still present');
-    errors++;
+    fail('VBScript tags still present');
   } else {
-    console.log('✓ No VBScript tags (replaced with JavaScript)');
+    log('✓ No VBScript tags (replaced with JavaScript)');
   }
-  
+
   // Check 5: Has JavaScript tag
   if (html.includes('type="text/javascript"')) {
-    console.log('✓ JavaScript tag present');
+    log('✓ JavaScript tag present');
   } else {
-    console.log('✗ Missing JavaScript tag');
-    errors++;
+    fail('Missing JavaScript tag');
   }
-  
+
   // Check 6: Has k variable initialization
   if (html.includes('let k = document.frm1') || html.includes('const k = document.frm1')) {
-    console.log('✓ Form reference variable (k) initialized');
+    log('✓ Form reference variable (k) initialized');
   } else {
-    console.log('⚠ Warning: k variable initialization not found');
-    warnings++;
+    warn('k variable initialization not found');
   }
-  
+
   // Check 7: Has transpiled functions
   const functionCount = (html.match(/function \w+\(/g) || []).length;
   if (functionCount >= 84) {
-    console.log(`✓ Transpiled functions present (${functionCount} functions found)`);
+    log(`✓ Transpiled functions present (${functionCount} functions found)`);
   } else {
-    console.log(`⚠ Warning: Expected at least 84 functions, found ${functionCount}`);
-    warnings++;
+    warn(`Expected at least 84 functions, found ${functionCount}`);
   }
-  
+
   // Check 8: Has form element
   if (html.includes('name=frm1')) {
-    console.log('✓ Form element (frm1) present');
+    log('✓ Form element (frm1) present');
   } else {
-    console.log('✗ Missing form element');
-    errors++;
+    fail('Missing form element');
   }
-  
+
   // Check 9: Has Submit button
   if (html.includes('type=button') && html.includes('Submit')) {
-    console.log('✓ Submit button present');
+    log('✓ Submit button present');
   } else {
-    console.log('⚠ Warning: Submit button may be missing');
-    warnings++;
+    warn('Submit button may be missing');
   }
-  
+
   // Check 10: Has closing tags
   if (html.includes('</SCRIPT>') && html.includes('</BODY>') && html.includes('</HTML>')) {
-    console.log('✓ All closing tags present');
+    log('✓ All closing tags present');
   } else {
-    console.log('✗ Missing closing tags');
-    errors++;
+    fail('Missing closing tags');
   }
-  
+
   // Check 11: Verify no duplicate script tags
   const scriptOpenCount = (html.match(/<SCRIPT/gi) || []).length;
   const scriptCloseCount = (html.match(/<\/SCRIPT>/gi) || []).length;
   if (scriptOpenCount === scriptCloseCount) {
-    console.log(`✓ Script tags balanced (${scriptOpenCount} opening, ${scriptCloseCount} closing)`);
+    log(`✓ Script tags balanced (${scriptOpenCount} opening, ${scriptCloseCount} closing)`);
   } else {
-    console.log(`✗ Script tags unbalanced (${scriptOpenCount} opening, ${scriptCloseCount} closing)`);
-    errors++;
+    fail(`Script tags unbalanced (${scriptOpenCount} opening, ${scriptCloseCount} closing)`);
   }
-  
+
   // Check 12: Check for Persian text
   if (html.includes('کلیدگذاری MCMI-II')) {
-    console.log('✓ Persian text preserved');
+    log('✓ Persian text preserved');
   } else {
-    console.log('⚠ Warning: Persian text may be missing');
-    warnings++;
+    warn('Persian text may be missing');
   }
-  
-  console.log('\n📊 Validation Summary:');
-  console.log(`   Errors: ${errors}`);
-  console.log(`   Warnings: ${warnings}`);
-  
-  if (errors === 0 && warnings === 0) {
-    console.log('\n✅ Validation PASSED - File is properly structured!');
-    process.exit(0);
-  } else if (errors === 0) {
-    console.log('\n⚠️  Validation PASSED with warnings - File should work but review warnings');
-    process.exit(0);
+
+  log('\n📊 Validation Summary:');
+  log(`   Errors: ${errors.length}`);
+  log(`   Warnings: ${warnings.length}`);
+
+  if (errors.length === 0 && warnings.length === 0) {
+    log('\n✅ Validation PASSED - File is properly structured!');
+  } else if (errors.length === 0) {
+    log('\n⚠️  Validation PASSED with warnings - File should work but review warnings');
   } else {
-    console.log('\n❌ Validation FAILED - File has structural errors');
+    log('\n❌ Validation FAILED - File has structural errors');
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    process.exit(validateModernHTML().valid ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error validating file:', error.message);
     process.exit(1);
   }
-  
-} catch (error) {
-  console.error('❌ Error validating file:', error.message);
-  process.exit(1);
 }
@@ -4,6 +4,11 @@
 
 import AssessmentEngine from './assessment-engine.js';
 import FileDownloader from './file-downloader.js';
+import { renderValidity, escapeHTML } from './report-template.js';
+import SessionStore, { SESSION_TTL } from './session-store.js';
+import { VALIDITY_THRESHOLDS } from './scoring.js';
+import Vault, { AutoLock, AUTO_LOCK_TIMEOUT, MIN_PASSPHRASE_LENGTH } from './vault.js';
+import EntryGrid, { KEY_MAPPINGS, DEFAULT_MAPPING, answerForKey, compareEntries } from './rapid-entry.js';
 import i18n from './i18n.js';
 
 class App {
@@ -13,6 +18,17 @@ class App {
     this.currentQuestionIndex = 0;
     this.theme = localStorage.getItem('theme') || 'light';
     this.i18n = i18n;
+    this.vault = new Vault();
+    this.sessions = new SessionStore({ cipher: this.vault });
+    this.autoLock = new AutoLock(() => this.lock(true));
+    this.screenBeforeLock = 'welcome-screen';
+    this.lockNotice = null; // { key, params } shown on the lock screen instead of its description
+    this.entryMapping = KEY_MAPPINGS[localStorage.getItem('entryKeys')] ? localStorage.getItem('entryKeys') : DEFAULT_MAPPING;
+    this.entry = null; // First keying of a paper answer sheet
+    this.verification = null; // Second keying, compared with the first
+    this.entryPass = null; // 'first', 'second' or 'resolve'
+    this.session = null; // { id, createdAt } of the administration being autosaved
+    this.sessionWrites = Promise.resolve(); // Saves run one at a time, so a new session is created once
     
     this.init();
   }
@@ -27,9 +43,20 @@ class App {
     
     // Load questions
     await this.loadQuestions();
+    await this.loadScoringKeys();
+    await this.loadBaseRateTables();
     
     // Setup event listeners
     this.setupEventListeners();
+
+    // Saved administrations are encrypted: set the passphrase or unlock first. Without
+    // WebCrypto the app runs without saving them (this.sessions is then unsupported)
+    if (this.vault.isSupported()) {
+      this.showLockScreen();
+    } else {
+      document.getElementById('storage-notice').hidden = false;
+      this.showScreen('welcome-screen');
+    }
     
     // Register service worker for PWA
     this.registerServiceWorker();
@@ -53,6 +80,30 @@ class App {
     }
   }
 
+  async loadScoringKeys() {
+    try {
+      const response = await fetch('data/scoring-keys.json');
+      const data = await response.json();
+      this.engine.setScoringKeys(data);
+      console.log(`✅ Loaded scoring keys v${data.version} (${data.scales.length} scales)`);
+    } catch (error) {
+      console.error('❌ Failed to load scoring keys:', error);
+      alert(this.i18n.t('errors.load_scoring_keys'));
+    }
+  }
+
+  async loadBaseRateTables() {
+    try {
+      const response = await fetch('data/br-tables.json');
+      const data = await response.json();
+      await this.engine.setBaseRateTables(data);
+      console.log(`✅ Loaded base-rate tables v${data.version} (checksum verified)`);
+    } catch (error) {
+      console.error('❌ Failed to load base-rate tables:', error);
+      alert(this.i18n.t('errors.load_br_tables'));
+    }
+  }
+
   setupEventListeners() {
     // Language selector
     const langSelector = document.getElementById('language-selector');
@@ -61,6 +112,10 @@ class App {
       this.i18n.setLanguage(e.target.value);
       this.updateProgress();
       this.updateQuestionDisplay();
+      this.renderReview();
+      this.renderEntry();
+      this.renderLockScreen();
+      this.showResumableSessions();
     });
     
     // Theme toggle
@@ -71,7 +126,65 @@ class App {
     // Demographic form submission
     document.getElementById('demographic-form').addEventListener('submit', (e) => {
       e.preventDefault();
-      this.startAssessment();
+      this.startAssessment(e.submitter && e.submitter.dataset.mode === 'entry' ? 'entry' : 'questions');
+    });
+
+    // Rapid entry of paper answer sheets
+    const entryMapping = document.getElementById('entry-mapping');
+    entryMapping.value = this.entryMapping;
+    entryMapping.addEventListener('change', (e) => {
+      this.setEntryMapping(e.target.value);
+    });
+
+    document.getElementById('entry-grid').addEventListener('keydown', (e) => {
+      this.handleEntryKey(e);
+    });
+
+    document.getElementById('entry-grid').addEventListener('click', (e) => {
+      const cell = e.target.closest('[data-index]');
+      if (cell && this.entry) {
+        this.activeEntry().moveTo(Number(cell.dataset.index));
+        this.renderEntry();
+      }
+    });
+
+    document.getElementById('entry-verify-btn').addEventListener('click', () => {
+      this.nextEntryPass();
+    });
+
+    document.getElementById('entry-accept-btn').addEventListener('click', () => {
+      this.acceptEntry();
+    });
+
+    // Lock screen, lock button and inactivity
+    document.getElementById('lock-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitPassphrase();
+    });
+
+    document.getElementById('forget-data-btn').addEventListener('click', () => {
+      this.forgetAllData();
+    });
+
+    document.getElementById('lock-btn').addEventListener('click', () => {
+      this.lock();
+    });
+
+    ['pointerdown', 'keydown'].forEach(type => {
+      document.addEventListener(type, () => {
+        if (!this.vault.isLocked()) this.autoLock.touch();
+      }, { passive: true });
+    });
+
+    // Resume or discard an unfinished administration
+    document.getElementById('resume-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-session-id]');
+      if (!button) return;
+      if (button.dataset.action === 'resume') {
+        this.resumeSession(button.dataset.sessionId);
+      } else if (button.dataset.action === 'discard') {
+        this.discardSession(button.dataset.sessionId);
+      }
     });
 
     // Navigation buttons
@@ -84,7 +197,31 @@ class App {
     });
 
     document.getElementById('submit-btn').addEventListener('click', () => {
-      this.submitAssessment();
+      this.showReview();
+    });
+
+    document.getElementById('review-btn').addEventListener('click', () => {
+      this.showReview();
+    });
+
+    document.getElementById('flag-btn').addEventListener('click', () => {
+      this.toggleFlag();
+    });
+
+    // Review screen
+    document.getElementById('review-grid').addEventListener('click', (e) => {
+      const item = e.target.closest('button[data-index]');
+      if (item) {
+        this.jumpToQuestion(Number(item.dataset.index));
+      }
+    });
+
+    document.getElementById('review-back-btn').addEventListener('click', () => {
+      this.jumpToQuestion(this.currentQuestionIndex);
+    });
+
+    document.getElementById('review-submit-btn').addEventListener('click', () => {
+      this.confirmSubmit();
     });
 
     // Answer selection
@@ -116,16 +253,29 @@ class App {
     icon.textContent = this.theme === 'light' ? '🌙' : '☀️';
   }
 
-  startAssessment() {
+  /**
+   * Start an administration, answering the questions one by one or keying a paper sheet
+   * @param {string} mode - 'questions' or 'entry'
+   */
+  startAssessment(mode = 'questions') {
     // Get demographic data
     const demographics = {
       name: document.getElementById('patient-name').value,
       age: document.getElementById('patient-age').value,
       code: document.getElementById('patient-code').value,
-      gender: document.querySelector('input[name="gender"]:checked').value
+      gender: document.querySelector('input[name="gender"]:checked').value,
+      inpatientCode: Number(document.getElementById('patient-inpatient').value)
     };
     
     this.engine.setDemographics(demographics);
+    this.queueSessionWrite(() => {
+      this.session = null;
+    });
+
+    if (mode === 'entry') {
+      this.startEntry();
+      return;
+    }
     
     // Show assessment screen
     this.showScreen('assessment-screen');
@@ -133,6 +283,216 @@ class App {
     // Load first question
     this.currentQuestionIndex = 0;
     this.loadQuestion(this.currentQuestionIndex);
+    this.saveSession();
+  }
+
+  /**
+   * Show the lock screen: set a passphrase on first use, otherwise unlock
+   * @param {object} notice - { key, params } of a message to show instead of the description
+   */
+  showLockScreen(notice = null) {
+    this.lockNotice = notice;
+    this.renderLockScreen();
+    document.getElementById('lock-error').hidden = true;
+    document.getElementById('lock-btn').hidden = true;
+    this.showScreen('lock-screen');
+    document.getElementById('lock-passphrase').focus();
+  }
+
+  renderLockScreen() {
+    const setup = !this.vault.isInitialized();
+    const description = this.lockNotice
+      ? this.i18n.t(this.lockNotice.key, this.lockNotice.params)
+      : this.i18n.t(setup ? 'lock.setup_description' : 'lock.description');
+
+    document.getElementById('lock-title').textContent = this.i18n.t(setup ? 'lock.setup_title' : 'lock.title');
+    document.getElementById('lock-description').textContent = description;
+    document.getElementById('lock-submit').textContent = this.i18n.t(setup ? 'lock.create' : 'lock.unlock');
+    document.getElementById('lock-confirm-group').hidden = !setup;
+    document.getElementById('lock-confirm').required = setup;
+    document.getElementById('lock-passphrase').autocomplete = setup ? 'new-password' : 'current-password';
+  }
+
+  showLockError(key, params = {}) {
+    const error = document.getElementById('lock-error');
+    error.textContent = this.i18n.t(key, params);
+    error.hidden = false;
+  }
+
+  /**
+   * Set the passphrase (first use) or unlock, then go back to where the app was locked
+   */
+  async submitPassphrase() {
+    const passphrase = document.getElementById('lock-passphrase').value;
+    document.getElementById('lock-error').hidden = true;
+
+    if (!this.vault.isInitialized()) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        this.showLockError('lock.errors.too_short', { min: MIN_PASSPHRASE_LENGTH });
+        return;
+      }
+      if (passphrase !== document.getElementById('lock-confirm').value) {
+        this.showLockError('lock.errors.mismatch');
+        return;
+      }
+      await this.vault.create(passphrase);
+    } else if (!await this.vault.unlock(passphrase)) {
+      this.showLockError('lock.errors.wrong');
+      return;
+    }
+
+    document.getElementById('lock-form').reset();
+    document.getElementById('lock-btn').hidden = false;
+    this.lockNotice = null;
+    this.autoLock.touch();
+    this.showScreen(this.screenBeforeLock);
+    if (this.screenBeforeLock === 'welcome-screen') {
+      await this.showResumableSessions();
+    }
+  }
+
+  /**
+   * Lock the app: save the administration in progress, drop the key and show the lock screen
+   * @param {boolean} auto - Locked by the inactivity timer
+   */
+  async lock(auto = false) {
+    if (this.vault.isLocked()) return;
+    this.autoLock.stop();
+
+    const active = document.querySelector('.screen.active');
+    this.screenBeforeLock = active ? active.id : 'welcome-screen';
+    if (['assessment-screen', 'review-screen'].includes(this.screenBeforeLock)) {
+      this.saveSession();
+    }
+    await this.sessionWrites;
+
+    this.vault.lock();
+    document.getElementById('resume-sessions').hidden = true;
+    document.getElementById('resume-list').innerHTML = '';
+    this.showLockScreen(auto ? { key: 'lock.auto_locked', params: { minutes: AUTO_LOCK_TIMEOUT / 60000 } } : null);
+  }
+
+  /**
+   * Delete every saved administration and the passphrase from this device
+   */
+  async forgetAllData() {
+    if (!confirm(this.i18n.t('lock.forget_confirm'))) return;
+
+    this.autoLock.stop();
+    await this.sessionWrites;
+    if (this.sessions.isSupported()) {
+      try {
+        await this.sessions.clear();
+      } catch (error) {
+        console.warn('⚠️ Failed to delete the saved sessions:', error);
+      }
+    }
+    this.vault.forget();
+
+    this.engine.reset();
+    this.session = null;
+    this.lastResults = null;
+    this.currentQuestionIndex = 0;
+    document.getElementById('demographic-form').reset();
+    document.getElementById('results-summary').innerHTML = '';
+    this.screenBeforeLock = 'welcome-screen';
+    this.showLockScreen();
+  }
+
+  /**
+   * Queue a write to the session store after the pending ones
+   * A failed write is logged and the assessment goes on
+   */
+  queueSessionWrite(write) {
+    if (!this.sessions.isSupported()) return Promise.resolve();
+    this.sessionWrites = this.sessionWrites
+      .then(write)
+      .catch(error => console.warn('⚠️ Failed to update the saved session:', error));
+    return this.sessionWrites;
+  }
+
+  /**
+   * Autosave the administration in progress (demographics, answers, flags, current question)
+   */
+  saveSession() {
+    const state = {
+      demographics: this.engine.demographics,
+      answers: this.engine.answers,
+      flagged: this.engine.getFlagged(),
+      currentQuestionIndex: this.currentQuestionIndex
+    };
+    return this.queueSessionWrite(async () => {
+      const record = await this.sessions.save({ ...this.session, ...state });
+      this.session = { id: record.id, createdAt: record.createdAt };
+    });
+  }
+
+  /**
+   * Delete the saved copy of a finished administration
+   */
+  finishSession() {
+    return this.queueSessionWrite(async () => {
+      if (this.session) {
+        await this.sessions.discard(this.session.id);
+        this.session = null;
+      }
+    });
+  }
+
+  /**
+   * List unfinished administrations on the welcome screen (expired ones are deleted)
+   */
+  async showResumableSessions() {
+    const container = document.getElementById('resume-sessions');
+    let sessions = [];
+    if (this.sessions.isSupported() && !this.vault.isLocked()) {
+      try {
+        sessions = await this.sessions.list();
+      } catch (error) {
+        console.warn('⚠️ Failed to read saved sessions:', error);
+      }
+    }
+
+    container.hidden = sessions.length === 0;
+    const total = this.questions.length || 175;
+    document.getElementById('resume-list').innerHTML = sessions.map(session => `
+      <li class="resume-item">
+        <div class="resume-details">
+          <strong>${escapeHTML(session.demographics.name || this.i18n.t('welcome.resume.anonymous'))}</strong>${session.demographics.code ? ` (${escapeHTML(session.demographics.code)})` : ''}
+          <small>${this.i18n.t('welcome.resume.answered', { count: Object.keys(session.answers).length, total })}</small>
+          <small>${this.i18n.t('welcome.resume.saved', { date: new Date(session.updatedAt).toLocaleString() })}</small>
+        </div>
+        <div class="resume-actions">
+          <button type="button" class="btn btn-primary" data-action="resume" data-session-id="${escapeHTML(session.id)}">${this.i18n.t('welcome.resume.resume')}</button>
+          <button type="button" class="btn btn-secondary" data-action="discard" data-session-id="${escapeHTML(session.id)}">${this.i18n.t('welcome.resume.discard')}</button>
+        </div>
+      </li>
+    `).join('') + (sessions.length > 0
+      ? `<li><small>${this.i18n.t('welcome.resume.expiry', { days: SESSION_TTL / (24 * 60 * 60 * 1000) })}</small></li>`
+      : '');
+  }
+
+  async resumeSession(id) {
+    const session = await this.sessions.get(id);
+    if (!session) {
+      alert(this.i18n.t('welcome.resume.expired'));
+      await this.showResumableSessions();
+      return;
+    }
+
+    this.engine.restore(session);
+    this.queueSessionWrite(() => {
+      this.session = { id: session.id, createdAt: session.createdAt };
+    });
+    this.showScreen('assessment-screen');
+    this.currentQuestionIndex = Math.min(session.currentQuestionIndex, this.questions.length - 1);
+    this.loadQuestion(this.currentQuestionIndex);
+  }
+
+  async discardSession(id) {
+    if (!confirm(this.i18n.t('welcome.resume.discard_confirm'))) return;
+    await this.sessions.discard(id);
+    await this.showResumableSessions();
   }
 
   loadQuestion(index) {
@@ -159,6 +519,11 @@ class App {
       const radio = document.querySelector(`input[name="answer"][value="${previousAnswer}"]`);
       if (radio) radio.checked = true;
     }
+
+    const flagged = this.engine.isFlagged(question.id);
+    const flagButton = document.getElementById('flag-btn');
+    flagButton.setAttribute('aria-pressed', String(flagged));
+    flagButton.textContent = this.i18n.t(flagged ? 'assessment.flagged' : 'assessment.flag');
     
     // Update navigation buttons
     document.getElementById('prev-btn').disabled = index === 0;
@@ -194,40 +559,217 @@ class App {
     const question = this.questions[this.currentQuestionIndex];
     this.engine.recordAnswer(question.id, value);
     console.log(`📝 Question ${question.id}: ${value}`);
+    this.saveSession();
   }
 
   previousQuestion() {
     if (this.currentQuestionIndex > 0) {
       this.currentQuestionIndex--;
       this.loadQuestion(this.currentQuestionIndex);
+      this.saveSession();
     }
   }
 
   nextQuestion() {
-    // Check if current question is answered
-    const question = this.questions[this.currentQuestionIndex];
-    const answer = this.engine.getAnswer(question.id);
-    
-    if (!answer) {
-      alert(this.i18n.t('assessment.required'));
-      return;
-    }
-
+    // Unanswered items may be skipped; the review screen lists them before submitting
     if (this.currentQuestionIndex < this.questions.length - 1) {
       this.currentQuestionIndex++;
       this.loadQuestion(this.currentQuestionIndex);
+      this.saveSession();
     }
   }
 
-  submitAssessment() {
-    // Check if all questions are answered
-    if (!this.engine.isComplete(this.questions.length)) {
-      alert(this.i18n.t('errors.incomplete'));
+  toggleFlag() {
+    const question = this.questions[this.currentQuestionIndex];
+    this.engine.toggleFlag(question.id);
+    this.loadQuestion(this.currentQuestionIndex);
+    this.saveSession();
+  }
+
+  jumpToQuestion(index) {
+    this.currentQuestionIndex = index;
+    this.showScreen('assessment-screen');
+    this.loadQuestion(index);
+    this.saveSession();
+  }
+
+  /**
+   * Key a paper answer sheet (see rapid-entry.js): a first keying, then optionally a
+   * verification keying that is compared with it
+   */
+  startEntry() {
+    this.entry = new EntryGrid(this.questions.length, this.entryMapping);
+    this.verification = null;
+    this.entryPass = 'first';
+    this.showScreen('entry-screen');
+    this.renderEntry();
+    document.getElementById('entry-grid').focus();
+  }
+
+  /**
+   * The keying the keyboard goes to: the verification during the second pass, else the first
+   */
+  activeEntry() {
+    return this.entryPass === 'second' ? this.verification : this.entry;
+  }
+
+  setEntryMapping(mapping) {
+    this.entryMapping = mapping;
+    localStorage.setItem('entryKeys', mapping);
+    [this.entry, this.verification].forEach(grid => {
+      if (grid) grid.mapping = mapping;
+    });
+    this.renderEntry();
+    document.getElementById('entry-grid').focus();
+  }
+
+  handleEntryKey(e) {
+    if (!this.entry || e.ctrlKey || e.metaKey || e.altKey) return;
+    const grid = this.activeEntry();
+    // Item the key answers, skips or clears
+    const item = answerForKey(e.key, grid.mapping) !== null || e.key === ' ' ? grid.cursor + 1
+      : e.key === 'Backspace' ? grid.backspaceItem() : null;
+    if (!grid.handleKey(e.key)) return;
+    e.preventDefault();
+
+    // While resolving, the answer keyed for an item settles it in both keyings
+    if (this.entryPass === 'resolve' && item) {
+      if (this.entry.answers[item]) {
+        this.verification.answers[item] = this.entry.answers[item];
+      } else {
+        delete this.verification.answers[item];
+      }
+    }
+    this.renderEntry();
+  }
+
+  /**
+   * Start the verification keying, or compare it with the first keying
+   */
+  nextEntryPass() {
+    if (this.entryPass === 'first') {
+      this.verification = new EntryGrid(this.questions.length, this.entryMapping);
+      this.entryPass = 'second';
+    } else if (this.entryPass === 'second') {
+      this.entryPass = 'resolve';
+      const [first] = compareEntries(this.entry.answers, this.verification.answers, this.questions.length);
+      if (first) this.entry.moveTo(first.item - 1);
+    }
+    this.renderEntry();
+    document.getElementById('entry-grid').focus();
+  }
+
+  /**
+   * Use the keyed answers, once both keyings match, and review them before submitting
+   */
+  acceptEntry() {
+    if (this.verification) {
+      const mismatches = compareEntries(this.entry.answers, this.verification.answers, this.questions.length);
+      if (mismatches.length > 0) {
+        if (this.entryPass === 'second') {
+          this.nextEntryPass();
+        }
+        alert(this.i18n.t('entry.unresolved', { count: mismatches.length }));
+        return;
+      }
+    }
+
+    this.engine.restore({ demographics: this.engine.demographics, answers: this.entry.answers });
+    this.entry = null;
+    this.verification = null;
+    this.entryPass = null;
+    this.currentQuestionIndex = 0;
+    this.saveSession();
+    this.showReview();
+  }
+
+  renderEntry() {
+    if (!this.entry) return;
+    const grid = this.activeEntry();
+    const keys = KEY_MAPPINGS[this.entryMapping];
+    const mismatches = this.entryPass === 'resolve'
+      ? compareEntries(this.entry.answers, this.verification.answers, this.questions.length)
+      : [];
+    const mismatched = new Set(mismatches.map(mismatch => mismatch.item));
+
+    document.getElementById('entry-pass').textContent = this.i18n.t(`entry.${this.entryPass}_pass`);
+    document.getElementById('entry-help').textContent = this.i18n.t('entry.help', { true: keys.true, false: keys.false });
+    const verifyButton = document.getElementById('entry-verify-btn');
+    verifyButton.hidden = this.entryPass === 'resolve';
+    verifyButton.textContent = this.i18n.t(this.entryPass === 'first' ? 'entry.verify' : 'entry.compare');
+
+    const gridElement = document.getElementById('entry-grid');
+    gridElement.innerHTML = Array.from({ length: grid.total }, (_, index) => {
+      const item = index + 1;
+      const classes = ['entry-cell', ...(index === grid.cursor ? ['current'] : []), ...(mismatched.has(item) ? ['mismatch'] : [])].join(' ');
+      const key = grid.keyFor(item);
+      return `<div class="${classes}" data-index="${index}" title="${escapeHTML(this.i18n.t('entry.cell', { item }))}"><small>${item}</small><span class="entry-key">${escapeHTML(key)}</span></div>`;
+    }).join('');
+    const current = gridElement.querySelector('.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+
+    const report = document.getElementById('entry-mismatches');
+    report.hidden = this.entryPass !== 'resolve';
+    report.classList.toggle('resolved', mismatches.length === 0);
+    const shown = answer => answer ? keys[answer] : this.i18n.t('entry.blank');
+    report.textContent = mismatches.length > 0
+      ? this.i18n.t('entry.mismatches', {
+        count: mismatches.length,
+        items: mismatches.map(mismatch => this.i18n.t('entry.mismatch_item', { item: mismatch.item, first: shown(mismatch.first), second: shown(mismatch.second) })).join(', ')
+      })
+      : this.i18n.t('entry.no_mismatches');
+  }
+
+  /**
+   * Show every item as answered, unanswered or flagged, to jump to one or submit
+   */
+  showReview() {
+    this.renderReview();
+    this.showScreen('review-screen');
+  }
+
+  renderReview() {
+    const total = this.questions.length;
+    if (total === 0) return;
+    const omitted = this.engine.getOmissions(total);
+    const flagged = this.engine.getFlagged();
+    const none = this.i18n.t('results.none');
+
+    document.getElementById('review-summary').innerHTML = `
+      <p><strong>${this.i18n.t('review.summary', { answered: total - omitted.length, total })}</strong></p>
+      <p>${this.i18n.t('review.unanswered_items', { count: omitted.length, items: omitted.join(', ') || none })}</p>
+      <p>${this.i18n.t('review.flagged_items', { count: flagged.length, items: flagged.join(', ') || none })}</p>
+    `;
+
+    document.getElementById('review-grid').innerHTML = this.questions.map((question, index) => {
+      const answered = Boolean(this.engine.getAnswer(question.id));
+      const isFlagged = this.engine.isFlagged(question.id);
+      const state = [
+        this.i18n.t(answered ? 'review.answered' : 'review.unanswered'),
+        ...(isFlagged ? [this.i18n.t('review.flagged')] : [])
+      ].join(', ');
+      const classes = ['review-item', answered ? 'answered' : 'unanswered', ...(isFlagged ? ['flagged'] : [])].join(' ');
+      return `<button type="button" class="${classes}" data-index="${index}" aria-label="${escapeHTML(`${this.i18n.t('review.item', { number: question.id })}: ${state}`)}">${question.id}</button>`;
+    }).join('');
+  }
+
+  /**
+   * Submit from the review screen, after confirming any omitted items
+   */
+  confirmSubmit() {
+    const omitted = this.engine.getOmissions(this.questions.length);
+    if (omitted.length > 0 && !confirm(this.i18n.t('review.confirm_omissions', { count: omitted.length, limit: VALIDITY_THRESHOLDS.omissionsInvalid }))) {
       return;
     }
+    this.submitAssessment();
+  }
 
+  submitAssessment() {
     // Calculate results
     const results = this.engine.getResults();
+
+    // The administration is finished, so it is no longer offered for resuming
+    this.finishSession();
     
     // Display results
     this.displayResults(results);
@@ -242,18 +784,22 @@ class App {
     const genderText = results.gender === 'male' ? this.i18n.t('results.male') : this.i18n.t('results.female');
     
     const html = `
+      ${renderValidity(results.validity, (key, params) => this.i18n.t(key, params))}
       <h3>📊 <span data-i18n="results.summary">${this.i18n.t('results.summary')}</span></h3>
       <p><strong data-i18n="results.name">${this.i18n.t('results.name')}</strong> ${results.name}</p>
       <p><strong data-i18n="results.age">${this.i18n.t('results.age')}</strong> ${results.age}</p>
       <p><strong data-i18n="results.gender">${this.i18n.t('results.gender')}</strong> ${genderText}</p>
+      <p><strong data-i18n="results.inpatient">${this.i18n.t('results.inpatient')}</strong> ${this.i18n.t(`welcome.form.inpatient_options.${results.inpatientCode}`)}</p>
       <p><strong data-i18n="results.questions_answered">${this.i18n.t('results.questions_answered')}</strong> ${results.totalQuestions} / 175</p>
+      <p><strong data-i18n="results.omissions">${this.i18n.t('results.omissions')}</strong> ${results.omissions.count}${results.omissions.count > 0 ? ` (${results.omissions.items.join(', ')})` : ''}</p>
+      <p><strong data-i18n="results.flagged">${this.i18n.t('results.flagged')}</strong> ${results.flagged.join(', ') || this.i18n.t('results.none')}</p>
       <p><strong data-i18n="results.completed">${this.i18n.t('results.completed')}</strong> ${new Date(results.completedAt).toLocaleString()}</p>
       
       <div style="margin-top: 20px; padding: 15px; background: var(--bg-primary); border-radius: 8px;">
         <h4 style="color: var(--primary-color); margin-bottom: 10px;">📈 <span data-i18n="results.top_scales">${this.i18n.t('results.top_scales')}</span></h4>
         ${results.scores
-          .filter(s => !['V', 'X', 'Y', 'Z', '1'].includes(s.code))
-          .sort((a, b) => b.value - a.value)
+          .filter(s => !['V', 'X', 'Y', 'Z'].includes(s.code))
+          .sort((a, b) => (b.value ?? 0) - (a.value ?? 0))
           .slice(0, 5)
           .map((s, i) => `<p>${i + 1}. <strong>${s.name}</strong>: ${s.value}</p>`)
           .join('')}
@@ -272,7 +818,8 @@ class App {
       return;
     }
 
-    const reportHTML = FileDownloader.generateReport(this.lastResults);
+    // The report is written in English, whatever the language of the app
+    const reportHTML = FileDownloader.generateReport(this.lastResults, (key, params) => this.i18n.t(key, params, 'en'));
     const filename = `mcmi-ii-report-${this.lastResults.name.replace(/\s+/g, '-')}-${Date.now()}`;
     FileDownloader.saveReport(reportHTML, filename);
     
@@ -290,6 +837,7 @@ class App {
       
       // Show welcome screen
       this.showScreen('welcome-screen');
+      this.showResumableSessions();
     }
   }
 
@@ -3,44 +3,67 @@
  * Handles scoring and computation logic
  */
 
+import { scoreProfile, assessValidity, toBaseRate, validateScoringKeys, verifyBaseRateTables } from './scoring.js';
+
 export class AssessmentEngine {
-  constructor() {
+  /**
+   * @param {object} scoringKeys - Parsed scoring-keys.json (optional, see setScoringKeys)
+   */
+  constructor(scoringKeys = null) {
     this.answers = {};
+    this.flagged = new Set();
     this.demographics = {};
+    this.scoringKeys = scoringKeys ? validateScoringKeys(scoringKeys) : [];
+    this.baseRateTables = null;
+    this.scales = this.initializeScales();
+    this.profile = null;
+  }
+
+  /**
+   * Load the scoring keys generated by the pipeline (data/scoring-keys.json)
+   * @param {object} scoringKeys - Parsed scoring-keys.json
+   */
+  setScoringKeys(scoringKeys) {
+    this.scoringKeys = validateScoringKeys(scoringKeys);
     this.scales = this.initializeScales();
+    this.profile = null;
+  }
+
+  /**
+   * Load the base-rate norms generated by the pipeline (data/br-tables.json)
+   * The tables are only accepted if they match their checksum
+   * @param {object} baseRates - Parsed br-tables.json
+   */
+  async setBaseRateTables(baseRates) {
+    this.baseRateTables = await verifyBaseRateTables(baseRates);
+    this.profile = null;
   }
 
   /**
-   * Initialize MCMI-II scales with their names
+   * Convert a raw scale score to a base rate
+   * @param {string} scale - Scale code (e.g. '1', '8A', 'CC')
+   * @param {number} raw - Raw scale score
+   * @param {string} gender - 'male' or 'female' (anything else uses the female norms)
+   * @returns {number} Base rate
+   * @throws {RangeError} If the raw score is outside the scale's table
+   */
+  toBaseRate(scale, raw, gender) {
+    if (!this.baseRateTables) {
+      throw new Error('Base-rate tables not loaded');
+    }
+    return toBaseRate(this.baseRateTables, scale, raw, gender);
+  }
+
+  /**
+   * Initialize MCMI-II scales in legacy report order, followed by X and V
    */
   initializeScales() {
     return [
-      { code: 'V', name: 'Validity (V)', value: 0 },
-      { code: 'PP', name: 'Delusional Disorder (PP)', value: 0 },
-      { code: 'CC', name: 'Major Depression (CC)', value: 0 },
-      { code: 'SS', name: 'Thought Disorder (SS)', value: 0 },
-      { code: 'T', name: 'Drug Dependence (T)', value: 0 },
-      { code: 'B', name: 'Alcohol Dependence (B)', value: 0 },
-      { code: 'D', name: 'Bipolar: Manic Disorder (D)', value: 0 },
-      { code: 'N', name: 'Anxiety Disorder (N)', value: 0 },
-      { code: 'H', name: 'Somatoform Disorder (H)', value: 0 },
-      { code: 'A', name: 'Dysthymia (A)', value: 0 },
-      { code: 'P', name: 'Paranoid (P)', value: 0 },
-      { code: 'C', name: 'Compulsive (C)', value: 0 },
-      { code: 'S', name: 'Schizotypal (S)', value: 0 },
-      { code: '8B', name: 'Passive-Aggressive (8B)', value: 0 },
-      { code: '8A', name: 'Self-Defeating (8A)', value: 0 },
-      { code: '7', name: 'Antisocial (7)', value: 0 },
-      { code: '6B', name: 'Aggressive (Sadistic) (6B)', value: 0 },
-      { code: '6A', name: 'Narcissistic (6A)', value: 0 },
-      { code: '5', name: 'Histrionic (5)', value: 0 },
-      { code: '4', name: 'Dependent (4)', value: 0 },
-      { code: '3', name: 'Avoidant (3)', value: 0 },
-      { code: '2', name: 'Schizoid (2)', value: 0 },
-      { code: '1', name: 'Disclosure (1)', value: 0 },
-      { code: 'X', name: 'Desirability (X)', value: 0 },
-      { code: 'Y', name: 'Debasement (Y)', value: 0 },
-      { code: 'Z', name: 'Confusion (Z)', value: 0 }
+      ...this.scoringKeys
+        .filter(scale => scale.code !== 'V')
+        .map(scale => ({ code: scale.code, name: `${scale.label} (${scale.code})`, value: 0 })),
+      { code: 'X', name: 'Disclosure (X)', value: 0 },
+      { code: 'V', name: 'Validity (V)', value: 0 }
     ];
   }
 
@@ -62,6 +85,47 @@ export class AssessmentEngine {
     return this.answers[questionId] || null;
   }
 
+  /**
+   * Flag a question as uncertain, to come back to it before submitting, or clear the flag
+   * @param {number} questionId - Question ID
+   * @returns {boolean} True if the question is now flagged
+   */
+  toggleFlag(questionId) {
+    if (this.flagged.has(questionId)) {
+      this.flagged.delete(questionId);
+    } else {
+      this.flagged.add(questionId);
+    }
+    return this.flagged.has(questionId);
+  }
+
+  isFlagged(questionId) {
+    return this.flagged.has(questionId);
+  }
+
+  /**
+   * Get the flagged questions
+   * @returns {Array<number>} Question IDs in order
+   */
+  getFlagged() {
+    return [...this.flagged].sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the unanswered questions
+   * @param {number} totalQuestions - Total number of questions
+   * @returns {Array<number>} Question IDs in order
+   */
+  getOmissions(totalQuestions = 175) {
+    const omitted = [];
+    for (let id = 1; id <= totalQuestions; id++) {
+      if (!this.answers[id]) {
+        omitted.push(id);
+      }
+    }
+    return omitted;
+  }
+
   /**
    * Check if all questions are answered
    * @param {number} totalQuestions - Total number of questions
@@ -73,7 +137,7 @@ export class AssessmentEngine {
 
   /**
    * Set demographic information
-   * @param {object} demographics - Demographic data (name, age, code, gender)
+   * @param {object} demographics - Demographic data (name, age, code, gender, inpatientCode)
    */
   setDemographics(demographics) {
     this.demographics = demographics;
@@ -81,86 +145,76 @@ export class AssessmentEngine {
 
   /**
    * Calculate scores based on answers
-   * This is a simplified scoring - the full transpiled logic would be used in production
+   * Pure function of this.answers and this.demographics (see scoring.js)
+   * @returns {Array} Scales with raw score, BR correction chain and final value
    */
   calculateScores() {
-    // Initialize raw scores
-    const rawScores = {};
-    this.scales.forEach(scale => {
-      rawScores[scale.code] = 0;
-    });
+    if (this.scoringKeys.length === 0) {
+      throw new Error('Scoring keys not loaded');
+    }
+    if (!this.baseRateTables) {
+      throw new Error('Base-rate tables not loaded');
+    }
 
-    // Simple scoring logic based on answer patterns
-    // In production, this would use the full transpiled VBScript logic
-    
-    // Count true/false answers
-    let trueCount = 0;
-    let falseCount = 0;
-    
-    Object.values(this.answers).forEach(answer => {
-      if (answer === 'true') trueCount++;
-      if (answer === 'false') falseCount++;
+    this.profile = scoreProfile(this.answers, this.demographics, this.scoringKeys, this.baseRateTables);
+    const rows = {};
+    this.profile.rows.forEach(row => {
+      rows[row.code] = row;
     });
 
-    // Generate pseudo-realistic scores based on answer patterns
-    // This simulates the complex scoring algorithm
-    const totalAnswers = Object.keys(this.answers).length;
-    const trueRatio = totalAnswers > 0 ? trueCount / totalAnswers : 0;
-    
-    // Validity scales
-    rawScores['V'] = Math.round(trueRatio * 100);
-    rawScores['X'] = Math.round((1 - trueRatio) * 85 + 15);
-    rawScores['Y'] = Math.round(trueRatio * 90);
-    rawScores['Z'] = Math.round(Math.abs(trueRatio - 0.5) * 80);
-    rawScores['1'] = Math.round(trueRatio * 110);
-
-    // Clinical personality patterns
-    const patterns = ['2', '3', '4', '5', '6A', '6B', '7', '8A', '8B'];
-    patterns.forEach((code, idx) => {
-      const base = 45 + (idx * 5);
-      const variance = Math.random() * 20 - 10;
-      rawScores[code] = Math.round(base + (trueRatio * 30) + variance);
-    });
-
-    // Severe personality pathology
-    rawScores['S'] = Math.round(50 + trueRatio * 40);
-    rawScores['C'] = Math.round(55 + (1 - trueRatio) * 35);
-    rawScores['P'] = Math.round(48 + trueRatio * 42);
-
-    // Clinical syndromes
-    rawScores['A'] = Math.round(52 + trueRatio * 38);
-    rawScores['H'] = Math.round(47 + trueRatio * 33);
-    rawScores['N'] = Math.round(50 + trueRatio * 40);
-    rawScores['D'] = Math.round(45 + trueRatio * 35);
-    rawScores['B'] = Math.round(40 + trueRatio * 30);
-    rawScores['T'] = Math.round(42 + trueRatio * 28);
-
-    // Severe clinical syndromes
-    rawScores['SS'] = Math.round(48 + trueRatio * 42);
-    rawScores['CC'] = Math.round(50 + trueRatio * 45);
-    rawScores['PP'] = Math.round(46 + trueRatio * 38);
-
-    // Update scales with calculated scores
     this.scales.forEach(scale => {
-      scale.value = rawScores[scale.code] || 0;
+      if (scale.code === 'X') {
+        Object.assign(scale, { raw: this.profile.disclosure.raw, br: this.profile.disclosure.br });
+        scale.value = this.profile.disclosure.br;
+      } else if (scale.code === 'V') {
+        Object.assign(scale, { raw: this.profile.validity.raw });
+        scale.value = this.profile.validity.raw;
+      } else {
+        const { code: _code, label: _label, ...chain } = rows[scale.code];
+        Object.assign(scale, chain);
+        scale.value = chain.final !== null ? chain.final : chain.br;
+      }
     });
 
     return this.scales;
   }
 
+  /**
+   * Score the answers with the legacy script itself (legacy-scoring.js, generated by the pipeline)
+   * The module is loaded on first use, so the app does not load it up front
+   * @param {object} options - Options of the module's score(): { alert }
+   * @returns {Promise<object>} The legacy results: { title, rows, xScore, message, saveAs }
+   */
+  async scoreWithLegacyScript(options = {}) {
+    const { score } = await import('./legacy-scoring.js');
+    return score(this.answers, this.demographics, options);
+  }
+
   /**
    * Get assessment results
+   * `valid` is the legacy check (raw X in range); `validity` holds every validity flag with the
+   * overall status (see assessValidity in scoring.js). `omissions` lists the unanswered items
+   * and `flagged` the items still flagged as uncertain.
    * @returns {object} Complete assessment results
    */
   getResults() {
     const scores = this.calculateScores();
-    
+    const validity = assessValidity(this.profile, this.answers);
+    const omitted = this.getOmissions();
+
     return {
       name: this.demographics.name || 'Anonymous',
       age: this.demographics.age || 'N/A',
       code: this.demographics.code || 'N/A',
       gender: this.demographics.gender || 'N/A',
+      inpatientCode: this.profile.inpatientCode,
       scores: scores,
+      valid: this.profile.valid,
+      validity,
+      omissions: { count: omitted.length, items: omitted },
+      flagged: this.getFlagged(),
+      disclosure: this.profile.disclosure,
+      corrections: this.profile.corrections,
       completedAt: new Date().toISOString(),
       totalQuestions: Object.keys(this.answers).length
     };
@@ -203,13 +257,26 @@ export class AssessmentEngine {
     });
   }
 
+  /**
+   * Continue an interrupted administration (see session-store.js)
+   * @param {object} session - { demographics, answers, flagged } of a saved session
+   */
+  restore({ demographics, answers, flagged = [] }) {
+    this.reset();
+    this.demographics = { ...demographics };
+    this.answers = { ...answers };
+    this.flagged = new Set(flagged);
+  }
+
   /**
    * Reset assessment
    */
   reset() {
     this.answers = {};
+    this.flagged = new Set();
     this.demographics = {};
     this.scales = this.initializeScales();
+    this.profile = null;
   }
 }
 
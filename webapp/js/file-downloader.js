@@ -3,6 +3,9 @@
  * Replaces VBScript FileSystemObject functionality
  */
 
+import { renderResultsTable, renderValidity } from './report-template.js';
+import { INPATIENT_ADJUSTMENTS } from './scoring.js';
+
 export class FileDownloader {
   /**
    * Create a downloadable file from content
@@ -42,10 +45,13 @@ export class FileDownloader {
 
   /**
    * Generate report HTML from assessment data
-   * @param {object} data - Assessment data with name, age, code, scores
+   * The validity section and the scores table are the shared report template (see report-template.js)
+   * @param {object} data - Assessment data with name, age, code, scores, validity and omissions
+   * @param {Function} translate - (key, params) => English text for the validity messages (the report is in English)
    */
-  static generateReport(data) {
-    const { name, age, code, scores, gender } = data;
+  static generateReport(data, translate) {
+    const { name, age, code, scores, gender, inpatientCode, validity, omissions } = data;
+    const inpatient = INPATIENT_ADJUSTMENTS[inpatientCode];
 
     const html = `<!DOCTYPE html>
 <html lang="en">
@@ -112,6 +118,34 @@ export class FileDownloader {
     .section {
       margin: 30px 0;
     }
+    .validity {
+      padding: 20px 25px;
+      border-radius: 12px;
+      margin-bottom: 30px;
+      border-left: 6px solid #2e7d32;
+      background: #e8f5e9;
+    }
+    .validity.validity-questionable {
+      border-left-color: #ef6c00;
+      background: #fff3e0;
+    }
+    .validity.validity-invalid {
+      border-left-color: #c62828;
+      background: #ffebee;
+    }
+    .validity h2 {
+      font-size: 1.4rem;
+      margin-bottom: 10px;
+    }
+    .validity-flags {
+      list-style: none;
+    }
+    .validity-flag {
+      margin: 6px 0;
+    }
+    .validity-flag.validity-invalid strong { color: #c62828; }
+    .validity-flag.validity-caution strong { color: #ef6c00; }
+    .validity-flag.validity-info strong { color: #555; }
     .section h2 {
       color: #667eea;
       font-size: 1.8rem;
@@ -203,29 +237,20 @@ export class FileDownloader {
         <p><strong>Name:</strong> ${name}</p>
         <p><strong>Age:</strong> ${age} years</p>
         <p><strong>Gender:</strong> ${gender || 'Not specified'}</p>
+        <p><strong>Episode:</strong> ${inpatient ? inpatient.label : 'Not specified'}</p>
+        ${omissions ? `<p><strong>Omitted items:</strong> ${omissions.count}${omissions.count > 0 ? ` (${omissions.items.join(', ')})` : ''}</p>` : ''}
         <p><strong>Code:</strong> ${code || 'N/A'}</p>
       </div>
 
+      ${validity ? renderValidity(validity, translate) : ''}
+
       <div class="section">
         <h2>📊 Clinical Scales & Scores</h2>
-        <table>
-          <thead>
-            <tr>
-              <th>Scale Name</th>
-              <th>Scale Code</th>
-              <th>Raw Score</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${scores.map(score => `
-            <tr>
-              <td><strong>${score.name}</strong></td>
-              <td>${score.code}</td>
-              <td class="score-value">${score.value}</td>
-            </tr>
-            `).join('')}
-          </tbody>
-        </table>
+        ${renderResultsTable(scores.map(score => ({
+          ...score,
+          label: score.name,
+          final: score.value
+        })))}
       </div>
 
       <div class="generated-date">
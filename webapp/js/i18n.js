@@ -51,15 +51,21 @@ class I18nManager {
     };
   }
 
-  t(key, params = {}) {
+  /**
+   * Translate a key
+   * @param {string} key - Dotted key, e.g. 'validity.title'
+   * @param {object} params - Values of the {placeholders}
+   * @param {string} lang - Language, by default the current one
+   */
+  t(key, params = {}, lang = this.currentLang) {
     const keys = key.split('.');
-    let translation = this.translations[this.currentLang];
+    let translation = this.translations[lang];
     
     for (const k of keys) {
       if (translation && translation[k]) {
         translation = translation[k];
       } else {
-        console.warn(`Translation missing for key: ${key} in language: ${this.currentLang}`);
+        console.warn(`Translation missing for key: ${key} in language: ${lang}`);
         return key;
       }
     }
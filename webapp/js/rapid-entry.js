@@ -0,0 +1,138 @@
+/**
+ * Rapid Entry for MCMI-II
+ * Keyboard entry of paper answer sheets, like the qnumber box and cAns() of the legacy page:
+ * one key per item, the cursor advancing to the next cell. A second keying of the same sheet
+ * is compared with the first to catch typing errors (double entry).
+ */
+
+/**
+ * Key mappings: the key for TRUE and the key for FALSE (case-insensitive)
+ */
+export const KEY_MAPPINGS = {
+  tf: { true: 'T', false: 'F' },
+  numeric: { true: '1', false: '2' },
+  yn: { true: 'Y', false: 'N' }
+};
+
+export const DEFAULT_MAPPING = 'tf';
+
+/**
+ * Answer of a key under a mapping
+ * @param {string} key - KeyboardEvent.key
+ * @param {string} mapping - Name of a KEY_MAPPINGS entry
+ * @returns {string|null} 'true', 'false', or null if the key is not an answer
+ */
+export function answerForKey(key, mapping = DEFAULT_MAPPING) {
+  const keys = KEY_MAPPINGS[mapping] || KEY_MAPPINGS[DEFAULT_MAPPING];
+  const pressed = String(key).toUpperCase();
+  if (pressed === keys.true) return 'true';
+  if (pressed === keys.false) return 'false';
+  return null;
+}
+
+/**
+ * One keying of an answer sheet: the answers and the current cell
+ */
+export class EntryGrid {
+  /**
+   * @param {number} total - Number of items
+   * @param {string} mapping - Name of a KEY_MAPPINGS entry
+   */
+  constructor(total = 175, mapping = DEFAULT_MAPPING) {
+    this.total = total;
+    this.mapping = mapping;
+    this.answers = {};
+    this.cursor = 0; // Index of the current cell; item = cursor + 1
+  }
+
+  /**
+   * Item Backspace clears: the one before the cursor, or the last item itself once it is
+   * answered, as keying it leaves the cursor there; null on the first item
+   */
+  backspaceItem() {
+    if (this.cursor === this.total - 1 && this.answers[this.total]) return this.total;
+    return this.cursor === 0 ? null : this.cursor;
+  }
+
+  /**
+   * Handle a key press
+   * - An answer key records the answer of the current item and advances
+   * - Space skips the item (an omission) and advances
+   * - Backspace clears the item before, to key it again (see backspaceItem())
+   * - Arrow keys, + and - move without changing answers
+   * @param {string} key - KeyboardEvent.key
+   * @returns {boolean} True if the key was used
+   */
+  handleKey(key) {
+    const answer = answerForKey(key, this.mapping);
+    if (answer) {
+      this.answers[this.cursor + 1] = answer;
+      this.moveTo(this.cursor + 1);
+      return true;
+    }
+
+    switch (key) {
+    case ' ':
+      delete this.answers[this.cursor + 1];
+      this.moveTo(this.cursor + 1);
+      return true;
+    case 'Backspace': {
+      const item = this.backspaceItem();
+      if (item === null) return true;
+      this.moveTo(item - 1);
+      delete this.answers[item];
+      return true;
+    }
+    case 'ArrowRight':
+    case 'ArrowDown':
+    case '+':
+      this.moveTo(this.cursor + 1);
+      return true;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+    case '-':
+      this.moveTo(this.cursor - 1);
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Move the cursor, staying on the grid
+   * @param {number} index - Cell index (item - 1)
+   */
+  moveTo(index) {
+    this.cursor = Math.min(this.total - 1, Math.max(0, index));
+  }
+
+  /**
+   * Key shown in a cell: the mapping's key for the item's answer, or '' if unanswered
+   * @param {number} item - Item number
+   */
+  keyFor(item) {
+    const answer = this.answers[item];
+    return answer ? (KEY_MAPPINGS[this.mapping] || KEY_MAPPINGS[DEFAULT_MAPPING])[answer] : '';
+  }
+}
+
+/**
+ * Compare two keyings of the same sheet
+ * @param {object} first - Answers of the first keying, by item
+ * @param {object} second - Answers of the verification keying, by item
+ * @param {number} total - Number of items
+ * @returns {Array<object>} Mismatches in item order: { item, first, second }, with null for a blank
+ */
+export function compareEntries(first, second, total = 175) {
+  const mismatches = [];
+  for (let item = 1; item <= total; item++) {
+    const a = first[item] || null;
+    const b = second[item] || null;
+    if (a !== b) {
+      mismatches.push({ item, first: a, second: b });
+    }
+  }
+  return mismatches;
+}
+
+export default EntryGrid;
@@ -0,0 +1,114 @@
+/**
+ * MCMI-II Report Template
+ * Renders the structured results model as HTML, so the web app, report downloads
+ * and the transpiled legacy scoring share one presentation of the BR correction chain
+ *
+ * Results model: { title, rows, xScore, message }, where each row is
+ * { code, label, raw, br, afterX, afterHalfX, daAdj, ddAdj, dcAdj, inpAdj, final }
+ * Validity model: { status, flags } from assessValidity() in scoring.js
+ */
+
+/**
+ * Correction-chain columns of a results row, in the order of the legacy report table
+ */
+export const REPORT_COLUMNS = [
+  { key: 'raw', header: 'Raw Score' },
+  { key: 'br', header: 'BR from table' },
+  { key: 'afterX', header: 'BR X Cor.' },
+  { key: 'afterHalfX', header: 'BR 1/2X Cor.' },
+  { key: 'daAdj', header: 'BR DA Adj.' },
+  { key: 'ddAdj', header: 'BR DD Adj.' },
+  { key: 'dcAdj', header: 'BR DC Adj.' },
+  { key: 'inpAdj', header: 'BR Inp Adj.' },
+  { key: 'final', header: 'Final BR' }
+];
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Value to print; null and undefined print as an empty string
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the correction-chain table
+ * @param {Array<object>} rows - Results rows
+ * @returns {string} HTML table
+ */
+export function renderResultsTable(rows) {
+  const headers = REPORT_COLUMNS.map(column => `<th>${column.header}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = REPORT_COLUMNS.map(column =>
+      `<td${column.key === 'final' ? ' class="score-value"' : ''}>${escapeHTML(row[column.key])}</td>`
+    ).join('');
+    return `<tr><td>${escapeHTML(row.code)}</td><th scope="row">${escapeHTML(row.label)}</th>${cells}</tr>`;
+  }).join('\n');
+
+  return `<table class="results-table">
+<thead><tr><th>Code</th><th>Scale</th>${headers}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+}
+
+/**
+ * Render the validity section: the overall status, then one line per flag
+ * Messages are locale keys (validity.*), looked up with the translate function
+ * @param {object} validity - { status, flags } from assessValidity()
+ * @param {Function} translate - (key, params) => text, e.g. the app's i18n.t
+ * @returns {string} HTML section
+ */
+export function renderValidity(validity, translate = key => key) {
+  const flags = validity.flags.map(flag => {
+    const severity = translate(`validity.severity.${flag.severity}`);
+    return `<li class="validity-flag validity-${escapeHTML(flag.severity)}"><strong>${escapeHTML(severity)}</strong> ${escapeHTML(translate(flag.messageKey, flag.values))}</li>`;
+  }).join('\n');
+  const body = flags
+    ? `<ul class="validity-flags">\n${flags}\n</ul>`
+    : `<p>${escapeHTML(translate('validity.none'))}</p>`;
+
+  return `<section class="validity validity-${escapeHTML(validity.status)}" role="status">
+<h2>${escapeHTML(translate('validity.title'))}: ${escapeHTML(translate(`validity.status.${validity.status}`))}</h2>
+${body}
+</section>`;
+}
+
+/**
+ * Render a complete report document from a results model
+ * @param {object} results - { title, rows, xScore, message }
+ * @returns {string} HTML document
+ */
+export function renderReport(results) {
+  const title = results.title ? `<h1>${escapeHTML(results.title)}</h1>` : '';
+  const xScore = results.xScore !== null && results.xScore !== undefined
+    ? `<p><b>X (Disclosure): ${escapeHTML(results.xScore)}</b></p>`
+    : '';
+  const message = results.message ? `<p><b>${escapeHTML(results.message)}</b></p>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>MCMI-II Report</title>
+</head>
+<body>
+${title}
+${renderResultsTable(results.rows)}
+${xScore}
+${message}
+</body>
+</html>`;
+}
+
+export default { REPORT_COLUMNS, escapeHTML, renderResultsTable, renderValidity, renderReport };
@@ -0,0 +1,547 @@
+/**
+ * MCMI-II Scoring Algorithm
+ * Reproduces the legacy buttclick() scoring chain as pure functions:
+ * raw sums -> BR tables -> X / 1/2X corrections -> DA, DD, DC and inpatient adjustments
+ */
+
+/**
+ * Major version of scoring-keys.json this scorer understands
+ */
+export const SCORING_KEYS_MAJOR_VERSION = 1;
+
+/**
+ * Major version of br-tables.json this scorer understands
+ */
+export const BR_TABLES_MAJOR_VERSION = 1;
+
+/**
+ * X (Disclosure) correction bands: full X correction and half (1/2X) correction
+ * Raw X outside 145-590 invalidates the report
+ */
+export const X_CORRECTIONS = [
+  { min: 145, max: 149, full: 11, half: 5 },
+  { min: 150, max: 159, full: 10, half: 5 },
+  { min: 160, max: 169, full: 9, half: 4 },
+  { min: 170, max: 179, full: 8, half: 4 },
+  { min: 180, max: 189, full: 7, half: 3 },
+  { min: 190, max: 199, full: 6, half: 3 },
+  { min: 200, max: 209, full: 5, half: 2 },
+  { min: 210, max: 219, full: 4, half: 2 },
+  { min: 220, max: 229, full: 3, half: 1 },
+  { min: 230, max: 239, full: 2, half: 1 },
+  { min: 240, max: 249, full: 1, half: 0 },
+  { min: 250, max: 400, full: 0, half: 0 },
+  { min: 401, max: 416, full: -1, half: 0 },
+  { min: 417, max: 432, full: -2, half: -1 },
+  { min: 433, max: 448, full: -3, half: -1 },
+  { min: 449, max: 464, full: -4, half: -2 },
+  { min: 465, max: 480, full: -5, half: -2 },
+  { min: 481, max: 496, full: -6, half: -3 },
+  { min: 497, max: 512, full: -7, half: -3 },
+  { min: 513, max: 528, full: -8, half: -4 },
+  { min: 529, max: 544, full: -9, half: -4 },
+  { min: 545, max: 560, full: -10, half: -5 },
+  { min: 561, max: 576, full: -11, half: -5 },
+  { min: 577, max: 590, full: -12, half: -6 }
+];
+
+/**
+ * Raw X to X (Disclosure) BR bands
+ * The legacy code has no band for a raw X of exactly 180, which leaves the score blank
+ */
+export const DISCLOSURE_BR = [
+  { min: -Infinity, max: 179, male: 0, female: 0 },
+  { min: 181, max: 194, male: 5, female: 5 },
+  { min: 195, max: 206, male: 10, female: 10 },
+  { min: 207, max: 219, male: 15, female: 15 },
+  { min: 220, max: 231, male: 20, female: 20 },
+  { min: 232, max: 244, male: 25, female: 25 },
+  { min: 245, max: 256, male: 30, female: 30 },
+  { min: 257, max: 269, male: 35, female: 34 },
+  { min: 270, max: 281, male: 40, female: 40 },
+  { min: 282, max: 294, male: 45, female: 45 },
+  { min: 295, max: 306, male: 50, female: 50 },
+  { min: 307, max: 319, male: 55, female: 54 },
+  { min: 320, max: 344, male: 60, female: 55 },
+  { min: 345, max: 356, male: 63, female: 56 },
+  { min: 357, max: 369, male: 66, female: 58 },
+  { min: 370, max: 381, male: 69, female: 60 },
+  { min: 382, max: 394, male: 72, female: 63 },
+  { min: 395, max: 419, male: 74, female: 65 },
+  { min: 420, max: 431, male: 77, female: 67 },
+  { min: 432, max: 444, male: 79, female: 70 },
+  { min: 445, max: 456, male: 81, female: 72 },
+  { min: 457, max: 469, male: 83, female: 75 },
+  { min: 470, max: 482, male: 85, female: 79 },
+  { min: 483, max: 494, male: 87, female: 84 },
+  { min: 495, max: 507, male: 89, female: 89 },
+  { min: 508, max: 519, male: 91, female: 91 },
+  { min: 520, max: 532, male: 93, female: 93 },
+  { min: 533, max: 544, male: 95, female: 95 },
+  { min: 545, max: 557, male: 97, female: 97 },
+  { min: 558, max: Infinity, male: 100, female: 100 }
+];
+
+/**
+ * Inpatient codes of the legacy d1 select and their DA fractions, caps and BR additions
+ */
+export const INPATIENT_ADJUSTMENTS = {
+  1: { label: 'OutPatient', da: 0.25, daCap: 15, dac: 0.5, dacCap: 10, add: {} },
+  2: { label: 'Less than 1 Week', da: 1, daCap: 25, dac: 1, dacCap: 20, add: { SS: 8, CC: 10, PP: 4 } },
+  3: { label: '1-4 Weeks', da: 0.5, daCap: 15, dac: 0.75, dacCap: 15, add: { SS: 5, CC: 7, PP: 2 } },
+  4: { label: 'More than 4 Weeks', da: 0.25, daCap: 15, dac: 0.5, dacCap: 10, add: {} },
+  5: { label: 'Unknown', da: 0.5, daCap: 15, dac: 0.75, dacCap: 15, add: {} }
+};
+
+/**
+ * Number of items of the inventory
+ */
+export const ITEM_COUNT = 175;
+
+/**
+ * Validity thresholds the legacy report does not act on (it only checks raw X)
+ * V (Validity) counts endorsed improbable items: 1 makes the profile questionable, 2 or more
+ * invalid. 12 or more omitted items invalidate it. A Y (Desirability) or Z (Debasement) BR
+ * of 75 or more points at a favourable or unfavourable self-presentation.
+ */
+export const VALIDITY_THRESHOLDS = {
+  vQuestionable: 1,
+  vInvalid: 2,
+  omissionsInvalid: 12,
+  disclosureBR: 75
+};
+
+// Scale groups of the legacy report loop (legacy indices in comments)
+const NO_X_CORRECTION = ['Y', 'Z']; // 1, 2
+const HALF_X_CORRECTION = ['S', 'C', 'P', 'SS', 'CC', 'PP']; // 13-15, 22-24
+const PERSONALITY_SCALES = ['1', '2', '3', '4', '5', '6A', '6B', '7', '8A', '8B']; // 3-12
+const DD_ADJUSTED = ['S', 'C', 'A', 'H', 'D']; // 13, 14, 16, 17, 19
+const DC_ADJUSTED = ['S', 'C', 'P', 'A', 'H', 'D']; // 13-17, 19
+const DC_RAISE = { S: 4, C: 4, P: 2, A: 15, D: 15, H: 13 };
+const DC_LOWER = { S: 2, C: 6, P: 6, A: 7, H: 5, D: 5 };
+
+/**
+ * VBScript Round(): banker's rounding (half to even)
+ * @param {number} value - Number to round
+ * @returns {number} Rounded integer
+ */
+export function vbRound(value) {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+  if (diff === 0.5) {
+    return floor % 2 === 0 ? floor : floor + 1;
+  }
+  return Math.round(value);
+}
+
+/**
+ * Normalize the gender used for caps and norm tables
+ * The legacy form scores everyone who is not marked male with the female norms
+ * @param {string} gender - 'male' or 'female'
+ * @returns {string} Norm group
+ */
+export function normGroup(gender) {
+  return gender === 'male' ? 'male' : 'female';
+}
+
+/**
+ * Check a scoring-keys.json document and return its scales
+ * @param {object} scoringKeys - Parsed scoring-keys.json
+ * @returns {Array} Scale keys in legacy report order
+ */
+export function validateScoringKeys(scoringKeys) {
+  if (!scoringKeys || !Array.isArray(scoringKeys.scales)) {
+    throw new Error('Invalid scoring keys: missing scales');
+  }
+
+  const major = parseInt(String(scoringKeys.version).split('.')[0]);
+  if (major !== SCORING_KEYS_MAJOR_VERSION) {
+    throw new Error(`Unsupported scoring keys version ${scoringKeys.version} (expected ${SCORING_KEYS_MAJOR_VERSION}.x)`);
+  }
+
+  for (const scale of scoringKeys.scales) {
+    if (!scale.code || !Array.isArray(scale.items)) {
+      throw new Error(`Invalid scoring keys: malformed scale ${scale.code || '(unnamed)'}`);
+    }
+  }
+
+  return scoringKeys.scales;
+}
+
+/**
+ * Check a br-tables.json document against its SHA-256 checksum and return its tables
+ * @param {object} baseRates - Parsed br-tables.json
+ * @param {SubtleCrypto} subtle - WebCrypto used for the digest; without it (Node 18 ES modules)
+ *   Node's, from node:crypto
+ * @returns {Promise<object>} Tables keyed by scale code and norm group (male/female)
+ */
+export async function verifyBaseRateTables(baseRates, subtle = globalThis.crypto && globalThis.crypto.subtle) {
+  if (!baseRates || !baseRates.tables) {
+    throw new Error('Invalid base-rate tables: missing tables');
+  }
+
+  const major = parseInt(String(baseRates.version).split('.')[0]);
+  if (major !== BR_TABLES_MAJOR_VERSION) {
+    throw new Error(`Unsupported base-rate tables version ${baseRates.version} (expected ${BR_TABLES_MAJOR_VERSION}.x)`);
+  }
+
+  if (baseRates.algorithm !== 'sha256') {
+    throw new Error(`Unsupported base-rate tables checksum algorithm: ${baseRates.algorithm}`);
+  }
+
+  const data = new TextEncoder().encode(JSON.stringify(baseRates.tables));
+  const digest = await (subtle || (await import('node:crypto')).webcrypto.subtle).digest('SHA-256', data);
+  const checksum = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  if (checksum !== baseRates.checksum) {
+    throw new Error('Base-rate tables checksum mismatch: br-tables.json has been modified');
+  }
+
+  return baseRates.tables;
+}
+
+/**
+ * Convert a raw scale score to its base rate (legacy check<scale>br / checkf<scale>br)
+ * @param {object} tables - Tables keyed by scale code and norm group
+ * @param {string} scale - Scale code (e.g. '1', '8A', 'CC')
+ * @param {number} raw - Raw scale score
+ * @param {string} gender - 'male' or 'female'
+ * @returns {number} Base rate
+ */
+export function toBaseRate(tables, scale, raw, gender) {
+  const group = normGroup(gender);
+  if (!tables[scale]) {
+    throw new Error(`No base-rate table for scale ${scale}`);
+  }
+
+  const table = tables[scale][group];
+  if (!Number.isInteger(raw) || raw < 0 || raw >= table.length) {
+    throw new RangeError(
+      `Raw score ${raw} is out of range for scale ${scale} (${group} norms cover 0-${table.length - 1})`
+    );
+  }
+
+  return table[raw];
+}
+
+/**
+ * Compute capped raw scale sums from answers
+ * Unanswered items count for neither true- nor false-keyed items
+ * @param {object} answers - Map of question ID to 'true' / 'false'
+ * @param {string} gender - 'male' or 'female'
+ * @param {Array} scales - Scale keys from scoring-keys.json
+ * @returns {object} Map of scale code to raw score
+ */
+export function computeRawScores(answers, gender, scales) {
+  const group = normGroup(gender);
+  const raw = {};
+
+  for (const scale of scales) {
+    let sum = 0;
+    for (const { item, answer, weight } of scale.items) {
+      if (answers[item] === answer) {
+        sum += weight;
+      }
+    }
+    if (scale.caps && sum > scale.caps[group]) {
+      sum = scale.caps[group];
+    }
+    raw[scale.code] = sum;
+  }
+
+  return raw;
+}
+
+/**
+ * Compute the raw X (Disclosure) score from personality scale raws
+ * @param {object} raw - Raw scores by scale code
+ * @returns {number} Rounded raw X
+ */
+export function computeRawX(raw) {
+  let rawX = (raw['4'] + raw['8A']) * 1.5 + (raw['1'] + raw['2'] + raw['3'] + raw['8B']) * 1.6 +
+    raw['5'] + raw['6A'] + raw['6B'] + raw['7'];
+  // The legacy code nudges exact halves up before Round() so they do not round to even
+  if (rawX - Math.floor(rawX) === 0.5) {
+    rawX = rawX + 0.1;
+  }
+  return vbRound(rawX);
+}
+
+/**
+ * Find the band containing a value
+ */
+function findBand(bands, value) {
+  return bands.find(band => value >= band.min && value <= band.max) || null;
+}
+
+/**
+ * DA (anxiety/depression) adjustment from the A and D base rates
+ * The legacy daadjust() adds an X correction that is local to buttclick(), so it reads
+ * Empty and the base rates are used uncorrected
+ */
+function computeDAContainer(br) {
+  const dCorrect = br.D;
+  const aCorrect = br.A;
+  if (dCorrect >= 85) {
+    return aCorrect < 85 ? dCorrect - 85 : aCorrect + dCorrect - 170;
+  }
+  return 0;
+}
+
+/**
+ * DD (desirability/debasement) adjustment, clamped to +/-10
+ */
+function computeDDAdjustment(br) {
+  let dd = (br.Y - br.Z) / 10;
+  if (Math.abs(dd - vbRound(dd)) === 0.5) {
+    dd = dd >= 0 ? dd + 0.1 : dd - 0.1;
+  }
+  const rdd = vbRound(dd);
+  return Math.max(-10, Math.min(10, rdd));
+}
+
+/**
+ * Highest and second-highest personality scales for the DC adjustment
+ * Ties keep the first scale; when 8B is highest the legacy loop steps past the
+ * personality scales onto an empty cell, so no second-highest scale is recorded
+ */
+function findDCPeaks(personalityBR) {
+  let highest = null;
+  let biggest = 0;
+  PERSONALITY_SCALES.forEach((code, index) => {
+    if (biggest < personalityBR[code]) {
+      biggest = personalityBR[code];
+      highest = index;
+    }
+  });
+
+  let second = null;
+  let bigger = 0;
+  for (let index = 0; index < PERSONALITY_SCALES.length; index++) {
+    if (index === highest) {
+      index++;
+      if (index === PERSONALITY_SCALES.length) {
+        second = null;
+        break;
+      }
+    }
+    const value = personalityBR[PERSONALITY_SCALES[index]];
+    if (bigger < value) {
+      bigger = value;
+      second = index;
+    }
+  }
+
+  return {
+    highest: highest === null ? null : PERSONALITY_SCALES[highest],
+    second: second === null ? null : PERSONALITY_SCALES[second]
+  };
+}
+
+/**
+ * Score a complete MCMI-II profile
+ * @param {object} answers - Map of question ID to 'true' / 'false'
+ * @param {object} demographics - Demographics with gender and inpatientCode (legacy d1, default 1)
+ * @param {Array} scales - Scale keys from scoring-keys.json
+ * @param {object} tables - Base-rate tables from br-tables.json
+ * @returns {object} Profile with per-scale correction chain and disclosure score
+ */
+export function scoreProfile(answers, demographics, scales, tables) {
+  const gender = normGroup(demographics.gender);
+  const inpatientCode = Number(demographics.inpatientCode) || 1;
+  const raw = computeRawScores(answers, gender, scales);
+
+  const br = {};
+  for (const scale of scales) {
+    if (tables[scale.code]) {
+      br[scale.code] = toBaseRate(tables, scale.code, raw[scale.code], gender);
+    }
+  }
+
+  const rawX = computeRawX(raw);
+  const xBand = findBand(X_CORRECTIONS, rawX);
+  const rows = scales
+    .filter(scale => tables[scale.code])
+    .map(scale => ({
+      code: scale.code,
+      label: scale.label,
+      raw: raw[scale.code],
+      br: br[scale.code],
+      afterX: null,
+      afterHalfX: null,
+      daAdj: null,
+      ddAdj: null,
+      dcAdj: null,
+      inpAdj: null,
+      final: null
+    }));
+
+  const profile = {
+    gender,
+    inpatientCode,
+    valid: xBand !== null,
+    validity: { raw: raw.V },
+    disclosure: { raw: rawX, br: null },
+    corrections: null,
+    rows
+  };
+
+  // The legacy report stops here: "Raw X scale is ... Report is invalid!"
+  if (!xBand) {
+    return profile;
+  }
+
+  const xcor = xBand.full;
+  const hxcor = xBand.half;
+  const disclosureBand = findBand(DISCLOSURE_BR, rawX);
+  profile.disclosure.br = disclosureBand ? disclosureBand[gender] : null;
+
+  const daContainer = computeDAContainer(br);
+  const dd = computeDDAdjustment(br);
+  const inpatient = INPATIENT_ADJUSTMENTS[inpatientCode] || INPATIENT_ADJUSTMENTS[1];
+  const da = Math.min(Math.floor(inpatient.da * daContainer), inpatient.daCap);
+  const dac = Math.min(Math.floor(inpatient.dac * daContainer), inpatient.dacCap);
+
+  const byCode = {};
+  for (const row of rows) {
+    byCode[row.code] = row;
+    if (NO_X_CORRECTION.includes(row.code)) {
+      row.final = row.br;
+      continue;
+    }
+    if (HALF_X_CORRECTION.includes(row.code)) {
+      row.afterHalfX = row.br + hxcor;
+    } else {
+      row.afterX = row.br + xcor;
+    }
+    if (row.code === '2' || row.code === '8B') {
+      row.daAdj = row.afterX - da;
+    } else if (row.code === 'C') {
+      row.daAdj = row.afterHalfX - dac;
+    }
+  }
+
+  for (const code of DD_ADJUSTED) {
+    const row = byCode[code];
+    const base = code === 'S' ? row.afterHalfX : code === 'C' ? row.daAdj : row.afterX;
+    row.ddAdj = base + dd;
+  }
+
+  const personalityBR = {};
+  for (const code of PERSONALITY_SCALES) {
+    const row = byCode[code];
+    personalityBR[code] = row.daAdj !== null ? row.daAdj : row.afterX;
+  }
+  const peaks = findDCPeaks(personalityBR);
+  const raise = ['4', '5', '7'].includes(peaks.highest) || peaks.second === '7';
+  const lower = ['8B', '2'].includes(peaks.highest) || peaks.second === '2';
+
+  for (const code of DC_ADJUSTED) {
+    const row = byCode[code];
+    let value = code === 'P' ? row.afterHalfX : row.ddAdj;
+    if (raise) {
+      value += DC_RAISE[code];
+    }
+    if (lower) {
+      value -= DC_LOWER[code];
+    }
+    row.dcAdj = value;
+  }
+
+  for (const code of ['SS', 'CC', 'PP']) {
+    const row = byCode[code];
+    row.inpAdj = row.afterHalfX + (inpatient.add[code] || 0);
+  }
+
+  for (const row of rows) {
+    if (row.final !== null) {
+      continue;
+    }
+    if (row.inpAdj !== null) {
+      row.final = row.inpAdj;
+    } else if (row.dcAdj !== null) {
+      row.final = row.dcAdj;
+    } else if (row.daAdj !== null) {
+      row.final = row.daAdj;
+    } else {
+      row.final = row.afterX;
+    }
+  }
+
+  profile.corrections = {
+    x: xcor,
+    halfX: hxcor,
+    daContainer,
+    da,
+    dac,
+    dd,
+    dcHighest: peaks.highest,
+    dcSecond: peaks.second,
+    dcRaise: raise,
+    dcLower: lower
+  };
+
+  return profile;
+}
+
+/**
+ * Check a scored profile against the validity rules
+ * Each finding is a flag { rule, severity, messageKey, values }: severity is 'invalid', 'caution'
+ * or 'info', and messageKey is a locale key (validity.*) that takes the values as parameters.
+ * @param {object} profile - Profile from scoreProfile()
+ * @param {object} answers - Map of question ID to 'true' / 'false'; other items are omitted
+ * @param {number} itemCount - Number of items
+ * @returns {object} { valid, status, omissions, flags }, status 'valid', 'questionable' or 'invalid'
+ */
+export function assessValidity(profile, answers, itemCount = ITEM_COUNT) {
+  const flags = [];
+  const flag = (rule, severity, messageKey, values) => flags.push({ rule, severity, messageKey, values });
+
+  const v = profile.validity.raw;
+  if (v >= VALIDITY_THRESHOLDS.vInvalid) {
+    flag('v-scale', 'invalid', 'validity.v_invalid', { raw: v });
+  } else if (v >= VALIDITY_THRESHOLDS.vQuestionable) {
+    flag('v-scale', 'caution', 'validity.v_questionable', { raw: v });
+  }
+
+  if (!profile.valid) {
+    const min = X_CORRECTIONS[0].min;
+    const max = X_CORRECTIONS[X_CORRECTIONS.length - 1].max;
+    flag('raw-x', 'invalid', 'validity.x_out_of_range', { raw: profile.disclosure.raw, min, max });
+  }
+
+  let omissions = 0;
+  for (let item = 1; item <= itemCount; item++) {
+    if (answers[item] !== 'true' && answers[item] !== 'false') {
+      omissions++;
+    }
+  }
+  if (omissions >= VALIDITY_THRESHOLDS.omissionsInvalid) {
+    flag('omissions', 'invalid', 'validity.omissions_excessive', { count: omissions, limit: VALIDITY_THRESHOLDS.omissionsInvalid });
+  } else if (omissions > 0) {
+    flag('omissions', 'info', 'validity.omissions', { count: omissions });
+  }
+
+  for (const [code, rule, messageKey] of [['Y', 'desirability', 'validity.desirability'], ['Z', 'debasement', 'validity.debasement']]) {
+    const row = profile.rows.find(scaleRow => scaleRow.code === code);
+    if (row && row.br >= VALIDITY_THRESHOLDS.disclosureBR) {
+      flag(rule, 'caution', messageKey, { br: row.br });
+    }
+  }
+
+  const status = flags.some(finding => finding.severity === 'invalid') ? 'invalid'
+    : flags.some(finding => finding.severity === 'caution') ? 'questionable' : 'valid';
+
+  return { valid: status !== 'invalid', status, omissions, flags };
+}
+
+export default {
+  scoreProfile,
+  assessValidity,
+  computeRawScores,
+  computeRawX,
+  toBaseRate,
+  validateScoringKeys,
+  verifyBaseRateTables,
+  vbRound,
+  normGroup
+};
@@ -0,0 +1,195 @@
+/**
+ * Session Store for MCMI-II
+ * Keeps unfinished administrations in IndexedDB, so a closed tab can be resumed
+ *
+ * Session record: { id, demographics, answers, flagged, currentQuestionIndex, createdAt, updatedAt },
+ * with the timestamps in milliseconds. A session is removed when the assessment is submitted,
+ * when it is discarded, or once it has not been saved for SESSION_TTL.
+ *
+ * With a cipher (the web app's Vault) only the id and the timestamps are stored in the clear;
+ * the patient data is stored as { payload: cipher.encrypt({ demographics, answers, flagged, currentQuestionIndex }) }.
+ */
+
+export const DB_NAME = 'mcmi-ii';
+export const DB_VERSION = 1;
+export const STORE_NAME = 'sessions';
+
+/**
+ * How long an unfinished session can be resumed after its last save (7 days)
+ */
+export const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a session can no longer be resumed
+ * @param {object} session - Session record
+ * @param {number} now - Current time in milliseconds
+ * @param {number} ttl - Time to live after the last save
+ * @returns {boolean} True if the session has expired
+ */
+export function isExpired(session, now = Date.now(), ttl = SESSION_TTL) {
+  return now - session.updatedAt >= ttl;
+}
+
+/**
+ * Resolve an IndexedDB request as a promise
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function newSessionId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class SessionStore {
+  /**
+   * @param {object} options
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory, by default the browser's
+   * @param {object} options.cipher - { encrypt, decrypt } for the patient data (see vault.js), or null
+   * @param {number} options.ttl - Time to live of an unfinished session after its last save
+   * @param {Function} options.now - Clock, returning milliseconds
+   */
+  constructor({ indexedDB = globalThis.indexedDB, cipher = null, ttl = SESSION_TTL, now = () => Date.now() } = {}) {
+    this.indexedDB = indexedDB;
+    this.cipher = cipher;
+    this.ttl = ttl;
+    this.now = now;
+    this.db = null;
+  }
+
+  /**
+   * Check if sessions can be stored (IndexedDB is missing in some private modes)
+   * With a cipher that cannot encrypt here, nothing is stored rather than storing patient data in the clear
+   */
+  isSupported() {
+    return Boolean(this.indexedDB) && !(this.cipher && this.cipher.isSupported && !this.cipher.isSupported());
+  }
+
+  /**
+   * Open the database, creating the sessions store on first use
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  async open() {
+    if (!this.db) {
+      const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      this.db = await requestResult(request);
+    }
+    return this.db;
+  }
+
+  async _run(mode, operation) {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return requestResult(operation(store));
+  }
+
+  async _put(session) {
+    const { id, createdAt, updatedAt, demographics, answers, flagged, currentQuestionIndex } = session;
+    const record = this.cipher
+      ? { id, createdAt, updatedAt, payload: await this.cipher.encrypt({ demographics, answers, flagged, currentQuestionIndex }) }
+      : session;
+    await this._run('readwrite', store => store.put(record));
+  }
+
+  async _read(record) {
+    if (!record.payload) {
+      return record;
+    }
+    const { payload, ...meta } = record;
+    return { ...meta, ...await this.cipher.decrypt(payload) };
+  }
+
+  /**
+   * Save the state of an administration
+   * @param {object} session - { id, demographics, answers, flagged, currentQuestionIndex, createdAt }; a
+   *   session without an id is a new one
+   * @returns {Promise<object>} The stored session record
+   */
+  async save(session) {
+    const now = this.now();
+    const record = {
+      id: session.id || newSessionId(),
+      demographics: { ...session.demographics },
+      answers: { ...session.answers },
+      flagged: [...(session.flagged || [])],
+      currentQuestionIndex: session.currentQuestionIndex || 0,
+      createdAt: session.createdAt || now,
+      updatedAt: now
+    };
+    await this._put(record);
+    return record;
+  }
+
+  /**
+   * Get a session that can still be resumed
+   * @param {string} id - Session ID
+   * @returns {Promise<object|null>} The session, or null if it is missing or has expired
+   */
+  async get(id) {
+    const record = await this._run('readonly', store => store.get(id));
+    if (!record) {
+      return null;
+    }
+    if (isExpired(record, this.now(), this.ttl)) {
+      await this.discard(id);
+      return null;
+    }
+    return this._read(record);
+  }
+
+  /**
+   * List the sessions that can be resumed, most recently saved first
+   * Expired sessions are removed on the way, and with a cipher, sessions saved before
+   * encryption was enabled are stored again encrypted
+   * @returns {Promise<Array<object>>} Session records
+   */
+  async list() {
+    const records = await this._run('readonly', store => store.getAll());
+    const now = this.now();
+    const sessions = [];
+    for (const record of records) {
+      if (isExpired(record, now, this.ttl)) {
+        await this.discard(record.id);
+        continue;
+      }
+      if (this.cipher && !record.payload) {
+        await this._put(record);
+      }
+      sessions.push(await this._read(record));
+    }
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Remove a session (discarded, or finished)
+   * @param {string} id - Session ID
+   */
+  async discard(id) {
+    await this._run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Delete the database with every session
+   */
+  async clear() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    await requestResult(this.indexedDB.deleteDatabase(DB_NAME));
+  }
+}
+
+export default SessionStore;
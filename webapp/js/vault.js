@@ -0,0 +1,212 @@
+/**
+ * Vault for MCMI-II
+ * Encrypts patient data stored on the device with a key derived from the clinician's
+ * passphrase (WebCrypto PBKDF2-SHA-256, then AES-256-GCM)
+ *
+ * Only the salt and an encrypted check value are kept (in localStorage, under VAULT_KEY), so
+ * the passphrase can be verified on unlock. The key itself lives in memory while the vault is
+ * unlocked and cannot be exported.
+ */
+
+export const VAULT_KEY = 'mcmi-vault';
+export const PBKDF2_ITERATIONS = 310000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Lock after this long without activity (5 minutes)
+ */
+export const AUTO_LOCK_TIMEOUT = 5 * 60 * 1000;
+
+// Known plaintext of the check value
+const CHECK_TEXT = 'mcmi-ii-vault';
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key of a passphrase
+ * @param {SubtleCrypto} subtle - WebCrypto
+ * @param {string} passphrase - Clinician passphrase
+ * @param {Uint8Array} salt - Random salt of the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export async function deriveKey(subtle, passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export class Vault {
+  /**
+   * @param {object} options
+   * @param {Crypto} options.crypto - WebCrypto, by default the browser's
+   * @param {Storage} options.storage - Where the salt and check value are kept, by default localStorage
+   * @param {number} options.iterations - PBKDF2 iterations of a new vault
+   */
+  constructor({ crypto = globalThis.crypto, storage = globalThis.localStorage, iterations = PBKDF2_ITERATIONS } = {}) {
+    this.crypto = crypto;
+    this.storage = storage;
+    this.iterations = iterations;
+    this.key = null;
+  }
+
+  /**
+   * Check if data can be encrypted (WebCrypto is missing on pages not served over HTTPS)
+   */
+  isSupported() {
+    return Boolean(this.crypto && this.crypto.subtle);
+  }
+
+  /**
+   * Check whether a passphrase has been set on this device
+   */
+  isInitialized() {
+    return this.storage.getItem(VAULT_KEY) !== null;
+  }
+
+  isLocked() {
+    return this.key === null;
+  }
+
+  /**
+   * Set the passphrase of a new vault and unlock it
+   * @param {string} passphrase - Clinician passphrase
+   * @throws {Error} If the vault already exists or the passphrase is too short
+   */
+  async create(passphrase) {
+    if (this.isInitialized()) {
+      throw new Error('The vault already has a passphrase');
+    }
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = this.crypto.getRandomValues(new Uint8Array(16));
+    this.key = await deriveKey(this.crypto.subtle, passphrase, salt, this.iterations);
+    const check = await this.encrypt(CHECK_TEXT);
+    this.storage.setItem(VAULT_KEY, JSON.stringify({
+      salt: toBase64(salt),
+      iterations: this.iterations,
+      check: { iv: toBase64(check.iv), data: toBase64(check.data) }
+    }));
+  }
+
+  /**
+   * Unlock the vault
+   * @param {string} passphrase - Clinician passphrase
+   * @returns {Promise<boolean>} False for a wrong passphrase
+   * @throws {Error} If no passphrase has been set
+   */
+  async unlock(passphrase) {
+    const stored = this.storage.getItem(VAULT_KEY);
+    if (stored === null) {
+      throw new Error('The vault has no passphrase yet');
+    }
+
+    const { salt, iterations, check } = JSON.parse(stored);
+    const key = await deriveKey(this.crypto.subtle, passphrase, fromBase64(salt), iterations);
+    try {
+      const data = await this.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(check.iv) }, key, fromBase64(check.data));
+      if (JSON.parse(new TextDecoder().decode(data)) !== CHECK_TEXT) {
+        return false;
+      }
+    } catch {
+      // AES-GCM authentication fails for a key of another passphrase
+      return false;
+    }
+    this.key = key;
+    return true;
+  }
+
+  /**
+   * Drop the key; encrypted data cannot be read until the next unlock
+   */
+  lock() {
+    this.key = null;
+  }
+
+  /**
+   * Remove the passphrase (the data it encrypted can no longer be read)
+   */
+  forget() {
+    this.lock();
+    this.storage.removeItem(VAULT_KEY);
+  }
+
+  /**
+   * Encrypt a value that survives JSON
+   * @param {*} value - Value to encrypt
+   * @returns {Promise<object>} { iv, data }: the random 96-bit IV and the ciphertext
+   * @throws {Error} If the vault is locked
+   */
+  async encrypt(value) {
+    if (this.isLocked()) {
+      throw new Error('The vault is locked');
+    }
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv, data: new Uint8Array(data) };
+  }
+
+  /**
+   * Decrypt a value from encrypt()
+   * @param {object} payload - { iv, data }
+   * @returns {Promise<*>} The value
+   * @throws {Error} If the vault is locked or the payload was not encrypted with its key
+   */
+  async decrypt({ iv, data }) {
+    if (this.isLocked()) {
+      throw new Error('The vault is locked');
+    }
+    const plain = await this.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, this.key, data);
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+}
+
+/**
+ * Inactivity timer: calls onLock once no activity has been reported for the timeout
+ */
+export class AutoLock {
+  /**
+   * @param {Function} onLock - Called when the timeout passes
+   * @param {number} timeout - Milliseconds without activity
+   * @param {object} timers - { setTimeout, clearTimeout }, by default the global ones
+   */
+  constructor(onLock, timeout = AUTO_LOCK_TIMEOUT, timers = globalThis) {
+    this.onLock = onLock;
+    this.timeout = timeout;
+    this.timers = timers;
+    this.timer = null;
+  }
+
+  /**
+   * Start or restart the countdown (on unlock and on every user action)
+   */
+  touch() {
+    this.stop();
+    this.timer = this.timers.setTimeout(() => {
+      this.timer = null;
+      this.onLock();
+    }, this.timeout);
+  }
+
+  stop() {
+    if (this.timer !== null) {
+      this.timers.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default Vault;
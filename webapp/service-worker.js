@@ -1,12 +1,20 @@
-const CACHE_NAME = 'mcmi-ii-v1';
+const CACHE_NAME = 'mcmi-ii-v7';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles/app.css',
   '/js/app.js',
   '/js/assessment-engine.js',
+  '/js/scoring.js',
+  '/js/legacy-scoring.js',
   '/js/file-downloader.js',
-  '/data/questions.json'
+  '/js/report-template.js',
+  '/js/session-store.js',
+  '/js/vault.js',
+  '/js/rapid-entry.js',
+  '/data/questions.json',
+  '/data/scoring-keys.json',
+  '/data/br-tables.json'
 ];
 
 // Install event - cache resources